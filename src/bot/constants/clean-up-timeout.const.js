@@ -1,7 +0,0 @@
-/* node:coverage disable */
-/**
- * Таймаут очищения сессии и доступности разметки клавиатуры
- * @constant {number}
- */
-export const CleanUpTimeout = 60 * 1000;
-/* node:coverage enable */
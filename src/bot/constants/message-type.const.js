@@ -10,5 +10,8 @@ export const MessageType = {
 
   /** Тип для сообщений с изображениями */
   Photo: 'photo',
+
+  /** Тип для сообщений с анимацией */
+  Animation: 'animation',
 };
 /* node:coverage enable */
@@ -0,0 +1,9 @@
+/* node:coverage disable */
+/**
+ * Время хранения сессии в миллисекундах с момента последнего изменения,
+ * по истечении которого сессия удаляется.
+ * Может быть задано переменной окружения SESSION_TTL
+ * @constant {number}
+ */
+export const SessionTtl = parseInt(process.env.SESSION_TTL) || 24 * 60 * 60 * 1000;
+/* node:coverage enable */
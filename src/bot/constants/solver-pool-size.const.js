@@ -0,0 +1,11 @@
+/* node:coverage disable */
+import { cpus } from 'os';
+
+/**
+ * Максимальное количество одновременно выполняемых поисков решения.
+ * По умолчанию на единицу меньше количества ядер, чтобы боту оставалось ядро
+ * для обработки сообщений. Может быть задано переменной окружения SOLVER_POOL_SIZE
+ * @constant {number}
+ */
+export const SolverPoolSize = parseInt(process.env.SOLVER_POOL_SIZE) || Math.max(cpus().length - 1, 1);
+/* node:coverage enable */
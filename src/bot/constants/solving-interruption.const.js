@@ -0,0 +1,13 @@
+/* node:coverage disable */
+/**
+ * Перечисление причин прерывания поиска решения
+ * @enum {string}
+ */
+export const SolvingInterruption = {
+  /** Поиск отменён пользователем */
+  Cancel: 'cancel',
+
+  /** Поиск не уложился в [отведённое время]{@link SolvingTimeout} */
+  Timeout: 'timeout',
+};
+/* node:coverage enable */
@@ -0,0 +1,9 @@
+/* node:coverage disable */
+/**
+ * Максимальное время поиска решения в миллисекундах,
+ * по истечении которого поиск прерывается.
+ * Может быть задано переменной окружения SOLVING_TIMEOUT
+ * @constant {number}
+ */
+export const SolvingTimeout = parseInt(process.env.SOLVING_TIMEOUT) || 2 * 60 * 1000;
+/* node:coverage enable */
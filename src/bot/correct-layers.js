@@ -0,0 +1,44 @@
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
+
+/**
+ * Часть функциональности бота, обеспечивающая исправление игры,
+ * неверно распознанной на скриншоте
+ */
+
+/**
+ * Замена цвета одного слоя
+ * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
+ * @param {number} flaskIndex номер колбы
+ * @param {number} layerIndex номер слоя в колбе, начиная со дна
+ * @param {number} color номер нового цвета слоя или {@link UnknownLayer}
+ * @returns {number[][]} исправленная игра в виде матрицы
+ */
+export const replaceLayer = (layersMatrix, flaskIndex, layerIndex, color) => {
+  return layersMatrix.map((layers, i) => i !== flaskIndex ?
+    [ ...layers ] :
+    Array.from(layers, (layer, j) => j === layerIndex ? color : layer)
+  );
+};
+
+/**
+ * Объединение двух цветов палитры, ошибочно распознанных как разные
+ * Все слои первого цвета перекрашиваются во второй, первый цвет удаляется из палитры,
+ * номера следующих за ним цветов уменьшаются на 1
+ * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
+ * @param {string[]} colors байты RGB цветов, разделённые запятыми
+ * @param {number} sourceColor номер удаляемого цвета
+ * @param {number} destinationColor номер цвета, в который перекрашиваются слои
+ * @returns {[ number[][], string[] ]} исправленная игра в виде матрицы и палитра
+ */
+export const mergeColors = (layersMatrix, colors, sourceColor, destinationColor) => {
+  const reindex = (color) => color > sourceColor ? color - 1 : color;
+  return [
+    layersMatrix.map((layers) => layers.map((layer) => {
+      if (layer === UnknownLayer) {
+        return layer;
+      }
+      return reindex(layer === sourceColor ? destinationColor : layer);
+    })),
+    colors.filter((_, i) => i !== sourceColor),
+  ];
+};
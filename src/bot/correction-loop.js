@@ -0,0 +1,307 @@
+import { Markup } from 'telegraf';
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
+import { mergeColors, replaceLayer } from './correct-layers.js';
+import { describePuzzleIssues, sendPuzzlePreview } from './puzzle-preview.js';
+import { markMessageForReplace, replaceLastMessage } from './replace-messages.js';
+import { sendSolvingMethodQuestion } from './solving-loop.js';
+import { validatePuzzle } from '../validator.js';
+import { fullfillImage, prepareImage } from '../visualizer.js';
+
+/**
+ * Часть функциональности бота, обеспечивающая опрос пользователя
+ * по исправлению распознанной игры перед поиском решения
+ */
+
+/**
+ * Количество кнопок в одном ряду клавиатуры выбора колбы, слоя или цвета
+ * @constant {number}
+ */
+const ButtonsInRowNumber = 5;
+
+/**
+ * Разбиение кнопок на ряды клавиатуры
+ * @param {InlineKeyboardButton[]} buttons кнопки
+ * @returns {InlineKeyboardButton[][]} ряды кнопок
+ */
+const toKeyboardRows = (buttons) => {
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += ButtonsInRowNumber) {
+    rows.push(buttons.slice(i, i + ButtonsInRowNumber));
+  }
+  return rows;
+};
+
+/**
+ * Проверка, что в сессии есть игра, которую можно исправлять
+ * @param {Context} ctx контекст из Telegraf
+ * @returns {boolean} признак наличия игры
+ */
+const hasPuzzle = (ctx) => {
+  return !!ctx.session?.layersMatrix && !!ctx.session.colors && !!ctx.session.imageData;
+};
+
+/**
+ * Создание изображения палитры: каждый цвет изображается отдельной колбой с одним слоем,
+ * поэтому номер колбы на изображении совпадает с номером цвета на кнопках
+ * @param {Context} ctx контекст из Telegraf
+ * @returns {Buffer} палитра в формате изображения
+ */
+const renderPalette = (ctx) => {
+  const colorsNumber = ctx.session.colors.length;
+  const [ canvas, canvasCtx ] = prepareImage(1, [ colorsNumber ], 1);
+  fullfillImage(
+    1,
+    [ colorsNumber ],
+    ctx.session.colors.map((_, i) => [ i ]),
+    ctx.session.colors,
+    canvasCtx,
+    1,
+  );
+  return canvas.toBuffer();
+};
+
+/**
+ * Отправка вопроса о том, какую колбу нужно исправить
+ * @param {Context} ctx контекст из Telegraf
+ */
+const sendFlaskQuestion = async (ctx) => {
+  markMessageForReplace(
+    ctx,
+    await replaceLastMessage(
+      ctx,
+      'В какой колбочке ошибка? Колбочки пронумерованы слева направо, сверху вниз',
+      Markup.inlineKeyboard([
+        ...toKeyboardRows(ctx.session.layersMatrix.map((_, i) =>
+          Markup.button.callback(`${i + 1}`, `correct_flask_${i}`),
+        )),
+        [ Markup.button.callback('Объединить два цвета', 'merge_colors') ],
+        [ Markup.button.callback('Готово', 'correction_done') ],
+      ]),
+    ),
+  );
+};
+
+/**
+ * Отправка изображения исправленной игры и вопроса о следующем исправлении
+ * @param {Context} ctx контекст из Telegraf
+ */
+const sendCorrectedPuzzle = async (ctx) => {
+  await sendPuzzlePreview(ctx, 'Теперь колбочки такие 🙂');
+  return sendFlaskQuestion(ctx);
+};
+
+/**
+ * Отправка вопроса о выборе цвета
+ * @param {Context} ctx контекст из Telegraf
+ * @param {string} text текст вопроса
+ * @param {(color: number) => string} getCallbackData функция формирования данных кнопки по номеру цвета
+ * @param {InlineKeyboardButton[]} [extraButtons=[]] дополнительные кнопки
+ * @param {number} [excludedColor] номер цвета, который нельзя выбрать
+ */
+const sendColorQuestion = async (
+  ctx,
+  text,
+  getCallbackData,
+  extraButtons = [],
+  excludedColor = undefined,
+) => {
+  markMessageForReplace(
+    ctx,
+    await replaceLastMessage(
+      ctx,
+      `${text} Цвета пронумерованы так же, как на изображении палитры`,
+      Markup.inlineKeyboard([
+        ...toKeyboardRows([
+          ...ctx.session.colors
+            .map((_, i) => Markup.button.callback(`${i + 1}`, getCallbackData(i)))
+            .filter((_, i) => i !== excludedColor),
+          ...extraButtons,
+        ]),
+        [ Markup.button.callback('Назад', 'correct_back') ],
+      ]),
+    ),
+  );
+};
+
+export const configureCorrectionLoop = (bot) => {
+  /**
+   * Обработка выбора пользователем исправить игру
+   * Отправляет изображение палитры, на которое ссылаются вопросы о выборе цвета
+   */
+  bot.action('correct', async (ctx) => {
+    if (!hasPuzzle(ctx)) {
+      return;
+    }
+
+    await replaceLastMessage(
+      ctx,
+      { source: renderPalette(ctx) },
+      { caption: 'Палитра: номер цвета совпадает с номером колбочки' },
+    );
+    return sendFlaskQuestion(ctx);
+  });
+
+  /**
+   * Обработка выбора пользователем вернуться к выбору колбы
+   */
+  bot.action('correct_back', async (ctx) => {
+    if (!hasPuzzle(ctx)) {
+      return;
+    }
+
+    return sendFlaskQuestion(ctx);
+  });
+
+  /**
+   * Обработка выбора пользователем колбы, отправка вопроса о том, какой слой в ней нужно исправить
+   */
+  bot.action(/^correct_flask_(\d+)$/, async (ctx) => {
+    const flaskIndex = parseInt(ctx.match[1]);
+    const layers = ctx.session?.layersMatrix?.[flaskIndex];
+    if (!hasPuzzle(ctx) || !layers) {
+      return;
+    }
+
+    markMessageForReplace(
+      ctx,
+      await replaceLastMessage(
+        ctx,
+        layers.length === 0 ?
+          `Колбочка ${flaskIndex + 1} пустая, исправлять нечего` :
+          `Какой слой в колбочке ${flaskIndex + 1} нужно исправить? Слои пронумерованы снизу вверх`,
+        Markup.inlineKeyboard([
+          // Array.from, а не map, чтобы получить кнопки и для нераспознанных слоёв
+          ...toKeyboardRows(Array.from(layers, (_, j) =>
+            Markup.button.callback(`${j + 1}`, `correct_layer_${flaskIndex}_${j}`),
+          )),
+          [ Markup.button.callback('Назад', 'correct_back') ],
+        ]),
+      ),
+    );
+  });
+
+  /**
+   * Обработка выбора пользователем слоя, отправка вопроса о его правильном цвете
+   */
+  bot.action(/^correct_layer_(\d+)_(\d+)$/, async (ctx) => {
+    const flaskIndex = parseInt(ctx.match[1]);
+    const layerIndex = parseInt(ctx.match[2]);
+    if (!hasPuzzle(ctx) || !(layerIndex < ctx.session.layersMatrix[flaskIndex]?.length)) {
+      return;
+    }
+
+    return sendColorQuestion(
+      ctx,
+      `Какого цвета слой ${layerIndex + 1} в колбочке ${flaskIndex + 1}?`,
+      (color) => `correct_color_${flaskIndex}_${layerIndex}_${color}`,
+      [
+        Markup.button.callback(
+          '?',
+          `correct_color_${flaskIndex}_${layerIndex}_${UnknownLayer}`,
+        ),
+      ],
+    );
+  });
+
+  /**
+   * Обработка выбора пользователем цвета слоя, замена цвета и отправка исправленной игры
+   */
+  bot.action(/^correct_color_(\d+)_(\d+)_(-?\d+)$/, async (ctx) => {
+    const [ flaskIndex, layerIndex, color ] = ctx.match.slice(1).map((n) => parseInt(n));
+    if (
+      !hasPuzzle(ctx) ||
+      !(layerIndex < ctx.session.layersMatrix[flaskIndex]?.length) ||
+      (color !== UnknownLayer && !ctx.session.colors[color])
+    ) {
+      return;
+    }
+
+    ctx.session.layersMatrix = replaceLayer(
+      ctx.session.layersMatrix,
+      flaskIndex,
+      layerIndex,
+      color,
+    );
+    return sendCorrectedPuzzle(ctx);
+  });
+
+  /**
+   * Обработка выбора пользователем объединить цвета, отправка вопроса о том, какой цвет убрать
+   */
+  bot.action('merge_colors', async (ctx) => {
+    if (!hasPuzzle(ctx)) {
+      return;
+    }
+
+    return sendColorQuestion(
+      ctx,
+      'Слои какого цвета нужно перекрасить?',
+      (color) => `merge_from_${color}`,
+    );
+  });
+
+  /**
+   * Обработка выбора пользователем цвета, который нужно убрать,
+   * отправка вопроса о том, в какой цвет перекрасить его слои
+   */
+  bot.action(/^merge_from_(\d+)$/, async (ctx) => {
+    const sourceColor = parseInt(ctx.match[1]);
+    if (!hasPuzzle(ctx) || !ctx.session.colors[sourceColor]) {
+      return;
+    }
+
+    return sendColorQuestion(
+      ctx,
+      `В какой цвет перекрасить слои цвета ${sourceColor + 1}?`,
+      (color) => `merge_into_${sourceColor}_${color}`,
+      [],
+      sourceColor,
+    );
+  });
+
+  /**
+   * Обработка выбора пользователем цвета, в который нужно перекрасить слои,
+   * объединение цветов и отправка исправленной игры
+   */
+  bot.action(/^merge_into_(\d+)_(\d+)$/, async (ctx) => {
+    const [ sourceColor, destinationColor ] = ctx.match.slice(1).map((n) => parseInt(n));
+    if (
+      !hasPuzzle(ctx) ||
+      !ctx.session.colors[sourceColor] ||
+      !ctx.session.colors[destinationColor] ||
+      sourceColor === destinationColor
+    ) {
+      return;
+    }
+
+    [ ctx.session.layersMatrix, ctx.session.colors ] = mergeColors(
+      ctx.session.layersMatrix,
+      ctx.session.colors,
+      sourceColor,
+      destinationColor,
+    );
+    return sendCorrectedPuzzle(ctx);
+  });
+
+  /**
+   * Обработка завершения исправления игры пользователем
+   * Если в игре остались [ошибки]{@link validatePuzzle}, пользователь предупреждается,
+   * что решение не найдётся. Далее начинается опрос по поиску решения
+   */
+  bot.action('correction_done', async (ctx) => {
+    if (!hasPuzzle(ctx)) {
+      return;
+    }
+
+    const issues = validatePuzzle(ctx.session.layersMatrix, ctx.session.capacity);
+
+    await replaceLastMessage(
+      ctx,
+      issues.length === 0 ?
+        'Исправления сохранены 👌' :
+        'Исправления сохранены, но в колбочках остались ошибки, ' +
+        `поэтому решение не найдётся ⚠️\n${describePuzzleIssues(issues, ctx.session.capacity)}`,
+    );
+    return sendSolvingMethodQuestion(ctx);
+  });
+};
@@ -0,0 +1,16 @@
+/**
+ * Часть функциональности бота, обеспечивающая получение файлов, присланных пользователем
+ */
+
+/**
+ * Скачивание файла, присланного пользователем
+ * @param {Context} ctx контекст из Telegraf
+ * @param {string} fileId идентификатор файла в Telegram
+ * @returns {Promise<Buffer>} байты файла
+ */
+export const downloadFile = async (ctx, fileId) => {
+  const fileUrl = await ctx.telegram.getFileLink(fileId);
+  return fetch(fileUrl).then(async (res) => {
+    return Buffer.from(await res.arrayBuffer());
+  });
+};
@@ -1,14 +1,55 @@
 import { Markup } from 'telegraf';
+import { PuzzleIssueType } from '../constants/puzzle-issue-type.const.js';
 import { SpotsInRunNumber } from '../constants/spots-in-run-number.const.js';
-import { detectSpots, markSpots } from '../image-analyzer.js';
+import {
+  analyzeImage,
+  detectSpots,
+  markSpots,
+  selectLayerSpots,
+} from '../image-analyzer.js';
+import { downloadFile } from './download-file.js';
+import { sendPuzzlePreview } from './puzzle-preview.js';
 import { markMessageForReplace, replaceLastMessage } from './replace-messages.js';
+import { revealLayers } from './reveal-layers.js';
+import { sendSolvingMethodQuestion } from './solving-loop.js';
 import { numbersAndRangesToNumbers } from '../utils.js';
+import { validatePuzzle } from '../validator.js';
 
 /**
  * Часть функциональности бота, обеспечивающая получение изображений,
  * их анализ и опрос пользователя по ним
  */
 
+/**
+ * Проверка того, что [автоматически выбранные пятна]{@link selectLayerSpots} складываются в колбы:
+ * каждое пятно попадает в колбу, а в колбах нет переполнений и пропущенных слоёв.
+ * Иначе выбору нельзя доверять и пятна нужно выбрать вручную. Ошибки в количестве слоёв цветов
+ * не учитываются, так как это ошибки распознавания цветов, а не выбора пятен,
+ * и их можно [исправить]{@link configureCorrectionLoop}
+ * Анализ проводится на копиях пятен, так как при нём пятна помечаются как отнесённые к колбам
+ * @param {Shape} shape ширина, высота и глубина цвета изображения
+ * @param {Pixels} pixels байты пикселей изображения
+ * @param {Spot[]} spots массив [пятен]{@link Spot}
+ * @param {Mask} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
+ * @param {Set<number>} spotsIndices номера автоматически выбранных пятен
+ * @returns {boolean} признак того, что выбору можно доверять
+ */
+const isSelectionReliable = (shape, pixels, spots, mask, spotsIndices) => {
+  if (spotsIndices.size === 0) {
+    return false;
+  }
+
+  const spotsCopies = spots.map((spot) => ({ ...spot }));
+  const [ layersMatrix, , , , capacity ] =
+    analyzeImage(shape, pixels, spotsCopies, mask, spotsIndices);
+
+  return layersMatrix.length > 1 &&
+    [ ...spotsIndices ].every((i) => spotsCopies[i].isInFlask) &&
+    !validatePuzzle(layersMatrix, capacity).some(({ type }) =>
+      type === PuzzleIssueType.OverfilledFlask || type === PuzzleIssueType.EmptyPosition
+    );
+};
+
 /**
  * [Отмечает следующую партию пятен на изображении]{@link markSpots} и отправляет пользователю с вопросом
  * @param {Context} ctx контекст из Telegraf
@@ -37,10 +78,80 @@ const markNextSpots = async (ctx) => {
   ctx.session = { ...ctx.session, runNumber: ctx.session.runNumber + 1 };
 };
 
+/**
+ * Формирование игры из выбранных пятен и переход к поиску решения
+ * Вызывается по окончании цикла вопросов о том, какие пятна являются слоями в колбах,
+ * либо сразу после [автоматического выбора пятен]{@link selectLayerSpots}
+ * @param {Context} ctx контекст из Telegraf
+ */
+const startSolving = async (ctx) => {
+  delete ctx.session.waitingForNumbers;
+  delete ctx.session.isEnteredAsText;
+
+  markMessageForReplace(ctx, await replaceLastMessage(ctx, 'Формирую колбочки 🤓'));
+
+  let [ layersMatrix, _, colors, imageData, capacity, flasksBounds ] = analyzeImage(
+    ctx.session.shape,
+    ctx.session.pixels,
+    ctx.session.spots,
+    ctx.session.mask,
+    ctx.session.spotsIndices,
+  );
+  const imageFile = ctx.session.imageFile;
+
+  delete ctx.session.imageFile;
+  delete ctx.session.shape;
+  delete ctx.session.pixels;
+  delete ctx.session.spots;
+  delete ctx.session.mask;
+  delete ctx.session.runNumber;
+  delete ctx.session.spotsIndices;
+
+  let caption = 'Получились такие колбочки 🙂';
+
+  // если это скриншот с открывшимися слоями, продолжение решения с текущего состояния игры
+  if (ctx.session.isWaitingForReveal) {
+    delete ctx.session.isWaitingForReveal;
+    try {
+      [ layersMatrix, colors ] = revealLayers(ctx, layersMatrix, colors);
+      ({ imageData, capacity } = ctx.session);
+      ctx.session.isContinuation = true;
+      caption = 'Скрытые слои открыты, теперь колбочки такие 🙂';
+    } catch {
+      caption = 'Не получилось сопоставить колбочки с предыдущим скриншотом, ' +
+        'поэтому начну решение заново. Получились такие колбочки 🙂';
+    }
+  }
+
+  ctx.session = {
+    ...ctx.session,
+    colors,
+    layersMatrix,
+    imageData,
+    capacity,
+  };
+
+  // решение рисуется на скриншоте, только если каждой колбе игры соответствует колба на нём.
+  // Хранится только ссылка на файл скриншота: его пиксели занимают слишком много места в сессии
+  if (flasksBounds.length === layersMatrix.length && imageFile) {
+    ctx.session.screenshot = imageFile;
+    ctx.session.flasksBounds = flasksBounds;
+  } else {
+    delete ctx.session.screenshot;
+    delete ctx.session.flasksBounds;
+  }
+
+  await sendPuzzlePreview(ctx, caption);
+
+  return sendSolvingMethodQuestion(ctx);
+};
+
 /**
  * Шаблонная функция обработки изображения, которое может быть прислано и как изображение, и как документ
  * Получает изображение, переводит его в формат буфера, инициирует [определение на нём пятен]{@link detectSpots}
- * и запускает цикл вопросов к пользователю, какие пятна являются слоями в колбах {@link markNextSpots}
+ * и [автоматически выбирает]{@link selectLayerSpots} из них слои в колбах. Если выбору
+ * [нельзя доверять]{@link isSelectionReliable}, запускает цикл вопросов к пользователю,
+ * какие пятна являются слоями в колбах {@link markNextSpots}
  * @param {boolean} isDocument признак того, что изображение получено документом (без сжатия)
  * @param {Context} ctx контекст из Telegraf
  * @param {() => Promise<void>} next функция вызова следующего обработчика
@@ -54,18 +165,16 @@ const handleImage = async (isDocument, ctx, next) => {
   const fileId = isDocument ?
   ctx.update.message.document.file_id :
   ctx.update.message.photo.at(-1).file_id;
-  const imageUrl = await ctx.telegram.getFileLink(fileId);
-  const imageBuffer = await fetch(imageUrl).then(async (res) => {
-    return Buffer.from(await res.arrayBuffer());
-  });
+  const mimeType = ctx.update.message.document?.mime_type ?? undefined;
 
   const [ shape, pixels, spots, mask ] = await detectSpots(
-    imageBuffer,
-    ctx.update.message.document?.mime_type ?? undefined,
+    await downloadFile(ctx, fileId),
+    mimeType,
   );
 
   ctx.session = {
     ...ctx.session,
+    imageFile: { fileId, mimeType },
     shape,
     pixels,
     spots,
@@ -73,6 +182,13 @@ const handleImage = async (isDocument, ctx, next) => {
     runNumber: 0,
   };
 
+  const spotsIndices = selectLayerSpots(shape, spots, mask);
+  if (isSelectionReliable(shape, pixels, spots, mask, spotsIndices)) {
+    ctx.session.spotsIndices = spotsIndices;
+    await startSolving(ctx);
+    return next();
+  }
+
   await markNextSpots(ctx);
 
   ctx.session = { ...ctx.session, waitingForNumbers: true };
@@ -136,4 +252,10 @@ export const configureImageAnalysisLoop = (bot) => {
    * Обработка выбора пользователем продолжить цикл вопросов о том, какие пятна являются слоями в колбах
    */
   bot.action('mark_spots', markNextSpots);
+
+  /**
+   * Обработка выбора пользователем закончить цикл вопросов о том, какие пятна
+   * являются слоями в колбах, и перейти к поиску решения
+   */
+  bot.action('start_solving', startSolving);
 };
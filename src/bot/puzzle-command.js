@@ -0,0 +1,94 @@
+import { sendSolvingMethodQuestion } from './solving-loop.js';
+import {
+  calculateImageData,
+  generatePalette,
+  parsePuzzleNotation,
+} from '../puzzle-notation.js';
+import { fullfillImage, prepareImage } from '../visualizer.js';
+
+/**
+ * Часть функциональности бота, обеспечивающая ввод игры
+ * в [текстовой записи]{@link parsePuzzleNotation} без скриншота
+ */
+
+/**
+ * Текст с описанием текстовой записи игры
+ * @constant {string}
+ */
+const NotationDescription =
+  'Пришлите игру после команды /puzzle, каждую колбочку с новой строки, ' +
+  'слои снизу вверх. Цвета обозначайте буквами или эмодзи, пустую колбочку -- дефисом, ' +
+  'несколько пустых колбочек -- их количеством. Указывайте все пустые колбочки, которые есть ' +
+  'в игре: других я не добавлю, пока без них можно обойтись. Например:\n' +
+  '/puzzle\n' +
+  '🔴🔵🔴🔵\n' +
+  '🔵🔴🔵🔴\n' +
+  '1';
+
+export const configurePuzzleCommand = (bot) => {
+  /**
+   * Обработка команды /puzzle
+   * Игра из текстовой записи сохраняется в сессии вместо распознанной на скриншоте,
+   * после чего начинается опрос пользователя по поиску решения
+   * Пустые колбы из записи -- это все пустые колбы игры, поэтому при поиске решения
+   * пустые колбы по умолчанию к ним не добавляются
+   */
+  bot.command('puzzle', async (ctx) => {
+    let layersMatrix;
+    let capacity;
+    let symbols;
+    try {
+      ({ layersMatrix, capacity, symbols } = parsePuzzleNotation(ctx.payload));
+    } catch (err) {
+      return ctx.reply(
+        ctx.payload?.trim() ?
+          `Не получилось разобрать игру: ${err.message} 🤔\n\n${NotationDescription}` :
+          NotationDescription,
+      );
+    }
+
+    const colors = generatePalette(symbols);
+    const imageData = calculateImageData(layersMatrix.length);
+
+    const [ canvas, canvasCtx ] = prepareImage(
+      imageData.rowsNumber,
+      imageData.flasksInRows,
+      capacity,
+    );
+    fullfillImage(
+      imageData.rowsNumber,
+      imageData.flasksInRows,
+      layersMatrix,
+      colors,
+      canvasCtx,
+      capacity,
+    );
+
+    ctx.session = {
+      ...ctx.session,
+      colors,
+      layersMatrix,
+      imageData,
+      capacity,
+      isEnteredAsText: true,
+    };
+    delete ctx.session.waitingForNumbers;
+    delete ctx.session.shape;
+    delete ctx.session.pixels;
+    delete ctx.session.spots;
+    delete ctx.session.mask;
+    delete ctx.session.runNumber;
+    delete ctx.session.spotsIndices;
+    delete ctx.session.isWaitingForReveal;
+    delete ctx.session.isContinuation;
+    delete ctx.session.screenshot;
+    delete ctx.session.flasksBounds;
+
+    await ctx.replyWithPhoto(
+      { source: canvas.toBuffer() },
+      { caption: 'Получились такие колбочки 🙂' },
+    );
+
+    return sendSolvingMethodQuestion(ctx);
+  });
+};
@@ -0,0 +1,94 @@
+import { PuzzleIssueType } from '../constants/puzzle-issue-type.const.js';
+import { replaceLastMessage } from './replace-messages.js';
+import { pluralPipe } from '../utils.js';
+import { getSuspiciousFlasks, validatePuzzle } from '../validator.js';
+import { fullfillImage, highlightFlasks, prepareImage } from '../visualizer.js';
+
+/**
+ * Часть функциональности бота, обеспечивающая показ пользователю игры, сохранённой в сессии,
+ * вместе с [ошибками]{@link validatePuzzle} в ней
+ */
+
+/**
+ * Формирование описания ошибки в игре
+ * Номера колб, слоёв и цветов отсчитываются с 1, как и на кнопках
+ * @param {PuzzleIssue} issue ошибка в игре
+ * @param {number} capacity вместимость каждой из колб
+ * @returns {string} описание ошибки
+ */
+const describePuzzleIssue = (issue, capacity) => {
+  const layersDeclensions = [ 'слой', 'слоя', 'слоёв' ];
+  switch (issue.type) {
+    case PuzzleIssueType.WrongColorCount:
+      return `Цвет ${issue.color + 1}: ${issue.layersNumber} ${
+        pluralPipe(issue.layersNumber, layersDeclensions)
+      } вместо ${capacity} (колбочки ${issue.flasks.map((flask) => flask + 1).join(', ')})`;
+    case PuzzleIssueType.OverfilledFlask:
+      return `Колбочка ${issue.flasks[0] + 1} переполнена: ${issue.layersNumber} ${
+        pluralPipe(issue.layersNumber, layersDeclensions)
+      } при вместимости ${capacity}`;
+    case PuzzleIssueType.EmptyPosition:
+      return `В колбочке ${issue.flasks[0] + 1} не распознан слой ${issue.layer + 1}`;
+    case PuzzleIssueType.TooManyColors:
+      return `Цветов (${issue.colorsNumber}) больше, чем колбочек (${issue.flasksNumber})`;
+  }
+};
+
+/**
+ * Формирование описания всех ошибок в игре
+ * @param {PuzzleIssue[]} issues ошибки в игре
+ * @param {number} capacity вместимость каждой из колб
+ * @returns {string} описание ошибок, по одной на строку
+ */
+export const describePuzzleIssues = (issues, capacity) => {
+  return issues.map((issue) => `• ${describePuzzleIssue(issue, capacity)}`).join('\n');
+};
+
+/**
+ * Создание изображения игры, сохранённой в сессии
+ * @param {Context} ctx контекст из Telegraf
+ * @param {number[]} [highlightedFlasks=[]] номера [выделяемых колб]{@link highlightFlasks}
+ * @returns {Buffer} игра в формате изображения
+ */
+export const renderPuzzle = (ctx, highlightedFlasks = []) => {
+  const { rowsNumber, flasksInRows } = ctx.session.imageData;
+  const [ canvas, canvasCtx ] = prepareImage(rowsNumber, flasksInRows, ctx.session.capacity);
+  highlightFlasks(rowsNumber, flasksInRows, highlightedFlasks, canvasCtx, ctx.session.capacity);
+  fullfillImage(
+    rowsNumber,
+    flasksInRows,
+    ctx.session.layersMatrix,
+    ctx.session.colors,
+    canvasCtx,
+    ctx.session.capacity,
+  );
+  return canvas.toBuffer();
+};
+
+/**
+ * Отправка изображения игры, сохранённой в сессии
+ * Если в игре есть ошибки, колбы, к которым они относятся, выделяются на изображении,
+ * а описание ошибок отправляется отдельным сообщением
+ * @param {Context} ctx контекст из Telegraf
+ * @param {string} caption подпись к изображению
+ * @returns {Promise<PuzzleIssue[]>} ошибки в игре
+ */
+export const sendPuzzlePreview = async (ctx, caption) => {
+  const issues = validatePuzzle(ctx.session.layersMatrix, ctx.session.capacity);
+
+  await replaceLastMessage(
+    ctx,
+    { source: renderPuzzle(ctx, getSuspiciousFlasks(issues)) },
+    { caption },
+  );
+
+  if (issues.length > 0) {
+    await ctx.reply(
+      'Похоже, колбочки распознаны с ошибками ⚠️\n' +
+      `${describePuzzleIssues(issues, ctx.session.capacity)}\n` +
+      'Подозрительные колбочки выделены на изображении',
+    );
+  }
+
+  return issues;
+};
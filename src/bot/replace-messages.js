@@ -7,23 +7,36 @@ import { MessageType } from './constants/message-type.const.js';
  * @typedef {[ string ] | [string, Markup<InlineKeyboardMarkup> ]} TextMessageToSend
  *
  * Информация об отправляемом сообщении с одним изображением
- * @typedef {[ InputMediaPhoto['media'], { caption: InputMediaPhoto['caption'] } ]} PhotoMessageToSend
+ * Содержит изображение, подпись и, возможно, разметку клавиатуры. Сообщение с клавиатурой
+ * отправляется отдельным изображением, а не группой, так как у группы клавиатуры быть не может
+ * @typedef {[
+ *   InputMediaPhoto['media'],
+ *   { caption: InputMediaPhoto['caption'], reply_markup?: InlineKeyboardMarkup },
+ * ]} PhotoMessageToSend
  *
  * Информация об отправляемом сообщении с несколькими изображениями
  * @typedef {[ InputMediaPhoto[] ]} PhotosMessageToSend
  *
+ * Информация об отправляемом сообщении с анимацией
+ * Содержит анимацию и подпись. Тип 'animation' отличает анимацию от изображения
+ * @typedef {[
+ *   { type: 'animation', media: InputMediaAnimation['media'] },
+ *   { caption: InputMediaAnimation['caption'] },
+ * ]} AnimationMessageToSend
+ *
  * Информация об отправляемом сообщении
- * @typedef {TextMessageToSend | PhotoMessageToSend | PhotosMessageToSend} MessageToSend
+ * @typedef {
+ *   TextMessageToSend | PhotoMessageToSend | PhotosMessageToSend | AnimationMessageToSend
+ * } MessageToSend
  */
 
 /**
  * Отметка отпрвленного сообщения к замене при отправке следующего
  * @param {Context} ctx контекст из Telegraf
  * @param {Message} messageForReplace отправленное сообщение
+ * @param {MessageType} [type=MessageType.Text] тип отправленного сообщения
  */
-export const markMessageForReplace = (ctx, messageForReplace) => {
-  // тип вынесен в переменную, потому что возможно появление типа MessageType.Photo
-  const type = MessageType.Text;
+export const markMessageForReplace = (ctx, messageForReplace, type = MessageType.Text) => {
   ctx.session = {
     ...ctx.session,
     messageForReplace: {
@@ -45,6 +58,10 @@ const sendMessageByType = async (ctx, type, message) => {
   let sentMessage;
   switch (type) {
     case MessageType.Photo:
+      if (!Array.isArray(message[0]) && message[1]?.reply_markup) {
+        sentMessage = await ctx.replyWithPhoto(...message);
+        break;
+      }
       sentMessage = await ctx.replyWithMediaGroup(
         ...(Array.isArray(message[0]) ?
         message :
@@ -52,6 +69,9 @@ const sendMessageByType = async (ctx, type, message) => {
         ),
       );
       break;
+    case MessageType.Animation:
+      sentMessage = await ctx.replyWithAnimation(message[0].media, message[1]);
+      break;
     case MessageType.Text:
     default:
       sentMessage = await ctx.reply(...message);
@@ -70,6 +90,10 @@ const sendMessageByType = async (ctx, type, message) => {
 const editMessageByType = async (ctx, type, message) => {
   const chatId = ctx.session.messageForReplace.chatId;
   const messageId = ctx.session.messageForReplace.id;
+  // без разметки в каждом из запросов редактирования изображения клавиатура сообщения удаляется
+  const extra = !Array.isArray(message[0]) && message[1]?.reply_markup ?
+    [ { reply_markup: message[1].reply_markup } ] :
+    [];
   let sentMessage;
   switch (type) {
     case MessageType.Photo:
@@ -80,6 +104,7 @@ const editMessageByType = async (ctx, type, message) => {
         Array.isArray(message[0]) ?
           message[0] :
           { type: 'photo', media: message[0] },
+        ...extra,
       );
       sentMessage = await ctx.telegram.editMessageCaption(
         chatId,
@@ -88,6 +113,16 @@ const editMessageByType = async (ctx, type, message) => {
         Array.isArray(message[0]) ?
           message[0].find(({ caption }) => !!caption)?.caption :
           message[1].caption,
+        ...extra,
+      );
+      break;
+    case MessageType.Animation:
+      await ctx.telegram.editMessageMedia(chatId, messageId, undefined, message[0]);
+      sentMessage = await ctx.telegram.editMessageCaption(
+        chatId,
+        messageId,
+        undefined,
+        message[1]?.caption,
       );
       break;
     case MessageType.Text:
@@ -103,6 +138,18 @@ const editMessageByType = async (ctx, type, message) => {
   return sentMessage;
 };
 
+/**
+ * Определение типа сообщения по его содержимому
+ * @param {MessageToSend} message сообщение
+ * @returns {MessageType} тип сообщения
+ */
+const getMessageType = (message) => {
+  if (typeof message[0] === 'string') {
+    return MessageType.Text;
+  }
+  return message[0]?.type === MessageType.Animation ? MessageType.Animation : MessageType.Photo;
+};
+
 /**
  * Отправка сообщения взмен старого с автоматическим определением типа сообщения.
  * Если отмеченного к замене сообщения нет, новое сообщение просто [отправляется]{@link sendMessageByType};
@@ -113,7 +160,7 @@ const editMessageByType = async (ctx, type, message) => {
  * @returns {Promise<Message | Messages[]>} отправленное сообщение или отправленные сообщения
  */
 export const replaceLastMessage = async (ctx, ...newMessage) => {
-  const type = typeof newMessage[0] === 'string' ? MessageType.Text : MessageType.Photo;
+  const type = getMessageType(newMessage);
   let sentMessage;
   if (!ctx.session?.messageForReplace) {
     sentMessage = await sendMessageByType(ctx, type, newMessage);
@@ -0,0 +1,28 @@
+import { matchColorsWithPalette } from '../image-analyzer.js';
+import { Puzzle } from '../puzzle.js';
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
+
+/**
+ * Часть функциональности бота, обеспечивающая продолжение решения
+ * после открытия скрытых слоёв
+ */
+
+/**
+ * Открытие скрытых слоёв в сохранённой в сессии игре по результату анализа нового скриншота
+ * Цвета нового скриншота [сопоставляются с ранее определённой палитрой]{@link matchColorsWithPalette},
+ * после чего [скрытые слои]{@link UnknownLayer} игры заменяются слоями с нового скриншота
+ * @param {Context} ctx контекст из Telegraf
+ * @param {number[][]} layersMatrix игра в виде матрицы, определённая на новом скриншоте
+ * @param {string[]} colors цвета, определённые на новом скриншоте
+ * @returns {[ number[][], string[] ]} игра с открытыми слоями в виде матрицы и дополненная палитра
+ */
+export const revealLayers = (ctx, layersMatrix, colors) => {
+  const [ indices, palette ] = matchColorsWithPalette(colors, ctx.session.colors);
+
+  const puzzle = new Puzzle(ctx.session.layersMatrix, ctx.session.capacity);
+  puzzle.revealLayers(layersMatrix.map((layers) =>
+    [ ...layers ].map((layer) => layer === UnknownLayer ? UnknownLayer : indices[layer])
+  ));
+
+  return [ puzzle.layersMatrix, palette ];
+};
@@ -0,0 +1,132 @@
+import { readFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { SessionTtl } from './constants/session-ttl.const.js';
+import { removeExpiredFiles, removeFileIfExpired, writeFileAtomically } from '../file-utils.js';
+
+/**
+ * Модуль хранения сессий в файлах, благодаря которому сессии переживают перезапуск бота
+ * Хранилище совместимо с опцией store middleware session из Telegraf: любое другое хранилище
+ * с методами get, set и delete, например Map, можно подключить вместо него
+ *
+ * Каждая сессия хранится в отдельном файле: 4 байта длины заголовка, заголовок в формате JSON
+ * и байты типизированных массивов (пикселей и маски пятен), на которые ссылается заголовок.
+ * Сессия считается устаревшей, если файл не изменялся дольше {@link SessionTtl}
+ *
+ * Хранилище сессий
+ * @typedef {Object} SessionStore
+ * @property {(key: string) => Promise<Object | undefined>} get чтение сессии
+ * @property {(key: string, session: Object) => Promise<void>} set сохранение сессии
+ * @property {(key: string) => Promise<void>} delete удаление сессии
+ */
+
+/**
+ * Типизированные массивы, которые могут храниться в сессии, по названиям
+ * @constant {Record<string, TypedArrayConstructor>}
+ */
+const TypedArrays = { Uint8Array, Uint8ClampedArray, Int32Array };
+
+/**
+ * Расширение файлов сессий
+ * @constant {string}
+ */
+const SessionFileExtension = '.session';
+
+/**
+ * Преобразование сессии в байты файла
+ * Множества сохраняются массивами, а типизированные массивы -- ссылками на байты после заголовка
+ * @param {Object} session сессия
+ * @returns {Buffer} байты файла
+ */
+const serializeSession = (session) => {
+  const buffers = [];
+  let offset = 0;
+
+  const header = Buffer.from(JSON.stringify(session, (_, value) => {
+    if (value instanceof Set) {
+      return { $set: [ ...value ] };
+    }
+    if (ArrayBuffer.isView(value) && value.constructor.name in TypedArrays) {
+      const bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+      buffers.push(bytes);
+      offset += bytes.length;
+      return { $typedArray: value.constructor.name, offset: offset - bytes.length, length: value.length };
+    }
+    return value;
+  }));
+
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32LE(header.length);
+  return Buffer.concat([ headerLength, header, ...buffers ]);
+};
+
+/**
+ * Восстановление сессии из байтов файла
+ * @param {Buffer} file байты файла
+ * @returns {Object} сессия
+ */
+const deserializeSession = (file) => {
+  const headerLength = file.readUInt32LE(0);
+  const data = file.subarray(4 + headerLength);
+
+  return JSON.parse(file.toString('utf8', 4, 4 + headerLength), (_, value) => {
+    if (value?.$set) {
+      return new Set(value.$set);
+    }
+    if (value?.$typedArray) {
+      const TypedArray = TypedArrays[value.$typedArray];
+      // байты копируются, так как смещение в файле может быть не кратно размеру элемента
+      const bytes = Uint8Array.from(
+        data.subarray(value.offset, value.offset + value.length * TypedArray.BYTES_PER_ELEMENT),
+      );
+      return new TypedArray(bytes.buffer);
+    }
+    return value;
+  });
+};
+
+/**
+ * Создание хранилища сессий в файлах
+ * Устаревшие сессии удаляются при чтении, а также при создании хранилища и затем периодически,
+ * чтобы не занимать место сессиями пользователей, которые больше не пишут боту
+ * @param {string} directory папка с файлами сессий, создаётся при необходимости
+ * @param {number} [ttl=SessionTtl] время хранения сессии в миллисекундах
+ * @returns {SessionStore} хранилище сессий
+ */
+export const createFileSessionStore = (directory, ttl = SessionTtl) => {
+  const getPath = (key) => join(directory, `${key.replace(/[^\w-]/g, '_')}${SessionFileExtension}`);
+
+  removeExpiredFiles(directory, ttl);
+  setInterval(() => removeExpiredFiles(directory, ttl), ttl).unref();
+
+  return {
+    async get(key) {
+      const path = getPath(key);
+
+      // отсутствующий или повреждённый файл означает пустую сессию
+      try {
+        if (await removeFileIfExpired(path, ttl)) {
+          return undefined;
+        }
+        return deserializeSession(await readFile(path));
+      } catch {
+        return undefined;
+      }
+    },
+
+    async set(key, session) {
+      await writeFileAtomically(getPath(key), serializeSession(session));
+    },
+
+    async delete(key) {
+      await rm(getPath(key), { force: true });
+    },
+  };
+};
+
+export let forTesting;
+if (!!process.env.NODE_TEST_CONTEXT) {
+  forTesting = {
+    serializeSession,
+    deserializeSession,
+  };
+}
@@ -1,10 +1,27 @@
-import { Worker } from 'worker_threads';
 import { Markup } from 'telegraf';
-import { CleanUpTimeout } from './constants/clean-up-timeout.const.js';
+import { SolverPoolSize } from './constants/solver-pool-size.const.js';
+import { SolvingInterruption } from './constants/solving-interruption.const.js';
+import { SolvingTimeout } from './constants/solving-timeout.const.js';
+import { DefaultEmptyFlasksNumber } from '../constants/default-empty-flasks-number.const.js';
+import { PourRule } from '../constants/pour-rule.const.js';
+import { SolverMessageType } from '../constants/solver-message-type.const.js';
 import { SolvingMethod } from '../constants/solving-method.const.js';
+import { downloadFile } from './download-file.js';
+import { readScreenshot } from '../image-analyzer.js';
+import { describePuzzleIssues } from './puzzle-preview.js';
 import { markMessageForReplace, replaceLastMessage } from './replace-messages.js';
+import { Puzzle } from '../puzzle.js';
+import { createSolutionCache } from '../solution-cache.js';
+import { SolverPool } from '../solver-pool.js';
+import { getEmptyFlasksAdditions } from '../solver.js';
+import { sendWalkthrough } from './walkthrough.js';
 import { pluralPipe } from '../utils.js';
-import { visualizeSolution } from '../visualizer.js';
+import {
+  animateSolution,
+  visualizeSolution,
+  visualizeSolutionAsSheets,
+  visualizeSolutionOnScreenshot,
+} from '../visualizer.js';
 
 /**
  * Часть функциональности бота, обеспечивающая опрос пользователя
@@ -25,17 +42,98 @@ const MaxPointsNumber = 26;
 
 /**
  * Интервал обновления сообщения с индикацией
+ * Не меньше секунды, чтобы не упираться в ограничение количества запросов к Telegram
  * @constant {number}
  */
-const LiveMessageUpdateInterval = 500;
+const LiveMessageUpdateInterval = 1000;
 
 /**
- * Отправка сообщения с индикацией процесса поиска решения в виде точек
+ * Разметка клавиатуры сообщения с индикацией
+ * @constant {Markup<InlineKeyboardMarkup>}
+ */
+const LiveMessageKeyboard = Markup.inlineKeyboard([
+  [ Markup.button.callback('Отменить', 'cancel_solving') ],
+]);
+
+/**
+ * Описания правил переливания в вопросе о том, какое решение искать
+ * @constant {Record<PourRule, string>}
+ */
+const PourRuleDescriptions = {
+  [PourRule.WholeRun]: 'переливаются все верхние слои одного цвета, как в Water Sort',
+  [PourRule.SingleLayer]: 'перекладывается по одному слою, как шарики в Ball Sort',
+};
+
+/**
+ * Пул потоков, в которых выполняются поиски решения из всех чатов
+ * @constant {SolverPool}
+ */
+const solverPool = new SolverPool(SolverPoolSize);
+
+/**
+ * Кэш найденных решений, общий для всех чатов
+ * Папка с файлами кэша может быть задана переменной окружения SOLUTION_CACHE_DIRECTORY
+ * @constant {ReturnType<typeof createSolutionCache>}
+ */
+const solutionCache = createSolutionCache(
+  process.env.SOLUTION_CACHE_DIRECTORY ?? './solution-cache',
+);
+
+/**
+ * Запущенные поиски решения, в том числе ожидающие в очереди пула, по идентификаторам чатов.
+ * Для каждого хранятся:
+ * - идентификатор таймаута прерывания поиска, появляющийся, когда поиск начинает выполняться,
+ * - функция завершения промиса, возвращённого {@link initiateSolving},
+ * - выбранный пользователем формат решения,
+ * - последние полученные от потока [сведения о ходе поиска]{@link SolverProgress}
+ * @type {Map<number, {
+ *   timeout?: number,
+ *   resolve: (result: unknown[]) => void,
+ *   format: 'images' | 'photos' | 'text' | 'steps' | 'animation' | 'overlay',
+ *   progress?: SolverProgress,
+ * }>}
+ */
+const activeSolvings = new Map();
+
+/**
+ * Формирование текста о ходе поиска решения
+ * @param {SolverProgress} [progress] сведения о ходе поиска
+ * @returns {string} текст о ходе поиска или пустая строка, если сведений ещё нет
+ */
+const formatProgress = (progress) => {
+  if (!progress) {
+    return '';
+  }
+  const { statesNumber, depth, emptyFlasksNumber, elapsedTime } = progress;
+  const seconds = Math.floor(elapsedTime / 1000);
+  return [
+    `Рассмотрено ${statesNumber} ${
+      pluralPipe(statesNumber, [ 'состояние', 'состояния', 'состояний' ])
+    }`,
+    `Текущая глубина: ${depth} ${pluralPipe(depth, [ 'ход', 'хода', 'ходов' ])}`,
+    `Пустых колбочек: ${emptyFlasksNumber}`,
+    `Прошло ${seconds} ${pluralPipe(seconds, [ 'секунда', 'секунды', 'секунд' ])}`,
+  ].join('\n') + '\n';
+};
+
+/**
+ * Формирование текста о месте поиска решения в очереди
+ * @param {number} [position] место в очереди, 0 -- если поиск уже выполняется
+ * @returns {string} текст о месте в очереди или пустая строка, если поиск не ждёт в очереди
+ */
+const formatQueuePosition = (position) => {
+  return position > 0 ? `Вы в очереди: ${position}\n` : '';
+};
+
+/**
+ * Отправка сообщения с индикацией процесса поиска решения в виде точек,
+ * [местом в очереди]{@link formatQueuePosition}, [сведениями о ходе поиска]{@link formatProgress}
+ * и кнопкой отмены поиска
  * @param {Context} ctx контекст из Telegraf
  * @returns {number} intervalID
  */
 const sendLiveMessage = async (ctx) => {
-  const liveMessage = await replaceLastMessage(ctx, LiveMessageText);
+  const liveMessage = await replaceLastMessage(ctx, LiveMessageText, LiveMessageKeyboard);
   markMessageForReplace(ctx, liveMessage);
 
   let pointsNumber = 0;
@@ -44,70 +142,205 @@ const sendLiveMessage = async (ctx) => {
     return pointsNumber;
   };
 
+  let isUpdating = false;
   const liveMessageUpdateInterval = setInterval(async () => {
+    // пока предыдущее обновление не завершилось, новое не отправляется, чтобы не копить запросы
+    if (isUpdating) {
+      return;
+    }
+    isUpdating = true;
+    // сообщение может быть уже заменено, например, при отмене поиска, а частые обновления --
+    // отклонены из-за ограничения количества запросов, и тогда обновление просто пропускается
     await ctx.telegram.editMessageText(
       liveMessage.chat.id,
       liveMessage.message_id,
       undefined,
-      `${LiveMessageText}\n${new Array(incrementPointsNumber()).fill('.').join(' ')}`,
-    );
+      `${LiveMessageText}\n${
+        formatQueuePosition(solverPool.getQueuePosition(liveMessage.chat.id))
+      }${
+        formatProgress(activeSolvings.get(liveMessage.chat.id)?.progress)
+      }${new Array(incrementPointsNumber()).fill('.').join(' ')}`,
+      LiveMessageKeyboard,
+    ).catch(() => {});
+    isUpdating = false;
   }, LiveMessageUpdateInterval);
 
   return liveMessageUpdateInterval;
 };
 
+/**
+ * Прерывание поиска решения в чате
+ * Поиск [отменяется в пуле]{@link SolverPool.cancel}, а промис, возвращённый {@link initiateSolving},
+ * завершается с указанием причины прерывания
+ * @param {number} chatId идентификатор чата
+ * @param {SolvingInterruption} interruption причина прерывания
+ * @returns {boolean} признак того, что в чате был запущенный поиск решения
+ */
+const interruptSolving = (chatId, interruption) => {
+  const solving = activeSolvings.get(chatId);
+  if (!solving) {
+    return false;
+  }
+
+  activeSolvings.delete(chatId);
+  clearTimeout(solving.timeout);
+  solverPool.cancel(chatId);
+  solving.resolve([ undefined, undefined, undefined, interruption ]);
+
+  return true;
+};
+
+/**
+ * Отмена поиска решения пользователем
+ * @param {Context} ctx контекст из Telegraf
+ * @returns {boolean} признак того, что в чате был запущенный поиск решения
+ */
+export const cancelSolving = (ctx) => {
+  return interruptSolving(ctx.chat.id, SolvingInterruption.Cancel);
+};
+
+/**
+ * Получение количества пустых колб, которые есть в игре, помимо колб из сессии
+ * При продолжении решения после открытия скрытых слоёв пустые колбы, добавленные ранее,
+ * а в игре, введённой текстом, все её пустые колбы уже есть в сессии
+ * @param {Context} ctx контекст из Telegraf
+ * @returns {number} количество пустых колб, с которого начинается поиск решения
+ */
+const getMinEmptyFlasksNumber = (ctx) => {
+  return ctx.session.isContinuation || ctx.session.isEnteredAsText ? 0 : DefaultEmptyFlasksNumber;
+};
+
 /**
  * Инициация поиска решения
+ * Поиск ставится в очередь [пула потоков]{@link solverPool}, так что в каждом чате
+ * может быть не больше одного поиска: ранее запущенный в том же чате поиск отменяется.
+ * Если поиск не укладывается в [отведённое время]{@link SolvingTimeout}, отсчитываемое
+ * с начала его выполнения, он [прерывается]{@link interruptSolving}
+ * Решение, уже найденное для такой же игры, берётся из [кэша]{@link solutionCache} без поиска,
+ * а новое решение сохраняется в кэш
  * @param {Context} ctx контекст из Telegraf
- * @return {Promise<[ [ number, number ][], number ]>} найденное решение: массив пар номеров колб
- * для переливаний и необходимое количество пустых колб
+ * @return {Promise<[ [ number, number ][], number, number?, SolvingInterruption?, PuzzleIssue[]? ]>} найденное решение:
+ * массив пар номеров колб для переливаний, необходимое количество пустых колб и количество ходов
+ * в решении до [оптимизации]{@link optimizeSolution}, либо причина прерывания поиска,
+ * либо [ошибки в игре]{@link validatePuzzle}, из-за которых поиск не запускался
  */
-const initiateSolving = (ctx) => {
-  return new Promise((resolve, reject) => {
-    const worker = new Worker(
-      './src/solver.js',
+const initiateSolving = async (ctx) => {
+  const chatId = ctx.chat.id;
+  interruptSolving(chatId, SolvingInterruption.Cancel);
+
+  const task = [
+    ctx.session.layersMatrix,
+    ctx.match[1],
+    ctx.session.capacity,
+    getMinEmptyFlasksNumber(ctx),
+    ctx.session.pourRule,
+  ];
+
+  const cachedSolution = await solutionCache.get(...task);
+  if (cachedSolution) {
+    return cachedSolution;
+  }
+
+  const result = await new Promise((resolve, reject) => {
+    const solving = { resolve, format: ctx.match[2] };
+    activeSolvings.set(chatId, solving);
+
+    const finish = () => {
+      if (activeSolvings.get(chatId) !== solving) {
+        return false;
+      }
+      clearTimeout(solving.timeout);
+      activeSolvings.delete(chatId);
+      return true;
+    };
+
+    solverPool.run(
+      chatId,
+      task,
       {
-        workerData: [
-          ctx.session.layersMatrix,
-          ctx.match[1],
-        ],
+        onStart: () => {
+          solving.timeout = setTimeout(
+            () => interruptSolving(chatId, SolvingInterruption.Timeout),
+            SolvingTimeout,
+          );
+        },
+        onProgress: (progress) => {
+          solving.progress = progress;
+        },
+      },
+    ).then(
+      (message) => {
+        // прерванный поиск уже завершён в interruptSolving
+        if (!finish()) {
+          return;
+        }
+        if (message.type === SolverMessageType.Issues) {
+          resolve([ undefined, undefined, undefined, undefined, message.payload ]);
+        } else {
+          resolve(message.payload);
+        }
+      },
+      (err) => {
+        if (finish()) {
+          reject(err);
+        }
       },
     );
-    worker.on('message', resolve);
-    worker.on('error', reject);
   });
+
+  if (result[0]) {
+    solutionCache.set(...task, result).catch((err) => {
+      console.log('Ooops, encountered an error while caching solution', err);
+    });
+  }
+  return result;
 };
 
 /**
  * Отправка сообщения о том, что решение не найдено,
  * с возможностью инициации поиска решения другими методами
  * @param {Context} ctx контекст из Telegraf
+ * @param {string} [text='Не могу найти решение ☹️'] текст сообщения
+ * @param {SolvingMethod} [solvingMethod=ctx.match[1]] метод решения, которым решение не найдено
+ * @param {'images' | 'photos' | 'text' | 'steps' | 'animation' | 'overlay'} [format=ctx.match[2]] выбранный пользователем формат решения
  */
-const sendSolutionNotFoundMessage = async (ctx) => {
+const sendSolutionNotFoundMessage = async (
+  ctx,
+  text = 'Не могу найти решение ☹️',
+  solvingMethod = ctx.match[1],
+  format = ctx.match[2],
+) => {
   const message = await replaceLastMessage(
     ctx,
-    'Не могу найти решение ☹️',
+    text,
     Markup.inlineKeyboard(
       [
         [
           SolvingMethod.Fastest,
           Markup.button.callback(
             'Попробовать найти самое быстрое решение',
-            `solve_${SolvingMethod.Fastest}_${ctx.match[2]}`,
+            `solve_${SolvingMethod.Fastest}_${format}`,
           ),
         ],
         [
           SolvingMethod.Shortest,
           Markup.button.callback(
             'Попробовать найти самое короткое решение',
-            `solve_${SolvingMethod.Shortest}_${ctx.match[2]}`,
+            `solve_${SolvingMethod.Shortest}_${format}`,
           ),
         ],
         [
           SolvingMethod.Balanced,
           Markup.button.callback(
             'Попробовать найти балансное решение',
-            `solve_${SolvingMethod.Balanced}_${ctx.match[2]}`,
+            `solve_${SolvingMethod.Balanced}_${format}`,
+          ),
+        ],
+        [
+          SolvingMethod.Optimal,
+          Markup.button.callback(
+            'Попробовать найти оптимальное решение',
+            `solve_${SolvingMethod.Optimal}_${format}`,
           ),
         ],
         [
@@ -117,65 +350,136 @@ const sendSolutionNotFoundMessage = async (ctx) => {
             'cancel',
           ),
         ],
-      ].filter(([ key ]) => key !== ctx.match[1]).map(([ _, button ]) => [ button ]),
+      ].filter(([ key ]) => key !== solvingMethod).map(([ _, button ]) => [ button ]),
       { one_time_keyboard: true },
     ),
   );
 
   markMessageForReplace(ctx, message);
+};
 
-  setTimeout(async () => {
-    try {
-      await ctx.telegram.editMessageReplyMarkup(
-        message.chat.id,
-        message.message_id,
-        undefined,
-        Markup.removeKeyboard(),
-      );
-    } finally {}
-  }, CleanUpTimeout);
+/**
+ * Отправка сообщения о том, что из-за ошибок в игре решения нет,
+ * с возможностью исправить игру
+ * @param {Context} ctx контекст из Telegraf
+ * @param {PuzzleIssue[]} issues ошибки в игре
+ */
+const sendPuzzleIssuesMessage = async (ctx, issues) => {
+  markMessageForReplace(
+    ctx,
+    await replaceLastMessage(
+      ctx,
+      'У этих колбочек нет решения, потому что в них есть ошибки ⚠️\n' +
+      describePuzzleIssues(issues, ctx.session.capacity),
+      Markup.inlineKeyboard(
+        [
+          [ Markup.button.callback('Исправить колбочки', 'correct') ],
+          [ Markup.button.callback('Не искать решение', 'cancel') ],
+        ],
+        { one_time_keyboard: true },
+      ),
+    ),
+  );
+};
+
+/**
+ * Формирование описания решения по количеству используемых в нём пустых колб
+ * Если решение удалось [сократить]{@link optimizeSolution}, указывается, насколько.
+ * Описание не содержит символов, которые нужно экранировать в MarkdownV2
+ * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
+ * @param {number} requiredEmptyFlasksNumber необходимое количество пустых колб
+ * @param {number} [originalTransfusionsNumber] количество ходов в решении до оптимизации
+ * @returns {string} описание решения
+ */
+const describeSolution = (solution, requiredEmptyFlasksNumber, originalTransfusionsNumber) => {
+  return `${
+    requiredEmptyFlasksNumber === 0 ?
+      'Решение без дополнительных пустых колбочек' :
+      `Решение, использующее ${requiredEmptyFlasksNumber} ${
+        pluralPipe(
+          requiredEmptyFlasksNumber,
+          [ 'пустую колбочку', 'пустые колбочки', 'пустых колбочек' ],
+        )
+      }`
+  }${
+    originalTransfusionsNumber > solution.length ?
+      `, сокращено с ${originalTransfusionsNumber} до ${solution.length} ${
+        pluralPipe(solution.length, [ 'хода', 'ходов', 'ходов' ])
+      }` :
+      ''
+  }`;
+};
+
+/**
+ * Определение ходов решения, перед которыми нужны пустые колбы сверх тех, что есть в игре
+ * @param {Context} ctx контекст из Telegraf
+ * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
+ * @returns {number[]} [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}
+ */
+const getSolutionEmptyFlasksAdditions = (ctx, solution) => {
+  return getEmptyFlasksAdditions(
+    solution,
+    ctx.session.layersMatrix.length + getMinEmptyFlasksNumber(ctx),
+  );
 };
 
 /**
  * Отправка решения в формате текста
+ * Перед ходом, с которого нужна очередная пустая колба сверх тех, что есть в игре,
+ * добавляется строка об этом
  * @param {Context} ctx контекст из Telegraf
  * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
  * @param {number} requiredEmptyFlasksNumber необходимое количество пустых колб
+ * @param {number} [originalTransfusionsNumber] количество ходов в решении до оптимизации
  */
-const sendTextSolution = (ctx, solution, requiredEmptyFlasksNumber) => {
+const sendTextSolution = (
+  ctx,
+  solution,
+  requiredEmptyFlasksNumber,
+  originalTransfusionsNumber,
+) => {
+  const additions = getSolutionEmptyFlasksAdditions(ctx, solution);
   return replaceLastMessage(
     ctx,
-    `Решение, использующее ${requiredEmptyFlasksNumber} ${
-      pluralPipe(
-        requiredEmptyFlasksNumber,
-        [ 'пустую колбочку', 'пустые колбочки', 'пустых колбочек' ],
-      )
-    }:\n\`${
-      solution.map((step) => step.map((flaskIndex) => flaskIndex + 1).join(' -> ')).join('\n')
+    `${describeSolution(solution, requiredEmptyFlasksNumber, originalTransfusionsNumber)}:\n\`${
+      solution.flatMap((step, i) => [
+        ...additions.filter((addition) => addition === i).map(() => '+ пустая колбочка'),
+        step.map((flaskIndex) => flaskIndex + 1).join(' -> '),
+      ]).join('\n')
     }\``,
     { parse_mode: 'MarkdownV2' },
   );
 };
 
 /**
- * Отправка решения в формате изображений
+ * Игра из сессии, дополненная пустыми колбами, используемыми в решении
  * @param {Context} ctx контекст из Telegraf
- * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
  * @param {number} requiredEmptyFlasksNumber необходимое количество пустых колб
+ * @returns {number[][]} игра в виде матрицы {@link Puzzle.layersMatrix}
  */
-const sendVisualizedSolution = async (ctx, solution, requiredEmptyFlasksNumber) => {
-  const mediaGroup = visualizeSolution(
-    solution,
-    [
-      ...ctx.session.layersMatrix,
-      ...new Array(requiredEmptyFlasksNumber).fill(null).map(() => []),
-    ],
-    ctx.session.colors,
-    ctx.session.imageData,
-    requiredEmptyFlasksNumber,
-  ).map((buffer, i) => ({
+const getLayersMatrixWithEmptyFlasks = (ctx, requiredEmptyFlasksNumber) => {
+  return [
+    ...ctx.session.layersMatrix,
+    ...new Array(requiredEmptyFlasksNumber).fill(null).map(() => []),
+  ];
+};
+
+/**
+ * Отправка изображений группами по 10, так как больше в одной группе быть не может
+ * Одно изображение отправляется отдельно, с подписью
+ * @param {Context} ctx контекст из Telegraf
+ * @param {Buffer[]} images изображения
+ * @param {string} [caption] подпись к первому изображению
+ */
+const sendImages = async (ctx, images, caption) => {
+  if (images.length === 1) {
+    return replaceLastMessage(ctx, { source: images[0] }, { caption });
+  }
+
+  const mediaGroup = images.map((buffer, i) => ({
     type: 'photo',
     media: { source: buffer },
+    ...(i === 0 && caption ? { caption } : {}),
   }));
 
   for (let i = 10; i < mediaGroup.length; i += 10) {
@@ -187,7 +491,251 @@ const sendVisualizedSolution = async (ctx, solution, requiredEmptyFlasksNumber)
   );
 };
 
+/**
+ * Отправка решения в формате [листов со всеми шагами]{@link visualizeSolutionAsSheets}
+ * @param {Context} ctx контекст из Telegraf
+ * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
+ * @param {number} requiredEmptyFlasksNumber необходимое количество пустых колб
+ * @param {number} [originalTransfusionsNumber] количество ходов в решении до оптимизации
+ */
+const sendVisualizedSolution = (
+  ctx,
+  solution,
+  requiredEmptyFlasksNumber,
+  originalTransfusionsNumber,
+) => {
+  return sendImages(
+    ctx,
+    visualizeSolutionAsSheets(
+      solution,
+      getLayersMatrixWithEmptyFlasks(ctx, requiredEmptyFlasksNumber),
+      ctx.session.colors,
+      ctx.session.imageData,
+      requiredEmptyFlasksNumber,
+      ctx.session.capacity,
+      ctx.session.pourRule,
+      getSolutionEmptyFlasksAdditions(ctx, solution),
+    ),
+    describeSolution(solution, requiredEmptyFlasksNumber, originalTransfusionsNumber),
+  );
+};
+
+/**
+ * Отправка решения в формате отдельного изображения для каждого шага
+ * @param {Context} ctx контекст из Telegraf
+ * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
+ * @param {number} requiredEmptyFlasksNumber необходимое количество пустых колб
+ * @param {number} [originalTransfusionsNumber] количество ходов в решении до оптимизации
+ */
+const sendSolutionSteps = (
+  ctx,
+  solution,
+  requiredEmptyFlasksNumber,
+  originalTransfusionsNumber,
+) => {
+  return sendImages(
+    ctx,
+    visualizeSolution(
+      solution,
+      getLayersMatrixWithEmptyFlasks(ctx, requiredEmptyFlasksNumber),
+      ctx.session.colors,
+      ctx.session.imageData,
+      requiredEmptyFlasksNumber,
+      ctx.session.capacity,
+      ctx.session.pourRule,
+      getSolutionEmptyFlasksAdditions(ctx, solution),
+    ),
+    describeSolution(solution, requiredEmptyFlasksNumber, originalTransfusionsNumber),
+  );
+};
+
+/**
+ * Отправка решения в формате анимации
+ * @param {Context} ctx контекст из Telegraf
+ * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
+ * @param {number} requiredEmptyFlasksNumber необходимое количество пустых колб
+ * @param {number} [originalTransfusionsNumber] количество ходов в решении до оптимизации
+ */
+const sendAnimatedSolution = (
+  ctx,
+  solution,
+  requiredEmptyFlasksNumber,
+  originalTransfusionsNumber,
+) => {
+  return replaceLastMessage(
+    ctx,
+    {
+      type: 'animation',
+      media: {
+        source: animateSolution(
+          solution,
+          getLayersMatrixWithEmptyFlasks(ctx, requiredEmptyFlasksNumber),
+          ctx.session.colors,
+          ctx.session.imageData,
+          requiredEmptyFlasksNumber,
+          ctx.session.capacity,
+          ctx.session.pourRule,
+          getSolutionEmptyFlasksAdditions(ctx, solution),
+        ),
+        filename: 'solution.gif',
+      },
+    },
+    { caption: describeSolution(solution, requiredEmptyFlasksNumber, originalTransfusionsNumber) },
+  );
+};
+
+/**
+ * Отправка решения в формате [переливаний на исходном скриншоте]{@link visualizeSolutionOnScreenshot}
+ * В сессии хранится только ссылка на файл скриншота, поэтому он скачивается и читается заново.
+ * Если скриншота нет, например, после открытия скрытых слоёв, или его не удалось получить,
+ * решение [визуализируется]{@link sendVisualizedSolution}
+ * @param {Context} ctx контекст из Telegraf
+ * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
+ * @param {number} requiredEmptyFlasksNumber необходимое количество пустых колб
+ * @param {number} [originalTransfusionsNumber] количество ходов в решении до оптимизации
+ */
+const sendSolutionOnScreenshot = async (
+  ctx,
+  solution,
+  requiredEmptyFlasksNumber,
+  originalTransfusionsNumber,
+) => {
+  let screenshot;
+  if (ctx.session.screenshot) {
+    const { fileId, mimeType } = ctx.session.screenshot;
+    try {
+      screenshot = await readScreenshot(await downloadFile(ctx, fileId), mimeType);
+    } catch (err) {
+      console.log('Ooops, encountered an error while reading screenshot', err);
+    }
+  }
+
+  if (!screenshot) {
+    return sendVisualizedSolution(
+      ctx,
+      solution,
+      requiredEmptyFlasksNumber,
+      originalTransfusionsNumber,
+    );
+  }
+
+  return sendImages(
+    ctx,
+    visualizeSolutionOnScreenshot(
+      solution,
+      screenshot,
+      ctx.session.flasksBounds,
+      requiredEmptyFlasksNumber,
+      getSolutionEmptyFlasksAdditions(ctx, solution),
+    ),
+    describeSolution(solution, requiredEmptyFlasksNumber, originalTransfusionsNumber),
+  );
+};
+
+/**
+ * Сохранение в сессии состояния игры после сделанных ходов
+ * для продолжения решения, когда пользователь пришлёт скриншот с открывшимися слоями
+ * @param {Context} ctx контекст из Telegraf
+ * @param {Puzzle} puzzle игра после сделанных ходов
+ * @param {number} requiredEmptyFlasksNumber количество пустых колб, добавленных в игру
+ */
+const waitForReveal = (ctx, puzzle, requiredEmptyFlasksNumber) => {
+  const flasksInRows = [ ...ctx.session.imageData.flasksInRows ];
+  flasksInRows[flasksInRows.length - 1] += requiredEmptyFlasksNumber;
+
+  ctx.session = {
+    ...ctx.session,
+    layersMatrix: puzzle.layersMatrix,
+    imageData: { ...ctx.session.imageData, flasksInRows },
+    isWaitingForReveal: true,
+  };
+  delete ctx.session.isContinuation;
+  delete ctx.session.isEnteredAsText;
+  delete ctx.session.screenshot;
+  delete ctx.session.flasksBounds;
+};
+
+/**
+ * Отправка сообщения о том, что для продолжения решения нужно узнать цвета открывшихся слоёв
+ * @param {Context} ctx контекст из Telegraf
+ */
+const sendRevealRequestMessage = (ctx) => {
+  return ctx.reply(
+    'Дальше решение зависит от того, что скрыто под знаками вопроса ❓\n' +
+    'Сделайте эти ходы и пришлите новый скриншот, я продолжу с текущего состояния',
+  );
+};
+
+/**
+ * Создание вопроса о том, какое решение искать, с выбранными в сессии правилами переливания
+ * и кнопкой их смены
+ * @param {Context} ctx контекст из Telegraf
+ * @returns {TextMessageToSend} вопрос с клавиатурой выбора
+ */
+const createSolvingMethodQuestion = (ctx) => {
+  const pourRule = ctx.session.pourRule ?? PourRule.WholeRun;
+  return [
+    'Искать самое быстрое решение (найдётся быстро, может состоять из большого количества ' +
+    'ходов), самое короткое решение (требует много времени на поиск, состоит из наименьшего ' +
+    'количества ходов), балансное решение (найдётся сопоставимо быстро с быстрым или ' +
+    'быстрее, состоит из почти наименьшего или наименьшего количества ходов) или оптимальное ' +
+    'решение (гарантированно состоит из наименьшего количества ходов, обычно находится ' +
+    'быстрее самого короткого)?\n\n' +
+    `Правила: ${PourRuleDescriptions[pourRule]}`,
+    Markup.inlineKeyboard([
+      [ Markup.button.callback('Самое быстрое', `solve_${SolvingMethod.Fastest}`) ],
+      [ Markup.button.callback('Самое короткое', `solve_${SolvingMethod.Shortest}`) ],
+      [ Markup.button.callback('Балансное', `solve_${SolvingMethod.Balanced}`) ],
+      [ Markup.button.callback('Оптимальное', `solve_${SolvingMethod.Optimal}`) ],
+      [
+        Markup.button.callback(
+          pourRule === PourRule.SingleLayer ?
+            'Переливать все слои одного цвета' :
+            'Переливать по одному слою',
+          'toggle_pour_rule',
+        ),
+      ],
+      [ Markup.button.callback('Исправить колбочки', 'correct') ],
+      [ Markup.button.callback('Не искать решение', 'cancel') ],
+    ]),
+  ];
+};
+
+/**
+ * Отправка вопроса о том, какое решение искать
+ * С этого вопроса начинается поиск решения игры, сохранённой в сессии.
+ * Перед поиском игру можно [исправить]{@link configureCorrectionLoop}
+ * и сменить правила переливания
+ * @param {Context} ctx контекст из Telegraf
+ */
+export const sendSolvingMethodQuestion = async (ctx) => {
+  markMessageForReplace(
+    ctx,
+    await ctx.reply(...createSolvingMethodQuestion(ctx), { one_time_keyboard: true }),
+  );
+};
+
 export const configureSovlingLoop = (bot) => {
+  /**
+   * Обработка смены пользователем правил переливания в вопросе о том, какое решение искать
+   * Правила сохраняются в сессии и не сбрасываются после решения, так как обычно
+   * пользователь играет в одну и ту же игру
+   */
+  bot.action('toggle_pour_rule', async (ctx) => {
+    if (!ctx.session?.layersMatrix) {
+      return;
+    }
+
+    ctx.session.pourRule = ctx.session.pourRule === PourRule.SingleLayer ?
+      PourRule.WholeRun :
+      PourRule.SingleLayer;
+    markMessageForReplace(ctx, ctx.callbackQuery.message);
+    markMessageForReplace(
+      ctx,
+      await replaceLastMessage(ctx, ...createSolvingMethodQuestion(ctx)),
+    );
+  });
+
   /**
    * Обработка выбора пользователем приоритета в поиске решения
    */
@@ -200,10 +748,25 @@ export const configureSovlingLoop = (bot) => {
       ctx,
       await replaceLastMessage(
         ctx,
-        'Визуализировать каждый шаг решения или отправить его текстом?',
+        'Визуализировать все шаги решения на одном изображении, прислать отдельное изображение ' +
+        'для каждого шага, ' +
+        (ctx.session.screenshot ? 'нарисовать ходы на присланном скриншоте, ' : '') +
+        'показать решение пошагово в одном сообщении, прислать его анимацией ' +
+        'или отправить текстом?',
         Markup.inlineKeyboard(
           [
             [ Markup.button.callback('Визуализировать', `solve_${ctx.match[1]}_images`) ],
+            [
+              Markup.button.callback(
+                'Отдельными изображениями',
+                `solve_${ctx.match[1]}_photos`,
+              ),
+            ],
+            ...(ctx.session.screenshot ?
+              [ [ Markup.button.callback('На скриншоте', `solve_${ctx.match[1]}_overlay`) ] ] :
+              []),
+            [ Markup.button.callback('Пошагово', `solve_${ctx.match[1]}_steps`) ],
+            [ Markup.button.callback('Анимацией', `solve_${ctx.match[1]}_animation`) ],
             [ Markup.button.callback('Текстом', `solve_${ctx.match[1]}_text`) ],
             [ Markup.button.callback('Не искать решение', 'cancel') ],
           ],
@@ -219,7 +782,7 @@ export const configureSovlingLoop = (bot) => {
    * обработка ошибок при поиске и отправка найденного решения с учётом выборов пользователя
    */
   bot.action(
-    new RegExp(`^solve_(${Object.values(SolvingMethod).join('|')})_(images|text)$`),
+    new RegExp(`^solve_(${Object.values(SolvingMethod).join('|')})_(images|photos|text|steps|animation|overlay)$`),
     async (ctx) => {
       if (!ctx.session?.layersMatrix || !ctx.session.colors || !ctx.session?.imageData) {
         return;
@@ -227,25 +790,123 @@ export const configureSovlingLoop = (bot) => {
 
       const liveMessageUpdateInterval = await sendLiveMessage(ctx);
 
-      const [ solution, requiredEmptyFlasksNumber ] = await initiateSolving(ctx);
+      let solution;
+      let requiredEmptyFlasksNumber;
+      let originalTransfusionsNumber;
+      let interruption;
+      let issues;
+      try {
+        [
+          solution,
+          requiredEmptyFlasksNumber,
+          originalTransfusionsNumber,
+          interruption,
+          issues,
+        ] = await initiateSolving(ctx);
+      } catch (err) {
+        console.log('Ooops, encountered an error while solving', err);
+        return sendSolutionNotFoundMessage(ctx, 'При поиске решения что-то пошло не так 😵');
+      } finally {
+        clearInterval(liveMessageUpdateInterval);
+      }
+
+      // о ручной отмене сообщает обработчик отмены
+      if (interruption === SolvingInterruption.Cancel) {
+        return;
+      }
 
-      clearInterval(liveMessageUpdateInterval);
+      if (interruption === SolvingInterruption.Timeout) {
+        return sendSolutionNotFoundMessage(
+          ctx,
+          'Не успеваю найти решение этим способом за отведённое время ⏳',
+        );
+      }
+
+      if (issues) {
+        return sendPuzzleIssuesMessage(ctx, issues);
+      }
 
       if (!solution) {
         return sendSolutionNotFoundMessage(ctx);
       }
 
-      setTimeout(() => {
-        delete ctx.session.layersMatrix;
-        delete ctx.session.colors;
-        delete ctx.session.imageData;
-      });
+      const puzzle = new Puzzle(
+        getLayersMatrixWithEmptyFlasks(ctx, requiredEmptyFlasksNumber),
+        ctx.session.capacity,
+        ctx.session.pourRule,
+      );
+      solution.forEach((transfusion) => puzzle.transfuse(...transfusion));
 
       if (ctx.match[2] === 'images') {
-        return sendVisualizedSolution(ctx, solution, requiredEmptyFlasksNumber);
+        await sendVisualizedSolution(
+          ctx,
+          solution,
+          requiredEmptyFlasksNumber,
+          originalTransfusionsNumber,
+        );
+      } else if (ctx.match[2] === 'photos') {
+        await sendSolutionSteps(
+          ctx,
+          solution,
+          requiredEmptyFlasksNumber,
+          originalTransfusionsNumber,
+        );
+      } else if (ctx.match[2] === 'steps') {
+        await sendWalkthrough(
+          ctx,
+          solution,
+          requiredEmptyFlasksNumber,
+          getSolutionEmptyFlasksAdditions(ctx, solution),
+          describeSolution(solution, requiredEmptyFlasksNumber, originalTransfusionsNumber),
+        );
+      } else if (ctx.match[2] === 'animation') {
+        await sendAnimatedSolution(
+          ctx,
+          solution,
+          requiredEmptyFlasksNumber,
+          originalTransfusionsNumber,
+        );
+      } else if (ctx.match[2] === 'overlay') {
+        await sendSolutionOnScreenshot(
+          ctx,
+          solution,
+          requiredEmptyFlasksNumber,
+          originalTransfusionsNumber,
+        );
+      } else {
+        await sendTextSolution(
+          ctx,
+          solution,
+          requiredEmptyFlasksNumber,
+          originalTransfusionsNumber,
+        );
       }
 
-      return sendTextSolution(ctx, solution, requiredEmptyFlasksNumber);
+      if (puzzle.isWaitingForReveal) {
+        waitForReveal(ctx, puzzle, requiredEmptyFlasksNumber);
+        return sendRevealRequestMessage(ctx);
+      }
+
+      delete ctx.session.layersMatrix;
+      delete ctx.session.colors;
+      delete ctx.session.imageData;
+      delete ctx.session.capacity;
+      delete ctx.session.isContinuation;
+      delete ctx.session.isEnteredAsText;
+      delete ctx.session.screenshot;
+      delete ctx.session.flasksBounds;
     },
   );
+
+  /**
+   * Обработка отмены пользователем запущенного поиска решения
+   */
+  bot.action('cancel_solving', async (ctx) => {
+    const format = activeSolvings.get(ctx.chat.id)?.format;
+    if (!cancelSolving(ctx)) {
+      return;
+    }
+
+    return sendSolutionNotFoundMessage(ctx, 'Поиск решения отменён 🛑', undefined, format);
+  });
 };
@@ -0,0 +1,67 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { UnknownLayer } from '../../constants/unknown-layer.const.js';
+import { mergeColors, replaceLayer } from '../correct-layers.js';
+
+describe('correct-layers', () => {
+  describe('replaceLayer', () => {
+    it('should replace layer', () => {
+      assert.deepEqual(
+        replaceLayer([ [ 0, 1 ], [ 1, 1 ] ], 1, 0, 0),
+        [ [ 0, 1 ], [ 0, 1 ] ],
+      );
+    });
+
+    it('should replace layer with unknown one', () => {
+      assert.deepEqual(
+        replaceLayer([ [ 0, 1 ], [ 1, 0 ] ], 0, 1, UnknownLayer),
+        [ [ 0, UnknownLayer ], [ 1, 0 ] ],
+      );
+    });
+
+    it('should replace unrecognized layer', () => {
+      const flask = new Array(2);
+      flask[1] = 0;
+      assert.deepEqual(replaceLayer([ flask, [ 1, 1 ] ], 0, 0, 1), [ [ 1, 0 ], [ 1, 1 ] ]);
+    });
+
+    it('should not mutate original matrix', () => {
+      const layersMatrix = [ [ 0, 1 ], [ 1, 0 ] ];
+      replaceLayer(layersMatrix, 0, 0, 1);
+      assert.deepEqual(layersMatrix, [ [ 0, 1 ], [ 1, 0 ] ]);
+    });
+  });
+
+  describe('mergeColors', () => {
+    it('should repaint layers and remove color from palette', () => {
+      assert.deepEqual(
+        mergeColors(
+          [ [ 0, 1, 2, 3 ], [ 3, 2, 1, 0 ] ],
+          [ '0, 0, 0', '1, 1, 1', '2, 2, 2', '3, 3, 3' ],
+          1,
+          2,
+        ),
+        [
+          [ [ 0, 1, 1, 2 ], [ 2, 1, 1, 0 ] ],
+          [ '0, 0, 0', '2, 2, 2', '3, 3, 3' ],
+        ],
+      );
+    });
+
+    it('should merge into color with smaller index', () => {
+      assert.deepEqual(
+        mergeColors([ [ 0, 2, 1 ] ], [ '0, 0, 0', '1, 1, 1', '2, 2, 2' ], 2, 0),
+        [ [ [ 0, 0, 1 ] ], [ '0, 0, 0', '1, 1, 1' ] ],
+      );
+    });
+
+    it('should keep unknown layers', () => {
+      assert.deepEqual(
+        mergeColors([ [ UnknownLayer, 1, 0 ] ], [ '0, 0, 0', '1, 1, 1' ], 0, 1)[0],
+        [ [ UnknownLayer, 0, 0 ] ],
+      );
+    });
+  });
+});
+/* node:coverage enable */
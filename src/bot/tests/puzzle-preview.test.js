@@ -0,0 +1,42 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { PuzzleIssueType } from '../../constants/puzzle-issue-type.const.js';
+import { describePuzzleIssues } from '../puzzle-preview.js';
+
+describe('puzzle-preview', () => {
+  describe('describePuzzleIssues', () => {
+    it('should describe each issue on separate line', () => {
+      assert.equal(
+        describePuzzleIssues(
+          [
+            {
+              type: PuzzleIssueType.WrongColorCount,
+              flasks: [ 0, 2 ],
+              color: 1,
+              layersNumber: 3,
+            },
+            { type: PuzzleIssueType.OverfilledFlask, flasks: [ 4 ], layersNumber: 5 },
+            { type: PuzzleIssueType.EmptyPosition, flasks: [ 1 ], layer: 0 },
+            {
+              type: PuzzleIssueType.TooManyColors,
+              flasks: [],
+              colorsNumber: 8,
+              flasksNumber: 7,
+            },
+          ],
+          4,
+        ),
+        '• Цвет 2: 3 слоя вместо 4 (колбочки 1, 3)\n' +
+        '• Колбочка 5 переполнена: 5 слоёв при вместимости 4\n' +
+        '• В колбочке 2 не распознан слой 1\n' +
+        '• Цветов (8) больше, чем колбочек (7)',
+      );
+    });
+
+    it('should return empty string if there are no issues', () => {
+      assert.equal(describePuzzleIssues([], 4), '');
+    });
+  });
+});
+/* node:coverage enable */
@@ -31,6 +31,13 @@ describe('replace-messages', () => {
       );
     });
 
+    it('should save message type', () => {
+      const ctx = { session: {} };
+      const messageForReplace = { message_id: 'message_id', chat: { id: 'chatId' } };
+      markMessageForReplace(ctx, messageForReplace, MessageType.Photo);
+      assert.equal(ctx.session.messageForReplace.type, MessageType.Photo);
+    });
+
     it('should create session if there wasn\'t any', () => {
       const ctx = {};
       const messageForReplace = { message_id: 'message_id', chat: { id: 'chatId' } };
@@ -91,6 +98,19 @@ describe('replace-messages', () => {
           mock.reset();
         });
       });
+
+      describe('animation', () => {
+        it('for animation messages', async () => {
+          const replyWithAnimation = mock.fn();
+          await replaceLastMessage(
+            { replyWithAnimation },
+            { type: 'animation', media: { source: 'source' } },
+            { caption: 'caption' },
+          );
+          assert.equal(replyWithAnimation.mock.calls.length > 0, true);
+          mock.reset();
+        });
+      });
     });
 
     it('should send new message if there is no marked for replace message', async () => {
@@ -243,6 +263,35 @@ describe('replace-messages', () => {
       mock.reset();
     });
 
+    it('should send photo messages with markup as single photo', async () => {
+      const replyWithPhoto = mock.fn();
+      const replyWithMediaGroup = mock.fn();
+      const ctx = { replyWithPhoto, replyWithMediaGroup };
+      const message = [
+        { source: 'source' },
+        { caption: 'caption', ...Markup.inlineKeyboard([]) },
+      ];
+      await sendMessageByType(ctx, MessageType.Photo, message);
+      assert.deepEqual(replyWithPhoto.mock.calls[0]?.arguments, message);
+      assert.equal(replyWithMediaGroup.mock.calls.length, 0);
+      mock.reset();
+    });
+
+    it('should send animation messages', async () => {
+      const replyWithAnimation = mock.fn();
+      const ctx = { replyWithAnimation };
+      const message = [
+        { type: 'animation', media: { source: 'source' } },
+        { caption: 'caption' },
+      ];
+      await sendMessageByType(ctx, MessageType.Animation, message);
+      assert.deepEqual(
+        replyWithAnimation.mock.calls[0]?.arguments,
+        [ message[0].media, message[1] ],
+      );
+      mock.reset();
+    });
+
     it('should send mediaGroup messages', async () => {
       const replyWithMediaGroup = mock.fn();
       const ctx = { replyWithMediaGroup };
@@ -355,6 +404,52 @@ describe('replace-messages', () => {
       mock.reset();
     });
 
+    it('should keep photo messages markup', async () => {
+      const editMessageMedia = mock.fn();
+      const editMessageCaption = mock.fn();
+      const messageForReplace = {
+        id: 'messageId',
+        chatId: 'chatId',
+      };
+      const ctx = {
+        session: { messageForReplace },
+        telegram: { editMessageMedia, editMessageCaption },
+      };
+      const { reply_markup } = Markup.inlineKeyboard([]);
+      const message = [ { source: 'source' }, { caption: 'caption', reply_markup } ];
+      await editMessageByType(ctx, MessageType.Photo, message);
+      assert.deepEqual(editMessageMedia.mock.calls[0]?.arguments.at(-1), { reply_markup });
+      assert.deepEqual(editMessageCaption.mock.calls[0]?.arguments.at(-1), { reply_markup });
+      mock.reset();
+    });
+
+    it('should edit animation messages', async () => {
+      const editMessageMedia = mock.fn();
+      const editMessageCaption = mock.fn();
+      const messageForReplace = {
+        id: 'messageId',
+        chatId: 'chatId',
+      };
+      const ctx = {
+        session: { messageForReplace },
+        telegram: { editMessageMedia, editMessageCaption },
+      };
+      const message = [
+        { type: 'animation', media: { source: 'source' } },
+        { caption: 'caption' },
+      ];
+      await editMessageByType(ctx, MessageType.Animation, message);
+      assert.deepEqual(
+        editMessageMedia.mock.calls[0]?.arguments,
+        [ messageForReplace.chatId, messageForReplace.id, undefined, message[0] ],
+      );
+      assert.deepEqual(
+        editMessageCaption.mock.calls[0]?.arguments,
+        [ messageForReplace.chatId, messageForReplace.id, undefined, message[1].caption ],
+      );
+      mock.reset();
+    });
+
     it('should edit mediaGroup messages media', async () => {
       const editMessageMedia = mock.fn();
       const editMessageCaption = mock.fn();
@@ -0,0 +1,27 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { UnknownLayer } from '../../constants/unknown-layer.const.js';
+import { revealLayers } from '../reveal-layers.js';
+
+describe('reveal-layers', () => {
+  describe('revealLayers', () => {
+    it('should continue puzzle with emptied and added empty flasks', () => {
+      const ctx = {
+        session: {
+          layersMatrix: [ [ UnknownLayer, 0, 0 ], [], [ 1, 1, 1 ], [ 0 ] ],
+          colors: [ '255, 0, 0', '0, 0, 255' ],
+          capacity: 3,
+        },
+      };
+      const [ layersMatrix, colors ] = revealLayers(
+        ctx,
+        [ [ 0, 1, 1 ], [ 2, 2, 2 ], [ 1 ] ],
+        [ '0, 255, 0', '255, 0, 0', '0, 0, 255' ],
+      );
+      assert.deepEqual(layersMatrix, [ [ 2, 0, 0 ], [], [ 1, 1, 1 ], [ 0 ] ]);
+      assert.deepEqual(colors, [ '255, 0, 0', '0, 0, 255', '0, 255, 0' ]);
+    });
+  });
+});
+/* node:coverage enable */
@@ -0,0 +1,85 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { mkdtemp, readdir, rm, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { createFileSessionStore, forTesting } from '../session-store.js';
+
+const { serializeSession, deserializeSession } = forTesting;
+
+describe('session-store', () => {
+  const session = {
+    shape: [ 2, 1, 4 ],
+    pixels: new Uint8Array([ 1, 2, 3, 255, 4, 5, 6, 255 ]),
+    mask: new Int32Array([ -1, 70000 ]),
+    spotsIndices: new Set([ 3, 1 ]),
+    walkthrough: {
+      step: 2,
+      screenshot: { width: 1, height: 1, data: new Uint8ClampedArray([ 7, 8, 9, 255 ]) },
+    },
+    waitingForNumbers: true,
+  };
+
+  describe('serializeSession & deserializeSession', () => {
+    it('should restore sets and typed arrays', () => {
+      assert.deepEqual(deserializeSession(serializeSession(session)), session);
+    });
+
+    it('should restore typed arrays that are views of larger buffers', () => {
+      const mask = new Int32Array([ 1, 2, 3, 4 ]).subarray(1, 3);
+      assert.deepEqual(
+        deserializeSession(serializeSession({ pixels: new Uint8Array([ 5 ]), mask })),
+        { pixels: new Uint8Array([ 5 ]), mask: new Int32Array([ 2, 3 ]) },
+      );
+    });
+  });
+
+  describe('createFileSessionStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'sessions-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should save and read session', async () => {
+      const store = createFileSessionStore(directory, 60 * 1000);
+      await store.set('1:2', session);
+      assert.deepEqual(await store.get('1:2'), session);
+      assert.deepEqual(await readdir(directory), [ '1_2.session' ]);
+    });
+
+    it('should return undefined for missing session', async () => {
+      const store = createFileSessionStore(directory, 60 * 1000);
+      assert.equal(await store.get('1:2'), undefined);
+    });
+
+    it('should delete session', async () => {
+      const store = createFileSessionStore(directory, 60 * 1000);
+      await store.set('1:2', session);
+      await store.delete('1:2');
+      assert.equal(await store.get('1:2'), undefined);
+      await store.delete('1:2');
+    });
+
+    it('should remove expired session on read', async () => {
+      const store = createFileSessionStore(directory, 60 * 1000);
+      await store.set('1:2', session);
+      const time = new Date(Date.now() - 2 * 60 * 1000);
+      await utimes(join(directory, '1_2.session'), time, time);
+      assert.equal(await store.get('1:2'), undefined);
+      assert.deepEqual(await readdir(directory), []);
+    });
+
+    it('should return undefined for corrupted session', async () => {
+      const store = createFileSessionStore(directory, 60 * 1000);
+      await writeFile(join(directory, '1_2.session'), 'corrupted');
+      assert.equal(await store.get('1:2'), undefined);
+    });
+  });
+});
+/* node:coverage enable */
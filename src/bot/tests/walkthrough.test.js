@@ -0,0 +1,58 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { forTesting } from '../walkthrough.js';
+
+const { getNextStep, formatStepCaption } = forTesting;
+
+describe('walkthrough', () => {
+  describe('getNextStep', () => {
+    it('should jump to first and last steps', () => {
+      assert.equal(getNextStep('first', 3, 5), 0);
+      assert.equal(getNextStep('last', 3, 5), 5);
+    });
+
+    it('should move to previous and next steps', () => {
+      assert.equal(getNextStep('previous', 3, 5), 2);
+      assert.equal(getNextStep('next', 3, 5), 4);
+    });
+
+    it('should not move beyond solution', () => {
+      assert.equal(getNextStep('previous', 0, 5), 0);
+      assert.equal(getNextStep('next', 5, 5), 5);
+    });
+  });
+
+  describe('formatStepCaption', () => {
+    it('should describe next move', () => {
+      assert.equal(formatStepCaption([ [ 0, 2 ], [ 1, 0 ] ], 1), 'Шаг 2 из 2: 2 → 1');
+    });
+
+    it('should describe finished solution', () => {
+      assert.equal(
+        formatStepCaption([ [ 0, 2 ], [ 1, 0 ] ], 2),
+        'Готово 🎉 Решение из 2 ходов пройдено',
+      );
+      assert.equal(formatStepCaption([ [ 0, 1 ] ], 1), 'Готово 🎉 Решение из 1 хода пройдено');
+    });
+
+    it('should mark added empty flask', () => {
+      assert.equal(
+        formatStepCaption([ [ 0, 1 ], [ 0, 2 ] ], 1, [ 1 ]),
+        'Шаг 2 из 2: + пустая колбочка, 1 → 3',
+      );
+    });
+
+    it('should start first step with solution description', () => {
+      assert.equal(
+        formatStepCaption([ [ 0, 2 ], [ 1, 0 ] ], 0, [], 'Решение без дополнительных пустых колбочек'),
+        'Решение без дополнительных пустых колбочек\nШаг 1 из 2: 1 → 3',
+      );
+      assert.equal(
+        formatStepCaption([ [ 0, 2 ], [ 1, 0 ] ], 1, [], 'Решение без дополнительных пустых колбочек'),
+        'Шаг 2 из 2: 2 → 1',
+      );
+    });
+  });
+});
+/* node:coverage enable */
@@ -0,0 +1,180 @@
+import { Markup } from 'telegraf';
+import { MessageType } from './constants/message-type.const.js';
+import { markMessageForReplace, replaceLastMessage } from './replace-messages.js';
+import { pluralPipe } from '../utils.js';
+import { visualizeSolutionStep } from '../visualizer.js';
+
+/**
+ * Часть функциональности бота, обеспечивающая пошаговый просмотр решения
+ * в одном сообщении, которое редактируется при переходе между шагами
+ */
+
+/**
+ * Разметка клавиатуры сообщения с пошаговым просмотром
+ * @constant {Markup<InlineKeyboardMarkup>}
+ */
+const WalkthroughKeyboard = Markup.inlineKeyboard([
+  [
+    Markup.button.callback('⏮', 'walkthrough_first'),
+    Markup.button.callback('◀️', 'walkthrough_previous'),
+    Markup.button.callback('▶️', 'walkthrough_next'),
+    Markup.button.callback('⏭', 'walkthrough_last'),
+  ],
+]);
+
+/**
+ * Определение шага, на который нужно перейти по нажатию кнопки
+ * @param {'first' | 'previous' | 'next' | 'last'} direction нажатая кнопка
+ * @param {number} step текущий шаг: количество уже выполненных переливаний
+ * @param {number} stepsNumber количество переливаний в решении
+ * @returns {number} новый шаг
+ */
+const getNextStep = (direction, step, stepsNumber) => {
+  switch (direction) {
+    case 'first':
+      return 0;
+    case 'previous':
+      return Math.max(step - 1, 0);
+    case 'next':
+      return Math.min(step + 1, stepsNumber);
+    case 'last':
+      return stepsNumber;
+  }
+};
+
+/**
+ * Формирование подписи к изображению шага
+ * Номера колб отсчитываются с 1, как и в решении в формате текста. Если для хода нужна
+ * пустая колба сверх тех, что есть в игре, об этом говорится перед ним.
+ * Подпись к первому шагу начинается с описания решения, как у решений в других форматах
+ * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
+ * @param {number} step количество уже выполненных переливаний
+ * @param {number[]} [emptyFlasksAdditions=[]] [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}
+ * @param {string} [description] описание решения
+ * @returns {string} подпись к изображению
+ */
+const formatStepCaption = (solution, step, emptyFlasksAdditions = [], description) => {
+  if (step === solution.length) {
+    return `Готово 🎉 Решение из ${solution.length} ${
+      pluralPipe(solution.length, [ 'хода', 'ходов', 'ходов' ])
+    } пройдено`;
+  }
+  const [ source, destination ] = solution[step];
+  const caption = `Шаг ${step + 1} из ${solution.length}: ${
+    emptyFlasksAdditions.includes(step) ? '+ пустая колбочка, ' : ''
+  }${source + 1} → ${destination + 1}`;
+  return step === 0 && description ? `${description}\n${caption}` : caption;
+};
+
+/**
+ * Создание изображения и подписи текущего шага пошагового просмотра, сохранённого в сессии
+ * @param {Context} ctx контекст из Telegraf
+ * @returns {MessageToSend} сообщение с изображением шага и клавиатурой перехода между шагами
+ */
+const renderWalkthroughStep = (ctx) => {
+  const {
+    solution,
+    step,
+    layersMatrix,
+    colors,
+    imageData,
+    requiredEmptyFlasksNumber,
+    capacity,
+    pourRule,
+    emptyFlasksAdditions,
+    description,
+  } = ctx.session.walkthrough;
+
+  return [
+    {
+      source: visualizeSolutionStep(
+        solution,
+        step,
+        layersMatrix,
+        colors,
+        imageData,
+        requiredEmptyFlasksNumber,
+        capacity,
+        pourRule,
+        emptyFlasksAdditions,
+      ),
+    },
+    {
+      caption: formatStepCaption(solution, step, emptyFlasksAdditions, description),
+      ...WalkthroughKeyboard,
+    },
+  ];
+};
+
+/**
+ * Отправка решения в формате пошагового просмотра
+ * Всё необходимое для перехода между шагами сохраняется в сессии, так как игра
+ * удаляется из сессии после отправки решения
+ * @param {Context} ctx контекст из Telegraf
+ * @param {[ number, number ][]} solution массив пар номеров колб для переливаний
+ * @param {number} requiredEmptyFlasksNumber необходимое количество пустых колб
+ * @param {number[]} emptyFlasksAdditions [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}
+ * @param {string} description описание решения
+ */
+export const sendWalkthrough = async (
+  ctx,
+  solution,
+  requiredEmptyFlasksNumber,
+  emptyFlasksAdditions,
+  description,
+) => {
+  ctx.session.walkthrough = {
+    solution,
+    step: 0,
+    layersMatrix: [
+      ...ctx.session.layersMatrix,
+      ...new Array(requiredEmptyFlasksNumber).fill(null).map(() => []),
+    ],
+    colors: ctx.session.colors,
+    imageData: ctx.session.imageData,
+    requiredEmptyFlasksNumber,
+    capacity: ctx.session.capacity,
+    pourRule: ctx.session.pourRule,
+    emptyFlasksAdditions,
+    description,
+  };
+
+  const message = await replaceLastMessage(ctx, ...renderWalkthroughStep(ctx));
+  ctx.session.walkthrough.messageId = message.message_id;
+};
+
+export const configureWalkthrough = (bot) => {
+  /**
+   * Обработка перехода пользователем к другому шагу решения
+   * Нажатия в сообщениях с предыдущими решениями игнорируются
+   */
+  bot.action(/^walkthrough_(first|previous|next|last)$/, async (ctx) => {
+    const walkthrough = ctx.session?.walkthrough;
+    const message = ctx.callbackQuery.message;
+    if (!walkthrough || message?.message_id !== walkthrough.messageId) {
+      return;
+    }
+
+    const step = getNextStep(ctx.match[1], walkthrough.step, walkthrough.solution.length);
+    if (step === walkthrough.step) {
+      return;
+    }
+    walkthrough.step = step;
+
+    // сообщение с шагом редактируется, не затрагивая отмеченное к замене сообщение
+    const messageForReplace = ctx.session.messageForReplace;
+    markMessageForReplace(ctx, message, MessageType.Photo);
+    await replaceLastMessage(ctx, ...renderWalkthroughStep(ctx));
+    if (messageForReplace) {
+      ctx.session.messageForReplace = messageForReplace;
+    }
+  });
+};
+
+export let forTesting;
+if (!!process.env.NODE_TEST_CONTEXT) {
+  forTesting = {
+    getNextStep,
+    formatStepCaption,
+  };
+}
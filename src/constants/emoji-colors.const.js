@@ -0,0 +1,27 @@
+/* node:coverage disable */
+/**
+ * Байты RGB цветов, разделённые запятыми, соответствующие цветным эмодзи
+ * в [текстовой записи игры]{@link parsePuzzleNotation}
+ * @constant {Record<string, string>}
+ */
+export const EmojiColors = {
+  '🔴': '221, 46, 68',
+  '🟠': '244, 144, 12',
+  '🟡': '253, 203, 88',
+  '🟢': '120, 177, 89',
+  '🔵': '85, 172, 238',
+  '🟣': '170, 142, 214',
+  '🟤': '193, 105, 79',
+  '⚫': '49, 55, 61',
+  '⚪': '230, 231, 232',
+  '🟥': '221, 46, 68',
+  '🟧': '244, 144, 12',
+  '🟨': '253, 203, 88',
+  '🟩': '120, 177, 89',
+  '🟦': '85, 172, 238',
+  '🟪': '170, 142, 214',
+  '🟫': '193, 105, 79',
+  '⬛': '49, 55, 61',
+  '⬜': '230, 231, 232',
+};
+/* node:coverage enable */
@@ -1,4 +1,5 @@
 /* node:coverage disable */
+import { SolvingTimeout } from '../bot/constants/solving-timeout.const.js';
 import { DefaultEmptyFlasksNumber } from './default-empty-flasks-number.const.js';
 import { FlaskCapacity } from './flask-capacity.const.js';
 import { MaxEmptyFlasksNumber } from './max-empty-flasks-number.const.js';
@@ -12,27 +13,37 @@ import { pluralPipe } from '../utils.js';
 export const HelpMessage =
 `Я по картинке решаю игру с сортировкой цветных объектов по колбам\\.
 
-Просто отправьте мне скриншот колбочек \\(изображением или файлом\\)\\. Я определю цветные пятна на скриншоте, спрошу, какие из них являются объектами в колбах, и пришлю решение\\.
+Просто отправьте мне скриншот колбочек \\(изображением или файлом\\)\\. Я сам найду на скриншоте колбы, а если не смогу — спрошу, какие из цветных пятен являются объектами в колбах, и пришлю решение\\.
 
 *Чуть подробнее*
 Скриншот можно прислать изображением или файлом\\. Отправка файлом \\(то есть без сжатия\\) снижает вероятность ошибок при определении цветных пятен\\.
 
-На скриншоте я буду искать цветные пятна\\. После нахождения я буду нумеровать их по ${SpotsInRunNumber} на изображении, присылать его и спрашивать, какие из них являются объектами в колбах\\. Пронумерованные ранее также будут отмечены\\. Если такие есть среди пронумерованных в этот раз, их номера нужно отправить мне\\. При этом, если номера идут подряд, можно указать первый и последний, а между ними поставить дефис\\. Помимо этого между числами и дефисами можно вставлять любые символы, они будут проигнорированы\\. Например, запись 1 2 4\\-7 означает, что пятна под номерами 1, 2, 4, 5, 6, 7 — искомые\\. После каждой партии я буду спрашивать, есть ли на изображении ещё искомые объекты\\. Если есть необходимость пропустить ответ \\(например, в этой партии нет искомых объектов\\), можно просто прислать любое сообщение, не содержащее цифр и дефисов\\.
+На скриншоте я буду искать цветные пятна и сам выберу из них объекты в колбах: это пятна одинаковой ширины, сложенные друг на друга\\. Кнопки, монеты и прочие элементы игры я пропущу\\. Если получившиеся колбы окажутся с ошибками, я попрошу выбрать пятна вручную: буду нумеровать их по ${SpotsInRunNumber} на изображении, присылать его и спрашивать, какие из них являются объектами в колбах\\. Пронумерованные ранее также будут отмечены\\. Если такие есть среди пронумерованных в этот раз, их номера нужно отправить мне\\. При этом, если номера идут подряд, можно указать первый и последний, а между ними поставить дефис\\. Помимо этого между числами и дефисами можно вставлять любые символы, они будут проигнорированы\\. Например, запись 1 2 4\\-7 означает, что пятна под номерами 1, 2, 4, 5, 6, 7 — искомые\\. После каждой партии я буду спрашивать, есть ли на изображении ещё искомые объекты\\. Если есть необходимость пропустить ответ \\(например, в этой партии нет искомых объектов\\), можно просто прислать любое сообщение, не содержащее цифр и дефисов\\.
 
 Я сформирую указанные пятна в колбы и покажу результат\\. После этого я задам 2 вопроса: какое искать решение и в каком формате его присылать\\.
 
-Решений есть 3 вида: решение, которе ищется быстро, но может состоять из большого количества ходов, решение, которое ищется значительно дольше, но состоит из наименьшего количества ходов, и решение, которое ищется так же быстро, как в первом методе, или быстрее, и состоит из наименьшего или почти наименьшего количества ходов\\.
+Если количество слоёв какого\\-то цвета не совпадает с вместимостью колб, какая\\-то колба переполнена или какой\\-то слой не распознан, я перечислю эти ошибки и выделю подозрительные колбы на изображении\\. Если я ошибся с цветом какого\\-то слоя, вместо выбора решения можно нажать «Исправить колбочки»\\. Я пришлю палитру с пронумерованными цветами, после чего можно выбрать колбу, слой в ней и его правильный цвет\\. Если один цвет распознан как два разных, их можно объединить\\. После каждого исправления я покажу, какими стали колбы\\.
 
-Форматов решения есть 2 вида: я могу прислать изображение колб для каждого хода или список из пар, где первый элемент — номер колбы, из которой нужно перелить, а второй — номер колбы, в которую нужно перелить\\.
+Решений есть 4 вида: решение, которе ищется быстро, но может состоять из большого количества ходов, решение, которое ищется значительно дольше, но состоит из наименьшего количества ходов, решение, которое ищется так же быстро, как в первом методе, или быстрее, и состоит из наименьшего или почти наименьшего количества ходов, и оптимальное решение, которое гарантированно состоит из наименьшего количества ходов и обычно ищется быстрее второго\\.
+
+Перед выбором решения можно сменить правила переливания кнопкой «Переливать по одному слою»: тогда за один ход перекладывается только верхний слой, как шарики в Ball Sort, а не все верхние слои одного цвета\\. Выбранные правила я запомню для следующих игр\\.
+
+Пока идёт поиск решения, его можно отменить кнопкой «Отменить»\\. Если поиск займёт больше ${
+  Math.round(SolvingTimeout / 1000)
+} ${
+  pluralPipe(Math.round(SolvingTimeout / 1000), [ 'секунды', 'секунд', 'секунд' ])
+}, я его остановлю и предложу попробовать другой вид решения\\.
+
+Форматов решения есть 6 видов: я могу прислать все ходы на одном изображении \\(если ходов очень много — на нескольких\\), прислать изображение колб для каждого хода отдельно, нарисовать каждый ход стрелкой прямо на присланном скриншоте, показать решение пошагово в одном сообщении, прислать анимацию всего решения или список из пар, где первый элемент — номер колбы, из которой нужно перелить, а второй — номер колбы, в которую нужно перелить\\. В пошаговом просмотре между шагами можно переходить кнопками ◀️ и ▶️, а кнопки ⏮ и ⏭ ведут к началу и концу решения\\. На изображениях решения колбы пронумерованы, в углу указан номер хода, а колбы, участвующие в нём, выделены: та, из которой нужно перелить, — оранжевым, та, в которую нужно перелить, — зелёным\\. На скриншоте колбочки выделяются так же, а пустые колбочки, которых на нём нет, я дорисую снизу\\.
+
+Если некоторые слои в колбах скрыты под знаками вопроса, их тоже нужно отметить\\. Тогда я пришлю ходы до момента, когда откроется первый скрытый слой\\. Сделайте их и пришлите новый скриншот: я узнаю цвета открывшихся слоёв и продолжу решение с текущего состояния\\.
+
+Если скриншот не получается распознать, игру можно ввести текстом командой /puzzle\\. Каждую колбу нужно писать с новой строки, слои — снизу вверх\\. Цвета обозначаются буквами или эмодзи, пустая колба — дефисом, несколько пустых колб — их количеством\\. Пустые колбы в записи — это все пустые колбы игры, других я не добавлю, пока без них можно обойтись\\. Каждый цвет должен встречаться столько раз, какова вместимость колб\\.
 
 *Правила игры*
-Изначально есть несколько колб\\. Каждая колба вмещает ${FlaskCapacity} ${
-  pluralPipe(FlaskCapacity, [ 'слой', 'слоя', 'слоёв' ])
-}\\. Каждый слой имеет свой цвет\\. В начале игры слои в колбах расположены в случайном порядке\\. Нужно, имея ${DefaultEmptyFlasksNumber} ${
+Изначально есть несколько колб\\. Каждая колба вмещает одинаковое количество слоёв: обычно ${FlaskCapacity}, но бывает и 3, 5, 6 или 8\\. Вместимость колб я определю по скриншоту сам\\. Каждый слой имеет свой цвет\\. В начале игры слои в колбах расположены в случайном порядке\\. Нужно, имея ${DefaultEmptyFlasksNumber} ${
   pluralPipe(DefaultEmptyFlasksNumber, [ 'пустую колбу', 'пустые колбы', 'пустых колб' ])
-}, найти такую последовательность переливаний, чтобы все ${FlaskCapacity} ${
-  pluralPipe(FlaskCapacity, [ 'слой', 'слоя', 'слоёв' ])
-} в каждой колбе были одного цвета и каждая колба была либо пустой, либо заполненной\\.
+}, найти такую последовательность переливаний, чтобы все слои в каждой колбе были одного цвета и каждая колба была либо пустой, либо заполненной\\.
 Переливать можно только на слой такого же цвета или в пустую колбу\\.
 Иногда найти решение с ${DefaultEmptyFlasksNumber} ${
   pluralPipe(DefaultEmptyFlasksNumber, [ 'пустой колбой', 'пустыми колбами', 'пустыми колбами' ])
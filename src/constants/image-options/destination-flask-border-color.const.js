@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Цвет колбы, в которую выполняется следующее переливание, для создания изображений решения
+ * @constant {string}
+ */
+export const DestinationFlaskBorderColor = '80, 200, 120';
+/* node:coverage enable */
@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Длительность показа кадра с состоянием игры в анимации решения, в миллисекундах
+ * @constant {number}
+ */
+export const GifFrameDelay = 1000;
+/* node:coverage enable */
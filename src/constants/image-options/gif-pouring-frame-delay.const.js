@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Длительность показа кадра переливания в анимации решения, в миллисекундах
+ * @constant {number}
+ */
+export const GifPouringFrameDelay = 400;
+/* node:coverage enable */
@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Цвет колбы, выделенной как подозрительная, для создания изображений с колбами
+ * @constant {string}
+ */
+export const HighlightedFlaskBorderColor = '230, 60, 60';
+/* node:coverage enable */
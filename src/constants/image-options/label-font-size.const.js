@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Размер шрифта номеров колб и номера хода для создания изображений решения
+ * @constant {number}
+ */
+export const LabelFontSize = 18;
+/* node:coverage enable */
@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Цвет номеров колб и номера хода для создания изображений решения
+ * @constant {string}
+ */
+export const LabelTextColor = '230, 230, 230';
+/* node:coverage enable */
@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Максимальное количество колб в одном ряду на изображении игры, введённой текстом
+ * @constant {number}
+ */
+export const MaxFlasksInRow = 7;
+/* node:coverage enable */
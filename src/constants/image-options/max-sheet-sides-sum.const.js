@@ -0,0 +1,8 @@
+/* node:coverage disable */
+/**
+ * Максимальная сумма ширины и высоты листа со всеми шагами решения
+ * Ограничение Telegram для отправляемых фотографий
+ * @constant {number}
+ */
+export const MaxSheetSidesSum = 10000;
+/* node:coverage enable */
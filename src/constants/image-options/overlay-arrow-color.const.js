@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Цвет стрелки переливания при отрисовке решения на исходном изображении
+ * @constant {string}
+ */
+export const OverlayArrowColor = '255, 255, 255';
+/* node:coverage enable */
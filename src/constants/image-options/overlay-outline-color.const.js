@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Цвет обводки стрелки и фона подписей при отрисовке решения на исходном изображении
+ * @constant {string}
+ */
+export const OverlayOutlineColor = '0, 0, 0';
+/* node:coverage enable */
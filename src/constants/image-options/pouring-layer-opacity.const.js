@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Непрозрачность перелитых слоёв на прежнем месте в кадре переливания анимации решения
+ * @constant {number}
+ */
+export const PouringLayerOpacity = 0.35;
+/* node:coverage enable */
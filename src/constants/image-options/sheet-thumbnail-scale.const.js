@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Масштаб изображений шагов решения на листе со всеми шагами
+ * @constant {number}
+ */
+export const SheetThumbnailScale = 0.3;
+/* node:coverage enable */
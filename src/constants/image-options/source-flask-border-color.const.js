@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Цвет колбы, из которой выполняется следующее переливание, для создания изображений решения
+ * @constant {string}
+ */
+export const SourceFlaskBorderColor = '240, 170, 50';
+/* node:coverage enable */
@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Цвет скрытого слоя для создания изображений с колбами
+ * @constant {string}
+ */
+export const UnknownLayerColor = '90, 90, 90';
+/* node:coverage enable */
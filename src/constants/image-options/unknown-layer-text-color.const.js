@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Цвет знака вопроса на скрытом слое для создания изображений с колбами
+ * @constant {string}
+ */
+export const UnknownLayerTextColor = '230, 230, 230';
+/* node:coverage enable */
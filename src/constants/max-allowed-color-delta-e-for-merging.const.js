@@ -0,0 +1,8 @@
+/* node:coverage disable */
+/**
+ * Максимальное допустимое цветовое отличие CIEDE2000 между цветами слоёв,
+ * при котором они могут быть [объединены]{@link mergeSimilarColors} в один цвет
+ * @constant {number}
+ */
+export const MaxAllowedColorDeltaEForMerging = 12;
+/* node:coverage enable */
@@ -0,0 +1,8 @@
+/* node:coverage disable */
+/**
+ * Максимальное расстояние между цветами в евклидовом пространстве RGB цветов
+ * для сопоставления цвета с нового изображения цвету из ранее определённой палитры
+ * @constant {number}
+ */
+export const MaxAllowedColorDistanceForMatching = 40;
+/* node:coverage enable */
@@ -0,0 +1,8 @@
+/* node:coverage disable */
+/**
+ * Минимальная доля пикселей пятна в описанном вокруг него прямоугольнике,
+ * при которой пятно может быть слоем в колбе при [автоматическом выборе пятен]{@link selectLayerSpots}
+ * @constant {number}
+ */
+export const MinLayerFillRatio = 0.6;
+/* node:coverage enable */
@@ -0,0 +1,9 @@
+/* node:coverage disable */
+/**
+ * Минимальное отношение высоты пятна к ширине колб, при котором пятно может быть слоем в колбе
+ * при [автоматическом выборе пятен]{@link selectLayerSpots}. Оно же -- наибольшее отношение
+ * к ширине колб промежутка между соседними слоями одной колбы
+ * @constant {number}
+ */
+export const MinLayerHeightRatio = 0.25;
+/* node:coverage enable */
@@ -0,0 +1,13 @@
+/* node:coverage disable */
+/**
+ * Перечисление правил переливания
+ * @enum {string}
+ */
+export const PourRule = {
+  /** Переливаются все верхние слои одного цвета, которые помещаются в колбу, как в Water Sort */
+  WholeRun: 'run',
+
+  /** Перекладывается только один верхний слой, как шарик в Ball Sort */
+  SingleLayer: 'single',
+};
+/* node:coverage enable */
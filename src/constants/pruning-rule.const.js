@@ -0,0 +1,16 @@
+/* node:coverage disable */
+/**
+ * Перечисление правил отсечения заведомо бесполезных переливаний при поиске решения
+ * @enum {string}
+ */
+export const PruningRule = {
+  /**
+   * Переливание из одноцветной колбы в пустую: при переливании всех слоёв получается
+   * то же состояние, а при переливании по одному слою цвет лишь занимает ещё одну колбу
+   */
+  MonochromeToEmpty: 'monochromeToEmpty',
+
+  /** Переливание в пустую колбу, если перед ней есть другая пустая колба: состояния совпадают */
+  SymmetricEmptyFlasks: 'symmetricEmptyFlasks',
+};
+/* node:coverage enable */
@@ -0,0 +1,19 @@
+/* node:coverage disable */
+/**
+ * Перечисление видов ошибок в игре, найденных при [проверке]{@link validatePuzzle}
+ * @enum {string}
+ */
+export const PuzzleIssueType = {
+  /** Количество слоёв цвета не совпадает с вместимостью колб */
+  WrongColorCount: 'wrongColorCount',
+
+  /** В колбе больше слоёв, чем она вмещает */
+  OverfilledFlask: 'overfilledFlask',
+
+  /** Под слоями колбы есть пустое место: слой не распознан */
+  EmptyPosition: 'emptyPosition',
+
+  /** Цветов больше, чем колб, поэтому разложить все цвета по колбам невозможно */
+  TooManyColors: 'tooManyColors',
+};
+/* node:coverage enable */
@@ -0,0 +1,9 @@
+/* node:coverage disable */
+/**
+ * Время хранения решений игры в кэше в миллисекундах с момента последнего обращения к ним,
+ * по истечении которого решения удаляются.
+ * Может быть задано переменной окружения SOLUTION_CACHE_TTL
+ * @constant {number}
+ */
+export const SolutionCacheTtl = parseInt(process.env.SOLUTION_CACHE_TTL) || 7 * 24 * 60 * 60 * 1000;
+/* node:coverage enable */
@@ -0,0 +1,8 @@
+/* node:coverage disable */
+/**
+ * Версия решений в кэше. Увеличивается при изменениях поиска решения, после которых
+ * сохранённые ранее решения нужно искать заново, например, потому что новые решения короче
+ * @constant {number}
+ */
+export const SolutionCacheVersion = 2;
+/* node:coverage enable */
@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Максимальное количество ходов, которыми при оптимизации решения заменяется участок решения
+ * @constant {number}
+ */
+export const SolutionOptimizationDepth = 3;
+/* node:coverage enable */
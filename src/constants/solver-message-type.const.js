@@ -0,0 +1,16 @@
+/* node:coverage disable */
+/**
+ * Перечисление типов сообщений, которые поток поиска решения передаёт в основной поток
+ * @enum {string}
+ */
+export const SolverMessageType = {
+  /** Промежуточные сведения о ходе поиска */
+  Progress: 'progress',
+
+  /** Результат поиска */
+  Solution: 'solution',
+
+  /** [Ошибки в игре]{@link validatePuzzle}, из-за которых поиск не запускался */
+  Issues: 'issues',
+};
+/* node:coverage enable */
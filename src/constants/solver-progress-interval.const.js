@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Минимальный интервал между сообщениями о ходе поиска решения (в миллисекундах)
+ * @constant {number}
+ */
+export const SolverProgressInterval = 1000;
+/* node:coverage enable */
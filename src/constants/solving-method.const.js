@@ -15,5 +15,11 @@ export const SolvingMethod = {
 
   /** Находящий самое короткое решение */
   Shortest: 'shortest',
+
+  /**
+   * Находящий гарантированно самое короткое решение
+   * с помощью алгоритма A* с допустимой нижней оценкой количества оставшихся ходов
+   */
+  Optimal: 'optimal',
 };
 /* node:coverage enable */
@@ -0,0 +1,7 @@
+/* node:coverage disable */
+/**
+ * Значение скрытого (неизвестного) слоя в колбе
+ * @constant {number}
+ */
+export const UnknownLayer = -1;
+/* node:coverage enable */
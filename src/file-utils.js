@@ -0,0 +1,63 @@
+import { mkdir, readdir, rename, rm, stat, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+
+/**
+ * Модуль работы с файлами хранилищ, в которых файлы удаляются, если не изменялись
+ * дольше заданного времени: [сессий]{@link createFileSessionStore}
+ * и [найденных решений]{@link createSolutionCache}
+ */
+
+/**
+ * Номер последнего временного файла, нужен для уникальности имён при одновременной записи
+ * @type {number}
+ */
+let temporaryFileNumber = 0;
+
+/**
+ * Удаление файла, если он не изменялся дольше заданного времени
+ * @param {string} path путь к файлу
+ * @param {number} ttl время хранения файла в миллисекундах
+ * @returns {Promise<boolean>} признак того, что файл устарел и удалён
+ * @throws {unknown} ошибка чтения сведений о файле, например, если его нет
+ */
+export const removeFileIfExpired = async (path, ttl) => {
+  if ((await stat(path)).mtimeMs + ttl < Date.now()) {
+    await rm(path, { force: true });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Удаление из папки файлов, которые не изменялись дольше заданного времени
+ * Удаляются в том числе временные файлы, оставшиеся от прерванной [записи]{@link writeFileAtomically}
+ * @param {string} directory папка
+ * @param {number} ttl время хранения файла в миллисекундах
+ */
+export const removeExpiredFiles = async (directory, ttl) => {
+  let filenames;
+  try {
+    filenames = await readdir(directory);
+  } catch {
+    return;
+  }
+
+  for (const filename of filenames) {
+    try {
+      await removeFileIfExpired(join(directory, filename), ttl);
+    } catch {}
+  }
+};
+
+/**
+ * Запись файла через временный файл, чтобы ни одновременное чтение, ни перезапуск во время записи
+ * не застали недописанный файл. Папка файла создаётся при необходимости
+ * @param {string} path путь к файлу
+ * @param {string | Buffer} data содержимое файла
+ */
+export const writeFileAtomically = async (path, data) => {
+  const temporaryPath = `${path}.${process.pid}.${++temporaryFileNumber}.tmp`;
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(temporaryPath, data);
+  await rename(temporaryPath, path);
+};
@@ -1,4 +1,6 @@
 import { FlaskCapacity } from './constants/flask-capacity.const.js';
+import { PourRule } from './constants/pour-rule.const.js';
+import { UnknownLayer } from './constants/unknown-layer.const.js';
 
 /**
  * Класс колбы
@@ -11,15 +13,24 @@ export class Flask {
    */
   _layers;
 
+  /**
+   * Вместимость колбы
+   * @type {number}
+   * @protected
+   */
+  _capacity;
+
   /**
    * Конструктор
    * @param {number[]} [layers=[]] цветные слои колбы
+   * @param {number} [capacity=FlaskCapacity] вместимость колбы
    */
-  constructor(layers = []) {
-    if (layers.length > FlaskCapacity) {
+  constructor(layers = [], capacity = FlaskCapacity) {
+    if (layers.length > capacity) {
       throw new Error('Cannot fill flask over it\'s limit');
     }
     this._layers = [ ...layers ];
+    this._capacity = capacity;
   }
 
   /**
@@ -28,7 +39,16 @@ export class Flask {
    * @returns {Flask} копия колбы
    */
   copy() {
-    return new Flask(this._layers);
+    return new Flask(this._layers, this._capacity);
+  }
+
+  /**
+   * Получение вместимости колбы
+   * @public
+   * @returns {number} вместимость колбы
+   */
+  get capacity() {
+    return this._capacity;
   }
 
   /**
@@ -55,19 +75,41 @@ export class Flask {
    * @returns {boolean} признак заполненности колбы
    */
   get isFull() {
-    return this._layers.length === FlaskCapacity;
+    return this._layers.length === this._capacity;
+  }
+
+  /**
+   * Проверка наличия в колбе [скрытых слоёв]{@link UnknownLayer}
+   * @public
+   * @returns {boolean} признак наличия скрытых слоёв
+   */
+  get hasUnknownLayers() {
+    return this._layers.includes(UnknownLayer);
+  }
+
+  /**
+   * Проверка, что верхний слой колбы скрыт
+   * В игре верхний слой всегда открыт, поэтому такое состояние означает,
+   * что слой только что открылся и его цвет нужно узнать
+   * @public
+   * @returns {boolean} признак того, что верхний слой скрыт
+   */
+  get isTopLayerUnknown() {
+    return this._layers.at(-1) === UnknownLayer;
   }
 
   /**
    * Проверка, что в колба в финальном состоянии
    * Колба считается колбой в финальном состоянии, когда она либо пуста,
-   * либо заполнена слоями одного цвета
+   * либо заполнена слоями одного (известного) цвета
    * @public
    * @returns {boolean} признак того, что колба в финальном состоянии
    */
   get isInFinalState() {
     return this.isEmpty || (
-      this.isFull && this._layers.every((layer) => layer === this._layers[0])
+      this.isFull &&
+      this._layers[0] !== UnknownLayer &&
+      this._layers.every((layer) => layer === this._layers[0])
     );
   }
 
@@ -89,7 +131,7 @@ export class Flask {
    * @returns {boolean}
    */
   static isTransfusionValid(sourceFlask, destinationFlask) {
-    if (sourceFlask.isEmpty) {
+    if (sourceFlask.isEmpty || sourceFlask.isTopLayerUnknown) {
       return false;
     }
     if (destinationFlask.isFull) {
@@ -106,12 +148,15 @@ export class Flask {
 
   /**
    * Переливание из одной колбы в другую
+   * В зависимости от правил переливаются либо все верхние слои одного цвета,
+   * которые помещаются в колбу, либо только один верхний слой
    * @public
    * @static
    * @param {Flask} sourceFlask колба, из которой переливают
    * @param {Flask} destinationFlask колба, в которую переливают
+   * @param {PourRule} [pourRule=PourRule.WholeRun] правила переливания
    */
-  static transfuse(sourceFlask, destinationFlask) {
+  static transfuse(sourceFlask, destinationFlask, pourRule = PourRule.WholeRun) {
     if (!Flask.isTransfusionValid(sourceFlask, destinationFlask)) {
       throw new Error(
         `Transfusion from [${
@@ -122,7 +167,9 @@ export class Flask {
       );
     }
 
-    const avaliableCapacity = FlaskCapacity - destinationFlask._layers.length;
+    const avaliableCapacity = pourRule === PourRule.SingleLayer ?
+      1 :
+      destinationFlask._capacity - destinationFlask._layers.length;
 
     let layersWithSameColor = 0;
     for (let i = sourceFlask._layers.length - 1; i >= 0; --i) {
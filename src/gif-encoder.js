@@ -0,0 +1,286 @@
+/**
+ * Модуль кодирования анимированных изображений в формат GIF
+ * Каждый кадр кодируется с собственной палитрой, при этом кодируется только
+ * прямоугольник, изменившийся относительно предыдущего кадра
+ *
+ * Кадр анимации
+ * @typedef {Object} GifFrame
+ * @property {Uint8ClampedArray} data байты RGBA пикселей кадра, как в ImageData
+ * @property {number} delay длительность показа кадра в миллисекундах
+ *
+ * Прямоугольная область кадра
+ * @typedef {{ left: number, top: number, width: number, height: number }} Area
+ */
+
+/**
+ * Максимальное количество цветов в палитре кадра
+ * @constant {number}
+ */
+const MaxColorsNumber = 256;
+
+/**
+ * Максимальная длина кода при LZW-сжатии
+ * @constant {number}
+ */
+const MaxCodeSize = 12;
+
+/**
+ * Максимальная длина блока данных
+ * @constant {number}
+ */
+const MaxSubBlockLength = 255;
+
+/**
+ * Получение цвета пикселя в виде одного числа
+ * @param {Uint8ClampedArray} data байты RGBA пикселей
+ * @param {number} pixelIndex номер пикселя
+ * @returns {number} 3 байта RGB цвета, упакованные в число
+ */
+const getPixelColor = (data, pixelIndex) => {
+  return data[pixelIndex * 4] << 16 | data[pixelIndex * 4 + 1] << 8 | data[pixelIndex * 4 + 2];
+};
+
+/**
+ * Определение прямоугольника, в котором кадр отличается от предыдущего
+ * Если кадры совпадают, возвращается область из одного пикселя, так как кадр
+ * не может быть пустым
+ * @param {Uint8ClampedArray | undefined} previous байты RGBA пикселей предыдущего кадра
+ * @param {Uint8ClampedArray} current байты RGBA пикселей текущего кадра
+ * @param {number} width ширина кадра
+ * @param {number} height высота кадра
+ * @returns {Area} изменившаяся область
+ */
+const findChangedArea = (previous, current, width, height) => {
+  if (!previous) {
+    return { left: 0, top: 0, width, height };
+  }
+
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      const pixelIndex = y * width + x;
+      if (getPixelColor(previous, pixelIndex) !== getPixelColor(current, pixelIndex)) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+
+  if (right === -1) {
+    return { left: 0, top: 0, width: 1, height: 1 };
+  }
+  return { left, top, width: right - left + 1, height: bottom - top + 1 };
+};
+
+/**
+ * Квадрат евклидова расстояния между цветами, упакованными в числа
+ * @param {number} a первый цвет
+ * @param {number} b второй цвет
+ * @returns {number} квадрат расстояния
+ */
+const getColorDistance = (a, b) => {
+  return ((a >> 16) - (b >> 16)) ** 2 +
+    ((a >> 8 & 0xff) - (b >> 8 & 0xff)) ** 2 +
+    ((a & 0xff) - (b & 0xff)) ** 2;
+};
+
+/**
+ * Построение палитры области кадра и замена цветов пикселей номерами цветов в палитре
+ * Если цветов больше {@link MaxColorsNumber}, в палитру попадают самые частые из них,
+ * а остальные заменяются ближайшими из палитры
+ * @param {Uint8ClampedArray} data байты RGBA пикселей кадра
+ * @param {number} width ширина кадра
+ * @param {Area} area кодируемая область кадра
+ * @returns {[ number[], Uint8Array ]} палитра и номера цветов пикселей области
+ */
+const quantizeColors = (data, width, area) => {
+  const pixels = new Array(area.width * area.height);
+  const frequencies = new Map();
+  for (let y = 0; y < area.height; ++y) {
+    for (let x = 0; x < area.width; ++x) {
+      const color = getPixelColor(data, (area.top + y) * width + area.left + x);
+      pixels[y * area.width + x] = color;
+      frequencies.set(color, (frequencies.get(color) ?? 0) + 1);
+    }
+  }
+
+  const palette = [ ...frequencies.entries() ]
+    .sort(([ , a ], [ , b ]) => b - a)
+    .slice(0, MaxColorsNumber)
+    .map(([ color ]) => color);
+
+  const paletteIndices = new Map(palette.map((color, i) => [ color, i ]));
+  for (const color of frequencies.keys()) {
+    if (paletteIndices.has(color)) {
+      continue;
+    }
+    let nearest = 0;
+    for (let i = 1; i < palette.length; ++i) {
+      if (getColorDistance(color, palette[i]) < getColorDistance(color, palette[nearest])) {
+        nearest = i;
+      }
+    }
+    paletteIndices.set(color, nearest);
+  }
+
+  return [ palette, Uint8Array.from(pixels, (color) => paletteIndices.get(color)) ];
+};
+
+/**
+ * LZW-сжатие номеров цветов пикселей
+ * @param {Uint8Array} indices номера цветов пикселей в палитре
+ * @param {number} minCodeSize минимальная длина кода
+ * @returns {number[]} сжатые байты
+ */
+const compressLzw = (indices, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+
+  let buffer = 0;
+  let bufferLength = 0;
+  let codeSize = minCodeSize + 1;
+  const writeCode = (code) => {
+    buffer |= code << bufferLength;
+    bufferLength += codeSize;
+    while (bufferLength >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>= 8;
+      bufferLength -= 8;
+    }
+  };
+
+  let codeTable = new Map();
+  let nextCode = endCode + 1;
+  writeCode(clearCode);
+
+  let currentCode = indices[0];
+  for (let i = 1; i < indices.length; ++i) {
+    const key = currentCode << 8 | indices[i];
+    const code = codeTable.get(key);
+    if (code !== undefined) {
+      currentCode = code;
+      continue;
+    }
+
+    writeCode(currentCode);
+    if (nextCode === 1 << MaxCodeSize) {
+      writeCode(clearCode);
+      codeTable = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        ++codeSize;
+      }
+      codeTable.set(key, nextCode++);
+    }
+    currentCode = indices[i];
+  }
+
+  writeCode(currentCode);
+  writeCode(endCode);
+  if (bufferLength > 0) {
+    bytes.push(buffer & 0xff);
+  }
+
+  return bytes;
+};
+
+/**
+ * Запись 16-битного числа в порядке little-endian
+ * @param {number[]} bytes байты файла
+ * @param {number} value число
+ */
+const writeShort = (bytes, value) => {
+  bytes.push(value & 0xff, value >> 8 & 0xff);
+};
+
+/**
+ * Запись данных блоками не длиннее {@link MaxSubBlockLength} с завершающим пустым блоком
+ * @param {number[]} bytes байты файла
+ * @param {number[]} data записываемые данные
+ */
+const writeSubBlocks = (bytes, data) => {
+  for (let i = 0; i < data.length; i += MaxSubBlockLength) {
+    const subBlock = data.slice(i, i + MaxSubBlockLength);
+    bytes.push(subBlock.length, ...subBlock);
+  }
+  bytes.push(0);
+};
+
+/**
+ * Запись кадра: управляющего расширения с длительностью показа,
+ * дескриптора изображения с собственной палитрой и сжатых данных
+ * @param {number[]} bytes байты файла
+ * @param {GifFrame} frame кадр
+ * @param {number} width ширина кадра
+ * @param {Area} area кодируемая область кадра
+ */
+const writeFrame = (bytes, frame, width, area) => {
+  const [ palette, indices ] = quantizeColors(frame.data, width, area);
+  const paletteBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+
+  // длительность в GIF задаётся в сотых долях секунды
+  bytes.push(0x21, 0xf9, 4, 0x04);
+  writeShort(bytes, Math.round(frame.delay / 10));
+  bytes.push(0, 0);
+
+  bytes.push(0x2c);
+  writeShort(bytes, area.left);
+  writeShort(bytes, area.top);
+  writeShort(bytes, area.width);
+  writeShort(bytes, area.height);
+  bytes.push(0x80 | (paletteBits - 1));
+  for (let i = 0; i < 1 << paletteBits; ++i) {
+    const color = palette[i] ?? 0;
+    bytes.push(color >> 16, color >> 8 & 0xff, color & 0xff);
+  }
+
+  const minCodeSize = Math.max(2, paletteBits);
+  bytes.push(minCodeSize);
+  writeSubBlocks(bytes, compressLzw(indices, minCodeSize));
+};
+
+/**
+ * Кодирование анимации в формат GIF
+ * Анимация повторяется бесконечно. Кадры обрабатываются по одному, поэтому их можно
+ * создавать по мере кодирования, не храня все одновременно
+ * @param {Iterable<GifFrame>} frames кадры анимации
+ * @param {number} width ширина кадров
+ * @param {number} height высота кадров
+ * @returns {Buffer} анимация в формате GIF
+ */
+export const encodeGif = (frames, width, height) => {
+  const bytes = [ ...Buffer.from('GIF89a') ];
+  writeShort(bytes, width);
+  writeShort(bytes, height);
+  bytes.push(0, 0, 0);
+
+  bytes.push(0x21, 0xff, 11, ...Buffer.from('NETSCAPE2.0'), 3, 1);
+  writeShort(bytes, 0);
+  bytes.push(0);
+
+  let previousData;
+  for (const frame of frames) {
+    writeFrame(bytes, frame, width, findChangedArea(previousData, frame.data, width, height));
+    previousData = frame.data;
+  }
+
+  bytes.push(0x3b);
+  return Buffer.from(bytes);
+};
+
+export let forTesting;
+if (!!process.env.NODE_TEST_CONTEXT) {
+  forTesting = {
+    findChangedArea,
+    quantizeColors,
+    compressLzw,
+  };
+}
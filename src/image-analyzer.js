@@ -12,8 +12,17 @@ import { FlaskCapacity } from './constants/flask-capacity.const.js';
 import {
   MaxAllowedColorDistanceForClusterization,
 } from './constants/max-allowed-color-distance-for-clusterization.const.js';
+import {
+  MaxAllowedColorDistanceForMatching,
+} from './constants/max-allowed-color-distance-for-matching.const.js';
+import {
+  MaxAllowedColorDeltaEForMerging,
+} from './constants/max-allowed-color-delta-e-for-merging.const.js';
 import { MaxAllowedCoordinatesDelta } from './constants/max-allowed-coordinates-delta.const.js';
+import { MinLayerFillRatio } from './constants/min-layer-fill-ratio.const.js';
+import { MinLayerHeightRatio } from './constants/min-layer-height-ratio.const.js';
 import { SpotsInRunNumber } from './constants/spots-in-run-number.const.js';
+import { UnknownLayer } from './constants/unknown-layer.const.js';
 import { prepareImage, fullfillImage } from './visualizer.js';
 
 /**
@@ -26,6 +35,9 @@ import { prepareImage, fullfillImage } from './visualizer.js';
  * 3 байта RGB цвета, разделённые запятыми
  * @typedef {string} ColorAsString
  *
+ * Цвет в пространстве CIELAB: светлота и две цветовые координаты
+ * @typedef {[ number, number, number ]} LabColor
+ *
  * Положение цвета в колбе. Порядковый номер колбы и порядковый номер слоя в ней
  * @typedef {{ flask: number, index: number }} ColorInFlask
  *
@@ -35,6 +47,12 @@ import { prepareImage, fullfillImage } from './visualizer.js';
  * Двумерные координаты
  * @typedef {[ number, number ]} Coordinates
  *
+ * Байты пикселей изображения построчно, по глубине цвета байт на пиксель
+ * @typedef {Uint8Array | Uint8ClampedArray} Pixels
+ *
+ * Идентификаторы пятен, к которым относятся пиксели изображения, построчно
+ * @typedef {Int32Array} Mask
+ *
  * Пятно -- совокупность смежных пикселей одного цвета,
  * либо объединение таких пятен, полученное в результате кластеризации
  * @typedef {Object} Spot
@@ -56,106 +74,112 @@ import { prepareImage, fullfillImage } from './visualizer.js';
  * @property {?number} id идентификатор пятна, которому принадлежит пиксель. Null если пиксели принадлежат не выбранным пятнам
  * @property {boolean} hasBackgroundColor признак того, что цвет хотя бы одного пикселя равен цвету фона
  * @property {number} [height] протяжённость слоя в пикселях
+ *
+ * Границы колбы на изображении
+ * @typedef {Object} FlaskBounds
+ * @property {number} top верхняя граница колбы
+ * @property {number} bottom нижняя граница колбы
+ * @property {number} left левая граница колбы
+ * @property {number} right правая граница колбы
+ *
+ * Изображение в формате, пригодном для отрисовки на холсте
+ * @typedef {{ width: number, height: number, data: Uint8ClampedArray }} Screenshot
 */
 
 /**
- * Обход пикселей
- * @param {Coordinates} start координаты начального пикселя в матрице пикселей
- * @param {boolean[][]} visited матрица признаков посещённости пикселей
- * @param {Shape} shape ширина, высота и глубина цвета изображения
- * @param {(i: Coordinates[0], j: Coordinates[1]) => any} DFSBody обработка очередного встреченного пикселя
- * @param {(next: Coordinates, [i: Coordinates[0], j: Coordinates[1]]) => boolean} stackFilter дополнительный фильтр кандидатов на продолжение обхода
+ * Поиск корня дерева, к которому относится элемент, в системе непересекающихся множеств
+ * Попутно путь до корня сокращается вдвое, чтобы последующие поиски были быстрее
+ * @param {Int32Array} parents родители элементов; корень является родителем самому себе
+ * @param {number} element элемент
+ * @returns {number} корень дерева
  */
-const traversePixels = (start, visited, shape, DFSBody, stackFilter) => {
-  const stack = [ start ];
-
-  while (stack.length > 0) {
-    const [ i, j ] = stack.pop();
-
-    visited[i][j] = true;
-
-    DFSBody(i, j);
-
-    stack.push(
-      ...[ [ i, j - 1 ], [ i, j + 1 ], [ i - 1, j ], [ i + 1, j ] ]
-      .filter((next) => {
-        if (
-          next[0] < 0 ||
-          next[1] < 0 ||
-          next[0] >= shape[1] ||
-          next[1] >= shape[0] ||
-          visited[next[0]][next[1]]
-        ) {
-          return false;
-        }
-        return stackFilter(next, [ i, j ]);
-      }),
-    );
+const findRoot = (parents, element) => {
+  while (parents[element] !== element) {
+    parents[element] = parents[parents[element]];
+    element = parents[element];
+  }
+  return element;
+};
+
+/**
+ * Объединение множеств, к которым относятся элементы, в системе непересекающихся множеств
+ * Корнем объединения становится меньший из корней, поэтому корень множества -- его наименьший элемент
+ * @param {Int32Array} parents родители элементов; корень является родителем самому себе
+ * @param {number} a первый элемент
+ * @param {number} b второй элемент
+ */
+const uniteSets = (parents, a, b) => {
+  const rootA = findRoot(parents, a);
+  const rootB = findRoot(parents, b);
+  if (rootA < rootB) {
+    parents[rootB] = rootA;
+  } else {
+    parents[rootA] = rootB;
   }
 };
 
 /**
  * Определение [пятен]{@link Spot} в матрице пикселей
- * При итерации по матрице пикселей, если встречается ещё не посещённый пиксель,
- * от него запускается обход всех смежных пикселей одного цвета для формирования из них пятна
+ * Смежные пиксели одного цвета объединяются в системе непересекающихся множеств
+ * за один проход по пикселям, после чего каждое множество становится пятном.
+ * Первым пикселем пятна считается первый в порядке построчного обхода
  * @param {Shape} shape ширина, высота и глубина цвета изображения
- * @param {Color[][]} pixels матрица пикселей
- * @returns {[ Spot[], number[][] ]} массив определённых пятен, отсортированный в порядке убывания площади,
+ * @param {Pixels} pixels байты пикселей
+ * @returns {[ Spot[], Mask ]} массив определённых пятен, отсортированный в порядке убывания площади,
  * и матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
  */
 const constructSpots = (shape, pixels) => {
-  const spots = [];
-  const visited = new Array(shape[1]).fill(null).map(() => new Array(shape[0]).fill(false));
-  const mask = new Array(shape[1]).fill(null).map(() => new Array(shape[0]).fill(null));
+  const [ width, height, depth ] = shape;
+  const colors = new Int32Array(width * height);
+  const parents = new Int32Array(width * height);
 
-  for (let i = 0; i < shape[1]; ++i) {
-    for (let j = 0; j < shape[0]; ++j) {
-      if (visited[i][j]) {
-        continue;
-      }
+  for (let pixel = 0; pixel < colors.length; ++pixel) {
+    colors[pixel] =
+      pixels[pixel * depth] << 16 | pixels[pixel * depth + 1] << 8 | pixels[pixel * depth + 2];
+    parents[pixel] = pixel;
 
-      let square = 1;
-      let start = [ i, j ];
-      let top = i;
-      let bottom = i;
-      let left = j;
-      let right = j;
-
-      traversePixels(
-        start,
-        visited,
-        shape,
-        (i, j) => {
-          mask[i][j] = spots.length;
-          square += 1;
-
-          if (i < top) {
-            top = i;
-          }
-          if (i > bottom) {
-            bottom = i;
-          }
-          if (j < left) {
-            left = j;
-          }
-          if (j > right) {
-            right = j;
-          }
-        },
-        (next) => pixels[next[0]][next[1]].join(',') === pixels[i][j].join(','),
-      );
+    if (pixel % width > 0 && colors[pixel] === colors[pixel - 1]) {
+      uniteSets(parents, pixel, pixel - 1);
+    }
+    if (pixel >= width && colors[pixel] === colors[pixel - width]) {
+      uniteSets(parents, pixel, pixel - width);
+    }
+  }
+
+  const spots = [];
+  const mask = new Int32Array(width * height);
 
+  for (let pixel = 0; pixel < mask.length; ++pixel) {
+    const i = Math.floor(pixel / width);
+    const j = pixel % width;
+    const root = findRoot(parents, pixel);
+
+    // корень -- первый пиксель пятна, поэтому к остальным пикселям пятно уже создано
+    if (root === pixel) {
+      mask[pixel] = spots.length;
       spots.push({
         id: spots.length,
-        start,
-        square,
-        color: pixels[start[0]][start[1]].slice(),
-        top,
-        bottom,
-        left,
-        right,
+        start: [ i, j ],
+        square: 0,
+        color: [ pixels[pixel * depth], pixels[pixel * depth + 1], pixels[pixel * depth + 2] ],
+        top: i,
+        bottom: i,
+        left: j,
+        right: j,
         isAbsorbed: false,
       });
+    } else {
+      mask[pixel] = mask[root];
+    }
+
+    const spot = spots[mask[pixel]];
+    spot.square += 1;
+    spot.bottom = i;
+    if (j < spot.left) {
+      spot.left = j;
+    }
+    if (j > spot.right) {
+      spot.right = j;
     }
   }
 
@@ -164,59 +188,60 @@ const constructSpots = (shape, pixels) => {
 
 /**
  * Кластеризация [пятен]{@link Spot}
- * При итерации по пятнам, если встречается ещё не поглощённое пятно,
- * от него запускается обход всех смежных пикселей, цвет которых удовлетворяет
- * [допуску]{@link MaxAllowedColorDistanceForClusterization} относительно цвета пятна
+ * Пятна объединяются в системе непересекающихся множеств, если у них есть смежные пиксели,
+ * цвета которых удовлетворяют [допуску]{@link MaxAllowedColorDistanceForClusterization}.
+ * Кластер получает идентификатор, цвет и первый пиксель самого большого из объединённых пятен,
+ * остальные пятна кластера отмечаются поглощёнными
  * @param {Shape} shape ширина, высота и глубина цвета изображения
- * @param {Color[][]} pixels матрица пикселей
- * @param {Spot[]} spots массив пятен
- * @param {number[][]} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
+ * @param {Pixels} pixels байты пикселей
+ * @param {Spot[]} spots массив пятен, отсортированный в порядке убывания площади
+ * @param {Mask} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
  * @returns {Spot[]} массив кластеров, отсортированный в порядке убывания площади
  */
 const clusterizeSpots = (shape, pixels, spots, mask) => {
-  const clusters = [];
-  const visited = new Array(shape[1]).fill(null).map(() => new Array(shape[0]).fill(false));
+  const [ width, , depth ] = shape;
+  const parents = new Int32Array(spots.length).map((_, id) => id);
+  const maxColorDistanceSquare = Math.pow(MaxAllowedColorDistanceForClusterization, 2);
+
+  const isSimilar = (a, b) => {
+    let colorDistanceSquare = 0;
+    for (let k = 0; k < 3; ++k) {
+      colorDistanceSquare += Math.pow(pixels[a * depth + k] - pixels[b * depth + k], 2);
+    }
+    return colorDistanceSquare < maxColorDistanceSquare;
+  };
+
+  for (let pixel = 0; pixel < mask.length; ++pixel) {
+    if (pixel % width > 0 && mask[pixel] !== mask[pixel - 1] && isSimilar(pixel, pixel - 1)) {
+      uniteSets(parents, mask[pixel], mask[pixel - 1]);
+    }
+    if (pixel >= width && mask[pixel] !== mask[pixel - width] && isSimilar(pixel, pixel - width)) {
+      uniteSets(parents, mask[pixel], mask[pixel - width]);
+    }
+  }
 
-  for (let spotIndex = 0; spotIndex < spots.length; ++spotIndex) {
-    if (visited[spots[spotIndex].start[0]][spots[spotIndex].start[1]]) {
-      spots[spotIndex].isAbsorbed = true;
+  // пятна перебираются в порядке убывания площади, поэтому первое пятно множества -- самое большое
+  const clusters = [];
+  const clustersByRoots = new Array(spots.length);
+  for (const spot of spots) {
+    const root = findRoot(parents, spot.id);
+    const cluster = clustersByRoots[root];
+    if (!cluster) {
+      clustersByRoots[root] = spot;
+      clusters.push(spot);
       continue;
     }
 
-    clusters.push(spots[spotIndex]);
-
-    traversePixels(
-      spots[spotIndex].start,
-      visited,
-      shape,
-      (i, j) => {
-        if (mask[i][j] !== spots[spotIndex].id) {
-          mask[i][j] = spots[spotIndex].id;
-          spots[spotIndex].square += 1;
-        }
-
-        if (i < spots[spotIndex].top) {
-          spots[spotIndex].top = i;
-        }
-        if (i > spots[spotIndex].bottom) {
-          spots[spotIndex].bottom = i;
-        }
-        if (j < spots[spotIndex].left) {
-          spots[spotIndex].left = j;
-        }
-        if (j > spots[spotIndex].right) {
-          spots[spotIndex].right = j;
-        }
-      },
-      (next, [ i, j ]) => {
-        const pixel = pixels[i][j];
-        const nextPixel = pixels[next[0]][next[1]];
-        const colorDistance = Math.sqrt(
-          pixel.reduce((sum, byte, i) => sum + Math.pow(byte - nextPixel[i], 2), 0),
-        );
-        return colorDistance < MaxAllowedColorDistanceForClusterization;
-      },
-    );
+    spot.isAbsorbed = true;
+    cluster.square += spot.square;
+    cluster.top = Math.min(cluster.top, spot.top);
+    cluster.bottom = Math.max(cluster.bottom, spot.bottom);
+    cluster.left = Math.min(cluster.left, spot.left);
+    cluster.right = Math.max(cluster.right, spot.right);
+  }
+
+  for (let pixel = 0; pixel < mask.length; ++pixel) {
+    mask[pixel] = clustersByRoots[findRoot(parents, mask[pixel])].id;
   }
 
   return clusters.sort((a, b) => b.square - a.square);
@@ -226,10 +251,12 @@ const clusterizeSpots = (shape, pixels, spots, mask) => {
  * Заполнение массива колб номерами, соответствующими цветам в колбах на изображении
  * @param {number} flasksNumber количество колб
  * @param {Map<ColorAsString, ColorInFlask[]>} colorsMap соответствие цветов и слоёв в колбах
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @param {ColorInFlask[]} [unknownLayers=[]] положения [скрытых слоёв]{@link UnknownLayer}
  * @returns {number[][]} игра в виде матрицы {@link Puzzle.layersMatrix}
  */
-const fullfillPuzzle = (flasksNumber, colorsMap) => {
-  const layersMatrix = new Array(flasksNumber).fill(null).map(() => new Array(FlaskCapacity));
+const fullfillPuzzle = (flasksNumber, colorsMap, capacity = FlaskCapacity, unknownLayers = []) => {
+  const layersMatrix = new Array(flasksNumber).fill(null).map(() => new Array(capacity));
 
   const colors = [ ...colorsMap.values() ];
 
@@ -239,26 +266,64 @@ const fullfillPuzzle = (flasksNumber, colorsMap) => {
     }
   }
 
+  for (const entry of unknownLayers) {
+    layersMatrix[entry.flask][entry.index] = UnknownLayer;
+  }
+
   return layersMatrix;
 };
 
+/**
+ * Определение цвета, которым на изображении обозначены [скрытые слои]{@link UnknownLayer}
+ * Скрытый слой никогда не бывает верхним в колбе, а слоёв скрытого цвета обычно больше,
+ * чем вмещает колба, чего не может быть ни с одним настоящим цветом.
+ * Скрытые слои всегда заполняют колбу снизу, поэтому под ними не бывает слоёв других цветов
+ * @param {Map<ColorAsString, ColorInFlask[]>} colorsMap соответствие цветов и слоёв в колбах
+ * @param {number} capacity вместимость каждой из колб
+ * @returns {ColorAsString | undefined} цвет скрытых слоёв, если он есть на изображении
+ */
+const detectUnknownColor = (colorsMap, capacity) => {
+  const topLayersIndices = new Map();
+  for (const entries of colorsMap.values()) {
+    for (const { flask, index } of entries) {
+      topLayersIndices.set(flask, Math.max(topLayersIndices.get(flask) ?? -1, index));
+    }
+  }
+
+  return [ ...colorsMap.entries() ].find(([ _, entries ]) =>
+    entries.length > capacity &&
+    !entries.some(({ flask, index }) => topLayersIndices.get(flask) === index) &&
+    entries.every(({ flask, index }) =>
+      entries.filter((entry) => entry.flask === flask && entry.index < index).length === index
+    )
+  )?.[0];
+};
+
 /**
  * Определение [слоёв пикселей]{@link Layer} вдоль заданной координаты
  * @param {Shape} shape ширина, высота и глубина цвета изображения
  * @param {Spot[]} spots массив пятен
- * @param {number[][]} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
+ * @param {Mask} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
  * @param {Set<number>} spotsIds множество идентификаторов выбранных пятен
  * @param {number} horizontalMiddle координата, вдоль которой будут определяться слои
  * @returns {Layer[]} массив определённых слоёв пикселей
  */
 const scanSpotsAlongMiddle = (shape, spots, mask, spotsIds, horizontalMiddle) => {
   const layers = [];
+  const getId = (i) => mask[i * shape[0] + horizontalMiddle];
+
+  // идентификаторы пятен того же цвета, что и фон,
+  // исходя из предположения, что фон -- самое большое по площади пятно
+  const backgroundSpotsIds = new Set(spots
+    .filter(({ color }) => color.join(',') === spots[0].color.join(','))
+    .map(({ id }) => id)
+  );
 
   for (let i = shape[1] - 1, previousI = i, hasBackgroundColor = false; i >= 0; --i) {
     if (i === 0) {
       layers.push({
-        id: spotsIds.has(mask[i][horizontalMiddle]) ?
-          mask[i][horizontalMiddle] :
+        id: spotsIds.has(getId(i)) ?
+          getId(i) :
           null,
         height: previousI,
         hasBackgroundColor,
@@ -268,18 +333,14 @@ const scanSpotsAlongMiddle = (shape, spots, mask, spotsIds, horizontalMiddle) =>
 
     if (
       (
-        !spotsIds.has(mask[i][horizontalMiddle]) &&
-        !spotsIds.has(mask[previousI][horizontalMiddle])
+        !spotsIds.has(getId(i)) &&
+        !spotsIds.has(getId(previousI))
       ) ||
-      mask[i][horizontalMiddle] === mask[previousI][horizontalMiddle]
+      getId(i) === getId(previousI)
     ) {
 
-      // установка признака наличия пикселей такого же цвета, как и фон,
-      // исходя из предположения, что фон -- самое большое по площади пятно
-      if (
-        spots.find(({ id }) => id === mask[i][horizontalMiddle]).color.join(',') ===
-        spots[0].color.join(',')
-      ) {
+      // установка признака наличия пикселей такого же цвета, как и фон
+      if (backgroundSpotsIds.has(getId(i))) {
         hasBackgroundColor = true;
       }
 
@@ -287,8 +348,8 @@ const scanSpotsAlongMiddle = (shape, spots, mask, spotsIds, horizontalMiddle) =>
     }
 
     layers.push({
-      id: spotsIds.has(mask[i + 1][horizontalMiddle]) ?
-      mask[i + 1][horizontalMiddle] :
+      id: spotsIds.has(getId(i + 1)) ?
+      getId(i + 1) :
       null,
       height: previousI - i,
       hasBackgroundColor,
@@ -297,7 +358,7 @@ const scanSpotsAlongMiddle = (shape, spots, mask, spotsIds, horizontalMiddle) =>
     // поиск дубликатов на случай наличия дыр в пятнах
     // если выясняется, что такой идентификатор встречается не впервые,
     // все слои между повторами, как и сами повторы, сливаются в один слой
-    const duplicateIndex = layers.findLastIndex(({ id }) => id === mask[i][horizontalMiddle]);
+    const duplicateIndex = layers.findLastIndex(({ id }) => id === getId(i));
     let duplicateHeight = 0;
     if (duplicateIndex !== -1) {
       for (
@@ -393,6 +454,240 @@ const detectColorsInFlasks = (flasks) => {
   return colorsMap;
 };
 
+/**
+ * Перевод цвета из sRGB в CIELAB с белой точкой D65
+ * @param {Color} color цвет
+ * @returns {LabColor} цвет в пространстве CIELAB
+ */
+const rgbToLab = (color) => {
+  const [ red, green, blue ] = color.map((byte) => {
+    const value = byte / 255;
+    return value > 0.04045 ? Math.pow((value + 0.055) / 1.055, 2.4) : value / 12.92;
+  });
+
+  // координаты XYZ, нормированные на белую точку
+  const [ x, y, z ] = [
+    (red * 0.4124 + green * 0.3576 + blue * 0.1805) / 0.95047,
+    red * 0.2126 + green * 0.7152 + blue * 0.0722,
+    (red * 0.0193 + green * 0.1192 + blue * 0.9505) / 1.08883,
+  ].map((value) => value > 216 / 24389 ? Math.cbrt(value) : (24389 / 27 * value + 16) / 116);
+
+  return [ 116 * y - 16, 500 * (x - y), 200 * (y - z) ];
+};
+
+/**
+ * Определение цветового отличия по формуле CIEDE2000
+ * В отличие от евклидова расстояния в RGB, соответствует тому, насколько по-разному цвета
+ * воспринимаются глазом, поэтому оттенки одного цвета в тени и на свету оказываются близки
+ * @param {LabColor} a первый цвет
+ * @param {LabColor} b второй цвет
+ * @returns {number} цветовое отличие
+ */
+const getColorDeltaE = ([ lightnessA, greenRedA, blueYellowA ], [ lightnessB, greenRedB, blueYellowB ]) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const getHue = (greenRed, blueYellow) => {
+    const hue = Math.atan2(blueYellow, greenRed) * 180 / Math.PI;
+    return hue < 0 ? hue + 360 : hue;
+  };
+
+  const meanChroma = (Math.hypot(greenRedA, blueYellowA) + Math.hypot(greenRedB, blueYellowB)) / 2;
+  const chromaFactor = Math.sqrt(Math.pow(meanChroma, 7) / (Math.pow(meanChroma, 7) + Math.pow(25, 7)));
+  const chromaA = Math.hypot(greenRedA * (1.5 - chromaFactor / 2), blueYellowA);
+  const chromaB = Math.hypot(greenRedB * (1.5 - chromaFactor / 2), blueYellowB);
+  const hueA = getHue(greenRedA * (1.5 - chromaFactor / 2), blueYellowA);
+  const hueB = getHue(greenRedB * (1.5 - chromaFactor / 2), blueYellowB);
+
+  // у ахроматических цветов оттенка нет
+  let hueDelta = 0;
+  let meanHue = hueA + hueB;
+  if (chromaA * chromaB !== 0) {
+    hueDelta = hueB - hueA;
+    if (hueDelta > 180) {
+      hueDelta -= 360;
+    } else if (hueDelta < -180) {
+      hueDelta += 360;
+    }
+    meanHue = Math.abs(hueA - hueB) <= 180 ?
+      (hueA + hueB) / 2 :
+      (hueA + hueB + (hueA + hueB < 360 ? 360 : -360)) / 2;
+  }
+
+  const meanLightness = (lightnessA + lightnessB) / 2;
+  const meanPrimeChroma = (chromaA + chromaB) / 2;
+  const hueWeight = 1 -
+    0.17 * Math.cos(toRadians(meanHue - 30)) +
+    0.24 * Math.cos(toRadians(2 * meanHue)) +
+    0.32 * Math.cos(toRadians(3 * meanHue + 6)) -
+    0.2 * Math.cos(toRadians(4 * meanHue - 63));
+  const rotation = -Math.sin(toRadians(60 * Math.exp(-Math.pow((meanHue - 275) / 25, 2)))) * 2 *
+    Math.sqrt(Math.pow(meanPrimeChroma, 7) / (Math.pow(meanPrimeChroma, 7) + Math.pow(25, 7)));
+
+  const lightnessTerm = (lightnessB - lightnessA) / (1 + 0.015 * Math.pow(meanLightness - 50, 2) /
+    Math.sqrt(20 + Math.pow(meanLightness - 50, 2)));
+  const chromaTerm = (chromaB - chromaA) / (1 + 0.045 * meanPrimeChroma);
+  const hueTerm = 2 * Math.sqrt(chromaA * chromaB) * Math.sin(toRadians(hueDelta / 2)) /
+    (1 + 0.015 * meanPrimeChroma * hueWeight);
+
+  return Math.sqrt(
+    Math.pow(lightnessTerm, 2) +
+    Math.pow(chromaTerm, 2) +
+    Math.pow(hueTerm, 2) +
+    rotation * chromaTerm * hueTerm,
+  );
+};
+
+/**
+ * Объединение оттенков одного цвета, распознанных как разные цвета
+ * Пары цветов перебираются в порядке возрастания [цветового отличия]{@link getColorDeltaE},
+ * и цвета объединяются, если отличие не превышает [допуск]{@link MaxAllowedColorDeltaEForMerging}.
+ * Так как каждый цвет занимает ровно столько слоёв, какова вместимость колб, цвета не объединяются,
+ * если слоёв у них вместе больше вместимости: так из нескольких близких цветов выбирается тот,
+ * которому слоёв не хватает. Объединённый цвет получает значение самого частого из оттенков
+ * @param {Map<ColorAsString, ColorInFlask[]>} colorsMap соответствие цветов и слоёв в колбах
+ * @param {number} capacity вместимость колб
+ * @returns {Map<ColorAsString, ColorInFlask[]>} соответствие объединённых цветов и слоёв в колбах
+ */
+const mergeSimilarColors = (colorsMap, capacity) => {
+  const entries = [ ...colorsMap.entries() ];
+  const labColors = entries.map(([ color ]) => rgbToLab(color.split(',').map((byte) => parseInt(byte))));
+
+  const pairs = [];
+  for (let i = 0; i < entries.length; ++i) {
+    for (let j = i + 1; j < entries.length; ++j) {
+      const deltaE = getColorDeltaE(labColors[i], labColors[j]);
+      if (deltaE <= MaxAllowedColorDeltaEForMerging) {
+        pairs.push([ deltaE, i, j ]);
+      }
+    }
+  }
+  pairs.sort(([ a ], [ b ]) => a - b);
+
+  // номера цветов в группах объединяемых цветов
+  const groups = entries.map((_, i) => [ i ]);
+  const groupIndices = entries.map((_, i) => i);
+  const getLayersNumber = (group) => group.reduce((sum, i) => sum + entries[i][1].length, 0);
+  for (const [ _, i, j ] of pairs) {
+    const [ a, b ] = [ groupIndices[i], groupIndices[j] ];
+    if (a === b || getLayersNumber(groups[a]) + getLayersNumber(groups[b]) > capacity) {
+      continue;
+    }
+    for (const k of groups[b]) {
+      groupIndices[k] = a;
+    }
+    groups[a].push(...groups[b]);
+    groups[b] = [];
+  }
+
+  // группы сохраняют порядок первых вошедших в них цветов
+  return new Map([ ...new Set(groupIndices) ].map((groupIndex) => {
+    const group = groups[groupIndex];
+    const mostFrequent = group.reduce((a, b) => entries[b][1].length > entries[a][1].length ? b : a);
+    return [
+      entries[mostFrequent][0],
+      group
+        .flatMap((i) => entries[i][1])
+        .sort((a, b) => a.flask - b.flask || a.index - b.index),
+    ];
+  }));
+};
+
+/**
+ * Определение вместимости колб по относительным высотам образующих их пятен
+ * Для каждой колбы считается количество слоёв, которое занимают её пятна.
+ * Вместимостью считается наиболее частое из этих количеств (при равенстве -- наибольшее),
+ * чтобы единичная ошибка определения слоёв в одной из колб не влияла на результат
+ * @param {Spot[][]} flasks массив колб в формате массива образующих её пятен
+ * @returns {number} вместимость колб
+ */
+const detectCapacity = (flasks) => {
+  const frequencies = new Map();
+
+  for (const flask of flasks) {
+    const layersNumber = flask.reduce((sum, { length }) => sum + length, 0);
+    if (layersNumber === 0) {
+      continue;
+    }
+    frequencies.set(layersNumber, (frequencies.get(layersNumber) ?? 0) + 1);
+  }
+
+  if (frequencies.size === 0) {
+    return FlaskCapacity;
+  }
+
+  return [ ...frequencies.entries() ].reduce((mostFrequent, entry) => {
+    if (
+      entry[1] > mostFrequent[1] ||
+      (entry[1] === mostFrequent[1] && entry[0] > mostFrequent[0])
+    ) {
+      return entry;
+    }
+    return mostFrequent;
+  })[0];
+};
+
+/**
+ * Определение границ колбы на изображении по образующим её пятнам
+ * Пятна занимают только заполненную часть колбы, поэтому верхняя граница
+ * достраивается до высоты полной колбы исходя из высоты одного слоя
+ * @param {Spot[]} flask колба в формате массива образующих её пятен
+ * @param {number} capacity вместимость колб
+ * @returns {FlaskBounds} границы колбы
+ */
+const getFlaskBounds = (flask, capacity) => {
+  const top = Math.min(...flask.map(({ top }) => top));
+  const bottom = Math.max(...flask.map(({ bottom }) => bottom));
+  const layersNumber = flask.reduce((sum, { length }) => sum + length, 0);
+
+  return {
+    top: Math.max(
+      0,
+      Math.min(top, Math.round(bottom - (bottom - top) * capacity / Math.max(layersNumber, 1))),
+    ),
+    bottom,
+    left: Math.min(...flask.map(({ left }) => left)),
+    right: Math.max(...flask.map(({ right }) => right)),
+  };
+};
+
+/**
+ * Преобразование байтов пикселей в непрозрачные байты RGBA, пригодные для отрисовки на холсте
+ * @param {Shape} shape ширина, высота и глубина цвета изображения
+ * @param {Pixels} pixels байты пикселей изображения
+ * @returns {Screenshot} изображение
+ */
+export const pixelsToScreenshot = (shape, pixels) => {
+  const [ width, height, depth ] = shape;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let pixel = 0; pixel < width * height; ++pixel) {
+    data[pixel * 4] = pixels[pixel * depth];
+    data[pixel * 4 + 1] = pixels[pixel * depth + 1];
+    data[pixel * 4 + 2] = pixels[pixel * depth + 2];
+    data[pixel * 4 + 3] = 255;
+  }
+  return { width, height, data };
+};
+
+/**
+ * Чтение изображения в формате, пригодном для отрисовки на холсте, из байтов файла
+ * Нужно, чтобы хранить вместо самого изображения только ссылку на файл
+ * и читать изображение, лишь когда его нужно нарисовать
+ * @param {Buffer} imageBuffer байты файла изображения
+ * @param {string} [mimeType='image/jpeg'] mime-тип изображения
+ * @returns {Promise<Screenshot>} изображение
+ */
+export const readScreenshot = (imageBuffer, mimeType = 'image/jpeg') => {
+  return new Promise((resolve, reject) => {
+    getPixels(imageBuffer, mimeType, (err, imageData) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve(pixelsToScreenshot(imageData.shape, imageData.data));
+    });
+  });
+};
+
 /**
  * Определение колб на изображении
  * Для каждого пятна:
@@ -402,9 +697,9 @@ const detectColorsInFlasks = (flasks) => {
  * Сортировка определённых колб по координатам так, чтобы они нумеровались естественным образом (слоева направо, сверху вниз)
  * Определение цветов слоёв колб
  * @param {Shape} shape ширина, высота и глубина цвета изображения
- * @param {Color[][]} pixels матрица пикселей
+ * @param {Pixels} pixels байты пикселей
  * @param {Spot[]} spots массив пятен
- * @param {number[][]} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
+ * @param {Mask} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
  * @param {Set<number>} spotsIndices индексы выбранных пятен
  * @returns {[ Spot[][], Map<ColorAsString, ColorInFlask> ]} массив определённых колб и соответствие цветов и слоёв колб
  */
@@ -437,14 +732,16 @@ const detectFlasks = (shape, pixels, spots, mask, spotsIndices) => {
 
 /**
  * Определение [пятен]{@link Spot} на изображении
- * 1. [Чтение изображения]{@link getPixels} и его интерпретация в матрицу пикселей
+ * 1. [Чтение изображения]{@link getPixels}
  * 2. [Определение пятен]{@link constructSpots}
  * 3. [Кластеризация пятен]{@link clusterizeSpots}
+ * Пиксели и идентификаторы пятен хранятся в плоских типизированных массивах,
+ * чтобы большие скриншоты обрабатывались быстро и занимали немного памяти
  * @param {Buffer} imageBuffer байты файла изображения
  * @param {string} mimeType mime-тип изображения
- * @returns {Promise<[ Shape, Color[][], Spot[], number[][] ]>}
+ * @returns {Promise<[ Shape, Pixels, Spot[], Mask ]>}
  * ширина, высота и глубина цвета изображения
- * матрица пикселей изображения
+ * байты пикселей изображения
  * массив кластеров [пятен]{@link Spot}
  * матрица идентификаторов кластеров, к которым относятся пиксели с соответствующими координатами
  */
@@ -457,16 +754,7 @@ export const detectSpots = (imageBuffer, mimeType = 'image/jpeg') => {
       }
 
       try {
-        const { data, shape } = imageData;
-
-        const pixels = new Array(shape[1]).fill(null).map((_, i) =>
-          new Array(shape[0]).fill(null).map((_, j) => [
-            ...data.subarray(
-              (i * shape[0] + j) * shape[2],
-              (i * shape[0] + j) * shape[2] + (shape[2] - 1)
-            ).values(),
-          ])
-        );
+        const { data: pixels, shape } = imageData;
 
         const [ spots, mask ] = constructSpots(shape, pixels);
         const clusters = clusterizeSpots(shape, pixels, spots, mask);
@@ -481,32 +769,37 @@ export const detectSpots = (imageBuffer, mimeType = 'image/jpeg') => {
 
 /**
  * Добавление на исходное изображение номеров [пятен]{@link Spot}
+ * Пиксели каждого пятна закрашиваются его цветом, после чего поверх пятен,
+ * которые нужно отметить, выводятся их номера
  * @param {Shape} shape ширина, высота и глубина цвета изображения
- * @param {Color[][]} pixels матрица пикселей изображения
+ * @param {Pixels} pixels байты пикселей изображения
  * @param {Spot[]} spots массив [пятен]{@link Spot}
- * @param {number[][]} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
+ * @param {Mask} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
  * @param {number} runNumber номер запуска функции. Нужен для определения диапазона отмечаемых номерами пятен
  * @returns {Buffer} буфер с содержимым Canvas
  */
 export const markSpots = (shape, pixels, spots, mask, runNumber) => {
-  const canvas = createCanvas(shape[0], shape[1]);
+  const [ width, height ] = shape;
+  const canvas = createCanvas(width, height);
   const ctx = canvas.getContext('2d');
-  const visited = new Array(shape[1]).fill(null).map(() => new Array(shape[0]).fill(false));
 
-  // сначала копирование на холст пикселей пятен, которые нужно отметить
+  // цвета пятен по их идентификаторам
+  const colors = new Array(spots.reduce((maxId, { id }) => Math.max(maxId, id), 0) + 1);
+  for (const spot of spots) {
+    colors[spot.id] = spot.color;
+  }
+
+  const imageData = ctx.createImageData(width, height);
+  for (let pixel = 0; pixel < mask.length; ++pixel) {
+    imageData.data.set(colors[mask[pixel]], pixel * 4);
+    imageData.data[pixel * 4 + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
   for (let i = 0; i < SpotsInRunNumber * (runNumber + 1) && i < spots.length; ++i) {
     const spot = spots[i];
-    ctx.fillStyle = `rgb(${pixels[spot.start[0]][spot.start[1]].join(',')})`;
-
-    traversePixels(
-      spot.start,
-      visited,
-      shape,
-      (i, j) => ctx.fillRect(j, i, 1, 1),
-      (next, [ i, j ]) => mask[i][j] === mask[next[0]][next[1]],
-   );
 
     // определение стиля текста для номера в зависимости от того,
     // добавляется он в этом запуске первый раз или был добавлен в одном из предыдущих
@@ -524,40 +817,152 @@ export const markSpots = (shape, pixels, spots, mask, runNumber) => {
     ctx.strokeText(i + 1, horizontalMiddle, verticalMiddle);
   }
 
-  // после этого копирование на холст пикселей всех остальных пятен
-  for (let i = 0; i < shape[1]; ++i) {
-    for (let j = 0; j < shape[0]; ++j) {
-      const spotIndex = spots.findIndex(({ id }) => id === mask[i][j]);
-      if (spotIndex < SpotsInRunNumber * (runNumber + 1)) {
+  return canvas.toBuffer();
+};
+
+/**
+ * Определение доли пикселей пятна в описанном вокруг него прямоугольнике
+ * Площадь кластера для этого не подходит, так как в описанный прямоугольник попадают и поглощённые пятна
+ * @param {Shape} shape ширина, высота и глубина цвета изображения
+ * @param {Spot} spot пятно
+ * @param {Mask} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
+ * @returns {number} доля пикселей пятна
+ */
+const getSpotFillRatio = (shape, spot, mask) => {
+  let pixelsNumber = 0;
+  for (let i = spot.top; i <= spot.bottom; ++i) {
+    for (let j = spot.left; j <= spot.right; ++j) {
+      if (mask[i * shape[0] + j] === spot.id) {
+        ++pixelsNumber;
+      }
+    }
+  }
+  return pixelsNumber / ((spot.bottom - spot.top + 1) * (spot.right - spot.left + 1));
+};
+
+/**
+ * Определение ширины колб по пятнам, которые могут быть слоями
+ * Шириной колб считается ширина пятна, пятна близкой к которой ширины
+ * занимают наибольшую суммарную площадь: слои составляют большую часть таких пятен
+ * @param {Spot[]} spots пятна, которые могут быть слоями
+ * @returns {number} ширина колб
+ */
+const detectLayerWidth = (spots) => {
+  const squares = new Map();
+  for (const { top, bottom, left, right } of spots) {
+    const width = right - left + 1;
+    squares.set(width, (squares.get(width) ?? 0) + (bottom - top + 1) * width);
+  }
+
+  let layerWidth = 0;
+  let maxSquare = -1;
+  for (const width of squares.keys()) {
+    const square = [ ...squares.entries() ]
+      .filter(([ otherWidth ]) => Math.abs(1 - otherWidth / width) < MaxAllowedCoordinatesDelta)
+      .reduce((sum, [ _, otherSquare ]) => sum + otherSquare, 0);
+    if (square > maxSquare || (square === maxSquare && width > layerWidth)) {
+      layerWidth = width;
+      maxSquare = square;
+    }
+  }
+  return layerWidth;
+};
+
+/**
+ * Автоматический выбор пятен, являющихся слоями в колбах, без опроса пользователя
+ * Слои -- почти прямоугольные пятна одинаковой ширины, сложенные в колбы друг на друга:
+ * 1. Отбор пятен, цвет которых отличается от цвета фона (самого большого по площади пятна),
+ * а пиксели [достаточно заполняют]{@link MinLayerFillRatio} описанный прямоугольник
+ * 2. [Определение ширины колб]{@link detectLayerWidth}
+ * 3. Выбор пятен такой ширины, за исключением [слишком низких]{@link MinLayerHeightRatio} --
+ * полос на границах слоёв, появляющихся при сжатии изображения
+ * 4. Добавление более узких пятен -- частично закрытых слоёв, -- если они находятся в одной колбе
+ * с уже выбранными и примыкают к ним сверху или снизу
+ * Кнопки, монеты и прочие элементы интерфейса отсеиваются по форме и ширине
+ * @param {Shape} shape ширина, высота и глубина цвета изображения
+ * @param {Spot[]} spots массив [пятен]{@link Spot}, отсортированный в порядке убывания площади
+ * @param {Mask} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
+ * @returns {Set<number>} номера выбранных пятен; пустое множество, если слоёв не найдено
+ */
+export const selectLayerSpots = (shape, spots, mask) => {
+  const candidatesIndices = [];
+  for (let i = 1; i < spots.length; ++i) {
+    const colorDistance = Math.sqrt(
+      spots[i].color.reduce((sum, byte, j) => sum + Math.pow(byte - spots[0].color[j], 2), 0),
+    );
+    if (
+      colorDistance > MaxAllowedColorDistanceForMatching &&
+      getSpotFillRatio(shape, spots[i], mask) >= MinLayerFillRatio
+    ) {
+      candidatesIndices.push(i);
+    }
+  }
+
+  const layerWidth = detectLayerWidth(candidatesIndices.map((i) => spots[i]));
+  const layersIndices = candidatesIndices.filter((i) =>
+    spots[i].bottom - spots[i].top + 1 >= layerWidth * MinLayerHeightRatio
+  );
+
+  const spotsIndices = new Set(layersIndices.filter((i) =>
+    Math.abs(1 - (spots[i].right - spots[i].left + 1) / layerWidth) < MaxAllowedCoordinatesDelta
+  ));
+
+  let isExtended = true;
+  while (isExtended) {
+    isExtended = false;
+    for (const i of layersIndices) {
+      const spot = spots[i];
+      if (spotsIndices.has(i) || spot.right - spot.left + 1 < layerWidth / 2) {
         continue;
       }
-      const spot = spots[spotIndex];
-      ctx.fillStyle = `rgb(${pixels[spot.start[0]][spot.start[1]].join(',')})`;
-      ctx.fillRect(j, i, 1, 1);
+
+      const horizontalMiddle = (spot.left + spot.right) / 2;
+      const isAdjacent = [ ...spotsIndices ].some((j) =>
+        horizontalMiddle >= spots[j].left &&
+        horizontalMiddle <= spots[j].right &&
+        Math.max(spot.top, spots[j].top) - Math.min(spot.bottom, spots[j].bottom) <=
+          layerWidth * MinLayerHeightRatio
+      );
+      if (isAdjacent) {
+        spotsIndices.add(i);
+        isExtended = true;
+      }
     }
   }
 
-  return canvas.toBuffer();
+  return spotsIndices;
 };
 
 /**
  * [Определение колб на изображении]{@link detectFlasks} и соотнесение цветов их слоёв с их слоями
+ * [Определение вместимости колб]{@link detectCapacity}
+ * [Определение цвета скрытых слоёв]{@link detectUnknownColor}
+ * [Объединение оттенков одного цвета]{@link mergeSimilarColors}
  * [Подготовка изображения для демонстрации результата работы алгоритма]{@link prepareImage}
  * и его [заполнение]{@link fullfillImage} с предварительным [заполнением игры]{@link fullfillPuzzle}
+ * [Определение границ колб]{@link getFlaskBounds} для отрисовки решения на исходном изображении
  * @param {Shape} shape ширина, высота и глубина цвета изображения
- * @param {Color[][]} pixels матрица пикселей изображения
+ * @param {Pixels} pixels байты пикселей изображения
  * @param {Spot[]} spots массив [пятен]{@link Spot}
- * @param {number[][]} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
+ * @param {Mask} mask матрица идентификаторов пятен, к которым относятся пиксели с соответствующими координатами
  * @param {Set<number>} spotsIndices множество номеров выбранных пятен
- * @returns {[ number[][], Buffer, ColorAsString[], { number, number[] } ]}
+ * @returns {[ number[][], Buffer, ColorAsString[], { number, number[] }, number, FlaskBounds[] ]}
  * игра в виде матрицы {@link Puzzle.layersMatrix}
  * распознанные колбы в формате изображения
  * массив цветов; по индексам устанавливается соответсвие слоям в игре в виде матрицы {@link Puzzle.layersMatrix}
  * количество рядов колб и количество колб в каждом ряду, распознанные на входном изображении
+ * вместимость колб
+ * границы колб на входном изображении
  */
 export const analyzeImage = (shape, pixels, spots, mask, spotsIndices) => {
   const [ flasks, colorsMap ] = detectFlasks(shape, pixels, spots, mask, spotsIndices);
 
+  const capacity = detectCapacity(flasks);
+
+  const unknownColor = detectUnknownColor(colorsMap, capacity);
+  const unknownLayers = colorsMap.get(unknownColor) ?? [];
+  colorsMap.delete(unknownColor);
+
   const flasksTopFractions = flasks.map((flask) =>
     Math.round(flask.at(-1).top / flasks[0].at(-1).top)
   );
@@ -573,27 +978,84 @@ export const analyzeImage = (shape, pixels, spots, mask, spotsIndices) => {
     return accum;
   }, [ [ flasksTopFractions[0], 0 ] ]).map(([ _, numberInRow ]) => numberInRow);
 
-  const [ canvas, ctx ] = prepareImage(rowsNumber, flasksInRows);
+  const [ canvas, ctx ] = prepareImage(rowsNumber, flasksInRows, capacity);
+
+  const mergedColorsMap = mergeSimilarColors(colorsMap, capacity);
+
+  const layersMatrix = fullfillPuzzle(flasks.length, mergedColorsMap, capacity, unknownLayers);
 
-  const layersMatrix = fullfillPuzzle(flasks.length, colorsMap);
+  const colors = [ ...mergedColorsMap.keys() ];
 
-  const colors = [ ...colorsMap.keys() ];
+  fullfillImage(rowsNumber, flasksInRows, layersMatrix, colors, ctx, capacity);
 
-  fullfillImage(rowsNumber, flasksInRows, layersMatrix, colors, ctx);
+  return [
+    layersMatrix,
+    canvas.toBuffer(),
+    colors,
+    { rowsNumber, flasksInRows },
+    capacity,
+    flasks.map((flask) => getFlaskBounds(flask, capacity)),
+  ];
+};
+
+/**
+ * Сопоставление цветов, определённых на новом изображении, с ранее определённой палитрой
+ * Каждому цвету сопоставляется ближайший цвет палитры, если расстояние между ними не превышает
+ * [допуск]{@link MaxAllowedColorDistanceForMatching}. Иначе цвет добавляется в палитру
+ * @param {ColorAsString[]} colors цвета, определённые на новом изображении
+ * @param {ColorAsString[]} palette ранее определённая палитра
+ * @returns {[ number[], ColorAsString[] ]} индексы в палитре, соответствующие цветам,
+ * и палитра, дополненная новыми цветами
+ */
+export const matchColorsWithPalette = (colors, palette) => {
+  const extendedPalette = [ ...palette ];
+
+  const indices = colors.map((color) => {
+    const bytes = color.split(',').map((byte) => parseInt(byte));
+
+    let closestIndex = -1;
+    let closestDistance = Infinity;
+    for (let i = 0; i < palette.length; ++i) {
+      const distance = Math.sqrt(palette[i]
+        .split(',')
+        .reduce((sum, byte, j) => sum + Math.pow(parseInt(byte) - bytes[j], 2), 0)
+      );
+      if (distance < closestDistance) {
+        closestIndex = i;
+        closestDistance = distance;
+      }
+    }
+
+    if (closestDistance <= MaxAllowedColorDistanceForMatching) {
+      return closestIndex;
+    }
+
+    extendedPalette.push(color);
+    return extendedPalette.length - 1;
+  });
 
-  return [ layersMatrix, canvas.toBuffer(), colors, { rowsNumber, flasksInRows } ];
+  return [ indices, extendedPalette ];
 };
 
 export let forTesting;
 if (!!process.env.NODE_TEST_CONTEXT) {
   forTesting = {
-    traversePixels,
+    findRoot,
+    uniteSets,
     constructSpots,
     clusterizeSpots,
     fullfillPuzzle,
+    detectUnknownColor,
     scanSpotsAlongMiddle,
     extractFlaskFromLayers,
     detectColorsInFlasks,
+    detectCapacity,
     detectFlasks,
+    getFlaskBounds,
+    getSpotFillRatio,
+    detectLayerWidth,
+    rgbToLab,
+    getColorDeltaE,
+    mergeSimilarColors,
   };
 }
@@ -1,12 +1,14 @@
 import 'dotenv/config';
 import { readFile } from 'fs/promises';
-import { Markup, session, Telegraf } from 'telegraf';
+import { session, Telegraf } from 'telegraf';
+import { configureCorrectionLoop } from './bot/correction-loop.js';
 import { configureImageAnalysisLoop } from './bot/image-analysis-loop.js';
-import { markMessageForReplace, replaceLastMessage } from './bot/replace-messages.js';
-import { configureSovlingLoop } from './bot/solving-loop.js';
+import { configurePuzzleCommand } from './bot/puzzle-command.js';
+import { replaceLastMessage } from './bot/replace-messages.js';
+import { createFileSessionStore } from './bot/session-store.js';
+import { cancelSolving, configureSovlingLoop } from './bot/solving-loop.js';
+import { configureWalkthrough } from './bot/walkthrough.js';
 import { HelpMessage } from './constants/help-message.const.js';
-import { SolvingMethod } from './constants/solving-method.const.js';
-import { analyzeImage } from './image-analyzer.js';
 
 /**
  * Корневой модуль, отвечающий за создание и работу телеграм бота
@@ -15,7 +17,7 @@ import { analyzeImage } from './image-analyzer.js';
 console.log('creating bot');
 
 const bot = new Telegraf(process.env.BOT_TOKEN);
-bot.use(session());
+bot.use(session({ store: createFileSessionStore(process.env.SESSIONS_DIRECTORY ?? './sessions') }));
 
 /**
  * Обработка команды /start
@@ -36,72 +38,30 @@ bot.help(async (ctx) => {
   );
 });
 
-configureImageAnalysisLoop(bot);
-
-/**
- * Обработка выбора пользователем закончить цикл вопросов о том, какие пятна
- * являются слоями в колбах, и перейти к поиску решения
- */
-bot.action('start_solving', async (ctx) => {
-  delete ctx.session.waitingForNumbers;
-
-  markMessageForReplace(ctx, await replaceLastMessage(ctx, 'Формирую колбочки 🤓'));
-
-  const [ layersMatrix, buffer, colors, imageData ] = analyzeImage(
-    ctx.session.shape,
-    ctx.session.pixels,
-    ctx.session.spots,
-    ctx.session.mask,
-    ctx.session.spotsIndices,
-  );
+configurePuzzleCommand(bot);
 
-  delete ctx.session.shape;
-  delete ctx.session.pixels;
-  delete ctx.session.spots;
-  delete ctx.session.mask;
-  delete ctx.session.runNumber;
-  delete ctx.session.spotsIndices;
-
-  ctx.session = {
-    ...ctx.session,
-    colors,
-    layersMatrix,
-    imageData,
-  };
+configureImageAnalysisLoop(bot);
 
-  await replaceLastMessage(
-    ctx,
-    { source: buffer },
-    { caption: 'Получились такие колбочки 🙂' },
-  );
-
-  markMessageForReplace(
-    ctx,
-    await ctx.reply(
-      'Искать самое быстрое решение (найдётся быстро, может состоять из большого количества ' +
-      'ходов), самое короткое решение (требует много времени на поиск, состоит из наименьшего ' +
-      'количества ходов) или балансное решение (найдётся сопоставимо быстро с быстрым или ' +
-      'быстрее, состоит из почти наименьшего или наименьшего количества ходов)?',
-      Markup.inlineKeyboard([
-        [ Markup.button.callback('Самое быстрое', `solve_${SolvingMethod.Fastest}`) ],
-        [ Markup.button.callback('Самое короткое', `solve_${SolvingMethod.Shortest}`) ],
-        [ Markup.button.callback('Балансное', `solve_${SolvingMethod.Balanced}`) ],
-        [ Markup.button.callback('Не искать решение', 'cancel') ],
-      ]),
-      { one_time_keyboard: true },
-    ),
-  );
-});
+configureCorrectionLoop(bot);
 
 configureSovlingLoop(bot);
 
+configureWalkthrough(bot);
+
 /**
  * Обработка инициированной пользователем отмены
  */
 bot.action('cancel', (ctx) => {
+  cancelSolving(ctx);
   delete ctx.session?.layersMatrix;
   delete ctx.session?.colors;
   delete ctx.session?.imageData;
+  delete ctx.session?.capacity;
+  delete ctx.session?.isWaitingForReveal;
+  delete ctx.session?.isContinuation;
+  delete ctx.session?.isEnteredAsText;
+  delete ctx.session?.screenshot;
+  delete ctx.session?.flasksBounds;
   return replaceLastMessage(ctx, 'До встречи!');
 });
 
@@ -0,0 +1,469 @@
+import { FlaskCapacity } from './constants/flask-capacity.const.js';
+import { PourRule } from './constants/pour-rule.const.js';
+import { UnknownLayer } from './constants/unknown-layer.const.js';
+
+/**
+ * Количество различных значений слоя в упакованной игре:
+ * [скрытый слой]{@link UnknownLayer} и цвета от 0 до 254
+ * @constant {number}
+ */
+const LayerValuesNumber = 256;
+
+/**
+ * Количество бит в младшей части хэша, которая вместе со старшей 32-битной
+ * частью даёт 53 бита -- столько, сколько точно представимо в числе
+ * @constant {number}
+ */
+const LowHashBits = 21;
+
+/**
+ * Маска младшей части хэша
+ * @constant {number}
+ */
+const LowHashMask = (1 << LowHashBits) - 1;
+
+/**
+ * Ключи хэширования Зобриста по вместимостям колб
+ * @type {Map<number, Uint32Array>}
+ */
+const zobristKeysByCapacity = new Map();
+
+/**
+ * Получение ключей хэширования Зобриста для каждой позиции слоя в колбе и каждого значения слоя
+ * Ключи генерируются детерминированным генератором псевдослучайных чисел (mulberry32),
+ * поэтому хэши одинаковых игр совпадают при каждом запуске
+ * @param {number} capacity вместимость колб
+ * @returns {Uint32Array} пары из старшей и младшей частей ключей:
+ * ключ значения value на позиции position начинается с индекса (position * LayerValuesNumber + value) * 2,
+ * а последняя пара -- хэш пустой колбы
+ */
+const getZobristKeys = (capacity) => {
+  if (zobristKeysByCapacity.has(capacity)) {
+    return zobristKeysByCapacity.get(capacity);
+  }
+
+  let seed = 0x9e3779b9;
+  const generateNumber = () => {
+    seed = seed + 0x6d2b79f5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, seed | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return (t ^ t >>> 14) >>> 0;
+  };
+
+  const keys = new Uint32Array((capacity * LayerValuesNumber + 1) * 2);
+  for (let i = 0; i < keys.length; i += 2) {
+    keys[i] = generateNumber();
+    keys[i + 1] = generateNumber() & LowHashMask;
+  }
+
+  zobristKeysByCapacity.set(capacity, keys);
+  return keys;
+};
+
+/**
+ * Класс игры в упакованном виде для поиска решения
+ * Слои всех колб хранятся в одном массиве байт, а хэш игры обновляется при каждом переливании,
+ * а не вычисляется заново. Хэш колбы -- XOR хэша пустой колбы и [ключей Зобриста]{@link getZobristKeys}
+ * её слоёв, а хэш игры -- сумма хэшей колб, поэтому он не зависит от порядка колб, как и
+ * [строка с сортировкой колб]{@link Puzzle.toStringWithSort}, но зависит от количества колб
+ * Хэш занимает 53 бита, так что вероятность совпадения хэшей разных состояний
+ * даже при десятках миллионов рассмотренных состояний -- доли процента
+ */
+export class PackedPuzzle {
+  /**
+   * Вместимость каждой из колб
+   * @type {number}
+   * @protected
+   */
+  _capacity;
+
+  /**
+   * Правила переливания
+   * @type {PourRule}
+   * @protected
+   */
+  _pourRule;
+
+  /**
+   * Слои колб подряд по {@link _capacity} на колбу, увеличенные на 1,
+   * так что [скрытый слой]{@link UnknownLayer} -- 0
+   * @type {Uint8Array}
+   * @protected
+   */
+  _layers;
+
+  /**
+   * Количество слоёв в каждой из колб
+   * @type {Uint8Array}
+   * @protected
+   */
+  _lengths;
+
+  /**
+   * Старшие и младшие части хэшей колб попарно
+   * @type {Uint32Array}
+   * @protected
+   */
+  _flaskHashes;
+
+  /**
+   * Старшая часть хэша игры
+   * @type {number}
+   * @protected
+   */
+  _highHash = 0;
+
+  /**
+   * Младшая часть хэша игры
+   * @type {number}
+   * @protected
+   */
+  _lowHash = 0;
+
+  /**
+   * Ключи хэширования Зобриста
+   * @type {Uint32Array}
+   * @protected
+   */
+  _zobristKeys;
+
+  /**
+   * Конструктор
+   * @param {number[][]} [layersMatrix=[]] массив колб в виде массива цветных слоёв
+   * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+   * @param {PourRule} [pourRule=PourRule.WholeRun] правила переливания
+   */
+  constructor(layersMatrix = [], capacity = FlaskCapacity, pourRule = PourRule.WholeRun) {
+    this._capacity = capacity;
+    this._pourRule = pourRule;
+    this._layers = new Uint8Array(0);
+    this._lengths = new Uint8Array(0);
+    this._flaskHashes = new Uint32Array(0);
+    this._zobristKeys = getZobristKeys(capacity);
+
+    layersMatrix.forEach((layers, i) => {
+      this.addEmptyFlask();
+      if (layers.length > capacity) {
+        throw new Error('Cannot fill flask over it\'s limit');
+      }
+      for (const layer of layers) {
+        if (layer < UnknownLayer || layer >= LayerValuesNumber - 1) {
+          throw new Error(`Cannot pack layer ${layer}`);
+        }
+        this._pushLayer(i, layer + 1);
+      }
+    });
+  }
+
+  /**
+   * Создание копии игры
+   * @public
+   * @returns {PackedPuzzle} копия игры
+   */
+  copy() {
+    const copy = new PackedPuzzle([], this._capacity, this._pourRule);
+    copy._layers = this._layers.slice();
+    copy._lengths = this._lengths.slice();
+    copy._flaskHashes = this._flaskHashes.slice();
+    copy._highHash = this._highHash;
+    copy._lowHash = this._lowHash;
+    return copy;
+  }
+
+  /**
+   * Получение вместимости колб
+   * @public
+   * @returns {number} вместимость каждой из колб
+   */
+  get capacity() {
+    return this._capacity;
+  }
+
+  /**
+   * Получение количества колб
+   * @public
+   * @returns {number} количество колб
+   */
+  get flasksNumber() {
+    return this._lengths.length;
+  }
+
+  /**
+   * Получение игры в виде матрицы
+   * @public
+   * @returns {number[][]} массив колб в виде массива цветных слоёв
+   */
+  get layersMatrix() {
+    return Array.from(this._lengths, (length, i) => Array.from(
+      this._layers.subarray(i * this._capacity, i * this._capacity + length),
+      (value) => value - 1,
+    ));
+  }
+
+  /**
+   * Получение хэша игры, не зависящего от порядка колб
+   * @public
+   * @returns {number} 53-битный хэш
+   */
+  get hash() {
+    return this._highHash * (LowHashMask + 1) + this._lowHash;
+  }
+
+  /**
+   * Проверка решённости игры
+   * Игра считается решённой, когда каждая колба либо пуста, либо заполнена
+   * слоями одного известного цвета
+   * @public
+   * @returns {boolean} признак решённости игры
+   */
+  get isSolved() {
+    for (let i = 0; i < this._lengths.length; ++i) {
+      if (this._lengths[i] === 0) {
+        continue;
+      }
+      if (this._lengths[i] !== this._capacity) {
+        return false;
+      }
+      const bottom = this._layers[i * this._capacity];
+      if (bottom === 0) {
+        return false;
+      }
+      for (let j = 1; j < this._capacity; ++j) {
+        if (this._layers[i * this._capacity + j] !== bottom) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Проверка наличия в игре [скрытых слоёв]{@link UnknownLayer}
+   * @public
+   * @returns {boolean} признак наличия скрытых слоёв
+   */
+  get hasUnknownLayers() {
+    for (let i = 0; i < this._lengths.length; ++i) {
+      for (let j = 0; j < this._lengths[i]; ++j) {
+        if (this._layers[i * this._capacity + j] === 0) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Проверка, что в игре открылся скрытый слой, цвет которого нужно узнать,
+   * прежде чем продолжать решение
+   * @public
+   * @returns {boolean} признак того, что верхний слой хотя бы одной колбы скрыт
+   */
+  get isWaitingForReveal() {
+    for (let i = 0; i < this._lengths.length; ++i) {
+      if (this._lengths[i] > 0 && this._layers[i * this._capacity + this._lengths[i] - 1] === 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Получение количества слоёв в колбе
+   * @public
+   * @param {number} flaskIndex индекс колбы
+   * @returns {number} количество слоёв
+   */
+  getFlaskLength(flaskIndex) {
+    return this._lengths[flaskIndex];
+  }
+
+  /**
+   * Получение слоя колбы
+   * @public
+   * @param {number} flaskIndex индекс колбы
+   * @param {number} position позиция слоя, начиная со дна
+   * @returns {number} цвет слоя или {@link UnknownLayer}
+   */
+  getLayer(flaskIndex, position) {
+    return this._layers[flaskIndex * this._capacity + position] - 1;
+  }
+
+  /**
+   * Проверка, что колба не пуста и все её слои -- одного известного цвета
+   * @public
+   * @param {number} flaskIndex индекс колбы
+   * @returns {boolean} признак одноцветности колбы
+   */
+  isFlaskMonochrome(flaskIndex) {
+    const length = this._lengths[flaskIndex];
+    const bottom = this._layers[flaskIndex * this._capacity];
+    if (length === 0 || bottom === 0) {
+      return false;
+    }
+    for (let i = 1; i < length; ++i) {
+      if (this._layers[flaskIndex * this._capacity + i] !== bottom) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Проверка валидности переливания из одной колбы в другую
+   * Правила совпадают с [правилами для колб]{@link Flask.isTransfusionValid}
+   * @public
+   * @param {number} sourceFlaskIndex индекс колбы, из которой переливают
+   * @param {number} destinationFlaskIndex индекс колбы, в которую переливают
+   * @returns {boolean} признак валидности переливания
+   */
+  isTransfusionValid(sourceFlaskIndex, destinationFlaskIndex) {
+    const sourceLength = this._lengths[sourceFlaskIndex];
+    const destinationLength = this._lengths[destinationFlaskIndex];
+    if (
+      sourceFlaskIndex === destinationFlaskIndex ||
+      sourceLength === 0 ||
+      destinationLength === this._capacity
+    ) {
+      return false;
+    }
+
+    const sourceTop = this._layers[sourceFlaskIndex * this._capacity + sourceLength - 1];
+    return sourceTop !== 0 && (
+      destinationLength === 0 ||
+      this._layers[destinationFlaskIndex * this._capacity + destinationLength - 1] === sourceTop
+    );
+  }
+
+  /**
+   * Переливание из одной колбы в другую
+   * В зависимости от [правил]{@link _pourRule} переливаются либо все верхние слои одного цвета,
+   * которые помещаются в колбу, либо только один верхний слой.
+   * Валидность переливания не проверяется, её нужно [проверить]{@link isTransfusionValid} заранее
+   * @public
+   * @param {number} sourceFlaskIndex индекс колбы, из которой переливают
+   * @param {number} destinationFlaskIndex индекс колбы, в которую переливают
+   * @returns {number} количество перелитых слоёв, нужное для [отмены переливания]{@link revertTransfusion}
+   */
+  transfuse(sourceFlaskIndex, destinationFlaskIndex) {
+    const layersNumber = this.getTransfusedLayersNumber(sourceFlaskIndex, destinationFlaskIndex);
+    for (let i = 0; i < layersNumber; ++i) {
+      this._pushLayer(destinationFlaskIndex, this._popLayer(sourceFlaskIndex));
+    }
+    return layersNumber;
+  }
+
+  /**
+   * Получение количества слоёв, которые будут перелиты при [переливании]{@link transfuse},
+   * без изменения игры
+   * Валидность переливания не проверяется, её нужно [проверить]{@link isTransfusionValid} заранее
+   * @public
+   * @param {number} sourceFlaskIndex индекс колбы, из которой переливают
+   * @param {number} destinationFlaskIndex индекс колбы, в которую переливают
+   * @returns {number} количество переливаемых слоёв
+   */
+  getTransfusedLayersNumber(sourceFlaskIndex, destinationFlaskIndex) {
+    const sourceOffset = sourceFlaskIndex * this._capacity;
+    const sourceLength = this._lengths[sourceFlaskIndex];
+    const top = this._layers[sourceOffset + sourceLength - 1];
+    const availableCapacity = this._pourRule === PourRule.SingleLayer ?
+      1 :
+      this._capacity - this._lengths[destinationFlaskIndex];
+
+    let layersNumber = 0;
+    while (
+      layersNumber < availableCapacity &&
+      layersNumber < sourceLength &&
+      this._layers[sourceOffset + sourceLength - 1 - layersNumber] === top
+    ) {
+      ++layersNumber;
+    }
+    return layersNumber;
+  }
+
+  /**
+   * Отмена переливания: возврат перелитых слоёв в исходную колбу
+   * Позволяет проверить состояние после переливания, не копируя игру
+   * @public
+   * @param {number} sourceFlaskIndex индекс колбы, из которой переливали
+   * @param {number} destinationFlaskIndex индекс колбы, в которую переливали
+   * @param {number} layersNumber количество перелитых слоёв
+   */
+  revertTransfusion(sourceFlaskIndex, destinationFlaskIndex, layersNumber) {
+    for (let i = 0; i < layersNumber; ++i) {
+      this._pushLayer(sourceFlaskIndex, this._popLayer(destinationFlaskIndex));
+    }
+  }
+
+  /**
+   * Добавление пустой колбы после всех колб
+   * @public
+   */
+  addEmptyFlask() {
+    const flasksNumber = this._lengths.length;
+
+    const layers = new Uint8Array((flasksNumber + 1) * this._capacity);
+    layers.set(this._layers);
+    this._layers = layers;
+
+    const lengths = new Uint8Array(flasksNumber + 1);
+    lengths.set(this._lengths);
+    this._lengths = lengths;
+
+    const emptyFlaskHashIndex = this._zobristKeys.length - 2;
+    const flaskHashes = new Uint32Array((flasksNumber + 1) * 2);
+    flaskHashes.set(this._flaskHashes);
+    flaskHashes[flasksNumber * 2] = this._zobristKeys[emptyFlaskHashIndex];
+    flaskHashes[flasksNumber * 2 + 1] = this._zobristKeys[emptyFlaskHashIndex + 1];
+    this._flaskHashes = flaskHashes;
+
+    this._highHash = (this._highHash + flaskHashes[flasksNumber * 2]) >>> 0;
+    this._lowHash = (this._lowHash + flaskHashes[flasksNumber * 2 + 1]) & LowHashMask;
+  }
+
+  /**
+   * Добавление слоя наверх колбы с обновлением хэшей
+   * @protected
+   * @param {number} flaskIndex индекс колбы
+   * @param {number} value слой, увеличенный на 1
+   */
+  _pushLayer(flaskIndex, value) {
+    const position = this._lengths[flaskIndex]++;
+    this._layers[flaskIndex * this._capacity + position] = value;
+    this._toggleLayerHash(flaskIndex, position, value);
+  }
+
+  /**
+   * Удаление верхнего слоя колбы с обновлением хэшей
+   * @protected
+   * @param {number} flaskIndex индекс колбы
+   * @returns {number} слой, увеличенный на 1
+   */
+  _popLayer(flaskIndex) {
+    const position = --this._lengths[flaskIndex];
+    const value = this._layers[flaskIndex * this._capacity + position];
+    this._layers[flaskIndex * this._capacity + position] = 0;
+    this._toggleLayerHash(flaskIndex, position, value);
+    return value;
+  }
+
+  /**
+   * Добавление слоя в хэш колбы или удаление из него и пересчёт хэша игры
+   * @protected
+   * @param {number} flaskIndex индекс колбы
+   * @param {number} position позиция слоя
+   * @param {number} value слой, увеличенный на 1
+   */
+  _toggleLayerHash(flaskIndex, position, value) {
+    const keyIndex = (position * LayerValuesNumber + value) * 2;
+    const highHash = this._flaskHashes[flaskIndex * 2];
+    const lowHash = this._flaskHashes[flaskIndex * 2 + 1];
+    const nextHighHash = (highHash ^ this._zobristKeys[keyIndex]) >>> 0;
+    const nextLowHash = lowHash ^ this._zobristKeys[keyIndex + 1];
+
+    this._flaskHashes[flaskIndex * 2] = nextHighHash;
+    this._flaskHashes[flaskIndex * 2 + 1] = nextLowHash;
+    this._highHash = (this._highHash - highHash + nextHighHash) >>> 0;
+    this._lowHash = (this._lowHash - lowHash + nextLowHash) & LowHashMask;
+  }
+}
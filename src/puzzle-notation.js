@@ -0,0 +1,176 @@
+import { EmojiColors } from './constants/emoji-colors.const.js';
+import { MaxFlasksInRow } from './constants/image-options/max-flasks-in-row.const.js';
+import { MaxEmptyFlasksNumber } from './constants/max-empty-flasks-number.const.js';
+import { pluralPipe } from './utils.js';
+
+/**
+ * Модуль разбора текстовой записи игры
+ * Позволяет ввести игру вручную, без скриншота
+ *
+ * Запись состоит из строк, каждая строка -- одна колба, слои в ней перечисляются снизу вверх.
+ * Каждый цвет обозначается одним символом: буквой или эмодзи, пробелы игнорируются.
+ * Строка из одного дефиса обозначает пустую колбу, строка из одного числа -- столько же пустых колб.
+ * Всего пустых колб может быть не больше {@link MaxEmptyFlasksNumber}
+ */
+
+/**
+ * Разбиение строки на символы с учётом эмодзи, состоящих из нескольких кодовых точек
+ * @param {string} line строка
+ * @returns {string[]} символы строки без пробелов
+ */
+const splitIntoSymbols = (line) => {
+  return [ ...new Intl.Segmenter().segment(line) ]
+    .map(({ segment }) => segment)
+    .filter((segment) => !/^\s+$/.test(segment));
+};
+
+/**
+ * Определение вместимости колб как наиболее частого количества слоёв одного цвета
+ * При равенстве частот выбирается большее количество
+ * @param {Map<string, number>} symbolsCounts количество слоёв каждого цвета
+ * @returns {number} вместимость колб
+ */
+const detectCapacity = (symbolsCounts) => {
+  const frequencies = new Map();
+  for (const count of symbolsCounts.values()) {
+    frequencies.set(count, (frequencies.get(count) ?? 0) + 1);
+  }
+  return [ ...frequencies.entries() ]
+    .reduce((best, current) => {
+      if (current[1] > best[1] || (current[1] === best[1] && current[0] > best[0])) {
+        return current;
+      }
+      return best;
+    })[0];
+};
+
+/**
+ * Разбор текстовой записи игры и её проверка: каждый цвет должен встречаться
+ * ровно столько раз, какова вместимость колб, ни одна колба не должна быть переполнена,
+ * а пустых колб должно быть не больше {@link MaxEmptyFlasksNumber}
+ * @param {string} notation текстовая запись игры
+ * @returns {{ layersMatrix: number[][], capacity: number, symbols: string[] }} игра в виде матрицы
+ * {@link Puzzle.layersMatrix}, вместимость колб и символы цветов в порядке номеров цветов
+ * @throws {Error} ошибка с описанием проблемы в записи, понятным пользователю
+ */
+export const parsePuzzleNotation = (notation) => {
+  const layersMatrix = [];
+  const symbols = [];
+  const symbolsCounts = new Map();
+  let emptyFlasksNumber = 0;
+
+  for (const line of (notation ?? '').split('\n').map((line) => line.trim())) {
+    if (line.length === 0) {
+      continue;
+    }
+    if (line === '-' || /^\d+$/.test(line)) {
+      const lineEmptyFlasksNumber = line === '-' ? 1 : parseInt(line);
+      emptyFlasksNumber += lineEmptyFlasksNumber;
+      // проверка до создания колб, чтобы огромное число не заняло всю память
+      if (emptyFlasksNumber > MaxEmptyFlasksNumber) {
+        throw new Error(`Пустых колб может быть не больше ${MaxEmptyFlasksNumber}`);
+      }
+      layersMatrix.push(...new Array(lineEmptyFlasksNumber).fill(null).map(() => []));
+      continue;
+    }
+
+    layersMatrix.push(splitIntoSymbols(line).map((symbol) => {
+      if (!symbolsCounts.has(symbol)) {
+        symbols.push(symbol);
+        symbolsCounts.set(symbol, 0);
+      }
+      symbolsCounts.set(symbol, symbolsCounts.get(symbol) + 1);
+      return symbols.indexOf(symbol);
+    }));
+  }
+
+  if (symbols.length === 0) {
+    throw new Error('Не нашёл ни одного цвета');
+  }
+
+  const capacity = detectCapacity(symbolsCounts);
+
+  const wrongSymbols = symbols.filter((symbol) => symbolsCounts.get(symbol) !== capacity);
+  if (wrongSymbols.length > 0) {
+    throw new Error(
+      `Каждый цвет должен встречаться ${capacity} ${
+        pluralPipe(capacity, [ 'раз', 'раза', 'раз' ])
+      }, но ${
+        wrongSymbols.map((symbol) => `${symbol} встречается ${symbolsCounts.get(symbol)}`).join(', ')
+      }`,
+    );
+  }
+
+  const overfilledFlasks = layersMatrix
+    .map((layers, i) => [ layers, i ])
+    .filter(([ layers ]) => layers.length > capacity)
+    .map(([ _, i ]) => i + 1);
+  if (overfilledFlasks.length > 0) {
+    throw new Error(
+      `В колбе может быть не больше ${capacity} ${
+        pluralPipe(capacity, [ 'слоя', 'слоёв', 'слоёв' ])
+      }, но колбы ${
+        overfilledFlasks.join(', ')
+      } переполнены`,
+    );
+  }
+
+  return { layersMatrix, capacity, symbols };
+};
+
+/**
+ * Перевод цвета из HSL в RGB
+ * @param {number} hue тон в градусах
+ * @param {number} saturation насыщенность от 0 до 1
+ * @param {number} lightness светлота от 0 до 1
+ * @returns {number[]} байты RGB
+ */
+const hslToRgb = (hue, saturation, lightness) => {
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    return lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [ f(0), f(8), f(4) ].map((channel) => Math.round(channel * 255));
+};
+
+/**
+ * Формирование палитры для [визуализации]{@link visualizeSolution} игры, введённой текстом
+ * Цветным эмодзи соответствуют их [цвета]{@link EmojiColors}, остальным символам --
+ * равномерно распределённые по тону цвета
+ * @param {string[]} symbols символы цветов в порядке номеров цветов
+ * @returns {string[]} байты RGB цветов, разделённые запятыми
+ */
+export const generatePalette = (symbols) => {
+  const otherSymbols = symbols.filter((symbol) => !EmojiColors[symbol]);
+  return symbols.map((symbol) => {
+    if (EmojiColors[symbol]) {
+      return EmojiColors[symbol];
+    }
+    const hue = 360 * otherSymbols.indexOf(symbol) / otherSymbols.length;
+    return hslToRgb(hue, 0.7, 0.5).join(', ');
+  });
+};
+
+/**
+ * Распределение колб по рядам для изображения игры, введённой текстом
+ * Колбы распределяются по рядам равномерно, в ряду не больше {@link MaxFlasksInRow} колб
+ * @param {number} flasksNumber количество колб
+ * @returns {{ rowsNumber: number, flasksInRows: number[] }} количество рядов колб и количество колб в каждом ряду
+ */
+export const calculateImageData = (flasksNumber) => {
+  const rowsNumber = Math.max(1, Math.ceil(flasksNumber / MaxFlasksInRow));
+  const flasksInRows = new Array(rowsNumber).fill(null).map((_, i) =>
+    Math.floor(flasksNumber / rowsNumber) + (i < flasksNumber % rowsNumber ? 1 : 0)
+  );
+  return { rowsNumber, flasksInRows };
+};
+
+export let forTesting;
+if (!!process.env.NODE_TEST_CONTEXT) {
+  forTesting = {
+    splitIntoSymbols,
+    detectCapacity,
+    hslToRgb,
+  };
+}
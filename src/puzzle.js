@@ -1,4 +1,6 @@
 import { FlaskCapacity } from './constants/flask-capacity.const.js';
+import { PourRule } from './constants/pour-rule.const.js';
+import { UnknownLayer } from './constants/unknown-layer.const.js';
 import { Flask } from './flask.js';
 
 /**
@@ -8,16 +10,34 @@ export class Puzzle {
   /**
    * Колбы
    * @type {Flask[]}
-   * @protacted
+   * @protected
    */
   _flasks;
 
+  /**
+   * Вместимость каждой из колб
+   * @type {number}
+   * @protected
+   */
+  _capacity;
+
+  /**
+   * Правила переливания
+   * @type {PourRule}
+   * @protected
+   */
+  _pourRule;
+
   /**
    * Конструктор
    * @param {number[][]} [layersMatrix=[]] массив колб в виде массива цветных слоёв
+   * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+   * @param {PourRule} [pourRule=PourRule.WholeRun] правила переливания
    */
-  constructor(layersMatrix = []) {
-    this._flasks = layersMatrix.map((layers) => new Flask(layers));
+  constructor(layersMatrix = [], capacity = FlaskCapacity, pourRule = PourRule.WholeRun) {
+    this._capacity = capacity;
+    this._pourRule = pourRule;
+    this._flasks = layersMatrix.map((layers) => new Flask(layers, capacity));
   }
 
   /**
@@ -26,7 +46,29 @@ export class Puzzle {
    * @returns {Puzzle} копия игры
    */
   copy() {
-    return new Puzzle(this._flasks.map((flask) => [ ...flask.layers ]));
+    return new Puzzle(
+      this._flasks.map((flask) => [ ...flask.layers ]),
+      this._capacity,
+      this._pourRule,
+    );
+  }
+
+  /**
+   * Получение вместимости колб игры
+   * @public
+   * @returns {number} вместимость каждой из колб
+   */
+  get capacity() {
+    return this._capacity;
+  }
+
+  /**
+   * Получение правил переливания
+   * @public
+   * @returns {PourRule} правила переливания
+   */
+  get pourRule() {
+    return this._pourRule;
   }
 
   /**
@@ -58,6 +100,58 @@ export class Puzzle {
     return !this._flasks.some((flask) => !flask.isInFinalState);
   }
 
+  /**
+   * Проверка наличия в игре [скрытых слоёв]{@link UnknownLayer}
+   * @public
+   * @returns {boolean} признак наличия скрытых слоёв
+   */
+  get hasUnknownLayers() {
+    return this._flasks.some((flask) => flask.hasUnknownLayers);
+  }
+
+  /**
+   * Проверка, что в игре открылся скрытый слой, цвет которого нужно узнать,
+   * прежде чем продолжать решение
+   * @public
+   * @returns {boolean} признак того, что верхний слой хотя бы одной колбы скрыт
+   */
+  get isWaitingForReveal() {
+    return this._flasks.some((flask) => flask.isTopLayerUnknown);
+  }
+
+  /**
+   * Открытие скрытых слоёв
+   * Каждый [скрытый слой]{@link UnknownLayer} заменяется слоем с такой же позицией
+   * из переданной матрицы, если в ней этот слой известен
+   * Пустые колбы не сопоставляются: на скриншоте их не найти, поэтому непустые колбы
+   * переданной матрицы по порядку соответствуют непустым колбам игры
+   * @public
+   * @param {number[][]} layersMatrix игра в виде матрицы с открытыми слоями
+   */
+  revealLayers(layersMatrix) {
+    const revealedLayersMatrix = layersMatrix.filter((layers) => layers.length > 0);
+    const nonEmptyFlasks = this._flasks.filter((flask) => flask.layers.length > 0);
+    if (
+      revealedLayersMatrix.length !== nonEmptyFlasks.length ||
+      revealedLayersMatrix.some((layers, i) => layers.length !== nonEmptyFlasks[i].layers.length)
+    ) {
+      throw new Error('Revealed puzzle does not match current one');
+    }
+
+    this._flasks = this._flasks.map((flask) => {
+      if (flask.layers.length === 0) {
+        return flask;
+      }
+      const revealedLayers = revealedLayersMatrix[nonEmptyFlasks.indexOf(flask)];
+      return new Flask(
+        flask.layers.map((layer, j) =>
+          layer === UnknownLayer ? revealedLayers[j] : layer
+        ),
+        this._capacity,
+      );
+    });
+  }
+
   /**
    * Проверка валидности переливания из одной колбы в другую
    * @public
@@ -104,6 +198,7 @@ export class Puzzle {
     Flask.transfuse(
       this._flasks[sourceFlaskIndex],
       this._flasks[destinationFlaskIndex],
+      this._pourRule,
     );
   }
 
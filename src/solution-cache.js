@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import { readFile, utimes } from 'fs/promises';
+import { join } from 'path';
+import { DefaultEmptyFlasksNumber } from './constants/default-empty-flasks-number.const.js';
+import { PourRule } from './constants/pour-rule.const.js';
+import { SolutionCacheTtl } from './constants/solution-cache-ttl.const.js';
+import { SolutionCacheVersion } from './constants/solution-cache-version.const.js';
+import { SolvingMethod } from './constants/solving-method.const.js';
+import { UnknownLayer } from './constants/unknown-layer.const.js';
+import { removeExpiredFiles, removeFileIfExpired, writeFileAtomically } from './file-utils.js';
+
+/**
+ * Модуль кэша найденных решений
+ * Решения хранятся в файлах по отпечатку канонической формы игры, которая не зависит
+ * ни от порядка колб, ни от того, какими номерами обозначены цвета, но зависит от правил переливания. Поэтому одна и та же игра,
+ * присланная разными пользователями, решается один раз
+ * Для каждого метода решения и количества пустых колб, с которого начинается поиск,
+ * хранится лучшее из найденных решений: с меньшим количеством пустых колб, а при равенстве --
+ * с меньшим количеством ходов. Решение, найденное любым методом, заменяет уже сохранённые
+ * решения других методов, если оно лучше них
+ * Решения сохраняются вместе с {@link SolutionCacheVersion}, и решения другой версии
+ * считаются отсутствующими, поэтому после улучшения поиска решения игры решаются заново
+ * Файл с решениями игры удаляется, если к нему не обращались дольше {@link SolutionCacheTtl},
+ * поэтому кэш не растёт неограниченно
+ *
+ * Каноническая форма игры. Содержит:
+ * - отпечаток, одинаковый для игр, отличающихся только порядком колб и номерами цветов,
+ * - номера исходных колб в порядке канонической формы.
+ * @typedef {{ fingerprint: string, flasksOrder: number[] }} CanonicalForm
+ *
+ * Решение: массив пар номеров колб для [переливания]{@link Puzzle.transfuse},
+ * необходимое количество пустых колб и количество ходов в решении до [оптимизации]{@link optimizeSolution}
+ * @typedef {[ number[][], number, number? ]} Solution
+ */
+
+/**
+ * Разбиение цветов на классы, не зависящие от номеров цветов
+ * Сначала все цвета в одном классе, затем классы уточняются по тому, на каких позициях
+ * в каждой колбе и в колбах с какой последовательностью классов лежат слои цвета,
+ * пока количество классов растёт
+ * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
+ * @returns {Map<number, number>} номера классов цветов
+ */
+const classifyColors = (layersMatrix) => {
+  const colors = [ ...new Set(layersMatrix.flat()) ].filter((color) => color !== UnknownLayer);
+  let classes = new Map(colors.map((color) => [ color, 0 ]));
+  const getClass = (layer) => layer === UnknownLayer ? UnknownLayer : classes.get(layer);
+
+  let classesNumber = 1;
+  while (true) {
+    const occurrences = new Map(colors.map((color) => [ color, [] ]));
+    for (const layers of layersMatrix) {
+      const flaskSignature = layers.map(getClass).join(',');
+      const positions = new Map();
+      layers.forEach((layer, i) => positions.set(layer, [ ...(positions.get(layer) ?? []), i ]));
+      for (const [ layer, layerPositions ] of positions) {
+        occurrences.get(layer)?.push(`${layerPositions.join(',')}:${flaskSignature}`);
+      }
+    }
+
+    // предыдущий класс в начале подписи гарантирует, что классы только дробятся
+    const signatures = new Map(colors.map((color) => [
+      color,
+      `${classes.get(color)}|${occurrences.get(color).sort().join(';')}`,
+    ]));
+    const sortedSignatures = [ ...new Set(signatures.values()) ].sort();
+    classes = new Map(colors.map((color) => [
+      color,
+      sortedSignatures.indexOf(signatures.get(color)),
+    ]));
+
+    if (sortedSignatures.length === classesNumber) {
+      return classes;
+    }
+    classesNumber = sortedSignatures.length;
+  }
+};
+
+/**
+ * Приведение игры к канонической форме
+ * Цвета перенумеровываются по [классам]{@link classifyColors}, а внутри класса -- по порядку
+ * появления в колбах, после чего колбы сортируются. Для игр с симметрией, в которых классы
+ * не различают цвета, одна и та же игра в редких случаях может получить разные отпечатки,
+ * что приводит только к промаху кэша, но не к неверному решению
+ * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
+ * @param {number} capacity вместимость каждой из колб
+ * @param {PourRule} [pourRule=PourRule.WholeRun] правила переливания
+ * @returns {CanonicalForm} каноническая форма игры
+ */
+const getCanonicalForm = (layersMatrix, capacity, pourRule = PourRule.WholeRun) => {
+  const classes = classifyColors(layersMatrix);
+  const getClass = (layer) => layer === UnknownLayer ? UnknownLayer : classes.get(layer);
+
+  const flasksByClasses = layersMatrix
+    .map((layers, i) => [ layers.map(getClass).join(','), i ])
+    .sort(([ a ], [ b ]) => a < b ? -1 : a > b ? 1 : 0);
+  const firstAppearances = new Map();
+  for (const [ , i ] of flasksByClasses) {
+    for (const layer of layersMatrix[i]) {
+      if (layer !== UnknownLayer && !firstAppearances.has(layer)) {
+        firstAppearances.set(layer, firstAppearances.size);
+      }
+    }
+  }
+  const labels = new Map(
+    [ ...firstAppearances.keys() ]
+      .sort((a, b) => classes.get(a) - classes.get(b) || firstAppearances.get(a) - firstAppearances.get(b))
+      .map((color, i) => [ color, i ]),
+  );
+
+  const flasks = layersMatrix
+    .map((layers, i) => [
+      layers.map((layer) => layer === UnknownLayer ? UnknownLayer : labels.get(layer)).join(','),
+      i,
+    ])
+    .sort(([ a ], [ b ]) => a < b ? -1 : a > b ? 1 : 0);
+
+  return {
+    fingerprint: crypto
+      .createHash('md5')
+      .update(`${capacity}\n${pourRule}\n${flasks.map(([ flask ]) => flask).join('\n')}`)
+      .digest('hex'),
+    flasksOrder: flasks.map(([ , i ]) => i),
+  };
+};
+
+/**
+ * Перевод номеров колб в переливаниях с помощью соответствия номеров
+ * Номера добавленных пустых колб, которых нет в соответствии, не меняются
+ * @param {number[][]} transfusions массив пар номеров колб для переливания
+ * @param {number[]} flasksMap соответствие номеров колб
+ * @returns {number[][]} массив пар переведённых номеров колб
+ */
+const mapTransfusions = (transfusions, flasksMap) => {
+  return transfusions.map((transfusion) => transfusion.map((i) => flasksMap[i] ?? i));
+};
+
+/**
+ * Сравнение решений
+ * @param {Solution} solution решение
+ * @param {Solution} [other] другое решение
+ * @returns {boolean} признак того, что решение лучше другого
+ */
+const isBetterSolution = ([ transfusions, emptyFlasksNumber ], other) => {
+  if (!other) {
+    return true;
+  }
+  const [ otherTransfusions, otherEmptyFlasksNumber ] = other;
+  return emptyFlasksNumber < otherEmptyFlasksNumber ||
+    emptyFlasksNumber === otherEmptyFlasksNumber && transfusions.length < otherTransfusions.length;
+};
+
+/**
+ * Максимальный интервал между удалениями устаревших решений в миллисекундах
+ * Нужен, так как setInterval не поддерживает интервалы длиннее 2^31 - 1 миллисекунд
+ * @constant {number}
+ */
+const MaxCleanupInterval = 24 * 60 * 60 * 1000;
+
+/**
+ * Создание кэша решений в файлах
+ * Устаревшие решения удаляются при чтении, а также при создании кэша и затем периодически
+ * @param {string} directory папка с файлами кэша, создаётся при необходимости
+ * @param {number} [ttl=SolutionCacheTtl] время хранения решений в миллисекундах
+ * @returns {{
+ *   get: (
+ *     layersMatrix: number[][],
+ *     solvingMethod: SolvingMethod,
+ *     capacity: number,
+ *     minEmptyFlasksNumber?: number,
+ *     pourRule?: PourRule,
+ *   ) => Promise<Solution | undefined>,
+ *   set: (
+ *     layersMatrix: number[][],
+ *     solvingMethod: SolvingMethod,
+ *     capacity: number,
+ *     minEmptyFlasksNumber: number | undefined,
+ *     pourRule: PourRule | undefined,
+ *     solution: Solution,
+ *   ) => Promise<void>,
+ * }} кэш решений, параметры методов которого совпадают с параметрами поиска решения
+ */
+export const createSolutionCache = (directory, ttl = SolutionCacheTtl) => {
+  const getPath = (fingerprint) => join(directory, `${fingerprint}.json`);
+
+  removeExpiredFiles(directory, ttl);
+  setInterval(
+    () => removeExpiredFiles(directory, ttl),
+    Math.min(ttl, MaxCleanupInterval),
+  ).unref();
+
+  /**
+   * Чтение всех решений игры
+   * Отсутствующий, устаревший или повреждённый файл, как и файл другой версии, означает, что решений нет
+   * @param {string} fingerprint отпечаток игры
+   * @returns {Promise<Record<SolvingMethod, Record<number, Solution>>>} решения игры
+   */
+  const readSolutions = async (fingerprint) => {
+    const path = getPath(fingerprint);
+    try {
+      if (await removeFileIfExpired(path, ttl)) {
+        return {};
+      }
+      const { version, solutions } = JSON.parse(await readFile(path, 'utf8'));
+      return version === SolutionCacheVersion && solutions ? solutions : {};
+    } catch {
+      return {};
+    }
+  };
+
+  return {
+    async get(
+      layersMatrix,
+      solvingMethod,
+      capacity,
+      minEmptyFlasksNumber = DefaultEmptyFlasksNumber,
+      pourRule = PourRule.WholeRun,
+    ) {
+      const { fingerprint, flasksOrder } = getCanonicalForm(layersMatrix, capacity, pourRule);
+      const solution = (await readSolutions(fingerprint))[solvingMethod]?.[minEmptyFlasksNumber];
+      if (!solution) {
+        return undefined;
+      }
+      // обращение продлевает время хранения решений игры
+      const now = new Date();
+      await utimes(getPath(fingerprint), now, now).catch(() => {});
+      const [ transfusions, emptyFlasksNumber, originalTransfusionsNumber ] = solution;
+      return [
+        mapTransfusions(transfusions, flasksOrder),
+        emptyFlasksNumber,
+        originalTransfusionsNumber,
+      ];
+    },
+
+    async set(
+      layersMatrix,
+      solvingMethod,
+      capacity,
+      minEmptyFlasksNumber = DefaultEmptyFlasksNumber,
+      pourRule = PourRule.WholeRun,
+      [ transfusions, emptyFlasksNumber, originalTransfusionsNumber ],
+    ) {
+      const { fingerprint, flasksOrder } = getCanonicalForm(layersMatrix, capacity, pourRule);
+      const canonicalIndices = [];
+      flasksOrder.forEach((i, canonicalIndex) => canonicalIndices[i] = canonicalIndex);
+      const solution = [
+        mapTransfusions(transfusions, canonicalIndices),
+        emptyFlasksNumber,
+        originalTransfusionsNumber,
+      ];
+
+      const solutions = await readSolutions(fingerprint);
+      // решения других методов заменяются, только если они уже есть, так как, например,
+      // решение, найденное не оптимальным методом, нельзя выдавать за оптимальное
+      const replacedSolvingMethods = Object.values(SolvingMethod).filter((method) =>
+        (method === solvingMethod || solutions[method]?.[minEmptyFlasksNumber]) &&
+        isBetterSolution(solution, solutions[method]?.[minEmptyFlasksNumber])
+      );
+      if (replacedSolvingMethods.length === 0) {
+        return;
+      }
+      for (const method of replacedSolvingMethods) {
+        solutions[method] = { ...solutions[method], [minEmptyFlasksNumber]: solution };
+      }
+
+      await writeFileAtomically(
+        getPath(fingerprint),
+        JSON.stringify({ version: SolutionCacheVersion, solutions }),
+      );
+    },
+  };
+};
+
+export let forTesting;
+if (!!process.env.NODE_TEST_CONTEXT) {
+  forTesting = {
+    classifyColors,
+    getCanonicalForm,
+    mapTransfusions,
+    isBetterSolution,
+  };
+}
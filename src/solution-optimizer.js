@@ -0,0 +1,173 @@
+import { FlaskCapacity } from './constants/flask-capacity.const.js';
+import { PourRule } from './constants/pour-rule.const.js';
+import { SolutionOptimizationDepth } from './constants/solution-optimization-depth.const.js';
+import { PackedPuzzle } from './packed-puzzle.js';
+
+/**
+ * Модуль оптимизации найденного решения
+ * Сокращает решение, заменяя его участки более короткими последовательностями ходов.
+ * Из каждого состояния решения перебираются все последовательности не длиннее заданной глубины,
+ * и если одна из них приводит в состояние, которое в решении встречается позже, или сразу
+ * в конечное состояние, ходы между ними заменяются найденными
+ * Частные случаи такой замены -- удаление ходов, после которых игра возвращается
+ * в уже пройденное состояние (в том числе пар взаимно отменяющих друг друга переливаний),
+ * и объединение нескольких переливаний в одно
+ * Состояния сравниваются без учёта порядка колб, а номера колб в оставшейся части решения
+ * заменяются на номера колб с тем же содержимым
+ *
+ * Параметры оптимизации решения
+ * @typedef {Object} OptimizeSolutionOptions
+ * @property {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @property {PourRule} [pourRule=PourRule.WholeRun] правило переливания
+ * @property {number} [depth=SolutionOptimizationDepth] максимальное количество ходов,
+ * которыми заменяется участок решения
+ */
+
+/**
+ * Проверка того, что поиск решения в этом состоянии завершается:
+ * игра решена или открылся скрытый слой
+ * @param {PackedPuzzle} puzzle игра
+ * @returns {boolean} признак завершения
+ */
+const isSearchFinished = (puzzle) => puzzle.isSolved || puzzle.isWaitingForReveal;
+
+/**
+ * Получение состояний игры перед каждым ходом решения и после последнего хода
+ * @param {PackedPuzzle} puzzle начальное состояние игры
+ * @param {number[][]} transfusions массив пар номеров колб для [переливания]{@link PackedPuzzle.transfuse}
+ * @returns {PackedPuzzle[]} состояния игры
+ */
+const replaySolution = (puzzle, transfusions) => {
+  const states = [ puzzle.copy() ];
+  for (const [ i, j ] of transfusions) {
+    const state = states[states.length - 1].copy();
+    state.transfuse(i, j);
+    states.push(state);
+  }
+  return states;
+};
+
+/**
+ * Сопоставление колб двух состояний игры, различающихся только порядком колб
+ * @param {PackedPuzzle} state состояние, колбы которого ищутся
+ * @param {PackedPuzzle} target состояние, колбам которого ищется соответствие
+ * @returns {number[]|undefined} номера колб в state для каждой колбы target
+ * либо undefined, если состояния различаются не только порядком колб
+ */
+const getFlasksPermutation = (state, target) => {
+  const flasksIndices = new Map();
+  state.layersMatrix.forEach((flask, i) => {
+    const key = flask.join();
+    flasksIndices.set(key, [ ...(flasksIndices.get(key) ?? []), i ]);
+  });
+
+  const permutation = target.layersMatrix.map((flask) => flasksIndices.get(flask.join())?.pop());
+  return permutation.includes(undefined) ? undefined : permutation;
+};
+
+/**
+ * Поиск замены для участка решения, начинающегося с заданного хода
+ * Перебираются все последовательности ходов не длиннее depth, и выбирается та,
+ * которая сокращает решение сильнее всего
+ * @param {PackedPuzzle[]} states [состояния игры]{@link replaySolution} в решении
+ * @param {number[][]} transfusions массив пар номеров колб для переливания
+ * @param {number} start номер хода, с которого начинается участок
+ * @param {number} depth максимальное количество ходов в замене
+ * @returns {number[][]|undefined} новые ходы решения, начиная с хода start,
+ * либо undefined, если сократить решение не удалось
+ */
+const findShortcut = (states, transfusions, start, depth) => {
+  const lastStateIndices = new Map(states.map((state, i) => [ state.hash, i ]));
+  const visitedHashes = new Set([ states[start].hash ]);
+
+  let bestSaving = 0;
+  let bestShortcut = undefined;
+  let level = [ { puzzle: states[start], transfusions: [] } ];
+  for (let currentDepth = 0; currentDepth <= depth && level.length > 0; ++currentDepth) {
+    const nextLevel = [];
+    for (const step of level) {
+      if (isSearchFinished(step.puzzle)) {
+        if (transfusions.length - start - currentDepth > bestSaving) {
+          bestSaving = transfusions.length - start - currentDepth;
+          bestShortcut = step.transfusions;
+        }
+        continue;
+      }
+
+      const end = lastStateIndices.get(step.puzzle.hash);
+      const permutation = end - start - currentDepth > bestSaving &&
+        getFlasksPermutation(step.puzzle, states[end]);
+      if (permutation) {
+        bestSaving = end - start - currentDepth;
+        bestShortcut = [
+          ...step.transfusions,
+          ...transfusions.slice(end).map(([ i, j ]) => [ permutation[i], permutation[j] ]),
+        ];
+      }
+
+      if (currentDepth === depth) {
+        continue;
+      }
+      for (let i = 0; i < step.puzzle.flasksNumber; ++i) {
+        for (let j = 0; j < step.puzzle.flasksNumber; ++j) {
+          if (!step.puzzle.isTransfusionValid(i, j)) {
+            continue;
+          }
+          const puzzle = step.puzzle.copy();
+          puzzle.transfuse(i, j);
+          if (visitedHashes.has(puzzle.hash)) {
+            continue;
+          }
+          visitedHashes.add(puzzle.hash);
+          nextLevel.push({ puzzle, transfusions: [ ...step.transfusions, [ i, j ] ] });
+        }
+      }
+    }
+    level = nextLevel;
+  }
+  return bestShortcut;
+};
+
+/**
+ * Оптимизация найденного решения
+ * Решение должно заканчиваться первым же состоянием, в котором игра решена
+ * или открылся скрытый слой. Оптимизированное решение тоже заканчивается таким состоянием,
+ * но не обязательно тем же: например, может открыться другой скрытый слой
+ * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
+ * вместе со всеми пустыми колбами, используемыми в решении
+ * @param {number[][]} transfusions массив пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {OptimizeSolutionOptions} [options={}] параметры оптимизации
+ * @returns {number[][]} решение, не длиннее исходного
+ */
+export const optimizeSolution = (
+  layersMatrix,
+  transfusions,
+  {
+    capacity = FlaskCapacity,
+    pourRule = PourRule.WholeRun,
+    depth = SolutionOptimizationDepth,
+  } = {},
+) => {
+  const puzzle = new PackedPuzzle(layersMatrix, capacity, pourRule);
+  let optimizedTransfusions = transfusions;
+  let states = replaySolution(puzzle, optimizedTransfusions);
+  for (let start = 0; start < optimizedTransfusions.length;) {
+    const shortcut = findShortcut(states, optimizedTransfusions, start, depth);
+    if (!shortcut) {
+      ++start;
+      continue;
+    }
+
+    // после замены тот же участок может сократиться ещё раз, поэтому start не увеличивается
+    optimizedTransfusions = [ ...optimizedTransfusions.slice(0, start), ...shortcut ];
+    states = replaySolution(puzzle, optimizedTransfusions);
+  }
+  return optimizedTransfusions;
+};
+
+export let forTesting;
+if (!!process.env.NODE_TEST_CONTEXT) {
+  forTesting = {
+    getFlasksPermutation,
+  };
+}
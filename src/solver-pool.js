@@ -0,0 +1,218 @@
+import { Worker } from 'worker_threads';
+import { SolverMessageType } from './constants/solver-message-type.const.js';
+
+/**
+ * Задача поиска решения в очереди пула. Содержит:
+ * - ключ, по которому у одного владельца может быть не больше одной задачи,
+ * - данные для [потока поиска решения]{@link solver-worker}: игра, метод решения, вместимость колб
+ *   и количество пустых колб, с которого начинается поиск,
+ * - обработчик начала выполнения задачи,
+ * - обработчик [сведений о ходе поиска]{@link SolverProgress},
+ * - функция завершения промиса, возвращённого {@link SolverPool.run},
+ * - функция отклонения промиса, возвращённого {@link SolverPool.run}.
+ * @typedef {{
+ *   key: unknown,
+ *   task: unknown[],
+ *   onStart: () => void,
+ *   onProgress: (progress: SolverProgress) => void,
+ *   resolve: (message?: { type: SolverMessageType, payload: unknown }) => void,
+ *   reject: (err: Error) => void,
+ * }} SolverJob
+ */
+
+/**
+ * Класс пула потоков поиска решения
+ * Одновременно выполняется не больше задач, чем потоков в пуле, остальные ждут
+ * в очереди в порядке добавления. Потоки, завершившие задачу, переиспользуются,
+ * а прерванные -- завершаются и при необходимости заменяются новыми
+ */
+export class SolverPool {
+  /**
+   * Максимальное количество потоков
+   * @type {number}
+   * @protected
+   */
+  _size;
+
+  /**
+   * Путь к скрипту потока поиска решения
+   * @type {string}
+   * @protected
+   */
+  _workerPath;
+
+  /**
+   * Все запущенные потоки
+   * @type {Worker[]}
+   * @protected
+   */
+  _workers = [];
+
+  /**
+   * Потоки без задач
+   * @type {Worker[]}
+   * @protected
+   */
+  _idleWorkers = [];
+
+  /**
+   * Задачи, ожидающие свободного потока
+   * @type {SolverJob[]}
+   * @protected
+   */
+  _queue = [];
+
+  /**
+   * Выполняемые задачи по потокам
+   * @type {Map<Worker, SolverJob>}
+   * @protected
+   */
+  _activeJobs = new Map();
+
+  /**
+   * Конструктор
+   * @param {number} size максимальное количество потоков
+   * @param {string} [workerPath='./src/solver-worker.js'] путь к скрипту потока поиска решения
+   */
+  constructor(size, workerPath = './src/solver-worker.js') {
+    this._size = size;
+    this._workerPath = workerPath;
+  }
+
+  /**
+   * Добавление задачи поиска решения в очередь
+   * Задача с тем же ключом, добавленная ранее, [отменяется]{@link SolverPool.cancel}
+   * @public
+   * @param {unknown} key ключ владельца задачи, например идентификатор чата
+   * @param {unknown[]} task данные для потока поиска решения
+   * @param {Object} [handlers={}] обработчики
+   * @param {() => void} [handlers.onStart] обработчик начала выполнения задачи потоком
+   * @param {(progress: SolverProgress) => void} [handlers.onProgress] обработчик сведений о ходе поиска
+   * @returns {Promise<{ type: SolverMessageType, payload: unknown } | undefined>} последнее сообщение потока:
+   * решение или ошибки в игре, либо undefined, если задача отменена
+   */
+  run(key, task, { onStart = () => {}, onProgress = () => {} } = {}) {
+    this.cancel(key);
+
+    return new Promise((resolve, reject) => {
+      this._queue.push({ key, task, onStart, onProgress, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Отмена задачи
+   * Ожидающая задача удаляется из очереди, а поток, выполняющий задачу, завершается,
+   * так как поиск решения нельзя прервать иначе
+   * @public
+   * @param {unknown} key ключ владельца задачи
+   * @returns {boolean} признак того, что задача с таким ключом была
+   */
+  cancel(key) {
+    const queueIndex = this._queue.findIndex((job) => job.key === key);
+    if (queueIndex >= 0) {
+      const [ job ] = this._queue.splice(queueIndex, 1);
+      job.resolve();
+      return true;
+    }
+
+    for (const [ worker, job ] of this._activeJobs) {
+      if (job.key === key) {
+        this._removeWorker(worker);
+        job.resolve();
+        this._dispatch();
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Получение места задачи в очереди
+   * @public
+   * @param {unknown} key ключ владельца задачи
+   * @returns {number | undefined} место в очереди, начиная с 1, 0 для выполняемой задачи
+   * или undefined, если задачи с таким ключом нет
+   */
+  getQueuePosition(key) {
+    const queueIndex = this._queue.findIndex((job) => job.key === key);
+    if (queueIndex >= 0) {
+      return queueIndex + 1;
+    }
+    for (const job of this._activeJobs.values()) {
+      if (job.key === key) {
+        return 0;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Передача задач из очереди свободным потокам
+   * Новые потоки создаются, только если свободных нет, а их количество меньше максимального
+   * @protected
+   */
+  _dispatch() {
+    while (
+      this._queue.length > 0 &&
+      (this._idleWorkers.length > 0 || this._workers.length < this._size)
+    ) {
+      const worker = this._idleWorkers.pop() ?? this._createWorker();
+      const job = this._queue.shift();
+      this._activeJobs.set(worker, job);
+      worker.ref();
+      worker.postMessage(job.task);
+      job.onStart();
+    }
+  }
+
+  /**
+   * Создание потока и подписка на его сообщения
+   * @protected
+   * @returns {Worker} поток
+   */
+  _createWorker() {
+    const worker = new Worker(this._workerPath);
+    this._workers.push(worker);
+
+    worker.on('message', (message) => {
+      const job = this._activeJobs.get(worker);
+      if (!job) {
+        return;
+      }
+      if (message.type === SolverMessageType.Progress) {
+        job.onProgress(message.payload);
+        return;
+      }
+
+      this._activeJobs.delete(worker);
+      this._idleWorkers.push(worker);
+      // поток без задачи не должен мешать завершению процесса
+      worker.unref();
+      job.resolve(message);
+      this._dispatch();
+    });
+
+    worker.on('error', (err) => {
+      const job = this._activeJobs.get(worker);
+      this._removeWorker(worker);
+      job?.reject(err);
+      this._dispatch();
+    });
+
+    return worker;
+  }
+
+  /**
+   * Завершение потока и удаление его из пула
+   * @protected
+   * @param {Worker} worker поток
+   */
+  _removeWorker(worker) {
+    this._activeJobs.delete(worker);
+    this._workers = this._workers.filter((w) => w !== worker);
+    this._idleWorkers = this._idleWorkers.filter((w) => w !== worker);
+    worker.terminate();
+  }
+}
@@ -0,0 +1,37 @@
+import { parentPort } from 'worker_threads';
+import { SolverMessageType } from './constants/solver-message-type.const.js';
+import { solve } from './solver.js';
+import { validatePuzzle } from './validator.js';
+
+/**
+ * Скрипт потока поиска решения -- обёртка над {@link solve} для запуска в [пуле потоков]{@link SolverPool}
+ * Игры принимаются сообщениями из основного потока, поэтому один поток решает их
+ * последовательно, не запускаясь заново для каждой
+ * Во время поиска периодически передаёт в основной поток [сведения о ходе поиска]{@link SolverProgress}
+ * Если в игре есть [ошибки]{@link validatePuzzle}, поиск не запускается, а в основной поток передаются ошибки
+ */
+parentPort.on('message', ([ layersMatrix, solvingMethod, capacity, minEmptyFlasksNumber, pourRule ]) => {
+  const issues = validatePuzzle(layersMatrix, capacity);
+  if (issues.length > 0) {
+    parentPort.postMessage({
+      type: SolverMessageType.Issues,
+      payload: issues,
+    });
+    return;
+  }
+
+  const { transfusions, emptyFlasksNumber, originalTransfusionsNumber } = solve(layersMatrix, {
+    solvingMethod,
+    capacity,
+    minEmptyFlasksNumber,
+    pourRule,
+    onProgress: (progress) => parentPort.postMessage({
+      type: SolverMessageType.Progress,
+      payload: progress,
+    }),
+  });
+  parentPort.postMessage({
+    type: SolverMessageType.Solution,
+    payload: [ transfusions, emptyFlasksNumber, originalTransfusionsNumber ],
+  });
+});
@@ -1,40 +1,125 @@
-import crypto from 'crypto';
-import { isMainThread, parentPort, workerData } from 'worker_threads';
 import PriorityQueue from 'js-priority-queue';
 import { DefaultEmptyFlasksNumber } from './constants/default-empty-flasks-number.const.js';
+import { FlaskCapacity } from './constants/flask-capacity.const.js';
 import { MaxEmptyFlasksNumber } from './constants/max-empty-flasks-number.const.js';
+import { PourRule } from './constants/pour-rule.const.js';
+import { PruningRule } from './constants/pruning-rule.const.js';
+import { SolutionOptimizationDepth } from './constants/solution-optimization-depth.const.js';
+import { SolverProgressInterval } from './constants/solver-progress-interval.const.js';
 import { SolvingMethod } from './constants/solving-method.const.js';
-import { Puzzle } from './puzzle.js';
+import { UnknownLayer } from './constants/unknown-layer.const.js';
+import { PackedPuzzle } from './packed-puzzle.js';
+import { optimizeSolution } from './solution-optimizer.js';
 
 /**
  * Модуль поиска решения
  * Находит решение игры
- * Не имеет экспортируемых функций, так как запускается в отдельном потоке как скрипт
+ * Если в игре есть [скрытые слои]{@link UnknownLayer}, находит последовательность ходов
+ * до ближайшего открытия скрытого слоя. Такая последовательность безопасна: все её ходы
+ * допустимы, что бы ни оказалось под скрытыми слоями
+ * Поиск выполняется синхронно, поэтому в боте он запускается в [отдельном потоке]{@link solver-worker},
+ * а другие инструменты могут вызывать {@link solve} напрямую
+ * Добавление пустой колбы считается ходом, который дороже любого количества переливаний:
+ * пока не перебраны все состояния с текущим количеством добавленных колб, следующая не добавляется.
+ * Затем пустая колба добавляется в каждое из перебранных состояний, поэтому она может понадобиться
+ * не с начала решения, а с того хода, где без неё не обойтись
+ * Найденное решение затем [сокращается]{@link optimizeSolution}, что особенно заметно
+ * для длинных решений, найденных поиском в глубину
+ *
+ * Сделанные переливания в виде ссылки на переливания предыдущего шага, благодаря которой
+ * шаги с общим началом пути не хранят его копии. [Массив переливаний]{@link getPathTransfusions}
+ * составляется только для шага, на котором поиск завершён. Содержат:
+ * - последнее переливание,
+ * - переливания предыдущего шага,
+ * - количество переливаний.
+ * @typedef {{ transfusion?: number[], previous?: TransfusionsPath, length: number }} TransfusionsPath
  *
  * Шаг поиска решения для стека. Содержит:
  * - текущее состояние игры,
- * - массив сделанных переливаний.
- * @typedef {{ puzzle: Puzzle, transfusions: number[][] }} StackStep
+ * - сделанные переливания.
+ * @typedef {{ puzzle: PackedPuzzle, path: TransfusionsPath }} StackStep
  *
  * Шаг поиска решения для очереди с приоритетом. Содержит:
  * - текущее состояние игры,
  * - метрику решённости в текущем состоянии,
- * - массив сделанных переливаний.
- * @typedef {{ puzzle: Puzzle, metric: number, transfusions: number[][] }} PriorityQueueStep
+ * - сделанные переливания.
+ * @typedef {{ puzzle: PackedPuzzle, metric: number, path: TransfusionsPath }} PriorityQueueStep
+ *
+ * Шаг поиска решения алгоритмом A*. Содержит:
+ * - текущее состояние игры,
+ * - нижнюю оценку количества оставшихся ходов,
+ * - сумму количества сделанных ходов и нижней оценки количества оставшихся,
+ * - сделанные переливания.
+ * @typedef {{ puzzle: PackedPuzzle, lowerBound: number, estimation: number, path: TransfusionsPath }} AStarStep
+ *
+ * Сведения о ходе поиска решения. Содержат:
+ * - количество рассмотренных состояний игры при всех количествах пустых колб в совокупности,
+ * - количество ходов в рассматриваемом состоянии,
+ * - количество пустых колб, с которым идёт поиск,
+ * - время, прошедшее с начала поиска (в миллисекундах).
+ * @typedef {{ statesNumber: number, depth: number, emptyFlasksNumber: number, elapsedTime: number }} SolverProgress
+ *
+ * Функция передачи сведений о ходе поиска, вызываемая на каждом шаге перебора
+ * и при каждом добавлении пустой колбы. Возвращает признак того, что поиск можно продолжать
+ * @typedef {(statesNumber: number, depth: number, addedFlasksNumber: number, isForced?: boolean) => boolean} ProgressReporter
+ *
+ * Функция получения [переливаний, которые нужно перебрать]{@link getPrunedTransfusions} в состоянии игры
+ * @typedef {(puzzle: PackedPuzzle) => number[][]} TransfusionsGetter
+ *
+ * Параметры поиска решения
+ * @typedef {Object} SolveOptions
+ * @property {SolvingMethod} [solvingMethod=SolvingMethod.Fastest] метод решения. От этого параметра зависит выбор стека или очереди с приоритетом
+ * @property {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @property {PourRule} [pourRule=PourRule.WholeRun] правила переливания. Ходом считается одно переливание
+ * при любых правилах, поэтому при переливании по одному слою решения длиннее
+ * @property {number} [minEmptyFlasksNumber=DefaultEmptyFlasksNumber] количество пустых колб, с которого начинается поиск.
+ * При продолжении поиска после открытия скрытых слоёв добавленные ранее пустые колбы уже есть в игре, поэтому поиск начинается с 0
+ * @property {number} [maxEmptyFlasksNumber=MaxEmptyFlasksNumber] количество пустых колб, которым поиск заканчивается
+ * @property {number} [timeLimit=Infinity] максимальное время поиска в миллисекундах
+ * @property {number} [statesLimit=Infinity] максимальное количество рассмотренных состояний игры
+ * при всех количествах пустых колб в совокупности
+ * @property {PruningRule[]} [pruningRules=Object.values(PruningRule)] применяемые правила отсечения переливаний
+ * @property {number} [optimizationDepth=SolutionOptimizationDepth] максимальное количество ходов,
+ * которыми при [оптимизации]{@link optimizeSolution} заменяется участок найденного решения
+ * @property {AbortSignal} [signal] сигнал отмены поиска. Так как поиск синхронный, отменить его можно
+ * только до начала или из обработчика сведений о ходе поиска
+ * @property {(progress: SolverProgress) => void} [onProgress=() => {}] обработчик сведений о ходе поиска.
+ * Вызывается в начале поиска, при каждом добавлении пустой колбы и далее не чаще, чем раз в {@link SolverProgressInterval}
+ *
+ * Результат поиска решения. Содержит:
+ * - массив пар номеров колб для [переливания]{@link Puzzle.transfuse} или undefined, если решение не найдено,
+ * - количество пустых колб, добавленных в игру для найденного решения, или последнее, с которым шёл поиск,
+ * - [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions},
+ * - количество ходов в найденном решении до оптимизации,
+ * - количество рассмотренных состояний игры при всех количествах пустых колб в совокупности,
+ * - количество состояний, отброшенных каждым из правил отсечения,
+ * - время поиска в миллисекундах,
+ * - признак того, что поиск остановлен из-за ограничения времени или количества состояний.
+ * @typedef {{
+ *   transfusions: number[][] | undefined,
+ *   emptyFlasksNumber: number,
+ *   emptyFlasksAdditions: number[],
+ *   originalTransfusionsNumber: number|undefined,
+ *   statesNumber: number,
+ *   prunedStatesNumbers: Record<PruningRule, number>,
+ *   elapsedTime: number,
+ *   isLimitReached: boolean,
+ * }} SolverResult
 */
 
 /**
  * Вычисление метрики решённости
  * Чем больше во всех колбах в совокупности слоёв одного цвета подряд,
  * тем больше значение метрики
- * @param {Puzzle} puzzle игра
+ * @param {PackedPuzzle} puzzle игра
  * @returns {number} метрика решённости
  */
 const calculateSolutionMetric = (puzzle) => {
   let metric = 0;
-  for (const flask of puzzle.flasks) {
-    for (let i = 1; i < flask.layers.length; ++i) {
-      if (flask.layers[i] === flask.layers[i - 1]) {
+  for (let i = 0; i < puzzle.flasksNumber; ++i) {
+    for (let j = 1; j < puzzle.getFlaskLength(i); ++j) {
+      const layer = puzzle.getLayer(i, j);
+      if (layer !== UnknownLayer && layer === puzzle.getLayer(i, j - 1)) {
         metric += 1;
       }
     }
@@ -42,66 +127,246 @@ const calculateSolutionMetric = (puzzle) => {
   return metric;
 };
 
+/**
+ * Вычисление нижней оценки количества ходов, оставшихся до решения
+ * Складывается из:
+ * - количества разрывов цвета -- пар соседних слоёв разного цвета в колбах.
+ *   Одно переливание устраняет не более одного разрыва -- под переливаемыми слоями;
+ * - количества лишних колб, на дне которых лежит один и тот же цвет.
+ *   Все такие колбы, кроме одной, придётся опустошить, и переливание нижних слоёв
+ *   не устраняет ни одного разрыва.
+ * Каждое переливание при любых [правилах]{@link PourRule} уменьшает оценку не более чем на 1,
+ * поэтому оценка допустима и согласована, что позволяет использовать её в [поиске A*]{@link solveUsingAStar}
+ * @param {PackedPuzzle} puzzle игра
+ * @returns {number} нижняя оценка количества оставшихся ходов
+ */
+const calculateRemainingTransfusionsLowerBound = (puzzle) => {
+  let colorBreaks = 0;
+  const bottomColors = new Map();
+  for (let i = 0; i < puzzle.flasksNumber; ++i) {
+    const length = puzzle.getFlaskLength(i);
+    if (length === 0) {
+      continue;
+    }
+    for (let j = 1; j < length; ++j) {
+      if (puzzle.getLayer(i, j) !== puzzle.getLayer(i, j - 1)) {
+        colorBreaks += 1;
+      }
+    }
+    const bottom = puzzle.getLayer(i, 0);
+    bottomColors.set(bottom, (bottomColors.get(bottom) ?? 0) + 1);
+  }
+
+  let excessiveBottoms = 0;
+  for (const bottomsNumber of bottomColors.values()) {
+    excessiveBottoms += bottomsNumber - 1;
+  }
+
+  return colorBreaks + excessiveBottoms;
+};
+
+/**
+ * Проверка, что поиск решения можно завершить: игра либо решена,
+ * либо открылся скрытый слой и без знания его цвета продолжать нельзя
+ * @param {PackedPuzzle} puzzle игра
+ * @returns {boolean} признак завершения поиска
+ */
+const isSearchFinished = (puzzle) => puzzle.isSolved || puzzle.isWaitingForReveal;
+
+/**
+ * Получение переливаний, которые нужно перебрать в состоянии игры
+ * Допустимые переливания, подпадающие под одно из [правил отсечения]{@link PruningRule}, отбрасываются
+ * и учитываются в статистике правила. Переливания, после которых колба заполнена слоями одного цвета,
+ * идут последними, чтобы при поиске со стеком они рассматривались первыми
+ * @param {PackedPuzzle} puzzle игра
+ * @param {Set<PruningRule>} pruningRules применяемые правила отсечения
+ * @param {Record<PruningRule, number>} prunedStatesNumbers количество состояний, отброшенных каждым из правил
+ * @returns {number[][]} массив пар номеров колб для [переливания]{@link PackedPuzzle.transfuse}
+ */
+const getPrunedTransfusions = (puzzle, pruningRules, prunedStatesNumbers) => {
+  let firstEmptyFlaskIndex = -1;
+  for (let i = 0; i < puzzle.flasksNumber && firstEmptyFlaskIndex < 0; ++i) {
+    if (puzzle.getFlaskLength(i) === 0) {
+      firstEmptyFlaskIndex = i;
+    }
+  }
+
+  const transfusions = [];
+  const completingTransfusions = [];
+  for (let i = 0; i < puzzle.flasksNumber; ++i) {
+    for (let j = 0; j < puzzle.flasksNumber; ++j) {
+      if (!puzzle.isTransfusionValid(i, j)) {
+        continue;
+      }
+
+      const destinationLength = puzzle.getFlaskLength(j);
+      if (destinationLength === 0) {
+        if (pruningRules.has(PruningRule.MonochromeToEmpty) && puzzle.isFlaskMonochrome(i)) {
+          ++prunedStatesNumbers[PruningRule.MonochromeToEmpty];
+          continue;
+        }
+        if (pruningRules.has(PruningRule.SymmetricEmptyFlasks) && j !== firstEmptyFlaskIndex) {
+          ++prunedStatesNumbers[PruningRule.SymmetricEmptyFlasks];
+          continue;
+        }
+      }
+
+      if (
+        destinationLength + puzzle.getTransfusedLayersNumber(i, j) === puzzle.capacity &&
+        (destinationLength === 0 || puzzle.isFlaskMonochrome(j))
+      ) {
+        completingTransfusions.push([ i, j ]);
+      } else {
+        transfusions.push([ i, j ]);
+      }
+    }
+  }
+  return transfusions.concat(completingTransfusions);
+};
+
+/**
+ * Пустой путь переливаний начального шага
+ * @constant {TransfusionsPath}
+ */
+const EmptyTransfusionsPath = { length: 0 };
+
+/**
+ * Продолжение пути переливаний
+ * @param {TransfusionsPath} path сделанные переливания
+ * @param {number[]} transfusion пара номеров колб для [переливания]{@link PackedPuzzle.transfuse}
+ * @returns {TransfusionsPath} путь с добавленным переливанием
+ */
+const extendPath = (path, transfusion) => ({
+  transfusion,
+  previous: path,
+  length: path.length + 1,
+});
+
+/**
+ * Составление массива переливаний по пути
+ * @param {TransfusionsPath} path сделанные переливания
+ * @returns {number[][]} массив пар номеров колб для [переливания]{@link PackedPuzzle.transfuse}
+ */
+const getPathTransfusions = (path) => {
+  const transfusions = new Array(path.length);
+  for (let node = path; node.length > 0; node = node.previous) {
+    transfusions[node.length - 1] = node.transfusion;
+  }
+  return transfusions;
+};
+
+/**
+ * Добавление пустой колбы в состояния игры перебранных шагов
+ * @template {StackStep|PriorityQueueStep|AStarStep} T
+ * @param {T[]} steps перебранные шаги в порядке перебора
+ * @param {(hash: number, transfusionsNumber: number) => boolean} visit функция, отмечающая состояние
+ * посещённым и возвращающая признак того, что его нужно перебирать
+ * @returns {T[]} шаги с добавленной пустой колбой в том же порядке
+ */
+const addEmptyFlask = (steps, visit) => {
+  const nextSteps = [];
+  for (const step of steps) {
+    const puzzle = step.puzzle.copy();
+    puzzle.addEmptyFlask();
+    if (visit(puzzle.hash, step.path.length)) {
+      nextSteps.push({ ...step, puzzle });
+    }
+  }
+  return nextSteps;
+};
+
 /**
  * Шаблонная функция поиска решения для способа и [с очередью с приоритетом]{@link solveUsingPriorityQueue},
  * и [со стеком]{@link solveUsingStack}, выполняющая перебор возможных ходов, пока не найдёт решение
- * @param {Puzzle} puzzle игра
- * @param {StackStep[]|PriorityQueue<PriorityQueueStep>} stackOrQueue стек или очередь
+ * Когда стек или очередь пустеют, поиск продолжается с новыми, составленными из
+ * [перебранных шагов с пустой колбой]{@link addEmptyFlask}. На стеке первыми оказываются шаги,
+ * перебранные последними, то есть поиск продолжается с самых глубоких состояний
+ * @param {StackStep|PriorityQueueStep} initialStep начальный шаг
+ * @param {(steps: (StackStep|PriorityQueueStep)[]) => StackStep[]|PriorityQueue<PriorityQueueStep>} createStackOrQueue
+ * функция создания стека или очереди из начальных шагов
  * @param {(step: StackStep|PriorityQueueStep) => boolean} preliminaryFilter функция предварительного относительно перебора комбинаций переливания фильтра
  * @param {string} getStep название метода получения очередного шага со стека или из очереди
  * @param {string} addStep название метода добавления очередного шага на стек или в очередь
- * @param {(step: StackStep|PriorityQueueStep, state: Puzzle, transfusion: number[]) => StackStep|PriorityQueueStep} initializeNextStep функция инициализации следующего шага
- * @returns {number[][]} массив пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {(step: StackStep|PriorityQueueStep, state: PackedPuzzle, transfusion: number[]) => StackStep|PriorityQueueStep} initializeNextStep функция инициализации следующего шага
+ * @param {number} maxAddedFlasksNumber максимальное количество добавляемых пустых колб
+ * @param {TransfusionsGetter} getTransfusions функция получения переливаний, которые нужно перебрать
+ * @param {ProgressReporter} reportProgress функция передачи сведений о ходе поиска
+ * @returns {StackStep|PriorityQueueStep|undefined} шаг, на котором поиск завершён,
+ * или undefined, если решение не найдено или поиск остановлен
  */
 const solveUsingPriorityQueueOrStack = (
-  puzzle,
-  stackOrQueue,
+  initialStep,
+  createStackOrQueue,
   preliminaryFilter,
   getStep,
   addStep,
   initializeNextStep,
+  maxAddedFlasksNumber,
+  getTransfusions,
+  reportProgress,
 ) => {
-  // Множество отпечатков посещённых ранее состояний игры
+  // Множество хэшей посещённых ранее состояний игры
   // Нужно, чтобы избежать циклов и повторного обхода уже отброшенного поддерева
-  const visited = new Set([
-    crypto.createHash('md5').update(puzzle.toStringWithSort()).digest('hex'),
-  ]);
+  // Хэш зависит от количества колб, поэтому состояния с разным количеством добавленных колб не пересекаются
+  const visited = new Set([ initialStep.puzzle.hash ]);
+  const visit = (hash) => {
+    if (visited.has(hash)) {
+      return false;
+    }
+    visited.add(hash);
+    return true;
+  };
+
+  let stackOrQueue = createStackOrQueue([ initialStep ]);
+  let addedFlasksNumber = 0;
+  // Перебранные шаги, в которые добавляется пустая колба, когда стек или очередь пустеют
+  // Пути шагов ссылаются на пути предыдущих, поэтому память занимают в основном состояния игры
+  let expandedSteps = [];
 
-  while (stackOrQueue.length > 0) {
+  while (true) {
+    if (stackOrQueue.length === 0) {
+      if (addedFlasksNumber === maxAddedFlasksNumber) {
+        return undefined;
+      }
+      ++addedFlasksNumber;
+      if (!reportProgress(visited.size, 0, addedFlasksNumber, true)) {
+        return undefined;
+      }
+      stackOrQueue = createStackOrQueue(addEmptyFlask(expandedSteps, visit));
+      expandedSteps = [];
+      continue;
+    }
 
     const step = stackOrQueue[getStep]();
+    if (!reportProgress(visited.size, step.path.length, addedFlasksNumber)) {
+      return undefined;
+    }
 
     if (!preliminaryFilter(step)) {
       continue;
     }
+    if (addedFlasksNumber < maxAddedFlasksNumber) {
+      expandedSteps.push(step);
+    }
 
-    for (let i = 0; i < step.puzzle.flasks.length; ++i) {
-      for (let j = 0; j < step.puzzle.flasks.length; ++j) {
-        if (!step.puzzle.isTransfusionValid(i, j)) {
-          continue;
-        }
-
-        const state = step.puzzle.copy();
-        state.transfuse(i, j);
-
-        const nextFingerprint = crypto
-          .createHash('md5')
-          .update(state.toStringWithSort())
-          .digest('hex');
-        if (visited.has(nextFingerprint)) {
-          continue;
-        }
-        visited.add(nextFingerprint);
+    // переливания делаются в состоянии шага и отменяются, а копируются только новые состояния
+    const state = step.puzzle;
+    for (const [ i, j ] of getTransfusions(state)) {
+      const layersNumber = state.transfuse(i, j);
+      if (!visit(state.hash)) {
+        state.revertTransfusion(i, j, layersNumber);
+        continue;
+      }
 
-        const nextStep = initializeNextStep(step, state, [ i, j ]);
+      const nextStep = initializeNextStep(step, state.copy(), [ i, j ]);
+      state.revertTransfusion(i, j, layersNumber);
 
-        if (nextStep.puzzle.isSolved) {
-          return nextStep.transfusions;
-        }
+      if (isSearchFinished(nextStep.puzzle)) {
+        return nextStep;
+      }
 
-        if (preliminaryFilter(nextStep)) {
-          stackOrQueue[addStep](nextStep);
-        }
+      if (preliminaryFilter(nextStep)) {
+        stackOrQueue[addStep](nextStep);
       }
     }
   }
@@ -112,45 +377,59 @@ const solveUsingPriorityQueueOrStack = (
  * Приоритет определяется по количеству ходов, если они равны по [метрике решённости]{@link calculateSolutionMetric},
  * причём, перед тем как начать перебирать комбинации для переливания, каждый шаг проверяется на то,
  * что его метрика является максимальной с некоторым допуском для его количества ходов
- * @param {Puzzle} puzzle игра
+ * @param {PackedPuzzle} puzzle игра
  * @param {number} maxAllowedMetricDelta максимальная допустимая разница между [метрикой решённости]{@link calculateSolutionMetric}
  * на очередном шаге и максимальным значением для того же количества ходов
- * @returns {number[][]} массив пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {number} maxAddedFlasksNumber максимальное количество добавляемых пустых колб
+ * @param {TransfusionsGetter} getTransfusions функция получения переливаний, которые нужно перебрать
+ * @param {ProgressReporter} reportProgress функция передачи сведений о ходе поиска
+ * @returns {PriorityQueueStep | undefined} шаг, на котором поиск завершён,
+ * или undefined, если решение не найдено или поиск остановлен
  */
-const solveUsingPriorityQueue = (puzzle, maxAllowedMetricDelta) => {
-  const queue = new PriorityQueue({
-    comparator: (a, b) => {
-      if (a.transfusions.length !== b.transfusions.length) {
-        return a.transfusions.length - b.transfusions.length;
-      }
-      return b.metric - a.metric;
-    },
-    initialValues: [{
-      puzzle,
-      metric: calculateSolutionMetric(puzzle),
-      transfusions: [],
-    }],
-  });
-
+const solveUsingPriorityQueue = (
+  puzzle,
+  maxAllowedMetricDelta,
+  maxAddedFlasksNumber,
+  getTransfusions,
+  reportProgress,
+) => {
   // Максимальная метрика для каждого количества ходов
   // Нужно, чтобы при переборе вариантов с одинаковым количеством ходов
   // рассматривать только самые выгодные
-  const metricMap = new Map();
+  // Сбрасывается при добавлении пустой колбы, так как прежние максимумы достигнуты в тупиковых состояниях
+  let metricMap = new Map();
+  let flasksNumber = puzzle.flasksNumber;
 
   return solveUsingPriorityQueueOrStack(
-    puzzle,
-    queue,
+    {
+      puzzle,
+      metric: calculateSolutionMetric(puzzle),
+      path: EmptyTransfusionsPath,
+    },
+    (steps) => new PriorityQueue({
+      comparator: (a, b) => {
+        if (a.path.length !== b.path.length) {
+          return a.path.length - b.path.length;
+        }
+        return b.metric - a.metric;
+      },
+      initialValues: steps,
+    }),
     (step) => {
-      if (metricMap.has(step.transfusions.length)) {
-        const maxMetric = metricMap.get(step.transfusions.length);
+      if (step.puzzle.flasksNumber !== flasksNumber) {
+        flasksNumber = step.puzzle.flasksNumber;
+        metricMap = new Map();
+      }
+      if (metricMap.has(step.path.length)) {
+        const maxMetric = metricMap.get(step.path.length);
         if (maxMetric > step.metric + maxAllowedMetricDelta) {
           return false;
         }
         if (maxMetric < step.metric) {
-          metricMap.set(step.transfusions.length, step.metric);
+          metricMap.set(step.path.length, step.metric);
         }
       } else {
-        metricMap.set(step.transfusions.length, step.metric);
+        metricMap.set(step.path.length, step.metric);
       }
       return true;
     },
@@ -159,77 +438,327 @@ const solveUsingPriorityQueue = (puzzle, maxAllowedMetricDelta) => {
     (step, puzzle, nextTransfusion) => ({
       puzzle,
       metric: calculateSolutionMetric(puzzle),
-      transfusions: [ ...step.transfusions, nextTransfusion ],
+      path: extendPath(step.path, nextTransfusion),
     }),
+    maxAddedFlasksNumber,
+    getTransfusions,
+    reportProgress,
   );
 };
 
 /**
  * [Поиск решения]{@link solveUsingPriorityQueueOrStack} с использованием стека
- * @param {Puzzle} puzzle игра
- * @returns {number[][]} массив пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {PackedPuzzle} puzzle игра
+ * @param {number} maxAddedFlasksNumber максимальное количество добавляемых пустых колб
+ * @param {TransfusionsGetter} getTransfusions функция получения переливаний, которые нужно перебрать
+ * @param {ProgressReporter} reportProgress функция передачи сведений о ходе поиска
+ * @returns {StackStep | undefined} шаг, на котором поиск завершён,
+ * или undefined, если решение не найдено или поиск остановлен
  */
-const solveUsingStack = (puzzle) => {
-  const stack = [{
-    puzzle,
-    transfusions: [],
-  }];
-
+const solveUsingStack = (puzzle, maxAddedFlasksNumber, getTransfusions, reportProgress) => {
   return solveUsingPriorityQueueOrStack(
-    puzzle,
-    stack,
+    {
+      puzzle,
+      path: EmptyTransfusionsPath,
+    },
+    (steps) => steps,
     () => true,
     'pop',
     'push',
     (step, puzzle, nextTransfusion) => ({
       puzzle,
-      transfusions: [ ...step.transfusions, nextTransfusion ],
+      path: extendPath(step.path, nextTransfusion),
     }),
+    maxAddedFlasksNumber,
+    getTransfusions,
+    reportProgress,
   );
 };
 
 /**
- * Поиск решения последовательно с разным количеством пустых колб
+ * Поиск гарантированно самого короткого решения алгоритмом A*
+ * Шаги упорядочиваются по сумме количества сделанных ходов и
+ * [нижней оценки количества оставшихся ходов]{@link calculateRemainingTransfusionsLowerBound},
+ * при равенстве -- по нижней оценке. В отличие от {@link solveUsingPriorityQueueOrStack}
+ * состояние отбрасывается, только если ранее оно было достигнуто не большим количеством ходов
+ * Если в игре есть скрытые слои, нижняя оценка не применима к поиску ближайшего открытия слоя,
+ * поэтому она считается нулевой, и поиск сводится к поиску в ширину
+ * Пустые колбы добавляются так же, как и в {@link solveUsingPriorityQueueOrStack}. Пустая колба
+ * не меняет нижнюю оценку, поэтому решение самое короткое среди решений с наименьшим количеством колб
+ * @param {PackedPuzzle} puzzle игра
+ * @param {number} maxAddedFlasksNumber максимальное количество добавляемых пустых колб
+ * @param {TransfusionsGetter} getTransfusions функция получения переливаний, которые нужно перебрать
+ * @param {ProgressReporter} reportProgress функция передачи сведений о ходе поиска
+ * @returns {AStarStep | undefined} шаг, на котором поиск завершён,
+ * или undefined, если решение не найдено или поиск остановлен
+ */
+const solveUsingAStar = (puzzle, maxAddedFlasksNumber, getTransfusions, reportProgress) => {
+  const calculateLowerBound = puzzle.hasUnknownLayers ?
+    () => 0 :
+    calculateRemainingTransfusionsLowerBound;
+
+  const createQueue = (steps) => new PriorityQueue({
+    comparator: (a, b) => {
+      if (a.estimation !== b.estimation) {
+        return a.estimation - b.estimation;
+      }
+      return a.lowerBound - b.lowerBound;
+    },
+    initialValues: steps,
+  });
+  let queue = createQueue([{
+    puzzle,
+    lowerBound: calculateLowerBound(puzzle),
+    estimation: calculateLowerBound(puzzle),
+    path: EmptyTransfusionsPath,
+  }]);
+
+  // Наименьшее количество ходов, за которое было достигнуто каждое из посещённых состояний
+  // Нужно, чтобы не раскрывать состояние повторно, если оно достигнуто не более коротким путём
+  const transfusionsNumbers = new Map([[ puzzle.hash, 0 ]]);
+  const visit = (hash, transfusionsNumber) => {
+    if (transfusionsNumbers.get(hash) <= transfusionsNumber) {
+      return false;
+    }
+    transfusionsNumbers.set(hash, transfusionsNumber);
+    return true;
+  };
+
+  let addedFlasksNumber = 0;
+  let expandedSteps = [];
+
+  while (true) {
+    if (queue.length === 0) {
+      if (addedFlasksNumber === maxAddedFlasksNumber) {
+        return undefined;
+      }
+      ++addedFlasksNumber;
+      if (!reportProgress(transfusionsNumbers.size, 0, addedFlasksNumber, true)) {
+        return undefined;
+      }
+      queue = createQueue(addEmptyFlask(expandedSteps, visit));
+      expandedSteps = [];
+      continue;
+    }
+
+    const step = queue.dequeue();
+    if (!reportProgress(transfusionsNumbers.size, step.path.length, addedFlasksNumber)) {
+      return undefined;
+    }
+
+    const state = step.puzzle;
+    if (transfusionsNumbers.get(state.hash) < step.path.length) {
+      continue;
+    }
+    if (addedFlasksNumber < maxAddedFlasksNumber) {
+      expandedSteps.push(step);
+    }
+
+    for (const [ i, j ] of getTransfusions(state)) {
+      const layersNumber = state.transfuse(i, j);
+      const path = extendPath(step.path, [ i, j ]);
+
+      // Нижняя оценка для нерешённой игры не меньше 1 (или всегда равна 0 при поиске в ширину),
+      // поэтому решение, найденное при раскрытии шага с наименьшей суммой, не длиннее любого другого
+      if (isSearchFinished(state)) {
+        return { puzzle: state, lowerBound: 0, estimation: path.length, path };
+      }
+
+      if (!visit(state.hash, path.length)) {
+        state.revertTransfusion(i, j, layersNumber);
+        continue;
+      }
+
+      const lowerBound = calculateLowerBound(state);
+      queue.queue({
+        puzzle: state.copy(),
+        lowerBound,
+        estimation: path.length + lowerBound,
+        path,
+      });
+      state.revertTransfusion(i, j, layersNumber);
+    }
+  }
+};
+
+/**
+ * Перенумерация добавленных пустых колб в порядке их первого использования в решении
+ * Поиск добавляет колбы в конец игры, а использоваться они могут в любом порядке
+ * @param {number[][]} transfusions массив пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {number} flasksNumber количество колб в игре без добавленных пустых колб
+ * @returns {number[][]} переливания с перенумерованными колбами
+ */
+const renumberEmptyFlasks = (transfusions, flasksNumber) => {
+  const flasksOrder = new Map();
+  for (const transfusion of transfusions) {
+    for (const flaskIndex of transfusion) {
+      if (flaskIndex >= flasksNumber && !flasksOrder.has(flaskIndex)) {
+        flasksOrder.set(flaskIndex, flasksNumber + flasksOrder.size);
+      }
+    }
+  }
+  return transfusions.map((transfusion) =>
+    transfusion.map((flaskIndex) => flasksOrder.get(flaskIndex) ?? flaskIndex));
+};
+
+/**
+ * Определение ходов решения, перед которыми нужны пустые колбы
+ * Пустая колба нужна перед первым ходом, в котором она используется. Колбы, не используемые
+ * в решении, не учитываются
+ * @param {number[][]} transfusions массив пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {number} flasksNumber количество колб в игре без пустых колб, добавленных для решения
+ * @returns {number[]} упорядоченные по возрастанию номера ходов, начиная с 0, по одному на каждую пустую колбу
+ */
+export const getEmptyFlasksAdditions = (transfusions, flasksNumber) => {
+  const usedFlasks = new Set();
+  const additions = [];
+  transfusions.forEach((transfusion, i) => {
+    for (const flaskIndex of transfusion) {
+      if (flaskIndex >= flasksNumber && !usedFlasks.has(flaskIndex)) {
+        usedFlasks.add(flaskIndex);
+        additions.push(i);
+      }
+    }
+  });
+  return additions;
+};
+
+/**
+ * Поиск решения с наименьшим количеством пустых колб
+ * Поиск начинается с минимальным количеством пустых колб, а остальные
+ * добавляются по ходу поиска, если без них решение не найдено
+ * Игра не [проверяется на ошибки]{@link validatePuzzle}: для игры с ошибками решение не будет найдено
  * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
- * @param {SolvingMethod} [solvingMethod=SolvingMethod.Fastest] выбранный метод решения. От этого параметра зависит выбор стека или очереди с приоритетом
- * @returns {[ number[][], number ]} массив пар номеров колб для [переливания]{@link Puzzle.transfuse} и необходимое количество пустых колб
+ * @param {SolveOptions} [options={}] параметры поиска
+ * @returns {SolverResult} результат поиска
+ * @throws {unknown} причина отмены поиска, если поиск отменён сигналом
  */
-const solve = (layersMatrix, solvingMethod = SolvingMethod.Fastest) => {
-  let solution = undefined;
+export const solve = (
+  layersMatrix,
+  {
+    solvingMethod = SolvingMethod.Fastest,
+    capacity = FlaskCapacity,
+    pourRule = PourRule.WholeRun,
+    minEmptyFlasksNumber = DefaultEmptyFlasksNumber,
+    maxEmptyFlasksNumber = MaxEmptyFlasksNumber,
+    timeLimit = Infinity,
+    statesLimit = Infinity,
+    pruningRules = Object.values(PruningRule),
+    optimizationDepth = SolutionOptimizationDepth,
+    signal,
+    onProgress = () => {},
+  } = {},
+) => {
+  let isLimitReached = false;
+  let statesNumber = 0;
+  let emptyFlasksNumber = Math.min(minEmptyFlasksNumber, maxEmptyFlasksNumber);
+  const prunedStatesNumbers = Object.fromEntries(
+    Object.values(PruningRule).map((pruningRule) => [ pruningRule, 0 ]),
+  );
+
+  const startTime = Date.now();
+  let lastProgressTime = startTime;
+
+  /** @type {ProgressReporter} */
+  const reportProgress = (currentStatesNumber, depth, addedFlasksNumber, isForced = false) => {
+    statesNumber = currentStatesNumber;
+    emptyFlasksNumber = minEmptyFlasksNumber + addedFlasksNumber;
+    const now = Date.now();
+    if (signal?.aborted) {
+      return false;
+    }
+    if (now - startTime > timeLimit || statesNumber > statesLimit) {
+      isLimitReached = true;
+      return false;
+    }
 
-  let i = DefaultEmptyFlasksNumber;
-  for (; i <= MaxEmptyFlasksNumber; ++i) {
+    if (!isForced && now - lastProgressTime < SolverProgressInterval) {
+      return true;
+    }
+    lastProgressTime = now;
+    onProgress({
+      statesNumber,
+      depth,
+      emptyFlasksNumber,
+      elapsedTime: now - startTime,
+    });
+    return !signal?.aborted;
+  };
 
-    const layersMatrixWithEmptyFlasks = [
+  let finalStep = undefined;
+  if (minEmptyFlasksNumber <= maxEmptyFlasksNumber && reportProgress(0, 0, 0, true)) {
+    const puzzle = new PackedPuzzle([
       ...layersMatrix,
-      ...new Array(i).fill(null).map(() => []),
-    ];
+      ...new Array(minEmptyFlasksNumber).fill(null).map(() => []),
+    ], capacity, pourRule);
+    const maxAddedFlasksNumber = maxEmptyFlasksNumber - minEmptyFlasksNumber;
+    const pruningRulesSet = new Set(pruningRules);
+    /** @type {TransfusionsGetter} */
+    const getTransfusions = (state) =>
+      getPrunedTransfusions(state, pruningRulesSet, prunedStatesNumbers);
 
     switch (solvingMethod) {
       case SolvingMethod.Shortest:
-        solution = solveUsingPriorityQueue(new Puzzle(layersMatrixWithEmptyFlasks), 1);
+        finalStep = solveUsingPriorityQueue(
+          puzzle,
+          1,
+          maxAddedFlasksNumber,
+          getTransfusions,
+          reportProgress,
+        );
+        break;
+      case SolvingMethod.Optimal:
+        finalStep = solveUsingAStar(puzzle, maxAddedFlasksNumber, getTransfusions, reportProgress);
         break;
       case SolvingMethod.Balanced:
-        solution = solveUsingPriorityQueue(new Puzzle(layersMatrixWithEmptyFlasks), 0);
+        finalStep = solveUsingPriorityQueue(
+          puzzle,
+          0,
+          maxAddedFlasksNumber,
+          getTransfusions,
+          reportProgress,
+        );
         break;
       case SolvingMethod.Fastest:
       default:
-        solution = solveUsingStack(new Puzzle(layersMatrixWithEmptyFlasks));
+        finalStep = solveUsingStack(puzzle, maxAddedFlasksNumber, getTransfusions, reportProgress);
         break;
     }
+  }
 
-    if (!!solution) {
-      break;
-    }
+  signal?.throwIfAborted();
+
+  let transfusions = undefined;
+  let emptyFlasksAdditions = [];
+  if (finalStep) {
+    transfusions = renumberEmptyFlasks(
+      optimizeSolution(
+        [
+          ...layersMatrix,
+          ...new Array(finalStep.puzzle.flasksNumber - layersMatrix.length).fill(null).map(() => []),
+        ],
+        getPathTransfusions(finalStep.path),
+        { capacity, pourRule, depth: optimizationDepth },
+      ),
+      layersMatrix.length,
+    );
+    // пустые колбы, с которых начинается поиск, уже есть в игре, добавляются только следующие
+    emptyFlasksAdditions = getEmptyFlasksAdditions(
+      transfusions,
+      layersMatrix.length + minEmptyFlasksNumber,
+    );
+    // оптимизированному решению может понадобиться меньше добавленных пустых колб
+    emptyFlasksNumber = minEmptyFlasksNumber + emptyFlasksAdditions.length;
   }
 
-  return [ solution, i ];
+  return {
+    transfusions,
+    emptyFlasksNumber,
+    emptyFlasksAdditions,
+    originalTransfusionsNumber: finalStep?.path.length,
+    statesNumber,
+    prunedStatesNumbers,
+    elapsedTime: Date.now() - startTime,
+    isLimitReached,
+  };
 };
-
-/**
- * Запуск поиска решения и передача результата в основной поток
- * в случае запуска скрипта не в основном потоке
- */
-if (!isMainThread) {
-  parentPort.postMessage(solve(...workerData));
-}
@@ -0,0 +1,41 @@
+import { readFile } from 'fs/promises';
+import { detectSpots } from '../../image-analyzer.js';
+
+/**
+ * Замер времени и памяти, затрачиваемых на [определение пятен]{@link detectSpots}
+ * на изображениях из тестов. Запускается из корня репозитория: npm run benchmark
+ */
+
+/**
+ * Количество замеров на каждом изображении
+ * @constant {number}
+ */
+const RunsNumber = 3;
+
+/**
+ * Перевод количества байт в мегабайты
+ * @param {number} bytes количество байт
+ * @returns {string} количество мегабайт с одним знаком после запятой
+ */
+const toMegabytes = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+
+for (let i = 0; i < 5; ++i) {
+  const imageBuffer = await readFile(`./src/tests/inputs/detect-spots/${i}.jpg`);
+
+  let [ shape, pixels, spots, mask ] = await detectSpots(imageBuffer);
+
+  const durations = [];
+  for (let run = 0; run < RunsNumber; ++run) {
+    const start = performance.now();
+    [ shape, pixels, spots, mask ] = await detectSpots(imageBuffer);
+    durations.push(performance.now() - start);
+  }
+
+  console.log([
+    `${i}.jpg ${shape[0]}×${shape[1]}`,
+    `${Math.round(Math.min(...durations))} мс`,
+    `${spots.length} пятен`,
+    `пиксели ${toMegabytes(pixels.byteLength)} МБ`,
+    `маска ${toMegabytes(mask.byteLength)} МБ`,
+  ].join(', '));
+}
@@ -0,0 +1,60 @@
+import { readFile } from 'fs/promises';
+import { solve } from '../../solver.js';
+
+/**
+ * Замер скорости [поиска решения]{@link solve} в рассмотренных состояниях игры в секунду
+ * на играх из тестов. Запускается из корня репозитория: npm run benchmark
+ */
+
+/**
+ * Количество замеров на каждой игре
+ * @constant {number}
+ */
+const RunsNumber = 3;
+
+/**
+ * Количество игр в тестах
+ * @constant {number}
+ */
+const TestCasesNumber = 18;
+
+let totalStatesNumber = 0;
+let totalElapsedTime = 0;
+
+for (let i = 0; i < TestCasesNumber; ++i) {
+  const testCase = JSON.parse(await readFile(`./src/tests/inputs/solver/${i}.json`));
+  const [ layersMatrix, solvingMethod, capacity, minEmptyFlasksNumber ] = testCase.args;
+
+  let statesNumber;
+  let prunedStatesNumbers;
+  let transfusions;
+  let originalTransfusionsNumber;
+  const durations = [];
+  for (let run = 0; run < RunsNumber; ++run) {
+    const start = performance.now();
+    ({ statesNumber, prunedStatesNumbers, transfusions, originalTransfusionsNumber } = solve(
+      layersMatrix,
+      { solvingMethod, capacity, minEmptyFlasksNumber },
+    ));
+    durations.push(performance.now() - start);
+  }
+
+  const duration = Math.min(...durations);
+  totalStatesNumber += statesNumber;
+  totalElapsedTime += duration;
+
+  console.log([
+    `${i}.json ${testCase.name}, ${solvingMethod}`,
+    `${transfusions?.length} ходов (до оптимизации ${originalTransfusionsNumber})`,
+    `${statesNumber} состояний`,
+    `отсечено ${Object.values(prunedStatesNumbers).reduce((sum, number) => sum + number)}`,
+    `${Math.round(duration)} мс`,
+    `${Math.round(statesNumber / duration * 1000)} состояний/с`,
+  ].join(', '));
+}
+
+console.log(
+  `Всего: ${totalStatesNumber} состояний, ${Math.round(totalElapsedTime)} мс, ${
+    Math.round(totalStatesNumber / totalElapsedTime * 1000)
+  } состояний/с`,
+);
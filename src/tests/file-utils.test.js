@@ -0,0 +1,69 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { mkdtemp, readdir, readFile, rm, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { removeExpiredFiles, removeFileIfExpired, writeFileAtomically } from '../file-utils.js';
+
+describe('file-utils', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'file-utils-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const makeExpired = async (path) => {
+    const time = new Date(Date.now() - 2 * 60 * 1000);
+    await utimes(path, time, time);
+  };
+
+  describe('removeFileIfExpired', () => {
+    it('should remove expired file', async () => {
+      await writeFile(join(directory, 'old'), '');
+      await makeExpired(join(directory, 'old'));
+      assert.equal(await removeFileIfExpired(join(directory, 'old'), 60 * 1000), true);
+      assert.deepEqual(await readdir(directory), []);
+    });
+
+    it('should keep fresh file', async () => {
+      await writeFile(join(directory, 'new'), '');
+      assert.equal(await removeFileIfExpired(join(directory, 'new'), 60 * 1000), false);
+      assert.deepEqual(await readdir(directory), [ 'new' ]);
+    });
+
+    it('should throw error for missing file', async () => {
+      await assert.rejects(removeFileIfExpired(join(directory, 'missing'), 60 * 1000));
+    });
+  });
+
+  describe('removeExpiredFiles', () => {
+    it('should remove only expired files', async () => {
+      await writeFile(join(directory, 'old.json'), '');
+      await writeFile(join(directory, 'new.json'), '');
+      await makeExpired(join(directory, 'old.json'));
+
+      await removeExpiredFiles(directory, 60 * 1000);
+      assert.deepEqual(await readdir(directory), [ 'new.json' ]);
+    });
+
+    it('should ignore missing directory', async () => {
+      await removeExpiredFiles(join(directory, 'missing'), 60 * 1000);
+    });
+  });
+
+  describe('writeFileAtomically', () => {
+    it('should create directory and leave no temporary files', async () => {
+      const path = join(directory, 'nested', 'file.json');
+      await writeFileAtomically(path, 'first');
+      await writeFileAtomically(path, 'second');
+      assert.equal(await readFile(path, 'utf8'), 'second');
+      assert.deepEqual(await readdir(join(directory, 'nested')), [ 'file.json' ]);
+    });
+  });
+});
+/* node:coverage enable */
@@ -1,6 +1,8 @@
 import { strict as assert } from 'node:assert';
 import { describe, it } from 'node:test';
 import { FlaskCapacity } from '../constants/flask-capacity.const.js';
+import { PourRule } from '../constants/pour-rule.const.js';
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
 import { Flask } from '../flask.js';
 
 describe('Flask', () => {
@@ -12,6 +14,23 @@ describe('Flask', () => {
     assert.throws(() => new Flask(new Array(FlaskCapacity + 1).fill(0)));
   });
 
+  it('should not accept layers over custom limit', () => {
+    assert.throws(() => new Flask([ 0, 0, 0 ], 2));
+  });
+
+  it('should use default capacity', () => {
+    assert.equal(new Flask().capacity, FlaskCapacity);
+  });
+
+  it('should provide access to capacity', () => {
+    assert.equal(new Flask([], 6).capacity, 6);
+  });
+
+  it('should copy flask capacity', () => {
+    const flask = new Flask([ 0, 1, 0 ], 3);
+    assert.equal(flask.copy().capacity, 3);
+  });
+
   it('should copy flask', () => {
     const flask = new Flask([ 0, 1, 0, 1 ]);
     assert.notEqual(flask, flask.copy());
@@ -57,6 +76,11 @@ describe('Flask', () => {
       const flask = new Flask([]);
       assert.equal(flask.isFull, false);
     });
+
+    it('should respect custom capacity', () => {
+      const flask = new Flask([ 0, 1, 0, 1 ], 5);
+      assert.equal(flask.isFull, false);
+    });
   });
 
   describe('isInFinalState', () => {
@@ -79,6 +103,40 @@ describe('Flask', () => {
       const flask = new Flask([ 0, 1, 0, 1 ]);
       assert.equal(flask.isInFinalState, false);
     });
+
+    it('should return false if full of unknown layers', () => {
+      const flask = new Flask(new Array(FlaskCapacity).fill(UnknownLayer));
+      assert.equal(flask.isInFinalState, false);
+    });
+  });
+
+  describe('hasUnknownLayers', () => {
+    it('should return true', () => {
+      const flask = new Flask([ UnknownLayer, 0 ]);
+      assert.equal(flask.hasUnknownLayers, true);
+    });
+
+    it('should return false', () => {
+      const flask = new Flask([ 0, 1 ]);
+      assert.equal(flask.hasUnknownLayers, false);
+    });
+  });
+
+  describe('isTopLayerUnknown', () => {
+    it('should return true', () => {
+      const flask = new Flask([ 0, UnknownLayer ]);
+      assert.equal(flask.isTopLayerUnknown, true);
+    });
+
+    it('should return false if top layer is known', () => {
+      const flask = new Flask([ UnknownLayer, 0 ]);
+      assert.equal(flask.isTopLayerUnknown, false);
+    });
+
+    it('should return false if empty', () => {
+      const flask = new Flask([]);
+      assert.equal(flask.isTopLayerUnknown, false);
+    });
   });
 
   it('should convert to string', () => {
@@ -100,6 +158,12 @@ describe('Flask', () => {
       assert.equal(Flask.isTransfusionValid(sourceFlask, destinationFlask), false);
     });
 
+    it('should return false if source top layer is unknown', () => {
+      const sourceFlask = new Flask([ 0, UnknownLayer ]);
+      const destinationFlask = new Flask([]);
+      assert.equal(Flask.isTransfusionValid(sourceFlask, destinationFlask), false);
+    });
+
     it('should return false if top layers are not the same', () => {
       const sourceFlask = new Flask([ 0, 1 ]);
       const destinationFlask = new Flask([ 1, 0 ]);
@@ -157,5 +221,29 @@ describe('Flask', () => {
       Flask.transfuse(sourceFlask, destinationFlask);
       assert.deepEqual(destinationFlask.layers, expectedDestinationLayers);
     });
+
+    it('should not pour unknown layers', () => {
+      const sourceFlask = new Flask([ UnknownLayer, 0, 0 ]);
+      const destinationFlask = new Flask([]);
+      const expectedSourceLayers = [ UnknownLayer ];
+      Flask.transfuse(sourceFlask, destinationFlask);
+      assert.deepEqual(sourceFlask.layers, expectedSourceLayers);
+    });
+
+    it('should respect custom capacity of destination', () => {
+      const sourceFlask = new Flask([ 0, 1, 1, 1, 1 ], 6);
+      const destinationFlask = new Flask([ 1, 1, 1, 1 ], 6);
+      const expectedDestinationLayers = [ 1, 1, 1, 1, 1, 1 ];
+      Flask.transfuse(sourceFlask, destinationFlask);
+      assert.deepEqual(destinationFlask.layers, expectedDestinationLayers);
+    });
+
+    it('should move only top layer by single layer rule', () => {
+      const sourceFlask = new Flask([ 0, 1, 1, 1 ]);
+      const destinationFlask = new Flask([]);
+      Flask.transfuse(sourceFlask, destinationFlask, PourRule.SingleLayer);
+      assert.deepEqual(sourceFlask.layers, [ 0, 1, 1 ]);
+      assert.deepEqual(destinationFlask.layers, [ 1 ]);
+    });
   });
 });
@@ -0,0 +1,125 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { decodeGif } from './helpers/gif-decoder.js';
+import { encodeGif, forTesting } from '../gif-encoder.js';
+import { getRandomIntInclusive } from '../utils.js';
+
+const { findChangedArea, quantizeColors, compressLzw } = forTesting;
+
+/**
+ * Создание байтов RGBA пикселей кадра по цветам пикселей
+ * @param {number[]} colors 3 байта RGB цвета каждого пикселя, упакованные в число
+ * @returns {Uint8ClampedArray} байты RGBA пикселей
+ */
+const toFrameData = (colors) => {
+  return Uint8ClampedArray.from(
+    colors.flatMap((color) => [ color >> 16, color >> 8 & 0xff, color & 0xff, 255 ]),
+  );
+};
+
+describe('gif-encoder', () => {
+  describe('findChangedArea', () => {
+    it('should return whole frame if there is no previous one', () => {
+      assert.deepEqual(
+        findChangedArea(undefined, toFrameData([ 0, 0, 0, 0 ]), 2, 2),
+        { left: 0, top: 0, width: 2, height: 2 },
+      );
+    });
+
+    it('should return bounding rectangle of changed pixels', () => {
+      assert.deepEqual(
+        findChangedArea(
+          toFrameData([ 0, 0, 0, 0, 0, 0, 0, 0, 0 ]),
+          toFrameData([ 0, 0, 0, 0, 0, 1, 0, 1, 0 ]),
+          3,
+          3,
+        ),
+        { left: 1, top: 1, width: 2, height: 2 },
+      );
+    });
+
+    it('should return single pixel if frames are equal', () => {
+      assert.deepEqual(
+        findChangedArea(toFrameData([ 0, 1 ]), toFrameData([ 0, 1 ]), 2, 1),
+        { left: 0, top: 0, width: 1, height: 1 },
+      );
+    });
+  });
+
+  describe('quantizeColors', () => {
+    it('should index colors of area', () => {
+      const [ palette, indices ] = quantizeColors(
+        toFrameData([ 5, 7, 7, 9 ]),
+        2,
+        { left: 0, top: 0, width: 2, height: 2 },
+      );
+      assert.equal(palette[0], 7);
+      assert.deepEqual([ ...indices ].map((i) => palette[i]), [ 5, 7, 7, 9 ]);
+    });
+
+    it('should replace rare colors with nearest ones', () => {
+      const colors = new Array(257).fill(null).map((_, i) => i << 16);
+      colors.push(...new Array(256).fill(null).map((_, i) => i << 16));
+      const [ palette, indices ] = quantizeColors(
+        toFrameData(colors),
+        colors.length,
+        { left: 0, top: 0, width: colors.length, height: 1 },
+      );
+      assert.equal(palette.length, 256);
+      assert.equal(palette[indices[256]], 255 << 16);
+    });
+  });
+
+  describe('compressLzw', () => {
+    it('should start with clear code and end with end code', () => {
+      assert.deepEqual(compressLzw(Uint8Array.from([ 1 ]), 2), [ 0x4c, 0x01 ]);
+    });
+  });
+
+  describe('encodeGif', () => {
+    it('should encode frames losslessly', () => {
+      const frames = new Array(3).fill(null).map((_, i) => ({
+        data: toFrameData(
+          new Array(40 * 30).fill(null).map(() => getRandomIntInclusive(0, 15) * 0x101010),
+        ),
+        delay: 100 * (i + 1),
+      }));
+      const decoded = decodeGif(encodeGif(frames, 40, 30));
+
+      assert.equal(decoded.width, 40);
+      assert.equal(decoded.height, 30);
+      assert.deepEqual(
+        decoded.frames,
+        frames.map(({ data, delay }) => ({
+          delay: delay / 10,
+          pixels: new Array(40 * 30).fill(null).map((_, i) =>
+            data[i * 4] << 16 | data[i * 4 + 1] << 8 | data[i * 4 + 2]
+          ),
+        })),
+      );
+    });
+
+    it('should encode frames with long sequences', () => {
+      const data = toFrameData(
+        new Array(300 * 300).fill(null).map((_, i) => Math.floor(i / 7) % 3),
+      );
+      assert.deepEqual(
+        decodeGif(encodeGif([ { data, delay: 0 } ], 300, 300)).frames[0].pixels,
+        new Array(300 * 300).fill(null).map((_, i) => Math.floor(i / 7) % 3),
+      );
+    });
+
+    it('should accept frames created during encoding', () => {
+      function* generateFrames() {
+        yield { data: toFrameData([ 0, 1 ]), delay: 10 };
+        yield { data: toFrameData([ 1, 1 ]), delay: 20 };
+      }
+      assert.deepEqual(
+        decodeGif(encodeGif(generateFrames(), 2, 1)).frames,
+        [ { delay: 1, pixels: [ 0, 1 ] }, { delay: 2, pixels: [ 1, 1 ] } ],
+      );
+    });
+  });
+});
+/* node:coverage enable */
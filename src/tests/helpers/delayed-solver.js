@@ -0,0 +1,22 @@
+/* node:coverage disable */
+import { parentPort } from 'worker_threads';
+import { SolverMessageType } from '../../constants/solver-message-type.const.js';
+
+/**
+ * Поток, имитирующий [поиск решения]{@link solver-worker} для тестов пула потоков:
+ * принимает задачу из задержки и результата, сообщает о ходе поиска
+ * и через заданное время возвращает результат вместе с идентификатором потока
+ */
+parentPort.on('message', ([ delay, result ]) => {
+  parentPort.postMessage({ type: SolverMessageType.Progress, payload: result });
+  setTimeout(() => {
+    if (result === 'error') {
+      throw new Error(result);
+    }
+    parentPort.postMessage({
+      type: SolverMessageType.Solution,
+      payload: [ result, process.threadId ],
+    });
+  }, delay);
+});
+/* node:coverage enable */
@@ -0,0 +1,126 @@
+/* node:coverage disable */
+
+/**
+ * Декодированный кадр анимации
+ * @typedef {Object} DecodedGifFrame
+ * @property {number} delay длительность показа кадра в сотых долях секунды
+ * @property {number[]} pixels цвета всех пикселей анимации после отрисовки кадра,
+ * 3 байта RGB, упакованные в число
+ */
+
+/**
+ * Распаковка LZW-сжатых номеров цветов пикселей
+ * @param {number[]} data сжатые байты
+ * @param {number} minCodeSize минимальная длина кода
+ * @returns {number[]} номера цветов пикселей
+ */
+const decompressLzw = (data, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const resetCodeTable = () => [
+    ...new Array(clearCode).fill(null).map((_, i) => [ i ]),
+    null,
+    null,
+  ];
+
+  let position = 0;
+  let codeSize = minCodeSize + 1;
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; ++i, ++position) {
+      code |= ((data[position >> 3] ?? 0) >> (position & 7) & 1) << i;
+    }
+    return code;
+  };
+
+  const indices = [];
+  let codeTable = resetCodeTable();
+  let previousCode = null;
+  while (true) {
+    const code = readCode();
+    if (code === clearCode) {
+      codeTable = resetCodeTable();
+      codeSize = minCodeSize + 1;
+      previousCode = null;
+      continue;
+    }
+    if (code === endCode) {
+      return indices;
+    }
+
+    let entry;
+    if (previousCode === null) {
+      entry = codeTable[code];
+    } else {
+      entry = code < codeTable.length ?
+        codeTable[code] :
+        [ ...codeTable[previousCode], codeTable[previousCode][0] ];
+      codeTable.push([ ...codeTable[previousCode], entry[0] ]);
+      if (codeTable.length === 1 << codeSize && codeSize < 12) {
+        ++codeSize;
+      }
+    }
+    indices.push(...entry);
+    previousCode = code;
+  }
+};
+
+/**
+ * Декодирование анимации в формате GIF
+ * Поддерживаются только возможности, используемые [кодировщиком]{@link encodeGif}
+ * @param {Buffer} buffer анимация в формате GIF
+ * @returns {{ width: number, height: number, frames: DecodedGifFrame[] }} размеры и кадры анимации
+ */
+export const decodeGif = (buffer) => {
+  const readShort = (position) => buffer[position] | buffer[position + 1] << 8;
+  const width = readShort(6);
+  const height = readShort(8);
+  const pixels = new Array(width * height).fill(0);
+  const frames = [];
+
+  let delay;
+  let position = 13;
+  while (buffer[position] !== 0x3b) {
+    if (buffer[position] === 0x21) {
+      if (buffer[position + 1] === 0xf9) {
+        delay = readShort(position + 4);
+      }
+      position += 2;
+      while (buffer[position] !== 0) {
+        position += buffer[position] + 1;
+      }
+      ++position;
+      continue;
+    }
+
+    const [ left, top, frameWidth, frameHeight ] =
+      [ 1, 3, 5, 7 ].map((offset) => readShort(position + offset));
+    const paletteSize = 2 << (buffer[position + 9] & 7);
+    position += 10;
+    const palette = new Array(paletteSize).fill(null).map((_, i) =>
+      buffer[position + i * 3] << 16 |
+      buffer[position + i * 3 + 1] << 8 |
+      buffer[position + i * 3 + 2]
+    );
+    position += paletteSize * 3;
+
+    const minCodeSize = buffer[position++];
+    const data = [];
+    while (buffer[position] !== 0) {
+      data.push(...buffer.subarray(position + 1, position + 1 + buffer[position]));
+      position += buffer[position] + 1;
+    }
+    ++position;
+
+    const indices = decompressLzw(data, minCodeSize);
+    for (let y = 0; y < frameHeight; ++y) {
+      for (let x = 0; x < frameWidth; ++x) {
+        pixels[(top + y) * width + left + x] = palette[indices[y * frameWidth + x]];
+      }
+    }
+    frames.push({ delay, pixels: [ ...pixels ] });
+  }
+
+  return { width, height, frames };
+};
+/* node:coverage enable */
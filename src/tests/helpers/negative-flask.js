@@ -1,5 +1,4 @@
 /* node:coverage disable */
-import { FlaskCapacity } from '../../constants/flask-capacity.const.js';
 import { Flask } from '../../flask.js';
 
 /**
@@ -17,7 +16,7 @@ export class NegativeFlask extends Flask {
    * @returns {NegativeFlask} копия колбы
    */
   copy() {
-    return new NegativeFlask(this._layers);
+    return new NegativeFlask(this._layers, this._capacity);
   }
 
   /**
@@ -50,7 +49,7 @@ export class NegativeFlask extends Flask {
     if (
       transfusingLayersNumber <= 0 ||
       transfusingLayersNumber > sourceFlask._layers.length ||
-      transfusingLayersNumber > FlaskCapacity - destinationFlask._layers.length
+      transfusingLayersNumber > destinationFlask._capacity - destinationFlask._layers.length
     ) {
       return false;
     }
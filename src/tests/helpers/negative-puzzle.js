@@ -10,10 +10,11 @@ export class NegativePuzzle extends Puzzle {
   /**
    * Конструктор
    * @param {number[][]} [layersMatrix=[]] массив колб в виде массива цветных слоёв
+   * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
    */
-  constructor(layersMatrix = []) {
-    super();
-    this._flasks = layersMatrix.map((layers) => new NegativeFlask(layers));
+  constructor(layersMatrix = [], capacity = FlaskCapacity) {
+    super([], capacity);
+    this._flasks = layersMatrix.map((layers) => new NegativeFlask(layers, capacity));
   }
 
   /**
@@ -22,7 +23,10 @@ export class NegativePuzzle extends Puzzle {
    * @returns {NegativePuzzle} копия игры
    */
   copy() {
-    return new NegativePuzzle(this._flasks.map((flask) => [ ...flask.layers ]));
+    return new NegativePuzzle(
+      this._flasks.map((flask) => [ ...flask.layers ]),
+      this._capacity,
+    );
   }
 
   /**
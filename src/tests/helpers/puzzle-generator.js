@@ -18,7 +18,7 @@ const generateTransfusions = (flasksNumber, emptyFlasksNumber, puzzle) => {
     let transfusion = [
       getRandomIntInclusive(0, flasksNumber + emptyFlasksNumber - 1),
       getRandomIntInclusive(0, flasksNumber + emptyFlasksNumber - 1),
-      getRandomIntInclusive(1, FlaskCapacity),
+      getRandomIntInclusive(1, puzzle.capacity),
     ];
 
     const startLookingForTransfusion = Date.now();
@@ -28,7 +28,7 @@ const generateTransfusions = (flasksNumber, emptyFlasksNumber, puzzle) => {
       transfusion = [
         getRandomIntInclusive(0, flasksNumber + emptyFlasksNumber - 1),
         getRandomIntInclusive(0, flasksNumber + emptyFlasksNumber - 1),
-        getRandomIntInclusive(1, FlaskCapacity),
+        getRandomIntInclusive(1, puzzle.capacity),
       ];
     }
 
@@ -78,13 +78,14 @@ const bringNegativePuzzleToSolvedState = (flasksNumber, emptyFlasksNumber, puzzl
  * [распределение слоёв оставшихся не полными колб между ними так, чтобы все оказались либо заполненными, либо пустыми]{@link bringNegativePuzzleToSolvedState}
  * @param {number} flasksNumber требуемое количество заполненных колб
  * @param {number} emptyFlasksNumber требуемое количество пустых колб
+ * @param {number} capacity вместимость каждой из колб
  * @returns {NagativePuzzle} негативная игра
  */
-const generateNegativePuzzle = (flasksNumber, emptyFlasksNumber) => {
+const generateNegativePuzzle = (flasksNumber, emptyFlasksNumber, capacity) => {
   const puzzle = new NegativePuzzle([
-    ...new Array(flasksNumber).fill(null).map((_, i) => new Array(FlaskCapacity).fill(i)),
+    ...new Array(flasksNumber).fill(null).map((_, i) => new Array(capacity).fill(i)),
     ...new Array(emptyFlasksNumber).fill(null).map(() => []),
-  ].sort(() => Math.random() - 0.5));
+  ].sort(() => Math.random() - 0.5), capacity);
 
   if (!generateTransfusions(flasksNumber, emptyFlasksNumber, puzzle)) {
     return puzzle;
@@ -99,12 +100,13 @@ const generateNegativePuzzle = (flasksNumber, emptyFlasksNumber) => {
  * Генерация [игры]{@link Puzzle}
  * @param {number} flasksNumber требуемое количество заполненных колб
  * @param {number} emptyFlasksNumber требуемое количество пустых колб
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
  * @returns {number[][]} игра в виде [матрицы]{@link Puzzle.layersMatrix} без пустых колб
  */
-export const generatePuzzle = (flasksNumber, emptyFlasksNumber) => {
-  let puzzle = generateNegativePuzzle(flasksNumber, emptyFlasksNumber);
+export const generatePuzzle = (flasksNumber, emptyFlasksNumber, capacity = FlaskCapacity) => {
+  let puzzle = generateNegativePuzzle(flasksNumber, emptyFlasksNumber, capacity);
   while (!puzzle.isSolved) {
-    puzzle = generateNegativePuzzle(flasksNumber, emptyFlasksNumber);
+    puzzle = generateNegativePuzzle(flasksNumber, emptyFlasksNumber, capacity);
   }
   return puzzle.layersMatrix.filter((layer) => layer.length > 0);
 };
@@ -6,39 +6,47 @@ import getPixels from 'get-pixels';
 import { FlasksMargin } from '../constants/image-options/flasks-margin.const.js';
 import { FlaskBorderWidth } from '../constants/image-options/flask-border-width.const.js';
 import { SquareSide } from '../constants/image-options/square-side.const.js';
+import { FlaskCapacity } from '../constants/flask-capacity.const.js';
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
 import { assertSnapshotMatch } from './helpers/assert-snapshot-match.js';
-import { analyzeImage, detectSpots, markSpots, forTesting } from '../image-analyzer.js';
+import {
+  analyzeImage,
+  detectSpots,
+  markSpots,
+  matchColorsWithPalette,
+  pixelsToScreenshot,
+  readScreenshot,
+  selectLayerSpots,
+  forTesting,
+} from '../image-analyzer.js';
 import { fullfillImage, prepareImage } from '../visualizer.js';
 
 const {
-  traversePixels,
+  findRoot,
+  uniteSets,
   constructSpots,
   clusterizeSpots,
   fullfillPuzzle,
+  detectUnknownColor,
   scanSpotsAlongMiddle,
   extractFlaskFromLayers,
   detectColorsInFlasks,
+  detectCapacity,
   detectFlasks,
+  getFlaskBounds,
+  getSpotFillRatio,
+  detectLayerWidth,
+  rgbToLab,
+  getColorDeltaE,
+  mergeSimilarColors,
 } = forTesting;
 
 const preparePixels = (rowsNumber, flasksInRows, layersMatrix, colors) => {
   const [ canvas, ctx ] = prepareImage(rowsNumber, flasksInRows);
   fullfillImage(rowsNumber, flasksInRows, layersMatrix, colors, ctx);
 
-  const shape = [ canvas.width, canvas.height ];
-
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
-  const pixels = new Array(canvas.height).fill(null).map(() =>
-    new Array(canvas.width).fill(null).map(() => new Array(3))
-  );
-
-  for (let i = 0; i < canvas.height; ++i) {
-    for (let j = 0; j < canvas.width; ++j) {
-      for (let k = 0; k < 3; ++k) {
-        pixels[i][j][k] = imageData[(i * canvas.width + j) * 4 + k];
-      }
-    }
-  }
+  const shape = [ canvas.width, canvas.height, 4 ];
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
 
   return [ shape, pixels ];
 };
@@ -94,7 +102,7 @@ describe('image-analyser', () => {
       const [ canvas, ctx ] = prepareImage(1, [ 0 ]);
       const pixels = (await detectSpots(canvas.toBuffer(), 'image/png'))[1];
       assert.deepEqual(
-        pixels.flat().flatMap((pixel) => [ ...pixel, 255 ]),
+        [ ...pixels ],
         [ ...ctx.getImageData(0, 0, canvas.width, canvas.height).data ],
       );
     });
@@ -110,7 +118,7 @@ describe('image-analyser', () => {
       const [ canvas, ctx ] = prepareImage(1, [ 1 ]);
       fullfillImage(1, [ 1 ], [ [ 1, 1, 0, 0 ] ], [ '255,209,220', '255,209,221' ], ctx);
       const mask = (await detectSpots(canvas.toBuffer(), 'image/png'))[3];
-      await assertSnapshotMatch(mask, 'detect-spots/mask.snapshot.json');
+      await assertSnapshotMatch([ ...mask ], 'detect-spots/mask.snapshot.json');
     });
 
     describe('real tests with compressed images', () => {
@@ -216,6 +224,45 @@ describe('image-analyser', () => {
       assert.deepEqual(actualImageData, expectedImageData);
     });
 
+    it('should return capacity', async () => {
+      const [ canvas, ctx ] = prepareImage(1, [ 3 ], 5);
+      fullfillImage(
+        1,
+        [ 3 ],
+        [ [ 0, 1, 2, 0, 1 ], [ 1, 2, 0, 1, 2 ], [ 2, 0, 1, 2, 0 ] ],
+        [ '255,209,220', '167,199,231', '195,177,225' ],
+        ctx,
+        5,
+      );
+      const capacity = analyzeImage(
+        ...(await detectSpots(canvas.toBuffer(), 'image/png')),
+        [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15 ],
+      )[4];
+      assert.equal(capacity, 5);
+    });
+
+    it('should return flasks bounds', async () => {
+      const [ canvas, ctx ] = prepareImage(2, [ 2, 1 ]);
+      fullfillImage(
+        2,
+        [ 2, 1 ],
+        [ [ 0, 1, 2, 0 ], [ 1, 2, 0, 1 ], [ 2, 0, 1, 2 ] ],
+        [ '255,209,220', '167,199,231', '195,177,225' ],
+        ctx,
+      );
+      const flasksBounds = analyzeImage(
+        ...(await detectSpots(canvas.toBuffer(), 'image/png')),
+        [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12 ],
+      )[5];
+      assert.equal(flasksBounds.length, 3);
+      assert.deepEqual(flasksBounds[0], {
+        top: FlasksMargin,
+        bottom: FlasksMargin + FlaskCapacity * SquareSide - 1,
+        left: FlasksMargin + FlaskBorderWidth,
+        right: FlasksMargin + FlaskBorderWidth + SquareSide - 1,
+      });
+    });
+
     describe('real tests with compressed images', () => {
       for (let i = 0; i < 5; ++i) {
         it(`should pass real test ${i}`, async () => {
@@ -240,116 +287,32 @@ describe('image-analyser', () => {
     });
   });
 
-  describe('traversePixels', () => {
-    it('should fill visited', () => {
-      const visited = [ [ false ] ];
-      traversePixels([ 0, 0 ], visited, [ 1, 1 ], () => {}, () => true);
-      assert.deepEqual(visited, [ [ true ] ]);
+  describe('findRoot', () => {
+    it('should find root', () => {
+      assert.equal(findRoot(Int32Array.from([ 0, 0, 1, 3 ]), 2), 0);
+      assert.equal(findRoot(Int32Array.from([ 0, 0, 1, 3 ]), 3), 3);
     });
 
-    it('should call DFSBody', () => {
-      let isDFSBodyCalled = false;
-      traversePixels([ 0, 0 ], [ [ false ] ], [ 1, 1 ], () => isDFSBodyCalled = true, () => true);
-      assert.equal(isDFSBodyCalled, true);
+    it('should shorten path to root', () => {
+      const parents = Int32Array.from([ 0, 0, 1, 2, 3 ]);
+      findRoot(parents, 4);
+      assert.deepEqual([ ...parents ], [ 0, 0, 0, 2, 2 ]);
     });
+  });
 
-    describe('stack filters', () => {
-      let start;
-      let visited
-      let shape;
-
-      beforeEach(() => {
-        start = [ 1, 1 ];
-        shape = [ 3, 3 ];
-        visited = new Array(shape[1]).fill(null).map(() => new Array(shape[0]).fill(false));
-      });
-
-      it('should not push to stack if i is < 0', () => {
-        let isOutOfBoundsPixelVisited = false;
-        traversePixels(
-          start,
-          visited,
-          shape,
-          () => {},
-          (next, [ i, j ]) => {
-            isOutOfBoundsPixelVisited = next[0] < 0;
-            return true;
-          },
-        );
-        assert.equal(isOutOfBoundsPixelVisited, false);
-      });
-
-      it('should not push to stack if i is >= shape[1]', () => {
-        let isOutOfBoundsPixelVisited = false;
-        traversePixels(
-          start,
-          visited,
-          shape,
-          () => {},
-          (next, [ i, j ]) => {
-            isOutOfBoundsPixelVisited = next[0] >= shape[1];
-            return true;
-          },
-        );
-        assert.equal(isOutOfBoundsPixelVisited, false);
-      });
-
-      it('should not push to stack if j is < 0', () => {
-        let isOutOfBoundsPixelVisited = false;
-        traversePixels(
-          start,
-          visited,
-          shape,
-          () => {},
-          (next, [ i, j ]) => {
-            isOutOfBoundsPixelVisited = next[1] < 0;
-            return true;
-          },
-        );
-        assert.equal(isOutOfBoundsPixelVisited, false);
-      });
-
-      it('should not push to stack if j is >= shape[0]', () => {
-        let isOutOfBoundsPixelVisited = false;
-        traversePixels(
-          start,
-          visited,
-          shape,
-          () => {},
-          (next, [ i, j ]) => {
-            isOutOfBoundsPixelVisited = next[1] >= shape[0];
-            return true;
-          },
-        );
-        assert.equal(isOutOfBoundsPixelVisited, false);
-      });
-
-      it('should not push to stack visited pixels', () => {
-        let isVisitedPixelPushedToStack = false;
-        traversePixels(
-          start,
-          visited,
-          shape,
-          () => {},
-          (next, [ i, j ]) => {
-            isVisitedPixelPushedToStack = visited[next[0]][next[1]];
-            return true;
-          },
-        );
-        assert.equal(isVisitedPixelPushedToStack, false);
-      });
+  describe('uniteSets', () => {
+    it('should make smaller root root of union', () => {
+      const parents = Int32Array.from([ 0, 1, 1, 3, 3 ]);
+      uniteSets(parents, 4, 2);
+      assert.equal(findRoot(parents, 4), 1);
+      assert.equal(findRoot(parents, 3), 1);
+      assert.equal(findRoot(parents, 0), 0);
+    });
 
-      it('should not push to stack rejected by stackFilter pixels', () => {
-        const rejected = [ 0, 2 ];
-        traversePixels(
-          start,
-          visited,
-          shape,
-          () => {},
-          (next, [ i, j ]) => !next.some((n, k) => n !== rejected[k]),
-        );
-        assert.equal(visited[rejected[0]][rejected[1]], false);
-      });
+    it('should keep united sets', () => {
+      const parents = Int32Array.from([ 0, 0, 2 ]);
+      uniteSets(parents, 0, 1);
+      assert.deepEqual([ ...parents ], [ 0, 0, 2 ]);
     });
   });
 
@@ -373,7 +336,7 @@ describe('image-analyser', () => {
 
     it('should return mask', async () => {
       const mask = constructSpots(shape, pixels)[1];
-      await assertSnapshotMatch(mask, 'construct-spots/mask.snapshot.json');
+      await assertSnapshotMatch([ ...mask ], 'construct-spots/mask.snapshot.json');
     });
   });
 
@@ -426,6 +389,174 @@ describe('image-analyser', () => {
     });
   });
 
+  describe('fullfillPuzzle with unknown layers', () => {
+    it('should fill unknown layers', () => {
+      assert.deepEqual(
+        fullfillPuzzle(
+          2,
+          new Map([[ '255,209,220', [ { flask: 0, index: 1 }, { flask: 1, index: 1 } ] ]]),
+          2,
+          [ { flask: 0, index: 0 }, { flask: 1, index: 0 } ],
+        ),
+        [ [ UnknownLayer, 0 ], [ UnknownLayer, 0 ] ],
+      );
+    });
+  });
+
+  describe('detectUnknownColor', () => {
+    it('should detect color that is never on top and exceeds capacity', () => {
+      const colorsMap = new Map([[
+        '90,90,90',
+        [
+          { flask: 0, index: 0 },
+          { flask: 0, index: 1 },
+          { flask: 1, index: 0 },
+          { flask: 1, index: 1 },
+          { flask: 2, index: 0 },
+        ],
+      ], [
+        '255,209,220',
+        [ { flask: 0, index: 2 }, { flask: 1, index: 2 }, { flask: 2, index: 1 } ],
+      ]]);
+      assert.equal(detectUnknownColor(colorsMap, 3), '90,90,90');
+    });
+
+    it('should not detect color that is on top', () => {
+      const colorsMap = new Map([[
+        '90,90,90',
+        [
+          { flask: 0, index: 0 },
+          { flask: 0, index: 1 },
+          { flask: 1, index: 0 },
+          { flask: 1, index: 1 },
+        ],
+      ], [
+        '255,209,220',
+        [ { flask: 0, index: 2 } ],
+      ]]);
+      assert.equal(detectUnknownColor(colorsMap, 3), undefined);
+    });
+
+    it('should not detect color that does not exceed capacity', () => {
+      const colorsMap = new Map([[
+        '90,90,90',
+        [ { flask: 0, index: 0 }, { flask: 1, index: 0 } ],
+      ], [
+        '255,209,220',
+        [ { flask: 0, index: 1 }, { flask: 1, index: 1 } ],
+      ]]);
+      assert.equal(detectUnknownColor(colorsMap, 2), undefined);
+    });
+
+    it('should not detect color that is above other colors', () => {
+      const colorsMap = new Map([[
+        '90,90,90',
+        [
+          { flask: 0, index: 0 },
+          { flask: 0, index: 1 },
+          { flask: 1, index: 1 },
+          { flask: 2, index: 0 },
+        ],
+      ], [
+        '255,209,220',
+        [ { flask: 0, index: 2 }, { flask: 1, index: 0 }, { flask: 1, index: 2 }, { flask: 2, index: 1 } ],
+      ]]);
+      assert.equal(detectUnknownColor(colorsMap, 3), undefined);
+    });
+  });
+
+  describe('rgbToLab', () => {
+    // округление с заменой -0 на 0
+    const roundLab = (color) => color.map((value) => Math.round(value) || 0);
+
+    it('should convert white and black', () => {
+      assert.deepEqual(roundLab(rgbToLab([ 255, 255, 255 ])), [ 100, 0, 0 ]);
+      assert.deepEqual(roundLab(rgbToLab([ 0, 0, 0 ])), [ 0, 0, 0 ]);
+    });
+
+    it('should convert red', () => {
+      assert.deepEqual(roundLab(rgbToLab([ 255, 0, 0 ])), [ 53, 80, 67 ]);
+    });
+  });
+
+  describe('getColorDeltaE', () => {
+    it('should match reference values', () => {
+      assert.equal(getColorDeltaE([ 50, 2.6772, -79.7751 ], [ 50, 0, -82.7485 ]).toFixed(4), '2.0425');
+      assert.equal(getColorDeltaE([ 50, 2.5, 0 ], [ 58, 24, 15 ]).toFixed(4), '19.4535');
+      assert.equal(
+        getColorDeltaE([ 2.0776, 0.0795, -1.135 ], [ 0.9033, -0.0636, -0.5514 ]).toFixed(4),
+        '0.9082',
+      );
+    });
+
+    it('should be symmetric and zero for equal colors', () => {
+      const [ a, b ] = [ [ 22.7233, 20.0904, -46.694 ], [ 23.0331, 14.973, -42.5619 ] ];
+      assert.equal(getColorDeltaE(a, b), getColorDeltaE(b, a));
+      assert.equal(getColorDeltaE(a, a), 0);
+    });
+  });
+
+  describe('mergeSimilarColors', () => {
+    it('should merge shades of one color', () => {
+      const colorsMap = new Map([
+        [ '200,40,40', [ { flask: 0, index: 0 }, { flask: 1, index: 1 }, { flask: 2, index: 0 } ] ],
+        [ '40,40,200', [ { flask: 0, index: 1 }, { flask: 1, index: 0 } ] ],
+        [ '185,35,35', [ { flask: 0, index: 2 } ] ],
+      ]);
+      assert.deepEqual(mergeSimilarColors(colorsMap, 4), new Map([
+        [
+          '200,40,40',
+          [ { flask: 0, index: 0 }, { flask: 0, index: 2 }, { flask: 1, index: 1 }, { flask: 2, index: 0 } ],
+        ],
+        [ '40,40,200', [ { flask: 0, index: 1 }, { flask: 1, index: 0 } ] ],
+      ]));
+    });
+
+    it('should not exceed capacity', () => {
+      const colorsMap = new Map([
+        [ '200,40,40', [ { flask: 0, index: 0 }, { flask: 0, index: 1 }, { flask: 1, index: 0 } ] ],
+        [ '185,35,35', [ { flask: 1, index: 1 }, { flask: 2, index: 0 } ] ],
+      ]);
+      assert.deepEqual(mergeSimilarColors(colorsMap, 4), colorsMap);
+    });
+
+    it('should merge closest shades first', () => {
+      const colorsMap = new Map([
+        [ '200,40,40', [ { flask: 0, index: 0 }, { flask: 0, index: 1 } ] ],
+        [ '170,30,30', [ { flask: 1, index: 0 }, { flask: 1, index: 1 } ] ],
+        [ '195,40,40', [ { flask: 2, index: 0 }, { flask: 2, index: 1 } ] ],
+      ]);
+      assert.deepEqual([ ...mergeSimilarColors(colorsMap, 4).keys() ], [ '200,40,40', '170,30,30' ]);
+    });
+
+    it('should not merge different colors', () => {
+      const colorsMap = new Map([
+        [ '200,40,40', [ { flask: 0, index: 0 } ] ],
+        [ '40,200,40', [ { flask: 0, index: 1 } ] ],
+      ]);
+      assert.deepEqual(mergeSimilarColors(colorsMap, 4), colorsMap);
+    });
+  });
+
+  describe('matchColorsWithPalette', () => {
+    it('should match close colors', () => {
+      const [ indices ] = matchColorsWithPalette(
+        [ '167,199,230', '255,208,220' ],
+        [ '255,209,220', '167,199,231' ],
+      );
+      assert.deepEqual(indices, [ 1, 0 ]);
+    });
+
+    it('should extend palette with new colors', () => {
+      const [ indices, palette ] = matchColorsWithPalette(
+        [ '0,0,0', '255,209,220' ],
+        [ '255,209,220' ],
+      );
+      assert.deepEqual(indices, [ 1, 0 ]);
+      assert.deepEqual(palette, [ '255,209,220', '0,0,0' ]);
+    });
+  });
+
   describe('scanSpotsAlongMiddle', () => {
     const colors = [ '255,209,220', '167,199,231', '195,177,225' ];
     let shape;
@@ -473,7 +604,7 @@ describe('image-analyser', () => {
           j < holeCenterCoordinate + holeHalfSize;
           ++j
         ) {
-          pixels[i][j] = [ 255, 0, 0 ];
+          pixels.set([ 255, 0, 0 ], (i * shape[0] + j) * shape[2]);
         }
       }
       await testBody();
@@ -560,6 +691,161 @@ describe('image-analyser', () => {
     });
   });
 
+  describe('detectCapacity', () => {
+    it('should detect most frequent layers number', () => {
+      assert.equal(
+        detectCapacity([
+          [ { length: 2 }, { length: 1 } ],
+          [ { length: 1 }, { length: 1 }, { length: 1 } ],
+          [ { length: 3 } ],
+          [ { length: 1 }, { length: 3 } ],
+        ]),
+        3,
+      );
+    });
+
+    it('should prefer greater layers number if frequencies are equal', () => {
+      assert.equal(detectCapacity([ [ { length: 3 } ], [ { length: 5 } ] ]), 5);
+    });
+
+    it('should return default capacity if there are no layers', () => {
+      assert.equal(detectCapacity([ [] ]), FlaskCapacity);
+    });
+  });
+
+  describe('getFlaskBounds', () => {
+    it('should unite bounds of spots', () => {
+      assert.deepEqual(
+        getFlaskBounds(
+          [
+            { top: 0, bottom: 39, left: 11, right: 30, length: 2 },
+            { top: 40, bottom: 79, left: 10, right: 29, length: 2 },
+          ],
+          4,
+        ),
+        { top: 0, bottom: 79, left: 10, right: 30 },
+      );
+    });
+
+    it('should extend bounds of partially filled flask to full height', () => {
+      assert.deepEqual(
+        getFlaskBounds([ { top: 60, bottom: 99, left: 10, right: 30, length: 2 } ], 4),
+        { top: 21, bottom: 99, left: 10, right: 30 },
+      );
+    });
+
+    it('should not extend bounds beyond image', () => {
+      assert.equal(
+        getFlaskBounds([ { top: 10, bottom: 49, left: 10, right: 30, length: 1 } ], 4).top,
+        0,
+      );
+    });
+  });
+
+  describe('pixelsToScreenshot', () => {
+    it('should convert pixels to RGBA bytes', () => {
+      assert.deepEqual(
+        pixelsToScreenshot([ 2, 1, 4 ], Uint8Array.from([ 1, 2, 3, 0, 4, 5, 6, 128 ])),
+        { width: 2, height: 1, data: Uint8ClampedArray.from([ 1, 2, 3, 255, 4, 5, 6, 255 ]) },
+      );
+    });
+
+    it('should convert pixels without alpha channel', () => {
+      assert.deepEqual(
+        pixelsToScreenshot([ 1, 2, 3 ], Uint8Array.from([ 1, 2, 3, 4, 5, 6 ])),
+        { width: 1, height: 2, data: Uint8ClampedArray.from([ 1, 2, 3, 255, 4, 5, 6, 255 ]) },
+      );
+    });
+  });
+
+  describe('readScreenshot', () => {
+    it('should throw error if image is not readable', async () => {
+      await assert.rejects(async () => await readScreenshot(Buffer.from([])));
+    });
+
+    it('should read same image as detectSpots', async () => {
+      const imageBuffer = await readFile('./src/tests/inputs/detect-spots/1.jpg');
+      const [ shape, pixels ] = await detectSpots(imageBuffer);
+      assert.deepEqual(await readScreenshot(imageBuffer), pixelsToScreenshot(shape, pixels));
+    });
+  });
+
+  describe('getSpotFillRatio', () => {
+    it('should count only pixels of spot', () => {
+      assert.equal(
+        getSpotFillRatio(
+          [ 2, 2, 4 ],
+          { id: 1, top: 0, bottom: 1, left: 0, right: 1 },
+          Int32Array.from([ 1, 1, 1, 0 ]),
+        ),
+        0.75,
+      );
+    });
+  });
+
+  describe('detectLayerWidth', () => {
+    it('should choose width of spots with largest total square', () => {
+      assert.equal(
+        detectLayerWidth([
+          { top: 0, bottom: 9, left: 0, right: 19 },
+          { top: 10, bottom: 19, left: 0, right: 18 },
+          { top: 20, bottom: 29, left: 0, right: 19 },
+          { top: 0, bottom: 9, left: 30, right: 59 },
+        ]),
+        20,
+      );
+    });
+
+    it('should return 0 if there are no spots', () => {
+      assert.equal(detectLayerWidth([]), 0);
+    });
+  });
+
+  describe('selectLayerSpots', () => {
+    it('should select layers on generated image', async () => {
+      const [ canvas, ctx ] = prepareImage(2, [ 2, 1 ]);
+      fullfillImage(
+        2,
+        [ 2, 1 ],
+        [ [ 0, 1, 2, 0 ], [ 1, 2, 0, 1 ], [ 2, 0, 1, 2 ] ],
+        [ '255,209,220', '167,199,231', '195,177,225' ],
+        ctx,
+      );
+      const [ shape, pixels, spots, mask ] = await detectSpots(canvas.toBuffer(), 'image/png');
+      const spotsIndices = selectLayerSpots(shape, spots, mask);
+
+      assert.equal(spotsIndices.size, 12);
+      assert.deepEqual(
+        analyzeImage(shape, pixels, spots, mask, spotsIndices)[0],
+        [ [ 0, 1, 2, 0 ], [ 1, 2, 0, 1 ], [ 2, 0, 1, 2 ] ],
+      );
+    });
+
+    it('should select nothing on image without layers', () => {
+      assert.equal(
+        selectLayerSpots(
+          [ 2, 2, 4 ],
+          [ { id: 0, color: [ 0, 0, 0 ], top: 0, bottom: 1, left: 0, right: 1 } ],
+          new Int32Array(4),
+        ).size,
+        0,
+      );
+    });
+
+    describe('real tests with compressed images', () => {
+      for (let i = 0; i < 5; ++i) {
+        it(`should select same spots as user in real test ${i}`, async () => {
+          const [ shape, , spots, mask ] =
+            await detectSpots(await readFile(`./src/tests/inputs/detect-spots/${i}.jpg`));
+          assert.deepEqual(
+            [ ...selectLayerSpots(shape, spots, mask) ].sort((a, b) => a - b),
+            JSON.parse(await readFile(`./src/tests/inputs/analyze-image/${i}.json`)),
+          );
+        });
+      }
+    });
+  });
+
   describe('detectFlasks', () => {
     const colors = [ '255,209,220', '167,199,231', '195,177,225', '154,219,179' ];
     let flasks;
@@ -0,0 +1,181 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { FlaskCapacity } from '../constants/flask-capacity.const.js';
+import { PourRule } from '../constants/pour-rule.const.js';
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
+import { PackedPuzzle } from '../packed-puzzle.js';
+import { Puzzle } from '../puzzle.js';
+import { getRandomIntInclusive } from '../utils.js';
+
+describe('PackedPuzzle', () => {
+  const layersMatrix = [
+    [ 0, 1, 2, 0 ],
+    [ 1, 2, 0, 1 ],
+    [ 2, 0, 1, 2 ],
+    [],
+    [],
+  ];
+
+  it('should be created', () => {
+    assert(new PackedPuzzle());
+  });
+
+  it('should not accept layers over limit', () => {
+    assert.throws(() => new PackedPuzzle([ new Array(FlaskCapacity + 1).fill(0) ]));
+  });
+
+  it('should not accept layers over custom limit', () => {
+    assert.throws(() => new PackedPuzzle([ [ 0, 0, 0, 0 ] ], 3));
+  });
+
+  it('should not accept layers that do not fit in byte', () => {
+    assert.throws(() => new PackedPuzzle([ [ 255 ] ]));
+  });
+
+  it('should provide layers matrix', () => {
+    const puzzle = new PackedPuzzle([ [ UnknownLayer, 0, 1 ], [], [ 1, 0 ] ], 3);
+    assert.deepEqual(puzzle.layersMatrix, [ [ UnknownLayer, 0, 1 ], [], [ 1, 0 ] ]);
+    assert.equal(puzzle.flasksNumber, 3);
+    assert.equal(puzzle.getFlaskLength(0), 3);
+    assert.equal(puzzle.getLayer(0, 0), UnknownLayer);
+    assert.equal(puzzle.getLayer(2, 1), 0);
+  });
+
+  it('should copy puzzle independently', () => {
+    const puzzle = new PackedPuzzle(layersMatrix);
+    const copy = puzzle.copy();
+    copy.transfuse(0, 3);
+    assert.deepEqual(puzzle.layersMatrix, layersMatrix);
+    assert.notEqual(copy.hash, puzzle.hash);
+  });
+
+  it('should add empty flask', () => {
+    const puzzle = new PackedPuzzle([ [ 0, 1 ], [ 1 ] ]);
+    puzzle.addEmptyFlask();
+    assert.deepEqual(puzzle.layersMatrix, [ [ 0, 1 ], [ 1 ], [] ]);
+    assert.equal(puzzle.hash, new PackedPuzzle([ [ 0, 1 ], [ 1 ], [] ]).hash);
+    assert.equal(puzzle.transfuse(0, 2), 1);
+    assert.deepEqual(puzzle.layersMatrix, [ [ 0 ], [ 1 ], [ 1 ] ]);
+  });
+
+  it('should transfuse all top layers of same color that fit', () => {
+    const puzzle = new PackedPuzzle([ [ 0, 1, 1, 1 ], [ 2, 2, 1 ], [] ]);
+    assert.equal(puzzle.transfuse(0, 1), 1);
+    assert.deepEqual(puzzle.layersMatrix, [ [ 0, 1, 1 ], [ 2, 2, 1, 1 ], [] ]);
+    assert.equal(puzzle.transfuse(0, 2), 2);
+    assert.deepEqual(puzzle.layersMatrix, [ [ 0 ], [ 2, 2, 1, 1 ], [ 1, 1 ] ]);
+  });
+
+  it('should transfuse one layer by single layer rule', () => {
+    const puzzle = new PackedPuzzle([ [ 0, 1, 1, 1 ], [] ], FlaskCapacity, PourRule.SingleLayer);
+    assert.equal(puzzle.transfuse(0, 1), 1);
+    assert.deepEqual(puzzle.layersMatrix, [ [ 0, 1, 1 ], [ 1 ] ]);
+    assert.equal(puzzle.copy().transfuse(0, 1), 1);
+  });
+
+  it('should count transfused layers without transfusing', () => {
+    const puzzle = new PackedPuzzle([ [ 0, 1, 1, 1 ], [ 2, 2, 1 ], [] ]);
+    assert.equal(puzzle.getTransfusedLayersNumber(0, 1), 1);
+    assert.equal(puzzle.getTransfusedLayersNumber(0, 2), 3);
+    assert.deepEqual(puzzle.layersMatrix, [ [ 0, 1, 1, 1 ], [ 2, 2, 1 ], [] ]);
+  });
+
+  it('should detect monochrome flasks', () => {
+    const puzzle = new PackedPuzzle([ [ 1, 1 ], [ 0, 1 ], [], [ UnknownLayer ], [ 2 ] ]);
+    assert.deepEqual(
+      [ 0, 1, 2, 3, 4 ].map((i) => puzzle.isFlaskMonochrome(i)),
+      [ true, false, false, false, true ],
+    );
+  });
+
+  it('should revert transfusion', () => {
+    const puzzle = new PackedPuzzle([ [ 0, 1, 1, 1 ], [ 2, 2, 1 ], [] ]);
+    const hash = puzzle.hash;
+    puzzle.revertTransfusion(0, 2, puzzle.transfuse(0, 2));
+    assert.deepEqual(puzzle.layersMatrix, [ [ 0, 1, 1, 1 ], [ 2, 2, 1 ], [] ]);
+    assert.equal(puzzle.hash, hash);
+  });
+
+  it('should follow rules of Puzzle', () => {
+    for (let game = 0; game < 20; ++game) {
+      const colorsNumber = getRandomIntInclusive(2, 6);
+      const layers = new Array(colorsNumber * 4).fill(null).map((_, i) => i % colorsNumber);
+      layers.sort(() => Math.random() - 0.5);
+      const matrix = new Array(colorsNumber).fill(null).map((_, i) => layers.slice(i * 4, i * 4 + 4));
+      matrix[0][0] = UnknownLayer;
+      matrix.push([], []);
+
+      const pourRule = Object.values(PourRule)[game % 2];
+      const puzzle = new Puzzle(matrix, FlaskCapacity, pourRule);
+      const packedPuzzle = new PackedPuzzle(matrix, FlaskCapacity, pourRule);
+      for (let move = 0; move < 30; ++move) {
+        const validTransfusions = [];
+        for (let i = 0; i < matrix.length; ++i) {
+          for (let j = 0; j < matrix.length; ++j) {
+            assert.equal(packedPuzzle.isTransfusionValid(i, j), puzzle.isTransfusionValid(i, j));
+            if (puzzle.isTransfusionValid(i, j)) {
+              validTransfusions.push([ i, j ]);
+            }
+          }
+        }
+        assert.equal(packedPuzzle.isSolved, puzzle.isSolved);
+        assert.equal(packedPuzzle.isWaitingForReveal, puzzle.isWaitingForReveal);
+        assert.equal(packedPuzzle.hasUnknownLayers, puzzle.hasUnknownLayers);
+        if (validTransfusions.length === 0) {
+          break;
+        }
+
+        const transfusion = validTransfusions[getRandomIntInclusive(0, validTransfusions.length - 1)];
+        puzzle.transfuse(...transfusion);
+        packedPuzzle.transfuse(...transfusion);
+        assert.deepEqual(packedPuzzle.layersMatrix, puzzle.layersMatrix);
+        assert.equal(packedPuzzle.hash, new PackedPuzzle(puzzle.layersMatrix).hash);
+      }
+    }
+  });
+
+  it('should be solved', () => {
+    assert.equal(new PackedPuzzle([ [ 0, 0, 0, 0 ], [], [ 1, 1, 1, 1 ] ]).isSolved, true);
+    assert.equal(new PackedPuzzle([ [ 0, 0, 0 ], [ 0 ] ]).isSolved, false);
+    assert.equal(new PackedPuzzle([ new Array(4).fill(UnknownLayer) ]).isSolved, false);
+  });
+
+  describe('hash', () => {
+    it('should not depend on flasks order', () => {
+      assert.equal(
+        new PackedPuzzle([ ...layersMatrix ].reverse()).hash,
+        new PackedPuzzle(layersMatrix).hash,
+      );
+    });
+
+    it('should depend on layers order in flasks', () => {
+      assert.notEqual(
+        new PackedPuzzle([ [ 0, 1 ], [ 1, 0 ] ]).hash,
+        new PackedPuzzle([ [ 0, 1 ], [ 0, 1 ] ]).hash,
+      );
+    });
+
+    it('should distinguish identical flasks from empty ones', () => {
+      assert.notEqual(
+        new PackedPuzzle([ [ 0, 1 ], [ 0, 1 ], [], [] ]).hash,
+        new PackedPuzzle([ [], [], [], [] ]).hash,
+      );
+    });
+
+    it('should depend on flasks number', () => {
+      assert.notEqual(
+        new PackedPuzzle([ [ 0, 1 ], [ 1, 0 ], [] ]).hash,
+        new PackedPuzzle([ [ 0, 1 ], [ 1, 0 ] ]).hash,
+      );
+    });
+
+    it('should be same for same state reached by different transfusions', () => {
+      const puzzle = new PackedPuzzle([ [ 0, 1 ], [ 2, 1 ], [], [] ]);
+      const other = puzzle.copy();
+      puzzle.transfuse(0, 2);
+      other.transfuse(0, 3);
+      assert.equal(puzzle.hash, other.hash);
+      assert.notEqual(puzzle.hash, new PackedPuzzle([ [ 0, 1 ], [ 2, 1 ], [], [] ]).hash);
+    });
+  });
+});
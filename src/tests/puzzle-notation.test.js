@@ -0,0 +1,163 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { EmojiColors } from '../constants/emoji-colors.const.js';
+import { MaxFlasksInRow } from '../constants/image-options/max-flasks-in-row.const.js';
+import { MaxEmptyFlasksNumber } from '../constants/max-empty-flasks-number.const.js';
+import {
+  calculateImageData,
+  generatePalette,
+  parsePuzzleNotation,
+  forTesting,
+} from '../puzzle-notation.js';
+
+const { splitIntoSymbols, detectCapacity, hslToRgb } = forTesting;
+
+describe('puzzle-notation', () => {
+  describe('splitIntoSymbols', () => {
+    it('should split letters', () => {
+      assert.deepEqual(splitIntoSymbols('abBa'), [ 'a', 'b', 'B', 'a' ]);
+    });
+
+    it('should ignore whitespaces', () => {
+      assert.deepEqual(splitIntoSymbols(' a b\tb  a '), [ 'a', 'b', 'b', 'a' ]);
+    });
+
+    it('should keep multi-codepoint emoji whole', () => {
+      assert.deepEqual(splitIntoSymbols('❤️🔴 👍🏽'), [ '❤️', '🔴', '👍🏽' ]);
+    });
+  });
+
+  describe('detectCapacity', () => {
+    it('should choose the most frequent count', () => {
+      assert.equal(detectCapacity(new Map([ [ 'a', 4 ], [ 'b', 4 ], [ 'c', 3 ] ])), 4);
+    });
+
+    it('should choose larger count if frequencies are equal', () => {
+      assert.equal(detectCapacity(new Map([ [ 'a', 3 ], [ 'b', 5 ] ])), 5);
+    });
+  });
+
+  describe('parsePuzzleNotation', () => {
+    it('should parse letters', () => {
+      assert.deepEqual(
+        parsePuzzleNotation('abab\nbaba'),
+        {
+          layersMatrix: [ [ 0, 1, 0, 1 ], [ 1, 0, 1, 0 ] ],
+          capacity: 4,
+          symbols: [ 'a', 'b' ],
+        },
+      );
+    });
+
+    it('should parse emoji', () => {
+      assert.deepEqual(
+        parsePuzzleNotation('🔴🔵🔴\n🔵🔴🔵'),
+        {
+          layersMatrix: [ [ 0, 1, 0 ], [ 1, 0, 1 ] ],
+          capacity: 3,
+          symbols: [ '🔴', '🔵' ],
+        },
+      );
+    });
+
+    it('should parse empty flasks', () => {
+      assert.deepEqual(
+        parsePuzzleNotation('ab\n-\nba\n2').layersMatrix,
+        [ [ 0, 1 ], [], [ 1, 0 ], [], [] ],
+      );
+    });
+
+    it('should throw error if there are too many empty flasks', () => {
+      assert.throws(
+        () => parsePuzzleNotation('ab\nba\n100000000'),
+        new RegExp(`не больше ${MaxEmptyFlasksNumber}`),
+      );
+      assert.throws(
+        () => parsePuzzleNotation(`ab\nba\n-\n${MaxEmptyFlasksNumber}`),
+        new RegExp(`не больше ${MaxEmptyFlasksNumber}`),
+      );
+      assert.equal(
+        parsePuzzleNotation(`ab\nba\n${MaxEmptyFlasksNumber}`).layersMatrix.length,
+        2 + MaxEmptyFlasksNumber,
+      );
+    });
+
+    it('should ignore empty lines and surrounding whitespaces', () => {
+      assert.deepEqual(
+        parsePuzzleNotation('\n  a b  \n\n b a\n').layersMatrix,
+        [ [ 0, 1 ], [ 1, 0 ] ],
+      );
+    });
+
+    it('should throw error if there are no colors', () => {
+      assert.throws(() => parsePuzzleNotation('-\n2'));
+      assert.throws(() => parsePuzzleNotation(''));
+      assert.throws(() => parsePuzzleNotation(undefined));
+    });
+
+    it('should throw error if color appears wrong number of times', () => {
+      assert.throws(
+        () => parsePuzzleNotation('aabb\nabbc\naacc\nc'),
+        /a встречается 5/,
+      );
+    });
+
+    it('should throw error if flask is overfilled', () => {
+      assert.throws(
+        () => parsePuzzleNotation('ab\nbaaab\nb\n-'),
+        /колбы 2 переполнены/,
+      );
+    });
+  });
+
+  describe('hslToRgb', () => {
+    it('should convert primary colors', () => {
+      assert.deepEqual(hslToRgb(0, 1, 0.5), [ 255, 0, 0 ]);
+      assert.deepEqual(hslToRgb(120, 1, 0.5), [ 0, 255, 0 ]);
+      assert.deepEqual(hslToRgb(240, 1, 0.5), [ 0, 0, 255 ]);
+    });
+
+    it('should convert achromatic colors', () => {
+      assert.deepEqual(hslToRgb(0, 0, 0), [ 0, 0, 0 ]);
+      assert.deepEqual(hslToRgb(0, 0, 1), [ 255, 255, 255 ]);
+    });
+  });
+
+  describe('generatePalette', () => {
+    it('should use emoji colors', () => {
+      assert.deepEqual(generatePalette([ '🔴', '🟢' ]), [ EmojiColors['🔴'], EmojiColors['🟢'] ]);
+    });
+
+    it('should generate distinct colors for other symbols', () => {
+      const palette = generatePalette([ 'a', '🔵', 'b', 'c' ]);
+      assert.equal(palette.length, 4);
+      assert.equal(palette[1], EmojiColors['🔵']);
+      assert.equal(new Set(palette).size, 4);
+      palette.forEach((color) => assert.match(color, /^\d{1,3}, \d{1,3}, \d{1,3}$/));
+    });
+  });
+
+  describe('calculateImageData', () => {
+    it('should place flasks in one row', () => {
+      assert.deepEqual(
+        calculateImageData(MaxFlasksInRow),
+        { rowsNumber: 1, flasksInRows: [ MaxFlasksInRow ] },
+      );
+    });
+
+    it('should distribute flasks evenly', () => {
+      assert.deepEqual(
+        calculateImageData(2 * MaxFlasksInRow + 1),
+        {
+          rowsNumber: 3,
+          flasksInRows: [
+            Math.ceil((2 * MaxFlasksInRow + 1) / 3),
+            ...new Array(2).fill(Math.floor((2 * MaxFlasksInRow + 1) / 3)),
+          ],
+        },
+      );
+    });
+  });
+});
+/* node:coverage enable */
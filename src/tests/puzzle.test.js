@@ -1,6 +1,8 @@
 import { strict as assert } from 'node:assert';
 import { describe, it } from 'node:test';
 import { FlaskCapacity } from '../constants/flask-capacity.const.js';
+import { PourRule } from '../constants/pour-rule.const.js';
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
 import { Flask } from '../flask.js';
 import { Puzzle } from '../puzzle.js';
 
@@ -13,6 +15,33 @@ describe('Puzzle', () => {
     assert.throws(() => new Puzzle([ new Array(FlaskCapacity + 1).fill(0) ]));
   });
 
+  it('should not accept layers over custom limit', () => {
+    assert.throws(() => new Puzzle([ [ 0, 0, 0, 0 ] ], 3));
+  });
+
+  it('should use default capacity', () => {
+    assert.equal(new Puzzle().capacity, FlaskCapacity);
+  });
+
+  it('should pass capacity to flasks', () => {
+    const puzzle = new Puzzle([ [ 0, 1, 0 ], [] ], 5);
+    assert.equal(puzzle.flasks.every(({ capacity }) => capacity === 5), true);
+  });
+
+  it('should copy puzzle capacity', () => {
+    const puzzle = new Puzzle([ [ 0, 1, 0 ], [ 1, 0, 1 ] ], 3);
+    assert.equal(puzzle.copy().capacity, 3);
+  });
+
+  it('should use whole run pour rule by default', () => {
+    assert.equal(new Puzzle().pourRule, PourRule.WholeRun);
+  });
+
+  it('should copy puzzle pour rule', () => {
+    const puzzle = new Puzzle([ [ 0, 1, 0 ], [ 1, 0, 1 ] ], 3, PourRule.SingleLayer);
+    assert.equal(puzzle.copy().pourRule, PourRule.SingleLayer);
+  });
+
   it('should copy puzzle', () => {
     const puzzle = new Puzzle([
       [ 0, 1, 0, 1 ],
@@ -68,6 +97,14 @@ describe('Puzzle', () => {
   });
 
   describe('isSolved', () => {
+    it('should return true if every flask is in final state with custom capacity', () => {
+      const puzzle = new Puzzle([
+        [ 0, 0, 0, 0, 0, 0 ],
+        [],
+      ], 6);
+      assert.equal(puzzle.isSolved, true);
+    });
+
     it('should return true if every flask is in final state', () => {
       const puzzle = new Puzzle([
         [ 0, 0, 0, 0 ],
@@ -86,6 +123,94 @@ describe('Puzzle', () => {
     });
   });
 
+  describe('hasUnknownLayers', () => {
+    it('should return true if any flask has unknown layers', () => {
+      const puzzle = new Puzzle([
+        [ 0, 0, 0, 0 ],
+        [ UnknownLayer, 1 ],
+      ]);
+      assert.equal(puzzle.hasUnknownLayers, true);
+    });
+
+    it('should return false if there are no unknown layers', () => {
+      const puzzle = new Puzzle([
+        [ 0, 0, 0, 0 ],
+        [ 1 ],
+      ]);
+      assert.equal(puzzle.hasUnknownLayers, false);
+    });
+  });
+
+  describe('isWaitingForReveal', () => {
+    it('should return true if any top layer is unknown', () => {
+      const puzzle = new Puzzle([
+        [ UnknownLayer, 0 ],
+        [ 1, UnknownLayer ],
+      ]);
+      assert.equal(puzzle.isWaitingForReveal, true);
+    });
+
+    it('should return false if all top layers are known', () => {
+      const puzzle = new Puzzle([
+        [ UnknownLayer, 0 ],
+        [ UnknownLayer, 1 ],
+        [],
+      ]);
+      assert.equal(puzzle.isWaitingForReveal, false);
+    });
+  });
+
+  describe('revealLayers', () => {
+    it('should replace unknown layers with revealed ones', () => {
+      const puzzle = new Puzzle([
+        [ UnknownLayer, UnknownLayer, 0 ],
+        [ 1, UnknownLayer ],
+      ]);
+      puzzle.revealLayers([
+        [ UnknownLayer, 2, 0 ],
+        [ 1, 3 ],
+      ]);
+      assert.deepEqual(puzzle.layersMatrix, [
+        [ UnknownLayer, 2, 0 ],
+        [ 1, 3 ],
+      ]);
+    });
+
+    it('should not replace known layers', () => {
+      const puzzle = new Puzzle([
+        [ UnknownLayer, 0 ],
+      ]);
+      puzzle.revealLayers([
+        [ 1, 2 ],
+      ]);
+      assert.deepEqual(puzzle.layersMatrix, [
+        [ 1, 0 ],
+      ]);
+    });
+
+    it('should keep capacity', () => {
+      const puzzle = new Puzzle([ [ UnknownLayer, 0 ] ], 3);
+      puzzle.revealLayers([ [ 1, 0 ] ]);
+      assert.equal(puzzle.flasks[0].capacity, 3);
+    });
+
+    it('should match only non-empty flasks', () => {
+      const puzzle = new Puzzle([ [ 1, UnknownLayer ], [], [ 2, 2 ], [ UnknownLayer ], [] ]);
+      puzzle.revealLayers([ [ 1, 0 ], [ 2, 2 ], [ 3 ] ]);
+      assert.deepEqual(puzzle.layersMatrix, [ [ 1, 0 ], [], [ 2, 2 ], [ 3 ], [] ]);
+    });
+
+    it('should throw error if non-empty flasks number differs', () => {
+      const puzzle = new Puzzle([ [ UnknownLayer, 0 ], [] ]);
+      assert.throws(() => puzzle.revealLayers([ [ 1, 0 ], [ 2 ] ]));
+    });
+
+    it('should throw error if layers number differs', () => {
+      const puzzle = new Puzzle([ [ UnknownLayer, 0 ] ]);
+      assert.throws(() => puzzle.revealLayers([ [ 1, 0, 0 ] ]));
+    });
+  });
+
   describe('isTransfusionValid', () => {
     describe('errors', () => {
       it('should throw error if source flask index is less than 0', () => {
@@ -214,6 +339,12 @@ describe('Puzzle', () => {
       puzzle.transfuse(0, 1);
       assert.deepEqual(puzzle.layersMatrix[1], expectedDestinationLayers);
     });
+
+    it('should move one layer by single layer rule', () => {
+      const puzzle = new Puzzle([ [ 0, 1, 1 ], [ 1 ] ], FlaskCapacity, PourRule.SingleLayer);
+      puzzle.transfuse(0, 1);
+      assert.deepEqual(puzzle.layersMatrix, [ [ 0, 1 ], [ 1, 1 ] ]);
+    });
   });
 
   describe('toStringWithSort', () => {
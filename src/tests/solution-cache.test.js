@@ -0,0 +1,221 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { mkdtemp, readdir, readFile, rm, stat, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { PourRule } from '../constants/pour-rule.const.js';
+import { SolutionCacheVersion } from '../constants/solution-cache-version.const.js';
+import { SolvingMethod } from '../constants/solving-method.const.js';
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
+import { Puzzle } from '../puzzle.js';
+import { createSolutionCache, forTesting } from '../solution-cache.js';
+
+const {
+  classifyColors,
+  getCanonicalForm,
+  mapTransfusions,
+  isBetterSolution,
+} = forTesting;
+
+describe('solution-cache', () => {
+  const layersMatrix = [ [ 0, 1, 2, 0 ], [ 1, 2, 0, 1 ], [ 2, 0, 1, 2 ], [] ];
+  // та же игра с переставленными колбами и цветами 0 -> 2, 1 -> 0, 2 -> 1
+  const permutedLayersMatrix = [ [], [ 1, 2, 0, 1 ], [ 2, 0, 1, 2 ], [ 0, 1, 2, 0 ] ];
+  const solution = [
+    [ [ 2, 3 ], [ 2, 4 ], [ 1, 4 ], [ 2, 1 ], [ 2, 3 ], [ 1, 2 ], [ 3, 1 ], [ 0, 3 ], [ 1, 0 ],
+      [ 2, 3 ], [ 1, 2 ], [ 1, 4 ], [ 0, 2 ], [ 0, 4 ], [ 0, 3 ] ],
+    1,
+    21,
+  ];
+  const optimalSolution = [
+    [ [ 0, 3 ], [ 2, 0 ], [ 1, 2 ], [ 1, 3 ], [ 0, 1 ], [ 2, 0 ], [ 2, 3 ], [ 1, 2 ], [ 0, 1 ], [ 0, 3 ] ],
+    1,
+    10,
+  ];
+
+  const isSolution = (layersMatrix, [ transfusions, emptyFlasksNumber ]) => {
+    const puzzle = new Puzzle([
+      ...layersMatrix,
+      ...new Array(emptyFlasksNumber).fill(null).map(() => []),
+    ]);
+    transfusions.forEach((transfusion) => puzzle.transfuse(...transfusion));
+    return puzzle.isSolved;
+  };
+
+  describe('classifyColors', () => {
+    it('should separate colors by positions of their layers', () => {
+      assert.deepEqual(
+        classifyColors([ [ 0, 0, 1, 1 ], [ 1, 1, 0, 0 ], [ 2, 2, 2, 2 ] ]),
+        new Map([ [ 0, 1 ], [ 1, 1 ], [ 2, 0 ] ]),
+      );
+    });
+
+    it('should separate colors by flasks of their layers', () => {
+      const classes = classifyColors([ [ 0, 1, 0, 1 ], [ 1, 0, 2, 2 ], [ 2, 0, 2, 1 ] ]);
+      assert.equal(new Set(classes.values()).size, 3);
+    });
+  });
+
+  describe('getCanonicalForm', () => {
+    it('should not depend on flasks order and colors numbers', () => {
+      assert.equal(
+        getCanonicalForm(permutedLayersMatrix, 4).fingerprint,
+        getCanonicalForm(layersMatrix, 4).fingerprint,
+      );
+    });
+
+    it('should return flasks order of canonical form', () => {
+      const { flasksOrder } = getCanonicalForm(layersMatrix, 4);
+      assert.deepEqual([ ...flasksOrder ].sort(), [ 0, 1, 2, 3 ]);
+      assert.equal(flasksOrder[0], 3);
+    });
+
+    it('should distinguish different puzzles', () => {
+      assert.notEqual(
+        getCanonicalForm([ [ 0, 1, 2, 0 ], [ 1, 2, 0, 1 ], [ 2, 0, 1, 2 ], [] ], 4).fingerprint,
+        getCanonicalForm([ [ 0, 1, 2, 0 ], [ 1, 0, 2, 1 ], [ 2, 0, 1, 2 ], [] ], 4).fingerprint,
+      );
+    });
+
+    it('should distinguish capacities', () => {
+      assert.notEqual(
+        getCanonicalForm(layersMatrix, 4).fingerprint,
+        getCanonicalForm(layersMatrix, 5).fingerprint,
+      );
+    });
+
+    it('should distinguish pour rules', () => {
+      assert.notEqual(
+        getCanonicalForm(layersMatrix, 4, PourRule.WholeRun).fingerprint,
+        getCanonicalForm(layersMatrix, 4, PourRule.SingleLayer).fingerprint,
+      );
+    });
+
+    it('should not renumber unknown layers', () => {
+      assert.notEqual(
+        getCanonicalForm([ [ UnknownLayer, 0, 0 ], [ 1, 1, 0 ], [ 1 ] ], 3).fingerprint,
+        getCanonicalForm([ [ 2, 0, 0 ], [ 1, 1, 0 ], [ 1 ] ], 3).fingerprint,
+      );
+    });
+  });
+
+  describe('mapTransfusions', () => {
+    it('should keep numbers of added empty flasks', () => {
+      assert.deepEqual(mapTransfusions([ [ 0, 2 ], [ 1, 3 ] ], [ 2, 0, 1 ]), [ [ 2, 1 ], [ 0, 3 ] ]);
+    });
+  });
+
+  describe('isBetterSolution', () => {
+    it('should prefer fewer empty flasks, then fewer transfusions', () => {
+      assert.equal(isBetterSolution([ [ [ 0, 1 ] ], 1 ]), true);
+      assert.equal(isBetterSolution([ [ [ 0, 1 ], [ 1, 0 ] ], 0 ], [ [ [ 0, 1 ] ], 1 ]), true);
+      assert.equal(isBetterSolution([ [ [ 0, 1 ] ], 1 ], [ [ [ 0, 1 ], [ 1, 0 ] ], 1 ]), true);
+      assert.equal(isBetterSolution([ [ [ 0, 1 ] ], 1 ], [ [ [ 0, 1 ] ], 1 ]), false);
+      assert.equal(isBetterSolution([ [ [ 0, 1 ] ], 2 ], [ [ [ 0, 1 ], [ 1, 0 ] ], 1 ]), false);
+    });
+  });
+
+  describe('createSolutionCache', () => {
+    let directory;
+    let cache;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'solution-cache-'));
+      cache = createSolutionCache(join(directory, 'cache'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should return solution of same puzzle', async () => {
+      await cache.set(layersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, solution);
+      assert.deepEqual(await cache.get(layersMatrix, SolvingMethod.Fastest, 4), solution);
+    });
+
+    it('should return solution of equivalent puzzle', async () => {
+      await cache.set(layersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, solution);
+      const cachedSolution = await cache.get(permutedLayersMatrix, SolvingMethod.Fastest, 4);
+      assert.equal(cachedSolution[0].length, solution[0].length);
+      assert.equal(cachedSolution[2], solution[2]);
+      assert.equal(isSolution(permutedLayersMatrix, cachedSolution), true);
+    });
+
+    it('should store solutions separately for solving methods, empty flasks numbers and pour rules', async () => {
+      await cache.set(layersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, solution);
+      assert.equal(await cache.get(layersMatrix, SolvingMethod.Optimal, 4), undefined);
+      assert.equal(await cache.get(layersMatrix, SolvingMethod.Fastest, 4, 0), undefined);
+      assert.equal(await cache.get(layersMatrix, SolvingMethod.Fastest, 5), undefined);
+      assert.equal(
+        await cache.get(layersMatrix, SolvingMethod.Fastest, 4, undefined, PourRule.SingleLayer),
+        undefined,
+      );
+    });
+
+    it('should replace solution only with better one', async () => {
+      await cache.set(layersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, optimalSolution);
+      await cache.set(permutedLayersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, [
+        mapTransfusions(solution[0], [ 2, 3, 1, 0 ]),
+        1,
+      ]);
+      assert.deepEqual(await cache.get(layersMatrix, SolvingMethod.Fastest, 4), optimalSolution);
+
+      await cache.set(permutedLayersMatrix, SolvingMethod.Optimal, 4, undefined, undefined, [
+        mapTransfusions(solution[0], [ 2, 3, 1, 0 ]),
+        1,
+      ]);
+      await cache.set(layersMatrix, SolvingMethod.Optimal, 4, undefined, undefined, optimalSolution);
+      assert.deepEqual(await cache.get(layersMatrix, SolvingMethod.Optimal, 4), optimalSolution);
+      assert.equal((await readdir(join(directory, 'cache'))).length, 1);
+    });
+
+    it('should replace stored solutions of other methods with better one', async () => {
+      await cache.set(layersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, solution);
+      await cache.set(layersMatrix, SolvingMethod.Shortest, 4, undefined, undefined, optimalSolution);
+      assert.deepEqual(await cache.get(layersMatrix, SolvingMethod.Fastest, 4), optimalSolution);
+      assert.equal(await cache.get(layersMatrix, SolvingMethod.Optimal, 4), undefined);
+      assert.equal(await cache.get(layersMatrix, SolvingMethod.Fastest, 4, 0), undefined);
+    });
+
+    it('should ignore solutions of other version', async () => {
+      await cache.set(layersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, solution);
+      const [ filename ] = await readdir(join(directory, 'cache'));
+      const path = join(directory, 'cache', filename);
+      const file = JSON.parse(await readFile(path, 'utf8'));
+      assert.equal(file.version, SolutionCacheVersion);
+      await writeFile(path, JSON.stringify({ ...file, version: SolutionCacheVersion - 1 }));
+      assert.equal(await cache.get(layersMatrix, SolvingMethod.Fastest, 4), undefined);
+
+      await writeFile(path, JSON.stringify(file.solutions));
+      assert.equal(await cache.get(layersMatrix, SolvingMethod.Fastest, 4), undefined);
+    });
+
+    it('should not return expired solutions', async () => {
+      await cache.set(layersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, solution);
+      const [ filename ] = await readdir(join(directory, 'cache'));
+      const time = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+      await utimes(join(directory, 'cache', filename), time, time);
+      assert.equal(await cache.get(layersMatrix, SolvingMethod.Fastest, 4), undefined);
+      assert.deepEqual(await readdir(join(directory, 'cache')), []);
+    });
+
+    it('should prolong storing of solutions on reading', async () => {
+      await cache.set(layersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, solution);
+      const [ filename ] = await readdir(join(directory, 'cache'));
+      const path = join(directory, 'cache', filename);
+      const time = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      await utimes(path, time, time);
+      await cache.get(layersMatrix, SolvingMethod.Fastest, 4);
+      assert.ok((await stat(path)).mtimeMs > time.getTime());
+    });
+
+    it('should return undefined for corrupted file', async () => {
+      await cache.set(layersMatrix, SolvingMethod.Fastest, 4, undefined, undefined, solution);
+      const [ filename ] = await readdir(join(directory, 'cache'));
+      await writeFile(join(directory, 'cache', filename), 'corrupted');
+      assert.equal(await cache.get(layersMatrix, SolvingMethod.Fastest, 4), undefined);
+    });
+  });
+});
+/* node:coverage enable */
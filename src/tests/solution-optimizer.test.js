@@ -0,0 +1,121 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { PourRule } from '../constants/pour-rule.const.js';
+import { SolvingMethod } from '../constants/solving-method.const.js';
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
+import { PackedPuzzle } from '../packed-puzzle.js';
+import { Puzzle } from '../puzzle.js';
+import { forTesting, optimizeSolution } from '../solution-optimizer.js';
+import { solve } from '../solver.js';
+
+const { getFlasksPermutation } = forTesting;
+
+describe('solution-optimizer', () => {
+  const replay = (layersMatrix, transfusions, capacity, pourRule) => {
+    const puzzle = new Puzzle(layersMatrix, capacity, pourRule);
+    transfusions.forEach((transfusion) => {
+      assert.equal(puzzle.isTransfusionValid(...transfusion), true);
+      puzzle.transfuse(...transfusion);
+    });
+    return puzzle;
+  };
+
+  describe('getFlasksPermutation', () => {
+    it('should match flasks with same layers', () => {
+      assert.deepEqual(
+        getFlasksPermutation(
+          new PackedPuzzle([ [ 0, 1 ], [], [ 1 ] ]),
+          new PackedPuzzle([ [], [ 1 ], [ 0, 1 ] ]),
+        ),
+        [ 1, 2, 0 ],
+      );
+    });
+
+    it('should not match different states', () => {
+      assert.equal(
+        getFlasksPermutation(
+          new PackedPuzzle([ [ 0, 1 ], [], [ 1 ] ]),
+          new PackedPuzzle([ [ 1, 0 ], [], [ 1 ] ]),
+        ),
+        undefined,
+      );
+    });
+  });
+
+  describe('optimizeSolution', () => {
+    const layersMatrix = [ [ 0, 1, 0, 1 ], [ 1, 0, 1, 0 ], [] ];
+    const optimalSolution = solve(
+      layersMatrix.slice(0, 2),
+      { solvingMethod: SolvingMethod.Optimal },
+    ).transfusions;
+
+    it('should remove transfusions that cancel out', () => {
+      const transfusions = [ [ 0, 2 ], [ 2, 0 ], ...optimalSolution ];
+      assert.deepEqual(
+        optimizeSolution(layersMatrix, transfusions, { depth: 0 }),
+        optimalSolution,
+      );
+    });
+
+    it('should skip transfusions returning to same state with other flasks order', () => {
+      const layersMatrix = [ [ 0, 0 ], [ 1 ], [ 1 ], [] ];
+      const transfusions = optimizeSolution(layersMatrix, [ [ 0, 3 ], [ 1, 2 ] ], { capacity: 2, depth: 0 });
+      assert.equal(transfusions.length, 1);
+      assert.equal(replay(layersMatrix, transfusions, 2).isSolved, true);
+    });
+
+    it('should merge consecutive transfusions', () => {
+      const layersMatrix = [ [ 0, 0, 1 ], [ 1, 1 ], [ 0 ], [] ];
+      const transfusions = optimizeSolution(
+        layersMatrix,
+        [ [ 0, 3 ], [ 3, 1 ], [ 2, 0 ] ],
+        { capacity: 3, depth: 1 },
+      );
+      assert.deepEqual(transfusions, [ [ 0, 1 ], [ 2, 0 ] ]);
+    });
+
+    it('should shorten solution of fastest solving method', () => {
+      const layersMatrix = [ [ 0, 1, 2, 0 ], [ 1, 2, 0, 1 ], [ 2, 0, 1, 2 ], [], [] ];
+      const { transfusions } = solve(
+        layersMatrix.slice(0, 3),
+        { solvingMethod: SolvingMethod.Fastest, minEmptyFlasksNumber: 2, optimizationDepth: 0 },
+      );
+      const optimizedTransfusions = optimizeSolution(layersMatrix, transfusions);
+      assert.ok(optimizedTransfusions.length < transfusions.length);
+      assert.equal(replay(layersMatrix, optimizedTransfusions).isSolved, true);
+    });
+
+    it('should follow pour rule', () => {
+      const layersMatrix = [ [ 0, 0, 1, 1 ], [ 1, 1, 0, 0 ], [] ];
+      const pourRule = PourRule.SingleLayer;
+      const { transfusions } = solve(
+        layersMatrix.slice(0, 2),
+        { solvingMethod: SolvingMethod.Optimal, pourRule },
+      );
+      const optimizedTransfusions = optimizeSolution(
+        layersMatrix,
+        [ [ 0, 2 ], [ 2, 0 ], ...transfusions ],
+        { pourRule },
+      );
+      assert.equal(optimizedTransfusions.length, transfusions.length);
+      assert.equal(replay(layersMatrix, optimizedTransfusions, 4, pourRule).isSolved, true);
+    });
+
+    it('should stop at revealing of hidden layer', () => {
+      const layersMatrix = [ [ UnknownLayer, 0, 1 ], [ 1, 0 ], [] ];
+      const transfusions = optimizeSolution(
+        layersMatrix,
+        [ [ 1, 2 ], [ 2, 1 ], [ 0, 2 ], [ 0, 1 ] ],
+        { capacity: 3 },
+      );
+      assert.equal(transfusions.length, 2);
+      assert.equal(replay(layersMatrix, transfusions, 3).isWaitingForReveal, true);
+    });
+
+    it('should not change solution that can not be shortened', () => {
+      assert.equal(optimizeSolution(layersMatrix, optimalSolution), optimalSolution);
+    });
+  });
+});
+/* node:coverage enable */
@@ -0,0 +1,82 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { describe, it, mock } from 'node:test';
+import { SolverMessageType } from '../constants/solver-message-type.const.js';
+import { SolverPool } from '../solver-pool.js';
+
+const WorkerPath = './src/tests/helpers/delayed-solver.js';
+
+describe('solver-pool', () => {
+  it('should run jobs in queue order and reuse workers', async () => {
+    const pool = new SolverPool(1, WorkerPath);
+    const first = pool.run(1, [ 50, 'first' ]);
+    const second = pool.run(2, [ 0, 'second' ]);
+    const third = pool.run(3, [ 0, 'third' ]);
+
+    assert.deepEqual([ 1, 2, 3, 4 ].map((key) => pool.getQueuePosition(key)), [ 0, 1, 2, undefined ]);
+
+    const messages = await Promise.all([ first, second, third ]);
+    assert.deepEqual(messages.map(({ type }) => type), new Array(3).fill(SolverMessageType.Solution));
+    assert.deepEqual(messages.map(({ payload }) => payload[0]), [ 'first', 'second', 'third' ]);
+    assert.equal(new Set(messages.map(({ payload }) => payload[1])).size, 1);
+    assert.equal(pool.getQueuePosition(1), undefined);
+  });
+
+  it('should run jobs concurrently up to pool size', async () => {
+    const pool = new SolverPool(2, WorkerPath);
+    const jobs = [ 1, 2, 3 ].map((key) => pool.run(key, [ 50, key ]));
+
+    assert.deepEqual([ 1, 2, 3 ].map((key) => pool.getQueuePosition(key)), [ 0, 0, 1 ]);
+    assert.equal(pool._workers.length, 2);
+    await Promise.all(jobs);
+  });
+
+  it('should call start and progress handlers', async () => {
+    const pool = new SolverPool(1, WorkerPath);
+    const onStart = mock.fn();
+    const onProgress = mock.fn();
+    const first = pool.run(1, [ 0, 'first' ]);
+    const second = pool.run(2, [ 0, 'second' ], { onStart, onProgress });
+    assert.equal(onStart.mock.callCount(), 0);
+
+    await Promise.all([ first, second ]);
+    assert.equal(onStart.mock.callCount(), 1);
+    assert.deepEqual(onProgress.mock.calls.map(({ arguments: args }) => args), [ [ 'second' ] ]);
+  });
+
+  it('should keep only one job per key', async () => {
+    const pool = new SolverPool(1, WorkerPath);
+    const first = pool.run(1, [ 50, 'first' ]);
+    const second = pool.run(2, [ 0, 'second' ]);
+    const replacement = pool.run(2, [ 0, 'replacement' ]);
+
+    assert.equal(await second, undefined);
+    assert.equal(pool.getQueuePosition(2), 1);
+    assert.equal((await first).payload[0], 'first');
+    assert.equal((await replacement).payload[0], 'replacement');
+  });
+
+  it('should terminate worker of cancelled active job and continue with queue', async () => {
+    const pool = new SolverPool(1, WorkerPath);
+    const first = pool.run(1, [ 10000, 'first' ]);
+    const second = pool.run(2, [ 0, 'second' ]);
+    const [ firstWorker ] = pool._workers;
+
+    assert.equal(pool.cancel(1), true);
+    assert.equal(await first, undefined);
+    assert.notEqual(pool._workers[0], firstWorker);
+    assert.equal((await second).payload[0], 'second');
+    assert.equal(pool.cancel(1), false);
+  });
+
+  it('should reject job on worker error and replace worker', async () => {
+    const pool = new SolverPool(1, WorkerPath);
+    const failing = pool.run(1, [ 0, 'error' ]);
+    const next = pool.run(2, [ 0, 'next' ]);
+
+    await assert.rejects(failing, { message: 'error' });
+    assert.equal((await next).payload[0], 'next');
+    assert.equal(pool._workers.length, 1);
+  });
+});
+/* node:coverage enable */
@@ -5,31 +5,236 @@ import { describe, it } from 'node:test';
 import { Worker } from 'worker_threads';
 import { DefaultEmptyFlasksNumber } from '../constants/default-empty-flasks-number.const.js';
 import { MaxEmptyFlasksNumber } from '../constants/max-empty-flasks-number.const.js';
+import { PourRule } from '../constants/pour-rule.const.js';
+import { PruningRule } from '../constants/pruning-rule.const.js';
+import { PuzzleIssueType } from '../constants/puzzle-issue-type.const.js';
+import { SolverMessageType } from '../constants/solver-message-type.const.js';
 import { SolvingMethod } from '../constants/solving-method.const.js';
 import { assertSnapshotMatch } from './helpers/assert-snapshot-match.js';
 import { generatePuzzle } from './helpers/puzzle-generator.js';
 import { Puzzle } from '../puzzle.js';
+import { getEmptyFlasksAdditions, solve } from '../solver.js';
 import { getRandomIntInclusive } from '../utils.js';
 
+const runSolver = ([ layersMatrix, solvingMethod, capacity, minEmptyFlasksNumber ]) => {
+  const { transfusions, emptyFlasksNumber } = solve(
+    layersMatrix,
+    { solvingMethod, capacity, minEmptyFlasksNumber },
+  );
+  return [ transfusions, emptyFlasksNumber ];
+};
+
+const runSolverWorker = (task) => new Promise((resolve, reject) => {
+  const progress = [];
+  const worker = new Worker('./src/solver-worker.js');
+  worker.on('message', ({ type, payload }) => {
+    if (type === SolverMessageType.Progress) {
+      progress.push(payload);
+    } else {
+      worker.terminate();
+      resolve([ payload, progress, type ]);
+    }
+  });
+  worker.on('error', reject);
+  worker.postMessage(task);
+});
+
 describe('solver', async () => {
-  for (let i = 0; i < 9; ++i) {
+  for (let i = 0; i < 18; ++i) {
     const testCase = JSON.parse(await readFile(`./src/tests/inputs/solver/${i}.json`));
     it(
       `should pass test case "${testCase.name}" using ${testCase.solvingMethod} solving method`,
        async () => {
-        const solution = await new Promise((resolve, reject) => {
-          const worker = new Worker(
-            './src/solver.js',
-            { workerData: testCase.args },
-          );
-          worker.on('message', resolve);
-          worker.on('error', reject);
-        });
-        await assertSnapshotMatch(solution, `solver/${i}.snapshot.json`);
+        await assertSnapshotMatch(runSolver(testCase.args), `solver/${i}.snapshot.json`);
       },
     );
   }
 
+  it('should report progress at the start of search and after adding each empty flask', async () => {
+    const testCase = JSON.parse(await readFile('./src/tests/inputs/solver/6.json'));
+    const [ [ _, emptyFlasksNumber ], progress ] = await runSolverWorker(testCase.args);
+    assert.equal(progress[0].statesNumber, 0);
+    assert.deepEqual(
+      [ ...new Set(progress.map(({ emptyFlasksNumber }) => emptyFlasksNumber)) ],
+      new Array(emptyFlasksNumber - DefaultEmptyFlasksNumber + 1)
+        .fill(null)
+        .map((_, i) => DefaultEmptyFlasksNumber + i),
+    );
+    for (let i = 1; i < progress.length; ++i) {
+      assert.ok(progress[i].elapsedTime >= progress[i - 1].elapsedTime);
+    }
+  });
+
+  it('should pass transfusions number before optimization from worker', async () => {
+    const [ [ transfusions, _, originalTransfusionsNumber ] ] = await runSolverWorker([
+      [ [ 0, 1, 0, 1 ], [ 1, 0, 1, 0 ] ],
+      SolvingMethod.Fastest,
+    ]);
+    assert.equal(transfusions.length, 7);
+    assert.equal(originalTransfusionsNumber, 9);
+  });
+
+  it('should report issues instead of searching for solution of invalid puzzle', async () => {
+    const [ issues, progress, type ] = await runSolverWorker([
+      [ [ 0, 1, 0, 1 ], [ 1, 0, 1, 0, 1 ] ],
+      SolvingMethod.Fastest,
+    ]);
+    assert.equal(type, SolverMessageType.Issues);
+    assert.deepEqual(progress, []);
+    assert.deepEqual(
+      issues.map(({ type }) => type),
+      [ PuzzleIssueType.OverfilledFlask, PuzzleIssueType.WrongColorCount ],
+    );
+  });
+
+  describe('solve', () => {
+    const tinyLayersMatrix = [ [ 0, 1, 0, 1 ], [ 1, 0, 1, 0 ] ];
+
+    it('should return structured result', () => {
+      const result = solve(tinyLayersMatrix);
+      assert.equal(result.transfusions.length, 7);
+      assert.equal(result.originalTransfusionsNumber, 9);
+      assert.equal(result.emptyFlasksNumber, 1);
+      assert.ok(result.statesNumber > 0);
+      assert.ok(result.elapsedTime >= 0);
+      assert.equal(result.isLimitReached, false);
+    });
+
+    it('should not add more than max empty flasks', () => {
+      const result = solve(tinyLayersMatrix, { minEmptyFlasksNumber: 0, maxEmptyFlasksNumber: 0 });
+      assert.equal(result.transfusions, undefined);
+      assert.equal(result.emptyFlasksNumber, 0);
+      assert.equal(result.isLimitReached, false);
+    });
+
+    it('should add empty flask only when it is needed', () => {
+      const progress = [];
+      const result = solve(tinyLayersMatrix, {
+        solvingMethod: SolvingMethod.Optimal,
+        minEmptyFlasksNumber: 0,
+        onProgress: (payload) => progress.push(payload),
+      });
+      assert.equal(result.emptyFlasksNumber, 1);
+      assert.deepEqual(
+        [ ...new Set(progress.map(({ emptyFlasksNumber }) => emptyFlasksNumber)) ],
+        [ 0, 1 ],
+      );
+      assert.deepEqual(
+        result.emptyFlasksAdditions,
+        [ result.transfusions.findIndex((transfusion) => transfusion.includes(2)) ],
+      );
+      assert.equal(
+        result.transfusions.length,
+        solve(tinyLayersMatrix, { solvingMethod: SolvingMethod.Optimal }).transfusions.length,
+      );
+    });
+
+    it('should not report empty flasks present in game as added', async () => {
+      const result = solve(tinyLayersMatrix);
+      assert.equal(result.emptyFlasksNumber, DefaultEmptyFlasksNumber);
+      assert.deepEqual(result.emptyFlasksAdditions, []);
+
+      const testCase = JSON.parse(await readFile('./src/tests/inputs/solver/6.json'));
+      const [ layersMatrix, solvingMethod, capacity ] = testCase.args;
+      const { emptyFlasksNumber, emptyFlasksAdditions } = solve(
+        layersMatrix,
+        { solvingMethod, capacity },
+      );
+      assert.equal(emptyFlasksAdditions.length, emptyFlasksNumber - DefaultEmptyFlasksNumber);
+    });
+
+    it('should count each moved layer as move by single layer rule', () => {
+      const layersMatrix = [ [ 0, 0, 1, 1 ], [ 1, 1, 0, 0 ] ];
+      const result = solve(layersMatrix, {
+        solvingMethod: SolvingMethod.Optimal,
+        pourRule: PourRule.SingleLayer,
+      });
+      assert.equal(result.transfusions.length, 6);
+      assert.equal(
+        solve(layersMatrix, { solvingMethod: SolvingMethod.Optimal }).transfusions.length,
+        3,
+      );
+
+      const puzzle = new Puzzle([ ...layersMatrix, [] ], 4, PourRule.SingleLayer);
+      result.transfusions.forEach((transfusion) => puzzle.transfuse(...transfusion));
+      assert.equal(puzzle.isSolved, true);
+    });
+
+    it('should count states pruned by each rule', () => {
+      const result = solve(tinyLayersMatrix, { minEmptyFlasksNumber: 2 });
+      assert.deepEqual(Object.keys(result.prunedStatesNumbers), Object.values(PruningRule));
+      assert.ok(result.prunedStatesNumbers[PruningRule.MonochromeToEmpty] > 0);
+      assert.ok(result.prunedStatesNumbers[PruningRule.SymmetricEmptyFlasks] > 0);
+
+      const unprunedResult = solve(tinyLayersMatrix, { minEmptyFlasksNumber: 2, pruningRules: [] });
+      assert.deepEqual(Object.values(unprunedResult.prunedStatesNumbers), [ 0, 0 ]);
+    });
+
+    it('should find solution of same length without pruning', async () => {
+      const testCase = JSON.parse(await readFile('./src/tests/inputs/solver/13.json'));
+      const [ layersMatrix, solvingMethod, capacity ] = testCase.args;
+      const result = solve(layersMatrix, { solvingMethod, capacity });
+      const unprunedResult = solve(layersMatrix, { solvingMethod, capacity, pruningRules: [] });
+      assert.equal(unprunedResult.transfusions.length, result.transfusions.length);
+      assert.equal(unprunedResult.emptyFlasksNumber, result.emptyFlasksNumber);
+    });
+
+    it('should stop search after states limit', async () => {
+      const testCase = JSON.parse(await readFile('./src/tests/inputs/solver/11.json'));
+      const result = solve(testCase.args[0], {
+        solvingMethod: SolvingMethod.Optimal,
+        statesLimit: 100,
+      });
+      assert.equal(result.transfusions, undefined);
+      assert.equal(result.isLimitReached, true);
+      assert.ok(result.statesNumber > 100);
+    });
+
+    it('should stop search after time limit', async () => {
+      const testCase = JSON.parse(await readFile('./src/tests/inputs/solver/11.json'));
+      const result = solve(testCase.args[0], { solvingMethod: SolvingMethod.Optimal, timeLimit: 0 });
+      assert.equal(result.transfusions, undefined);
+      assert.equal(result.isLimitReached, true);
+    });
+
+    it('should throw if aborted', () => {
+      const controller = new AbortController();
+      controller.abort();
+      assert.throws(() => solve(tinyLayersMatrix, { signal: controller.signal }), { name: 'AbortError' });
+    });
+
+    it('should throw if aborted from progress handler', async () => {
+      const testCase = JSON.parse(await readFile('./src/tests/inputs/solver/11.json'));
+      const controller = new AbortController();
+      const progress = [];
+      assert.throws(
+        () => solve(testCase.args[0], {
+          solvingMethod: SolvingMethod.Optimal,
+          signal: controller.signal,
+          onProgress: (payload) => {
+            progress.push(payload);
+            controller.abort();
+          },
+        }),
+        { name: 'AbortError' },
+      );
+      assert.equal(progress.length, 1);
+    });
+  });
+
+  describe('getEmptyFlasksAdditions', () => {
+    it('should return index of first transfusion using each empty flask', () => {
+      assert.deepEqual(
+        getEmptyFlasksAdditions([ [ 0, 1 ], [ 1, 3 ], [ 0, 1 ], [ 2, 3 ], [ 4, 0 ], [ 1, 2 ] ], 3),
+        [ 1, 4 ],
+      );
+    });
+
+    it('should return empty array if empty flasks are not used', () => {
+      assert.deepEqual(getEmptyFlasksAdditions([ [ 0, 1 ], [ 1, 0 ] ], 2), []);
+    });
+  });
+
   describe('random tests', () => {
     for (let i = 0; i < 10; ++i) {
       const flasksNumber = getRandomIntInclusive(2, 13);
@@ -43,14 +248,7 @@ describe('solver', async () => {
         it(
           `should pass random test ${i} using ${solvingMethod} solving method`,
           async () => {
-            const solution = await new Promise((resolve, reject) => {
-              const worker = new Worker(
-                './src/solver.js',
-                { workerData: [ layersMatrix, solvingMethod ] },
-              );
-              worker.on('message', resolve);
-              worker.on('error', reject);
-            });
+            const solution = runSolver([ layersMatrix, solvingMethod ]);
             assert.equal(
               solution?.[0].reduce(
                 (puzzle, transfusion) => {
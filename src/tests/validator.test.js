@@ -0,0 +1,115 @@
+/* node:coverage disable */
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { PuzzleIssueType } from '../constants/puzzle-issue-type.const.js';
+import { UnknownLayer } from '../constants/unknown-layer.const.js';
+import { generatePuzzle } from './helpers/puzzle-generator.js';
+import { getSuspiciousFlasks, validatePuzzle } from '../validator.js';
+
+describe('validator', () => {
+  describe('validatePuzzle', () => {
+    it('should find no issues in generated puzzle', () => {
+      assert.deepEqual(validatePuzzle(generatePuzzle(7, 2)), []);
+    });
+
+    it('should find no issues in generated puzzle with custom capacity', () => {
+      assert.deepEqual(validatePuzzle(generatePuzzle(5, 2, 6), 6), []);
+    });
+
+    it('should find no issues in partially solved puzzle', () => {
+      assert.deepEqual(validatePuzzle([ [ 0, 1 ], [ 1, 0, 1 ], [ 0 ] ], 3), []);
+    });
+
+    it('should find colors with wrong layers number', () => {
+      assert.deepEqual(
+        validatePuzzle([ [ 0, 1, 0 ], [ 1, 0, 2 ], [ 1 ] ], 3),
+        [{
+          type: PuzzleIssueType.WrongColorCount,
+          flasks: [ 1 ],
+          color: 2,
+          layersNumber: 1,
+        }],
+      );
+      assert.deepEqual(
+        validatePuzzle([ [ 0, 0, 0 ], [ 0, 1, 1 ] ], 3),
+        [{
+          type: PuzzleIssueType.WrongColorCount,
+          flasks: [ 0, 1 ],
+          color: 0,
+          layersNumber: 4,
+        }, {
+          type: PuzzleIssueType.WrongColorCount,
+          flasks: [ 1 ],
+          color: 1,
+          layersNumber: 2,
+        }],
+      );
+    });
+
+    it('should take unknown layers into account', () => {
+      assert.deepEqual(
+        validatePuzzle([ [ UnknownLayer, 1, 0 ], [ 1, 0, 1 ], [ 0 ] ], 3),
+        [],
+      );
+      assert.deepEqual(
+        validatePuzzle([ [ UnknownLayer, 1, 0 ], [ 1, 0, 1 ], [ 1 ] ], 3).map(({ color }) => color),
+        [ 1 ],
+      );
+    });
+
+    it('should find overfilled flasks', () => {
+      assert.deepEqual(
+        validatePuzzle([ [ 0, 1, 0, 1, 0 ], [ 1, 0, 1 ] ], 4),
+        [{
+          type: PuzzleIssueType.OverfilledFlask,
+          flasks: [ 0 ],
+          layersNumber: 5,
+        }],
+      );
+    });
+
+    it('should find empty positions', () => {
+      const flask = new Array(4);
+      flask[0] = 1;
+      flask[2] = 1;
+      flask[3] = 0;
+      assert.deepEqual(
+        validatePuzzle([ [ 0, 0, 1, 0 ], flask ]).filter(({ type }) =>
+          type === PuzzleIssueType.EmptyPosition
+        ),
+        [{
+          type: PuzzleIssueType.EmptyPosition,
+          flasks: [ 1 ],
+          layer: 1,
+        }],
+      );
+    });
+
+    it('should find too many colors', () => {
+      assert.deepEqual(validatePuzzle([ [ 0, 1 ], [ 2, 0 ], [ 1, 2 ] ], 2), []);
+      assert.deepEqual(
+        validatePuzzle([ [ 0, 1, 2 ], [ 3, 0, 1 ] ], 3).at(-1),
+        {
+          type: PuzzleIssueType.TooManyColors,
+          flasks: [],
+          colorsNumber: 4,
+          flasksNumber: 2,
+        },
+      );
+    });
+  });
+
+  describe('getSuspiciousFlasks', () => {
+    it('should collect unique flasks in ascending order', () => {
+      assert.deepEqual(
+        getSuspiciousFlasks([
+          { type: PuzzleIssueType.WrongColorCount, flasks: [ 3, 1 ] },
+          { type: PuzzleIssueType.OverfilledFlask, flasks: [ 1 ] },
+          { type: PuzzleIssueType.TooManyColors, flasks: [] },
+        ]),
+        [ 1, 3 ],
+      );
+    });
+  });
+});
+/* node:coverage enable */
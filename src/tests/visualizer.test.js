@@ -6,10 +6,41 @@ import { FlasksMargin } from '../constants/image-options/flasks-margin.const.js'
 import { FlaskBorderWidth } from '../constants/image-options/flask-border-width.const.js';
 import { BackgroundColor } from '../constants/image-options/background-color.const.js';
 import { FlaskBorderColor } from '../constants/image-options/flask-border-color.const.js';
+import {
+  HighlightedFlaskBorderColor,
+} from '../constants/image-options/highlighted-flask-border-color.const.js';
+import {
+  SourceFlaskBorderColor,
+} from '../constants/image-options/source-flask-border-color.const.js';
+import {
+  DestinationFlaskBorderColor,
+} from '../constants/image-options/destination-flask-border-color.const.js';
+import { MaxSheetSidesSum } from '../constants/image-options/max-sheet-sides-sum.const.js';
 import { FlaskCapacity } from '../constants/flask-capacity.const.js';
-import { fullfillImage, prepareImage, visualizeSolution } from '../visualizer.js';
+import { PourRule } from '../constants/pour-rule.const.js';
+import { decodeGif } from './helpers/gif-decoder.js';
+import {
+  animateSolution,
+  forTesting,
+  fullfillImage,
+  highlightFlasks,
+  highlightMove,
+  numberFlasks,
+  prepareImage,
+  visualizeSolution,
+  visualizeSolutionAsSheets,
+  visualizeSolutionOnScreenshot,
+  visualizeSolutionStep,
+} from '../visualizer.js';
 import { getRandomIntInclusive } from '../utils.js';
 
+const {
+  getVisibleFlasksInRows,
+  calculateSheetLayout,
+  formatSheetLabel,
+  placeEmptyFlasks,
+} = forTesting;
+
 describe('visualizer', () => {
   describe('prepareImage', () => {
     it('should create canvas', () => {
@@ -40,6 +71,14 @@ describe('visualizer', () => {
       assert.equal(canvas.height, expectedHeight);
     });
 
+    it('should create canvas with correct height for custom capacity', () => {
+      const capacity = 6;
+      const [ canvas ] = prepareImage(2, [ 1, 2 ], capacity);
+      const expectedHeight =
+        2 * capacity * SquareSide + (2 + 1) * FlasksMargin + 2 * FlaskBorderWidth;
+      assert.equal(canvas.height, expectedHeight);
+    });
+
     it('should fill canvas with correct backgound', () => {
       const [ canvas, ctx ] = prepareImage(1, [ 0 ]);
       const left = getRandomIntInclusive(0, canvas.width - 1);
@@ -115,6 +154,90 @@ describe('visualizer', () => {
     });
   });
 
+  describe('highlightFlasks', () => {
+    it('should highlight only chosen flasks', () => {
+      const [ _, ctx ] = prepareImage(2, [ 2, 1 ]);
+      highlightFlasks(2, [ 2, 1 ], [ 1, 2 ], ctx);
+
+      const getBottomPixel = (i, j) => ctx.getImageData(
+        j * SquareSide + (j + 1) * FlasksMargin + j * 2 * FlaskBorderWidth + FlaskBorderWidth,
+        (i + 1) * FlaskCapacity * SquareSide + (i + 1) * FlasksMargin + i * FlaskBorderWidth,
+        1,
+        1,
+      ).data.slice(0, 3).join(', ');
+
+      assert.equal(getBottomPixel(0, 0), FlaskBorderColor);
+      assert.equal(getBottomPixel(0, 1), HighlightedFlaskBorderColor);
+      assert.equal(getBottomPixel(1, 0), HighlightedFlaskBorderColor);
+    });
+
+    it('should highlight flasks with custom color', () => {
+      const [ _, ctx ] = prepareImage(1, [ 1 ]);
+      highlightFlasks(1, [ 1 ], [ 0 ], ctx, FlaskCapacity, SourceFlaskBorderColor);
+      assert.equal(
+        ctx.getImageData(
+          FlasksMargin + FlaskBorderWidth,
+          FlaskCapacity * SquareSide + FlasksMargin,
+          1,
+          1,
+        ).data.slice(0, 3).join(', '),
+        SourceFlaskBorderColor,
+      );
+    });
+  });
+
+  describe('highlightMove', () => {
+    it('should highlight source and destination flasks', () => {
+      const [ _, ctx ] = prepareImage(1, [ 3 ]);
+      highlightMove(1, [ 3 ], [ 2, 0 ], 0, 1, ctx);
+
+      const getBottomPixel = (j) => ctx.getImageData(
+        j * SquareSide + (j + 1) * FlasksMargin + j * 2 * FlaskBorderWidth + FlaskBorderWidth,
+        FlaskCapacity * SquareSide + FlasksMargin,
+        1,
+        1,
+      ).data.slice(0, 3).join(', ');
+
+      assert.equal(getBottomPixel(0), DestinationFlaskBorderColor);
+      assert.equal(getBottomPixel(1), FlaskBorderColor);
+      assert.equal(getBottomPixel(2), SourceFlaskBorderColor);
+    });
+
+    it('should add move index to top left corner', () => {
+      const [ canvas, ctx ] = prepareImage(1, [ 3 ]);
+      highlightMove(1, [ 3 ], [ 2, 0 ], 0, 1, ctx);
+      const corner = ctx.getImageData(0, 0, canvas.width / 2, FlasksMargin).data;
+
+      let isCornerFilled = false;
+      for (let i = 0; i < corner.length; i += 4) {
+        if (corner.slice(i, i + 3).join(', ') !== BackgroundColor) {
+          isCornerFilled = true;
+        }
+      }
+      assert.equal(isCornerFilled, true);
+    });
+  });
+
+  describe('numberFlasks', () => {
+    it('should add numbers under flasks', () => {
+      const [ canvas, ctx ] = prepareImage(1, [ 1 ]);
+      const top = canvas.height - FlasksMargin;
+      const isMarginEmpty = () => {
+        const margin = ctx.getImageData(0, top, canvas.width, FlasksMargin).data;
+        for (let i = 0; i < margin.length; i += 4) {
+          if (margin.slice(i, i + 3).join(', ') !== BackgroundColor) {
+            return false;
+          }
+        }
+        return true;
+      };
+
+      assert.equal(isMarginEmpty(), true);
+      numberFlasks(1, [ 1 ], ctx);
+      assert.equal(isMarginEmpty(), false);
+    });
+  });
+
   describe('visualizeSolution', () => {
     it('should visualize solution', () => {
       const fillColor = '255,209,220';
@@ -129,14 +252,287 @@ describe('visualizer', () => {
 
       const expectedImages = [];
       let [ canvas, ctx ] = prepareImage(1, [ 2 ]);
+      highlightMove(1, [ 2 ], [ 0, 1 ], 0, 1, ctx);
       fullfillImage(1, [ 2 ], [ [ 0, 0, 0, 0 ], [] ], [ fillColor ], ctx);
+      numberFlasks(1, [ 2 ], ctx);
       expectedImages.push(canvas.toBuffer());
       [ canvas, ctx ] = prepareImage(1, [ 2 ]);
       fullfillImage(1, [ 2 ], [ [], [ 0, 0, 0, 0 ] ], [ fillColor ], ctx);
+      numberFlasks(1, [ 2 ], ctx);
       expectedImages.push(canvas.toBuffer());
 
       assert.deepEqual(actualImages, expectedImages);
     });
+
+    it('should visualize solution with custom capacity', () => {
+      const fillColor = '255,209,220';
+
+      const actualImages = visualizeSolution(
+        [ [ 0, 1 ] ],
+        [ [ 0, 0, 0 ], [] ],
+        [ fillColor ],
+        { rowsNumber: 1, flasksInRows: [ 1 ] },
+        1,
+        3,
+      );
+
+      const expectedImages = [];
+      let [ canvas, ctx ] = prepareImage(1, [ 2 ], 3);
+      highlightMove(1, [ 2 ], [ 0, 1 ], 0, 1, ctx, 3);
+      fullfillImage(1, [ 2 ], [ [ 0, 0, 0 ], [] ], [ fillColor ], ctx, 3);
+      numberFlasks(1, [ 2 ], ctx, 3);
+      expectedImages.push(canvas.toBuffer());
+      [ canvas, ctx ] = prepareImage(1, [ 2 ], 3);
+      fullfillImage(1, [ 2 ], [ [], [ 0, 0, 0 ] ], [ fillColor ], ctx, 3);
+      numberFlasks(1, [ 2 ], ctx, 3);
+      expectedImages.push(canvas.toBuffer());
+
+      assert.deepEqual(actualImages, expectedImages);
+    });
+
+    it('should show added empty flask from move it is needed for', () => {
+      const fillColor = '255,209,220';
+
+      const actualImages = visualizeSolution(
+        [ [ 0, 1 ], [ 0, 2 ] ],
+        [ [ 0, 0, 1, 1 ], [], [] ],
+        [ fillColor, fillColor ],
+        { rowsNumber: 1, flasksInRows: [ 1 ] },
+        2,
+        FlaskCapacity,
+        PourRule.WholeRun,
+        [ 1 ],
+      );
+
+      const expectedImages = [];
+      let [ canvas, ctx ] = prepareImage(1, [ 3 ], FlaskCapacity, [ 2 ]);
+      highlightMove(1, [ 2 ], [ 0, 1 ], 0, 2, ctx);
+      fullfillImage(1, [ 2 ], [ [ 0, 0, 1, 1 ], [], [] ], [ fillColor, fillColor ], ctx);
+      numberFlasks(1, [ 2 ], ctx);
+      expectedImages.push(canvas.toBuffer());
+      [ canvas, ctx ] = prepareImage(1, [ 3 ]);
+      highlightMove(1, [ 3 ], [ 0, 2 ], 1, 2, ctx);
+      fullfillImage(1, [ 3 ], [ [ 0, 0 ], [ 1, 1 ], [] ], [ fillColor, fillColor ], ctx);
+      numberFlasks(1, [ 3 ], ctx);
+      expectedImages.push(canvas.toBuffer());
+      [ canvas, ctx ] = prepareImage(1, [ 3 ]);
+      fullfillImage(1, [ 3 ], [ [], [ 1, 1 ], [ 0, 0 ] ], [ fillColor, fillColor ], ctx);
+      numberFlasks(1, [ 3 ], ctx);
+      expectedImages.push(canvas.toBuffer());
+
+      assert.deepEqual(actualImages, expectedImages);
+    });
+  });
+
+  describe('getVisibleFlasksInRows', () => {
+    it('should hide empty flasks until moves they are needed for', () => {
+      assert.deepEqual(getVisibleFlasksInRows([ 3, 4 ], [ 1, 3 ], 0), [ 3, 2 ]);
+      assert.deepEqual(getVisibleFlasksInRows([ 3, 4 ], [ 1, 3 ], 1), [ 3, 3 ]);
+      assert.deepEqual(getVisibleFlasksInRows([ 3, 4 ], [ 1, 3 ], 3), [ 3, 4 ]);
+    });
+  });
+
+  describe('visualizeSolutionStep', () => {
+    it('should visualize state before move and highlight its flasks', () => {
+      const fillColor = '255,209,220';
+
+      const actualImage = visualizeSolutionStep(
+        [ [ 0, 2 ], [ 1, 0 ] ],
+        1,
+        [ [ 0, 0 ], [ 0, 0 ], [] ],
+        [ fillColor ],
+        { rowsNumber: 1, flasksInRows: [ 2 ] },
+        1,
+        4,
+      );
+
+      const [ canvas, ctx ] = prepareImage(1, [ 3 ]);
+      highlightMove(1, [ 3 ], [ 1, 0 ], 1, 2, ctx);
+      fullfillImage(1, [ 3 ], [ [], [ 0, 0 ], [ 0, 0 ] ], [ fillColor ], ctx);
+      numberFlasks(1, [ 3 ], ctx);
+
+      assert.deepEqual(actualImage, canvas.toBuffer());
+    });
+
+    it('should not highlight flasks after last move', () => {
+      const fillColor = '255,209,220';
+
+      const actualImage = visualizeSolutionStep(
+        [ [ 0, 1 ] ],
+        1,
+        [ [ 0, 0, 0, 0 ], [] ],
+        [ fillColor ],
+        { rowsNumber: 1, flasksInRows: [ 1 ] },
+        1,
+      );
+
+      const [ canvas, ctx ] = prepareImage(1, [ 2 ]);
+      fullfillImage(1, [ 2 ], [ [], [ 0, 0, 0, 0 ] ], [ fillColor ], ctx);
+      numberFlasks(1, [ 2 ], ctx);
+
+      assert.deepEqual(actualImage, canvas.toBuffer());
+    });
+
+    it('should follow pour rule', () => {
+      const fillColor = '255,209,220';
+
+      const actualImage = visualizeSolutionStep(
+        [ [ 0, 1 ] ],
+        1,
+        [ [ 0, 0, 0, 0 ], [] ],
+        [ fillColor ],
+        { rowsNumber: 1, flasksInRows: [ 1 ] },
+        1,
+        FlaskCapacity,
+        PourRule.SingleLayer,
+      );
+
+      const [ canvas, ctx ] = prepareImage(1, [ 2 ]);
+      fullfillImage(1, [ 2 ], [ [ 0, 0, 0 ], [ 0 ] ], [ fillColor ], ctx);
+      numberFlasks(1, [ 2 ], ctx);
+
+      assert.deepEqual(actualImage, canvas.toBuffer());
+    });
+  });
+
+  describe('animateSolution', () => {
+    it('should add pouring frame between states', () => {
+      const { width, height, frames } = decodeGif(animateSolution(
+        [ [ 0, 1 ], [ 1, 2 ] ],
+        [ [ 0, 0, 0, 0 ], [], [] ],
+        [ '255,209,220' ],
+        { rowsNumber: 1, flasksInRows: [ 1 ] },
+        2,
+        FlaskCapacity,
+        PourRule.WholeRun,
+        [],
+        300,
+        100,
+      ));
+
+      const [ canvas ] = prepareImage(1, [ 3 ]);
+      assert.equal(width, canvas.width);
+      assert.equal(height, canvas.height);
+      assert.deepEqual(frames.map(({ delay }) => delay), [ 30, 10, 30, 10, 30 ]);
+    });
+  });
+
+  describe('calculateSheetLayout', () => {
+    it('should place states close to square', () => {
+      const { columnsNumber, rowsNumber } = calculateSheetLayout(4, 100, 100);
+      assert.equal(columnsNumber, 3);
+      assert.equal(rowsNumber, 2);
+    });
+
+    it('should place single state', () => {
+      const { columnsNumber, rowsNumber } = calculateSheetLayout(1, 300, 266);
+      assert.equal(columnsNumber, 1);
+      assert.equal(rowsNumber, 1);
+    });
+
+    it('should limit sheet size', () => {
+      const { columnsNumber, rowsNumber, cellWidth, cellHeight } =
+        calculateSheetLayout(1000, 300, 266);
+      assert.equal(columnsNumber * rowsNumber < 1000, true);
+      assert.equal(
+        columnsNumber * cellWidth + rowsNumber * cellHeight + 2 * FlasksMargin <= MaxSheetSidesSum,
+        true,
+      );
+    });
+  });
+
+  describe('formatSheetLabel', () => {
+    it('should describe move about to be made', () => {
+      assert.equal(formatSheetLabel([ [ 0, 2 ], [ 1, 0 ] ], 1), '2. 2 → 1');
+    });
+
+    it('should mark final state', () => {
+      assert.equal(formatSheetLabel([ [ 0, 2 ], [ 1, 0 ] ], 2), '3. ✓');
+    });
+
+    it('should mark added empty flask', () => {
+      assert.equal(
+        formatSheetLabel([ [ 0, 1 ], [ 0, 2 ] ], 1, [ 1 ]),
+        '2. + пустая колбочка, 1 → 3',
+      );
+      assert.equal(formatSheetLabel([ [ 0, 1 ], [ 0, 2 ] ], 0, [ 1 ]), '1. 1 → 2');
+    });
+  });
+
+  describe('visualizeSolutionAsSheets', () => {
+    it('should place all states on single sheet', () => {
+      const sheets = visualizeSolutionAsSheets(
+        [ [ 0, 1 ], [ 1, 2 ] ],
+        [ [ 0, 0, 0, 0 ], [], [] ],
+        [ '255,209,220' ],
+        { rowsNumber: 1, flasksInRows: [ 1 ] },
+        2,
+      );
+      assert.equal(sheets.length, 1);
+    });
+  });
+
+  describe('placeEmptyFlasks', () => {
+    const flasksBounds = [
+      { top: 10, bottom: 109, left: 10, right: 39 },
+      { top: 10, bottom: 109, left: 60, right: 109 },
+    ];
+
+    it('should place flasks of average size under image', () => {
+      assert.deepEqual(placeEmptyFlasks(flasksBounds, 2, 400, 120), [
+        {
+          top: 120 + FlasksMargin,
+          bottom: 119 + FlasksMargin + 100,
+          left: FlasksMargin,
+          right: FlasksMargin + 39,
+        },
+        {
+          top: 120 + FlasksMargin,
+          bottom: 119 + FlasksMargin + 100,
+          left: 2 * FlasksMargin + 40,
+          right: 2 * FlasksMargin + 79,
+        },
+      ]);
+    });
+
+    it('should shrink flasks to fit image width', () => {
+      const [ { left, right } ] = placeEmptyFlasks(flasksBounds, 3, 3 * 20 + 4 * FlasksMargin, 120);
+      assert.equal(right - left + 1, 20);
+    });
+
+    it('should return nothing if no empty flasks are required', () => {
+      assert.deepEqual(placeEmptyFlasks(flasksBounds, 0, 400, 120), []);
+    });
+  });
+
+  describe('visualizeSolutionOnScreenshot', () => {
+    it('should create image for each move', () => {
+      const images = visualizeSolutionOnScreenshot(
+        [ [ 0, 2 ], [ 1, 0 ], [ 2, 1 ] ],
+        { width: 120, height: 120, data: new Uint8ClampedArray(120 * 120 * 4).fill(255) },
+        [
+          { top: 10, bottom: 109, left: 10, right: 39 },
+          { top: 10, bottom: 109, left: 60, right: 89 },
+        ],
+        1,
+      );
+      assert.equal(images.length, 3);
+      assert.notDeepEqual(images[0], images[1]);
+    });
+
+    it('should show added empty flask from move it is needed for', () => {
+      const visualize = (emptyFlasksAdditions) => visualizeSolutionOnScreenshot(
+        [ [ 0, 1 ], [ 0, 2 ] ],
+        { width: 120, height: 120, data: new Uint8ClampedArray(120 * 120 * 4).fill(255) },
+        [ { top: 10, bottom: 109, left: 10, right: 39 } ],
+        2,
+        emptyFlasksAdditions,
+      );
+      const images = visualize([ 1 ]);
+      const imagesWithoutAdditions = visualize([]);
+      assert.notDeepEqual(images[0], imagesWithoutAdditions[0]);
+      assert.deepEqual(images[1], imagesWithoutAdditions[1]);
+    });
   });
 });
 /* node:coverage enable */
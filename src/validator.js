@@ -0,0 +1,96 @@
+import { FlaskCapacity } from './constants/flask-capacity.const.js';
+import { PuzzleIssueType } from './constants/puzzle-issue-type.const.js';
+import { UnknownLayer } from './constants/unknown-layer.const.js';
+
+/**
+ * Модуль проверки игры
+ * Находит в игре ошибки, из-за которых у неё заведомо нет решения. Обычно это
+ * следствие неверного распознавания скриншота, поэтому каждая ошибка указывает на колбы,
+ * которые стоит проверить
+ *
+ * Ошибка в игре. Содержит вид ошибки и номера колб, к которым она относится, а также:
+ * - для {@link PuzzleIssueType.WrongColorCount} -- номер цвета и количество его слоёв,
+ * - для {@link PuzzleIssueType.OverfilledFlask} -- количество слоёв в колбе,
+ * - для {@link PuzzleIssueType.EmptyPosition} -- номер пустого места в колбе, начиная со дна,
+ * - для {@link PuzzleIssueType.TooManyColors} -- количество цветов и колб.
+ * @typedef {{
+ *   type: PuzzleIssueType,
+ *   flasks: number[],
+ *   color?: number,
+ *   layersNumber?: number,
+ *   layer?: number,
+ *   colorsNumber?: number,
+ *   flasksNumber?: number,
+ * }} PuzzleIssue
+ */
+
+/**
+ * Проверка игры
+ * [Скрытые слои]{@link UnknownLayer} могут оказаться любого цвета, поэтому количество слоёв
+ * цвета считается ошибочным, только если оно больше вместимости или его не хватает даже с учётом скрытых слоёв
+ * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @returns {PuzzleIssue[]} найденные ошибки; пустой массив, если ошибок нет
+ */
+export const validatePuzzle = (layersMatrix, capacity = FlaskCapacity) => {
+  const issues = [];
+
+  // номера колб, в которых встречается каждый цвет, с повторениями
+  const colorsFlasks = new Map();
+  let unknownLayersNumber = 0;
+
+  for (let i = 0; i < layersMatrix.length; ++i) {
+    const layers = layersMatrix[i];
+
+    if (layers.length > capacity) {
+      issues.push({
+        type: PuzzleIssueType.OverfilledFlask,
+        flasks: [ i ],
+        layersNumber: layers.length,
+      });
+    }
+
+    // обход по номерам, а не перебором, чтобы не пропустить дыры в разреженных массивах
+    for (let j = 0; j < layers.length; ++j) {
+      const layer = layers[j];
+      if (layer === undefined || layer === null) {
+        issues.push({ type: PuzzleIssueType.EmptyPosition, flasks: [ i ], layer: j });
+      } else if (layer === UnknownLayer) {
+        ++unknownLayersNumber;
+      } else {
+        colorsFlasks.set(layer, [ ...(colorsFlasks.get(layer) ?? []), i ]);
+      }
+    }
+  }
+
+  for (const [ color, flasks ] of [ ...colorsFlasks.entries() ].sort(([ a ], [ b ]) => a - b)) {
+    if (flasks.length > capacity || flasks.length + unknownLayersNumber < capacity) {
+      issues.push({
+        type: PuzzleIssueType.WrongColorCount,
+        flasks: [ ...new Set(flasks) ],
+        color,
+        layersNumber: flasks.length,
+      });
+    }
+  }
+
+  if (colorsFlasks.size > layersMatrix.length) {
+    issues.push({
+      type: PuzzleIssueType.TooManyColors,
+      flasks: [],
+      colorsNumber: colorsFlasks.size,
+      flasksNumber: layersMatrix.length,
+    });
+  }
+
+  return issues;
+};
+
+/**
+ * Получение номеров колб, к которым относятся ошибки
+ * @param {PuzzleIssue[]} issues ошибки в игре
+ * @returns {number[]} номера колб без повторений в порядке возрастания
+ */
+export const getSuspiciousFlasks = (issues) => {
+  return [ ...new Set(issues.flatMap(({ flasks }) => flasks)) ].sort((a, b) => a - b);
+};
@@ -4,28 +4,113 @@ import { FlasksMargin } from './constants/image-options/flasks-margin.const.js';
 import { FlaskBorderWidth } from './constants/image-options/flask-border-width.const.js';
 import { BackgroundColor } from './constants/image-options/background-color.const.js';
 import { FlaskBorderColor } from './constants/image-options/flask-border-color.const.js';
+import {
+  HighlightedFlaskBorderColor,
+} from './constants/image-options/highlighted-flask-border-color.const.js';
+import {
+  SourceFlaskBorderColor,
+} from './constants/image-options/source-flask-border-color.const.js';
+import {
+  DestinationFlaskBorderColor,
+} from './constants/image-options/destination-flask-border-color.const.js';
+import { LabelTextColor } from './constants/image-options/label-text-color.const.js';
+import { LabelFontSize } from './constants/image-options/label-font-size.const.js';
+import {
+  UnknownLayerColor,
+} from './constants/image-options/unknown-layer-color.const.js';
+import {
+  UnknownLayerTextColor,
+} from './constants/image-options/unknown-layer-text-color.const.js';
+import {
+  PouringLayerOpacity,
+} from './constants/image-options/pouring-layer-opacity.const.js';
+import { GifFrameDelay } from './constants/image-options/gif-frame-delay.const.js';
+import {
+  GifPouringFrameDelay,
+} from './constants/image-options/gif-pouring-frame-delay.const.js';
+import { SheetThumbnailScale } from './constants/image-options/sheet-thumbnail-scale.const.js';
+import { MaxSheetSidesSum } from './constants/image-options/max-sheet-sides-sum.const.js';
+import { OverlayArrowColor } from './constants/image-options/overlay-arrow-color.const.js';
+import { OverlayOutlineColor } from './constants/image-options/overlay-outline-color.const.js';
 import { FlaskCapacity } from './constants/flask-capacity.const.js';
+import { PourRule } from './constants/pour-rule.const.js';
+import { UnknownLayer } from './constants/unknown-layer.const.js';
+import { encodeGif } from './gif-encoder.js';
 import { Puzzle } from './puzzle.js';
 
 /**
  * Модуль визуализации
- * Создаёт изображения игрового поля поодиночке или в составе найденного решения
+ * Создаёт изображения игрового поля поодиночке или в составе найденного решения,
+ * а также лист со всеми шагами, анимацию найденного решения и переливания
+ * поверх исходного изображения
+ *
+ * Расположение изображений шагов на листах
+ * @typedef {Object} SheetLayout
+ * @property {number} columnsNumber количество столбцов
+ * @property {number} rowsNumber наибольшее количество рядов на одном листе
+ * @property {number} cellWidth ширина ячейки с изображением шага и подписью
+ * @property {number} cellHeight высота ячейки с изображением шага и подписью
  */
 
+/**
+ * Рисование стенок и дна колбы текущим цветом заливки
+ * @param {number} i номер ряда колбы
+ * @param {number} j номер колбы в ряду
+ * @param {CanvasRenderingContext2D} ctx 2D-контекст холста
+ * @param {number} capacity вместимость колбы
+ */
+const drawFlaskBorder = (i, j, ctx, capacity) => {
+  ctx.fillRect(
+    j * SquareSide + (j + 1) * FlasksMargin + j * 2 * FlaskBorderWidth,
+    i * capacity * SquareSide + (i + 1) * FlasksMargin + i * FlaskBorderWidth,
+    FlaskBorderWidth,
+    capacity * SquareSide + FlaskBorderWidth,
+  );
+
+  ctx.fillRect(
+    j * SquareSide +
+      (j + 1) * FlasksMargin +
+      j * 2 * FlaskBorderWidth +
+      SquareSide + FlaskBorderWidth,
+    i * capacity * SquareSide + (i + 1) * FlasksMargin + i * FlaskBorderWidth,
+    FlaskBorderWidth,
+    capacity * SquareSide + FlaskBorderWidth,
+  );
+
+  ctx.fillRect(
+    j * SquareSide + (j + 1) * FlasksMargin + j * 2 * FlaskBorderWidth,
+    i * capacity * SquareSide +
+      (i + 1) * FlasksMargin +
+      i * FlaskBorderWidth +
+      capacity * SquareSide,
+    SquareSide + 2 * FlaskBorderWidth,
+    FlaskBorderWidth,
+  );
+};
+
 /**
  * Создание каркаса изображения: заливка фона и добавление колб
+ * Размер изображения рассчитывается по всем колбам, а рисуются только видимые, поэтому изображения
+ * шагов решения, на которых ещё не добавлены пустые колбы, имеют тот же размер
  * @param {number} rowsNumber количество рядов колб
  * @param {number[]} flasksInRows количество колб в каждом ряду
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @param {number[]} [visibleFlasksInRows=flasksInRows] количество видимых колб в каждом ряду
  * @returns {[ Canvas, CanvasRenderingContext2D ]} холст и его 2D-контекст для дальнейшего редактирования
  */
-export const prepareImage = (rowsNumber, flasksInRows) => {
+export const prepareImage = (
+  rowsNumber,
+  flasksInRows,
+  capacity = FlaskCapacity,
+  visibleFlasksInRows = flasksInRows,
+) => {
   const flasksInRow = Math.max(...flasksInRows);
 
   const canvas = createCanvas(
     flasksInRow * SquareSide +
       (flasksInRow + 1) * FlasksMargin +
       flasksInRow * 2 * FlaskBorderWidth,
-    rowsNumber * FlaskCapacity * SquareSide +
+    rowsNumber * capacity * SquareSide +
       (rowsNumber + 1) * FlasksMargin +
       rowsNumber * FlaskBorderWidth,
   );
@@ -37,78 +122,283 @@ export const prepareImage = (rowsNumber, flasksInRows) => {
 
   ctx.fillStyle = `rgb(${FlaskBorderColor})`;
   for (let i = 0; i < rowsNumber; ++i) {
-    for (let j = 0; j < flasksInRows[i]; ++j) {
-
-      ctx.fillRect(
-        j * SquareSide + (j + 1) * FlasksMargin + j * 2 * FlaskBorderWidth,
-        i * FlaskCapacity * SquareSide + (i + 1) * FlasksMargin + i * FlaskBorderWidth,
-        FlaskBorderWidth,
-        FlaskCapacity * SquareSide + FlaskBorderWidth,
-      );
-
-      ctx.fillRect(
-        j * SquareSide +
-          (j + 1) * FlasksMargin +
-          j * 2 * FlaskBorderWidth +
-          SquareSide + FlaskBorderWidth,
-        i * FlaskCapacity * SquareSide + (i + 1) * FlasksMargin + i * FlaskBorderWidth,
-        FlaskBorderWidth,
-        FlaskCapacity * SquareSide + FlaskBorderWidth,
-      );
+    for (let j = 0; j < visibleFlasksInRows[i]; ++j) {
+      drawFlaskBorder(i, j, ctx, capacity);
+    }
+  }
 
-      ctx.fillRect(
-        j * SquareSide + (j + 1) * FlasksMargin + j * 2 * FlaskBorderWidth,
-        i * FlaskCapacity * SquareSide +
-          (i + 1) * FlasksMargin +
-          i * FlaskBorderWidth +
-          FlaskCapacity * SquareSide,
-        SquareSide + 2 * FlaskBorderWidth,
-        FlaskBorderWidth,
-      );
+  return [ canvas, ctx ];
+};
 
+/**
+ * Выделение колб цветом
+ * @param {number} rowsNumber количество рядов колб
+ * @param {number[]} flasksInRows количество колб в каждом ряду
+ * @param {number[]} flasks номера выделяемых колб
+ * @param {CanvasRenderingContext2D} ctx 2D-контекст холста
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @param {string} [color=HighlightedFlaskBorderColor] байты RGB цвета выделения, разделённые запятыми
+ */
+export const highlightFlasks = (
+  rowsNumber,
+  flasksInRows,
+  flasks,
+  ctx,
+  capacity = FlaskCapacity,
+  color = HighlightedFlaskBorderColor,
+) => {
+  ctx.fillStyle = `rgb(${color})`;
+  let flaskIndex = 0;
+  for (let i = 0; i < rowsNumber; ++i) {
+    for (let j = 0; j < flasksInRows[i]; ++j, ++flaskIndex) {
+      if (flasks.includes(flaskIndex)) {
+        drawFlaskBorder(i, j, ctx, capacity);
+      }
     }
   }
+};
 
-  return [ canvas, ctx ];
+/**
+ * Рисование одного слоя колбы
+ * [Скрытые слои]{@link UnknownLayer} изображаются серыми квадратами со знаком вопроса
+ * @param {number} i номер ряда колбы
+ * @param {number} j номер колбы в ряду
+ * @param {number} layerIndex номер слоя в колбе, начиная со дна
+ * @param {number} layer номер цвета слоя или {@link UnknownLayer}
+ * @param {string[]} colors байты RGB цветов, разделённые запятыми
+ * @param {CanvasRenderingContext2D} ctx 2D-контекст холста
+ * @param {number} capacity вместимость колбы
+ */
+const drawLayer = (i, j, layerIndex, layer, colors, ctx, capacity) => {
+  const isLayerUnknown = layer === UnknownLayer;
+  const left = j * SquareSide + (j + 1) * FlasksMargin + (j * 2 + 1) * FlaskBorderWidth;
+  const top = ((capacity - layerIndex - 1) + capacity * i) * SquareSide +
+    (i + 1) * FlasksMargin +
+    i * FlaskBorderWidth;
+
+  ctx.fillStyle = isLayerUnknown ? `rgb(${UnknownLayerColor})` : `rgb(${colors[layer]})`;
+
+  ctx.fillRect(left, top, SquareSide, SquareSide);
+
+  if (isLayerUnknown) {
+    ctx.fillStyle = `rgb(${UnknownLayerTextColor})`;
+    ctx.font = `${Math.round(SquareSide / 2)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('?', left + SquareSide / 2, top + SquareSide / 2);
+  }
 };
 
 /**
  * Заполнение изображения цветными слоями колб
+ * [Скрытые слои]{@link UnknownLayer} изображаются серыми квадратами со знаком вопроса
  * @param {number} rowsNumber количество рядов колб
  * @param {number[]} flasksInRows количество колб в каждом ряду
  * @param {number[][]} layersMatrix матрица цветных слоёв колб
  * @param {string[]} colors байты RGB цветов, разделённые запятыми
  * @param {CanvasRenderingContext2D} ctx 2D-контекст холста
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
  */
-export const fullfillImage = (rowsNumber, flasksInRows, layersMatrix, colors, ctx) => {
+export const fullfillImage = (
+  rowsNumber,
+  flasksInRows,
+  layersMatrix,
+  colors,
+  ctx,
+  capacity = FlaskCapacity,
+) => {
   let flaskIndex = 0;
   for (let i = 0; i < rowsNumber; ++i) {
     for (let j = 0; j < flasksInRows[i]; ++j, ++flaskIndex) {
       for (let layerIndex = 0; layerIndex < layersMatrix[flaskIndex].length; ++layerIndex) {
+        drawLayer(i, j, layerIndex, layersMatrix[flaskIndex][layerIndex], colors, ctx, capacity);
+      }
+    }
+  }
+};
+
+/**
+ * Подпись номеров колб под каждой колбой
+ * Номера отсчитываются с 1, как и в решении в формате текста
+ * @param {number} rowsNumber количество рядов колб
+ * @param {number[]} flasksInRows количество колб в каждом ряду
+ * @param {CanvasRenderingContext2D} ctx 2D-контекст холста
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ */
+export const numberFlasks = (rowsNumber, flasksInRows, ctx, capacity = FlaskCapacity) => {
+  ctx.fillStyle = `rgb(${LabelTextColor})`;
+  ctx.font = `${LabelFontSize}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  let flaskIndex = 0;
+  for (let i = 0; i < rowsNumber; ++i) {
+    for (let j = 0; j < flasksInRows[i]; ++j, ++flaskIndex) {
+      ctx.fillText(
+        flaskIndex + 1,
+        j * SquareSide + (j + 1) * FlasksMargin + (j * 2 + 1) * FlaskBorderWidth + SquareSide / 2,
+        (i + 1) * capacity * SquareSide + (i + 1) * FlasksMargin + (i + 1) * FlaskBorderWidth +
+          FlasksMargin / 2,
+      );
+    }
+  }
+};
 
-        ctx.fillStyle = `rgb(${colors[layersMatrix[flaskIndex][layerIndex]]})`;
+/**
+ * Выделение следующего переливания: колба, из которой переливают, выделяется цветом
+ * {@link SourceFlaskBorderColor}, колба, в которую переливают, — цветом {@link DestinationFlaskBorderColor},
+ * а номер переливания подписывается в левом верхнем углу
+ * @param {number} rowsNumber количество рядов колб
+ * @param {number[]} flasksInRows количество колб в каждом ряду
+ * @param {[ number, number ]} transfusion пара номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {number} moveIndex номер переливания, начиная с 0
+ * @param {number} movesNumber количество переливаний в решении
+ * @param {CanvasRenderingContext2D} ctx 2D-контекст холста
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ */
+export const highlightMove = (
+  rowsNumber,
+  flasksInRows,
+  [ source, destination ],
+  moveIndex,
+  movesNumber,
+  ctx,
+  capacity = FlaskCapacity,
+) => {
+  highlightFlasks(rowsNumber, flasksInRows, [ source ], ctx, capacity, SourceFlaskBorderColor);
+  highlightFlasks(
+    rowsNumber,
+    flasksInRows,
+    [ destination ],
+    ctx,
+    capacity,
+    DestinationFlaskBorderColor,
+  );
 
-        ctx.fillRect(
-          j * SquareSide + (j + 1) * FlasksMargin + (j * 2 + 1) * FlaskBorderWidth,
-          ((FlaskCapacity - layerIndex - 1) + FlaskCapacity * i) * SquareSide +
-            (i + 1) * FlasksMargin +
-            i * FlaskBorderWidth,
-          SquareSide,
-          SquareSide,
-        );
+  ctx.fillStyle = `rgb(${LabelTextColor})`;
+  ctx.font = `${LabelFontSize}px sans-serif`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`${moveIndex + 1}/${movesNumber}`, FlasksMargin, FlasksMargin / 2);
+};
 
-      }
-    }
+/**
+ * Определение количества видимых колб в каждом ряду на шаге решения
+ * Пустые колбы, которых нет в игре, находятся в конце последнего ряда
+ * и появляются перед ходом, в котором они используются впервые
+ * @param {number[]} flasksInRows количество колб в каждом ряду
+ * @param {number[]} emptyFlasksAdditions [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}
+ * @param {number} step количество уже выполненных переливаний
+ * @returns {number[]} количество видимых колб в каждом ряду
+ */
+const getVisibleFlasksInRows = (flasksInRows, emptyFlasksAdditions, step) => {
+  const visibleFlasksInRows = [ ...flasksInRows ];
+  visibleFlasksInRows[visibleFlasksInRows.length - 1] -=
+    emptyFlasksAdditions.filter((addition) => addition > step).length;
+  return visibleFlasksInRows;
+};
+
+/**
+ * Создание изображения состояния игры перед очередным переливанием решения
+ * Колбы пронумеровываются, а очередное переливание [выделяется]{@link highlightMove},
+ * если решение ещё не закончено. Пустые колбы, которых нет в игре,
+ * [не видны]{@link getVisibleFlasksInRows} до хода, в котором они нужны
+ * @param {Puzzle} puzzle игра после всех предыдущих переливаний
+ * @param {number[][]} solution решение в виде массива пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {number} step количество уже выполненных переливаний
+ * @param {number} rowsNumber количество рядов колб
+ * @param {number[]} flasksInRows количество колб в каждом ряду
+ * @param {string[]} colors байты RGB цветов, разделённые запятыми
+ * @param {number} capacity вместимость каждой из колб
+ * @param {number[]} emptyFlasksAdditions номера ходов, перед которыми нужны пустые колбы
+ * @returns {[ Canvas, CanvasRenderingContext2D ]} холст с изображением состояния игры и его 2D-контекст
+ */
+const renderStep = (
+  puzzle,
+  solution,
+  step,
+  rowsNumber,
+  flasksInRows,
+  colors,
+  capacity,
+  emptyFlasksAdditions,
+) => {
+  const visibleFlasksInRows = getVisibleFlasksInRows(flasksInRows, emptyFlasksAdditions, step);
+  const [ canvas, ctx ] = prepareImage(rowsNumber, flasksInRows, capacity, visibleFlasksInRows);
+  if (step < solution.length) {
+    highlightMove(
+      rowsNumber,
+      visibleFlasksInRows,
+      solution[step],
+      step,
+      solution.length,
+      ctx,
+      capacity,
+    );
   }
+  fullfillImage(rowsNumber, visibleFlasksInRows, puzzle.layersMatrix, colors, ctx, capacity);
+  numberFlasks(rowsNumber, visibleFlasksInRows, ctx, capacity);
+  return [ canvas, ctx ];
+};
+
+/**
+ * Рисование полупрозрачных слоёв, перелитых из колбы, на их прежних местах
+ * @param {number} rowsNumber количество рядов колб
+ * @param {number[]} flasksInRows количество колб в каждом ряду
+ * @param {number} flaskIndex номер колбы, из которой переливали
+ * @param {number[]} layers слои колбы до переливания
+ * @param {number} remainingLayersNumber количество слоёв, оставшихся в колбе после переливания
+ * @param {string[]} colors байты RGB цветов, разделённые запятыми
+ * @param {CanvasRenderingContext2D} ctx 2D-контекст холста
+ * @param {number} capacity вместимость каждой из колб
+ */
+const drawPouredLayers = (
+  rowsNumber,
+  flasksInRows,
+  flaskIndex,
+  layers,
+  remainingLayersNumber,
+  colors,
+  ctx,
+  capacity,
+) => {
+  let i = 0;
+  let j = flaskIndex;
+  while (i < rowsNumber - 1 && j >= flasksInRows[i]) {
+    j -= flasksInRows[i];
+    ++i;
+  }
+
+  ctx.globalAlpha = PouringLayerOpacity;
+  for (let layerIndex = remainingLayersNumber; layerIndex < layers.length; ++layerIndex) {
+    drawLayer(i, j, layerIndex, layers[layerIndex], colors, ctx, capacity);
+  }
+  ctx.globalAlpha = 1;
+};
+
+/**
+ * Добавление в последний ряд колб, пустых на входном изображении и используемых в решении
+ * @param {{ rowsNumber: number, flasksInRows: number[] }} imageData количество рядов колб и количество колб в каждом ряду, распознанные на входном изображении
+ * @param {number} requiredEmptyFlasksNumber количество пустых колб, используемых в решении
+ * @returns {number[]} количество колб в каждом ряду
+ */
+const addEmptyFlasks = (imageData, requiredEmptyFlasksNumber) => {
+  const flasksInRows = [ ...imageData.flasksInRows ];
+  flasksInRows[flasksInRows.length - 1] += requiredEmptyFlasksNumber;
+  return flasksInRows;
 };
 
 /**
  * Визуализация каждого шага решения с помощью {@link prepareImage} и {@link fullfillImage}
+ * На каждом изображении колбы [пронумерованы]{@link numberFlasks},
+ * а переливание, которое предстоит сделать, [выделено]{@link highlightMove}
  * @param {number[][]} solution решение в виде массива пар номеров колб для [переливания]{@link Puzzle.transfuse}
  * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
  * @param {string[]} colors байты RGB цветов, разделённые запятыми
  * @param {{ rowsNumber: number, flasksInRows: number[] }} imageData количество рядов колб и количество колб в каждом ряду, распознанные на входном изображении
  * @param {number} requiredEmptyFlasksNumber количество пустых колб, используемых в решении
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @param {PourRule} [pourRule=PourRule.WholeRun] правила переливания
+ * @param {number[]} [emptyFlasksAdditions=[]] [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}, которых нет в игре
  * @returns {Buffer[]} визуализация каждого шага решения
  */
 export const visualizeSolution = (
@@ -117,23 +407,523 @@ export const visualizeSolution = (
   colors,
   imageData,
   requiredEmptyFlasksNumber,
+  capacity = FlaskCapacity,
+  pourRule = PourRule.WholeRun,
+  emptyFlasksAdditions = [],
+) => {
+  const flasksInRows = addEmptyFlasks(imageData, requiredEmptyFlasksNumber);
+  const puzzle = new Puzzle(layersMatrix, capacity, pourRule);
+
+  const renderCurrentStep = (step) => renderStep(
+    puzzle,
+    solution,
+    step,
+    imageData.rowsNumber,
+    flasksInRows,
+    colors,
+    capacity,
+    emptyFlasksAdditions,
+  )[0].toBuffer();
+
+  const images = [ renderCurrentStep(0) ];
+
+  for (const [ step, [ i, j ] ] of solution.entries()) {
+    puzzle.transfuse(i, j);
+    images.push(renderCurrentStep(step + 1));
+  }
+
+  return images;
+};
+
+/**
+ * Визуализация одного шага решения для пошагового просмотра
+ * Изображение шага совпадает с соответствующим изображением из {@link visualizeSolution}
+ * @param {number[][]} solution решение в виде массива пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {number} step количество уже выполненных переливаний
+ * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
+ * @param {string[]} colors байты RGB цветов, разделённые запятыми
+ * @param {{ rowsNumber: number, flasksInRows: number[] }} imageData количество рядов колб и количество колб в каждом ряду, распознанные на входном изображении
+ * @param {number} requiredEmptyFlasksNumber количество пустых колб, используемых в решении
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @param {PourRule} [pourRule=PourRule.WholeRun] правила переливания
+ * @param {number[]} [emptyFlasksAdditions=[]] [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}, которых нет в игре
+ * @returns {Buffer} изображение состояния игры после `step` переливаний
+ */
+export const visualizeSolutionStep = (
+  solution,
+  step,
+  layersMatrix,
+  colors,
+  imageData,
+  requiredEmptyFlasksNumber,
+  capacity = FlaskCapacity,
+  pourRule = PourRule.WholeRun,
+  emptyFlasksAdditions = [],
 ) => {
-  imageData.flasksInRows[imageData.flasksInRows.length - 1] += requiredEmptyFlasksNumber;
-  const puzzle = new Puzzle(layersMatrix);
+  const puzzle = new Puzzle(layersMatrix, capacity, pourRule);
+  for (const [ i, j ] of solution.slice(0, step)) {
+    puzzle.transfuse(i, j);
+  }
+
+  return renderStep(
+    puzzle,
+    solution,
+    step,
+    imageData.rowsNumber,
+    addEmptyFlasks(imageData, requiredEmptyFlasksNumber),
+    colors,
+    capacity,
+    emptyFlasksAdditions,
+  )[0].toBuffer();
+};
 
-  const [ canvas, ctx ] = prepareImage(imageData.rowsNumber, imageData.flasksInRows);
-  fullfillImage(imageData.rowsNumber, imageData.flasksInRows, puzzle.layersMatrix, colors, ctx);
+/**
+ * Создание кадров анимации решения
+ * Между кадрами с состояниями игры, совпадающими с изображениями из {@link visualizeSolution},
+ * добавляются кадры переливания: состояние после переливания, в котором перелитые слои
+ * [видны на прежнем месте]{@link drawPouredLayers}
+ * @param {number[][]} solution решение в виде массива пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {Puzzle} puzzle игра в начальном состоянии
+ * @param {number} rowsNumber количество рядов колб
+ * @param {number[]} flasksInRows количество колб в каждом ряду
+ * @param {string[]} colors байты RGB цветов, разделённые запятыми
+ * @param {number} capacity вместимость каждой из колб
+ * @param {number[]} emptyFlasksAdditions номера ходов, перед которыми нужны пустые колбы
+ * @param {number} delay длительность показа кадра с состоянием игры в миллисекундах
+ * @param {number} pouringDelay длительность показа кадра переливания в миллисекундах
+ * @yields {GifFrame} кадр анимации
+ */
+function* generateFrames(
+  solution,
+  puzzle,
+  rowsNumber,
+  flasksInRows,
+  colors,
+  capacity,
+  emptyFlasksAdditions,
+  delay,
+  pouringDelay,
+) {
+  const render = (step) => renderStep(
+    puzzle,
+    solution,
+    step,
+    rowsNumber,
+    flasksInRows,
+    colors,
+    capacity,
+    emptyFlasksAdditions,
+  );
+  const toFrame = ([ canvas, ctx ], frameDelay) => ({
+    data: ctx.getImageData(0, 0, canvas.width, canvas.height).data,
+    delay: frameDelay,
+  });
 
-  const images = [ canvas.toBuffer() ];
+  yield toFrame(render(0), delay);
 
-  for (const [ i, j ] of solution) {
+  for (const [ step, [ i, j ] ] of solution.entries()) {
+    const layers = puzzle.layersMatrix[i];
     puzzle.transfuse(i, j);
 
-    const [ canvas, ctx ] = prepareImage(imageData.rowsNumber, imageData.flasksInRows);
-    fullfillImage(imageData.rowsNumber, imageData.flasksInRows, puzzle.layersMatrix, colors, ctx);
+    const [ canvas, ctx ] = render(step);
+    drawPouredLayers(
+      rowsNumber,
+      flasksInRows,
+      i,
+      layers,
+      puzzle.layersMatrix[i].length,
+      colors,
+      ctx,
+      capacity,
+    );
+    yield toFrame([ canvas, ctx ], pouringDelay);
 
-    images.push(canvas.toBuffer());
+    yield toFrame(render(step + 1), delay);
   }
+}
 
-  return images;
+/**
+ * Визуализация решения одной анимацией в формате GIF
+ * @param {number[][]} solution решение в виде массива пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
+ * @param {string[]} colors байты RGB цветов, разделённые запятыми
+ * @param {{ rowsNumber: number, flasksInRows: number[] }} imageData количество рядов колб и количество колб в каждом ряду, распознанные на входном изображении
+ * @param {number} requiredEmptyFlasksNumber количество пустых колб, используемых в решении
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @param {PourRule} [pourRule=PourRule.WholeRun] правила переливания
+ * @param {number[]} [emptyFlasksAdditions=[]] [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}, которых нет в игре
+ * @param {number} [delay=GifFrameDelay] длительность показа кадра с состоянием игры в миллисекундах
+ * @param {number} [pouringDelay=GifPouringFrameDelay] длительность показа кадра переливания в миллисекундах
+ * @returns {Buffer} анимация решения
+ */
+export const animateSolution = (
+  solution,
+  layersMatrix,
+  colors,
+  imageData,
+  requiredEmptyFlasksNumber,
+  capacity = FlaskCapacity,
+  pourRule = PourRule.WholeRun,
+  emptyFlasksAdditions = [],
+  delay = GifFrameDelay,
+  pouringDelay = GifPouringFrameDelay,
+) => {
+  const flasksInRows = addEmptyFlasks(imageData, requiredEmptyFlasksNumber);
+  // размеры кадров совпадают с размерами каркаса изображения
+  const [ { width, height } ] = prepareImage(imageData.rowsNumber, flasksInRows, capacity);
+
+  return encodeGif(
+    generateFrames(
+      solution,
+      new Puzzle(layersMatrix, capacity, pourRule),
+      imageData.rowsNumber,
+      flasksInRows,
+      colors,
+      capacity,
+      emptyFlasksAdditions,
+      delay,
+      pouringDelay,
+    ),
+    width,
+    height,
+  );
+};
+
+/**
+ * Расчёт расположения изображений шагов на листах
+ * Количество столбцов подбирается так, чтобы лист был близок к квадрату, а количество рядов
+ * на одном листе ограничивается так, чтобы сумма сторон листа не превышала {@link MaxSheetSidesSum}
+ * @param {number} statesNumber количество изображений шагов
+ * @param {number} thumbnailWidth ширина уменьшенного изображения шага
+ * @param {number} thumbnailHeight высота уменьшенного изображения шага
+ * @returns {SheetLayout} расположение изображений шагов
+ */
+const calculateSheetLayout = (statesNumber, thumbnailWidth, thumbnailHeight) => {
+  const cellWidth = thumbnailWidth + FlasksMargin;
+  const cellHeight = thumbnailHeight + 2 * LabelFontSize + FlasksMargin;
+
+  const columnsNumber = Math.max(
+    1,
+    Math.min(
+      statesNumber,
+      Math.ceil(Math.sqrt(statesNumber * cellHeight / cellWidth)),
+      Math.floor((MaxSheetSidesSum / 2 - FlasksMargin) / cellWidth),
+    ),
+  );
+  const width = columnsNumber * cellWidth + FlasksMargin;
+  const rowsNumber = Math.max(
+    1,
+    Math.min(
+      Math.ceil(statesNumber / columnsNumber),
+      Math.floor((MaxSheetSidesSum - width - FlasksMargin) / cellHeight),
+    ),
+  );
+
+  return { columnsNumber, rowsNumber, cellWidth, cellHeight };
+};
+
+/**
+ * Формирование подписи к изображению шага на листе
+ * @param {number[][]} solution решение в виде массива пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {number} step количество уже выполненных переливаний
+ * @param {number[]} [emptyFlasksAdditions=[]] [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}, которых нет в игре
+ * @returns {string} номер шага и переливание, которое предстоит сделать,
+ * а также добавление пустой колбы, если она нужна для этого переливания
+ */
+const formatSheetLabel = (solution, step, emptyFlasksAdditions = []) => {
+  if (step === solution.length) {
+    return `${step + 1}. ✓`;
+  }
+  const [ source, destination ] = solution[step];
+  return `${step + 1}. ${
+    emptyFlasksAdditions.includes(step) ? '+ пустая колбочка, ' : ''
+  }${source + 1} → ${destination + 1}`;
+};
+
+/**
+ * Визуализация всех шагов решения на одном листе
+ * Уменьшенные изображения шагов, совпадающие с изображениями из {@link visualizeSolution},
+ * располагаются сеткой и [подписываются]{@link formatSheetLabel}. Если все шаги
+ * не помещаются на один лист, они [распределяются]{@link calculateSheetLayout} по нескольким
+ * @param {number[][]} solution решение в виде массива пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {number[][]} layersMatrix игра в виде матрицы {@link Puzzle.layersMatrix}
+ * @param {string[]} colors байты RGB цветов, разделённые запятыми
+ * @param {{ rowsNumber: number, flasksInRows: number[] }} imageData количество рядов колб и количество колб в каждом ряду, распознанные на входном изображении
+ * @param {number} requiredEmptyFlasksNumber количество пустых колб, используемых в решении
+ * @param {number} [capacity=FlaskCapacity] вместимость каждой из колб
+ * @param {PourRule} [pourRule=PourRule.WholeRun] правила переливания
+ * @param {number[]} [emptyFlasksAdditions=[]] [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}, которых нет в игре
+ * @returns {Buffer[]} листы со всеми шагами решения
+ */
+export const visualizeSolutionAsSheets = (
+  solution,
+  layersMatrix,
+  colors,
+  imageData,
+  requiredEmptyFlasksNumber,
+  capacity = FlaskCapacity,
+  pourRule = PourRule.WholeRun,
+  emptyFlasksAdditions = [],
+) => {
+  const flasksInRows = addEmptyFlasks(imageData, requiredEmptyFlasksNumber);
+  const puzzle = new Puzzle(layersMatrix, capacity, pourRule);
+
+  const [ { width, height } ] = prepareImage(imageData.rowsNumber, flasksInRows, capacity);
+  const thumbnailWidth = Math.round(width * SheetThumbnailScale);
+  const thumbnailHeight = Math.round(height * SheetThumbnailScale);
+  const statesNumber = solution.length + 1;
+  const { columnsNumber, rowsNumber, cellWidth, cellHeight } =
+    calculateSheetLayout(statesNumber, thumbnailWidth, thumbnailHeight);
+  const statesOnSheetNumber = columnsNumber * rowsNumber;
+
+  const sheets = [];
+  let sheet;
+  let sheetCtx;
+  for (let step = 0; step < statesNumber; ++step) {
+    const indexOnSheet = step % statesOnSheetNumber;
+    if (indexOnSheet === 0) {
+      if (sheet) {
+        sheets.push(sheet.toBuffer());
+      }
+      sheet = createCanvas(
+        columnsNumber * cellWidth + FlasksMargin,
+        Math.min(rowsNumber, Math.ceil((statesNumber - step) / columnsNumber)) * cellHeight +
+          FlasksMargin,
+      );
+      sheetCtx = sheet.getContext('2d');
+      sheetCtx.fillStyle = `rgb(${BackgroundColor})`;
+      sheetCtx.fillRect(0, 0, sheet.width, sheet.height);
+    }
+
+    if (step > 0) {
+      puzzle.transfuse(...solution[step - 1]);
+    }
+
+    const left = FlasksMargin + indexOnSheet % columnsNumber * cellWidth;
+    const top = FlasksMargin + Math.floor(indexOnSheet / columnsNumber) * cellHeight;
+    const [ canvas ] = renderStep(
+      puzzle,
+      solution,
+      step,
+      imageData.rowsNumber,
+      flasksInRows,
+      colors,
+      capacity,
+      emptyFlasksAdditions,
+    );
+    sheetCtx.drawImage(canvas, left, top, thumbnailWidth, thumbnailHeight);
+
+    sheetCtx.fillStyle = `rgb(${LabelTextColor})`;
+    sheetCtx.font = `${LabelFontSize}px sans-serif`;
+    sheetCtx.textAlign = 'center';
+    sheetCtx.textBaseline = 'middle';
+    // подпись сжимается, если не помещается по ширине изображения шага
+    sheetCtx.fillText(
+      formatSheetLabel(solution, step, emptyFlasksAdditions),
+      left + thumbnailWidth / 2,
+      top + thumbnailHeight + LabelFontSize,
+      thumbnailWidth,
+    );
+  }
+  sheets.push(sheet.toBuffer());
+
+  return sheets;
 };
+
+/**
+ * Расположение на полосе под исходным изображением пустых колб, используемых в решении
+ * Колбы имеют средний размер колб на изображении и уменьшаются, если не помещаются по ширине
+ * @param {FlaskBounds[]} flasksBounds границы колб на исходном изображении
+ * @param {number} requiredEmptyFlasksNumber количество пустых колб, используемых в решении
+ * @param {number} width ширина исходного изображения
+ * @param {number} height высота исходного изображения
+ * @returns {FlaskBounds[]} границы пустых колб
+ */
+const placeEmptyFlasks = (flasksBounds, requiredEmptyFlasksNumber, width, height) => {
+  if (requiredEmptyFlasksNumber === 0) {
+    return [];
+  }
+
+  const averageWidth = flasksBounds.reduce((sum, { left, right }) => sum + right - left + 1, 0) /
+    flasksBounds.length;
+  const averageHeight = flasksBounds.reduce((sum, { top, bottom }) => sum + bottom - top + 1, 0) /
+    flasksBounds.length;
+  const scale = Math.min(
+    1,
+    (width - (requiredEmptyFlasksNumber + 1) * FlasksMargin) /
+      (requiredEmptyFlasksNumber * averageWidth),
+  );
+  const flaskWidth = Math.max(1, Math.floor(averageWidth * scale));
+  const flaskHeight = Math.max(1, Math.floor(averageHeight * scale));
+
+  return new Array(requiredEmptyFlasksNumber).fill(null).map((_, i) => {
+    const left = FlasksMargin + i * (flaskWidth + FlasksMargin);
+    return {
+      top: height + FlasksMargin,
+      bottom: height + FlasksMargin + flaskHeight - 1,
+      left,
+      right: left + flaskWidth - 1,
+    };
+  });
+};
+
+/**
+ * Рисование стрелки переливания над колбами: дуги от верха одной колбы к верху другой
+ * с наконечником. Стрелка обводится, чтобы быть заметной на любом фоне
+ * @param {FlaskBounds} source границы колбы, из которой переливают
+ * @param {FlaskBounds} destination границы колбы, в которую переливают
+ * @param {number} lineWidth толщина линии стрелки
+ * @param {CanvasRenderingContext2D} ctx 2D-контекст холста
+ */
+const drawMoveArrow = (source, destination, lineWidth, ctx) => {
+  const startX = (source.left + source.right) / 2;
+  const endX = (destination.left + destination.right) / 2;
+  const controlX = (startX + endX) / 2;
+  const controlY = Math.max(
+    0,
+    Math.min(source.top, destination.top) - Math.abs(endX - startX) / 4 - lineWidth * 4,
+  );
+  const angle = Math.atan2(destination.top - controlY, endX - controlX);
+  const headLength = lineWidth * 4;
+
+  const drawArrow = () => {
+    ctx.beginPath();
+    ctx.moveTo(startX, source.top);
+    ctx.quadraticCurveTo(controlX, controlY, endX, destination.top);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(endX, destination.top);
+    ctx.lineTo(
+      endX - headLength * Math.cos(angle - Math.PI / 6),
+      destination.top - headLength * Math.sin(angle - Math.PI / 6),
+    );
+    ctx.lineTo(
+      endX - headLength * Math.cos(angle + Math.PI / 6),
+      destination.top - headLength * Math.sin(angle + Math.PI / 6),
+    );
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  };
+
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  ctx.strokeStyle = `rgb(${OverlayOutlineColor})`;
+  ctx.fillStyle = `rgb(${OverlayOutlineColor})`;
+  ctx.lineWidth = lineWidth * 2;
+  drawArrow();
+  ctx.strokeStyle = `rgb(${OverlayArrowColor})`;
+  ctx.fillStyle = `rgb(${OverlayArrowColor})`;
+  ctx.lineWidth = lineWidth;
+  drawArrow();
+};
+
+/**
+ * Визуализация каждого переливания решения поверх исходного изображения
+ * Пустые колбы, которых нет на исходном изображении, [располагаются]{@link placeEmptyFlasks}
+ * на полосе под ним, а пустые колбы, которых нет и в игре, появляются на ней перед ходом,
+ * в котором они нужны. На каждом изображении колба, из которой переливают, обводится цветом
+ * {@link SourceFlaskBorderColor}, колба, в которую переливают, — цветом
+ * {@link DestinationFlaskBorderColor}, между ними [рисуется стрелка]{@link drawMoveArrow},
+ * а номер переливания подписывается в левом верхнем углу
+ * @param {number[][]} solution решение в виде массива пар номеров колб для [переливания]{@link Puzzle.transfuse}
+ * @param {Screenshot} screenshot исходное изображение
+ * @param {FlaskBounds[]} flasksBounds границы колб на исходном изображении
+ * @param {number} requiredEmptyFlasksNumber количество пустых колб, используемых в решении
+ * @param {number[]} [emptyFlasksAdditions=[]] [номера ходов, перед которыми нужны пустые колбы]{@link getEmptyFlasksAdditions}, которых нет в игре
+ * @returns {Buffer[]} изображение каждого переливания
+ */
+export const visualizeSolutionOnScreenshot = (
+  solution,
+  screenshot,
+  flasksBounds,
+  requiredEmptyFlasksNumber,
+  emptyFlasksAdditions = [],
+) => {
+  const emptyFlasksBounds = placeEmptyFlasks(
+    flasksBounds,
+    requiredEmptyFlasksNumber,
+    screenshot.width,
+    screenshot.height,
+  );
+  const allFlasksBounds = [ ...flasksBounds, ...emptyFlasksBounds ];
+  const width = screenshot.width;
+  const height = screenshot.height + (requiredEmptyFlasksNumber > 0 ?
+    emptyFlasksBounds[0].bottom - emptyFlasksBounds[0].top + 1 + 2 * FlasksMargin :
+    0);
+  const lineWidth = Math.max(
+    2,
+    Math.round((flasksBounds[0].right - flasksBounds[0].left + 1) / 12),
+  );
+
+  const background = createCanvas(width, height);
+  const backgroundCtx = background.getContext('2d');
+  backgroundCtx.fillStyle = `rgb(${BackgroundColor})`;
+  backgroundCtx.fillRect(0, 0, width, height);
+  const imageData = backgroundCtx.createImageData(screenshot.width, screenshot.height);
+  imageData.data.set(screenshot.data);
+  backgroundCtx.putImageData(imageData, 0, 0);
+
+  // пустые колбы, которые есть в игре, видны на всех изображениях
+  const presentEmptyFlasksNumber = requiredEmptyFlasksNumber - emptyFlasksAdditions.length;
+
+  return solution.map(([ source, destination ], step) => {
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(background, 0, 0);
+
+    ctx.strokeStyle = `rgb(${FlaskBorderColor})`;
+    ctx.lineWidth = lineWidth;
+    ctx.fillStyle = `rgb(${LabelTextColor})`;
+    ctx.font = `${LabelFontSize}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const [ i, { top, bottom, left, right } ] of emptyFlasksBounds.entries()) {
+      if (
+        i >= presentEmptyFlasksNumber &&
+        emptyFlasksAdditions[i - presentEmptyFlasksNumber] > step
+      ) {
+        continue;
+      }
+      ctx.strokeRect(left, top, right - left + 1, bottom - top + 1);
+      ctx.fillText(flasksBounds.length + i + 1, (left + right) / 2, (top + bottom) / 2);
+    }
+
+    for (const [ flask, color ] of [
+      [ source, SourceFlaskBorderColor ],
+      [ destination, DestinationFlaskBorderColor ],
+    ]) {
+      const { top, bottom, left, right } = allFlasksBounds[flask];
+      ctx.strokeStyle = `rgb(${color})`;
+      ctx.strokeRect(
+        left - lineWidth,
+        top - lineWidth,
+        right - left + 1 + 2 * lineWidth,
+        bottom - top + 1 + 2 * lineWidth,
+      );
+    }
+    drawMoveArrow(allFlasksBounds[source], allFlasksBounds[destination], lineWidth, ctx);
+
+    const label = `${step + 1}/${solution.length}`;
+    ctx.font = `${LabelFontSize}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = `rgba(${OverlayOutlineColor}, 0.6)`;
+    ctx.fillRect(0, 0, ctx.measureText(label).width + LabelFontSize, LabelFontSize * 2);
+    ctx.fillStyle = `rgb(${LabelTextColor})`;
+    ctx.fillText(label, LabelFontSize / 2, LabelFontSize);
+
+    return canvas.toBuffer();
+  });
+};
+
+export let forTesting;
+if (!!process.env.NODE_TEST_CONTEXT) {
+  forTesting = {
+    getVisibleFlasksInRows,
+    calculateSheetLayout,
+    formatSheetLabel,
+    placeEmptyFlasks,
+  };
+}